@@ -1,6 +1,7 @@
 
-import { scanCardForUrls, cacheCardAssets, getCachedAssets, getGalleryAssets, clearCardAssets } from '../services/asset-cache.js';
+import { scanCardForUrls, getCachedAssets, getGalleryAssets, clearCardAssets } from '../services/asset-cache.js';
 import { appConfig } from '../services/ConfigState.js';
+import { enqueueJob } from '../services/JobQueueService.js';
 import { logger } from '../utils/logger.js';
 
 const log = logger.scoped('ASSET');
@@ -17,11 +18,12 @@ class AssetController {
         }
     };
 
+    // Downloads run as an 'assets.cache' job whose result is the cacheCardAssets() summary
     cacheAssets = async (req, res) => {
         try {
             const cardId = req.params.cardId;
-            const result = await cacheCardAssets(cardId);
-            res.json(result);
+            const job = enqueueJob('assets.cache', { cardId: String(cardId) });
+            res.status(202).json({ success: true, job });
         } catch (error) {
             log.error('Cache assets error', error);
             res.status(500).json({ error: error.message });
@@ -0,0 +1,130 @@
+import {
+    listBlocklist,
+    blockSourceId,
+    unblockSourceId,
+    importBlocklist,
+    exportBlocklist,
+    listSourceCooldowns,
+    clearSourceCooldown
+} from '../services/BlocklistService.js';
+import { getAvailableSources } from '../services/scrapers/index.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('BLOCKLIST');
+
+function isKnownSource(source) {
+    return getAvailableSources().includes(source);
+}
+
+const invalidSourceError = () => ({ error: `Source must be one of: ${getAvailableSources().join(', ')}` });
+
+class BlocklistController {
+    listEntries = (req, res) => {
+        try {
+            const { source, search, page, limit } = req.query;
+            if (source && !isKnownSource(source)) {
+                return res.status(400).json(invalidSourceError());
+            }
+            res.json({ ...listBlocklist({ source, search, page, limit }), sources: getAvailableSources() });
+        } catch (error) {
+            log.error('List blocklist error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    addEntry = (req, res) => {
+        try {
+            const { source, sourceId, reason } = req.body || {};
+            if (!isKnownSource(source)) {
+                return res.status(400).json(invalidSourceError());
+            }
+            if (sourceId === undefined || sourceId === null || !String(sourceId).trim()) {
+                return res.status(400).json({ error: 'sourceId is required' });
+            }
+
+            const added = blockSourceId(source, sourceId, { reason: reason || null, addedBy: 'api' });
+            if (!added) {
+                return res.status(409).json({ error: 'Already blacklisted' });
+            }
+            res.status(201).json({ success: true, source, sourceId: String(sourceId).trim() });
+        } catch (error) {
+            log.error('Add blocklist entry error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    removeEntry = (req, res) => {
+        try {
+            const { source, sourceId } = req.params;
+            if (!unblockSourceId(source, sourceId)) {
+                return res.status(404).json({ error: 'Not blacklisted' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            log.error('Remove blocklist entry error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    importEntries = (req, res) => {
+        try {
+            // Accepts a raw text/plain body (?source=...) or JSON { source, text }
+            const isRawBody = typeof req.body === 'string';
+            const source = isRawBody ? req.query.source : (req.body?.source || req.query.source);
+            const text = isRawBody ? req.body : req.body?.text;
+            if (!isKnownSource(source)) {
+                return res.status(400).json(invalidSourceError());
+            }
+            if (typeof text !== 'string') {
+                return res.status(400).json({ error: 'text is required' });
+            }
+            res.json(importBlocklist(source, text, { addedBy: 'import' }));
+        } catch (error) {
+            log.error('Import blocklist error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    exportEntries = (req, res) => {
+        try {
+            const { source } = req.query;
+            if (!isKnownSource(source)) {
+                return res.status(400).json(invalidSourceError());
+            }
+            res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${source}-blacklist.txt"`);
+            res.send(exportBlocklist(source));
+        } catch (error) {
+            log.error('Export blocklist error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    listCooldowns = (req, res) => {
+        try {
+            const { source, page, limit } = req.query;
+            if (source && !isKnownSource(source)) {
+                return res.status(400).json(invalidSourceError());
+            }
+            res.json(listSourceCooldowns({ source, page, limit }));
+        } catch (error) {
+            log.error('List cooldowns error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    clearCooldown = (req, res) => {
+        try {
+            const { source, sourceId } = req.params;
+            if (!clearSourceCooldown(source, sourceId)) {
+                return res.status(404).json({ error: 'No cooldown for this card' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            log.error('Clear cooldown error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+export const blocklistController = new BlocklistController();
@@ -4,9 +4,13 @@
  * Delegates to services:
  * - CardQueryService: listing, search, decoration
  * - CardMetadataService: PNG info, metadata, feature flags
- * - CardService: favorites, gallery flags
+ * - CardService: favorites, gallery flags, card refresh
  * - asset-cache: gallery caching
- * - scraper: card refresh
+ * - CardVersionService: archived revisions
+ * - DuplicateService: cross-source duplicates and merging
+ * - ImageHashService: similar avatars, avatar changes, placeholder images
+ * - TrashService: delete (quarantine)
+ * - JobQueueService: bulk refresh
  */
 
 import { appConfig } from '../services/ConfigState.js';
@@ -19,8 +23,7 @@ const log = logger.scoped('CARD');
 import {
     LANGUAGE_MAPPING,
     getDatabase,
-    toggleFavorite,
-    deleteCard as dbDeleteCard
+    toggleFavorite
 } from '../database.js';
 
 import {
@@ -44,13 +47,12 @@ import {
 } from '../services/CardMetadataService.js';
 
 import { getCardFilePaths } from '../utils/card-utils.js';
-import { refreshCard } from '../services/scraper.js';
-import { refreshRisuCard } from '../services/scrapers/RisuAiScraper.js';
 import {
     setCardGalleryFlag,
     setCardFavoriteFlag,
-    refreshGalleryIfNeeded
+    refreshCardFromSource
 } from '../services/CardService.js';
+import { enqueueJob } from '../services/JobQueueService.js';
 import { syncFavoriteToChub } from '../services/SyncService.js';
 import {
     clearCardAssets,
@@ -58,9 +60,26 @@ import {
     getGalleryAssets,
     rewriteCardUrls
 } from '../services/asset-cache.js';
+import { trashCard } from '../services/TrashService.js';
+import {
+    listCardVersions,
+    resolveVersionExport,
+    diffCardRevisions,
+    VERSION_EXPORT_FORMATS
+} from '../services/CardVersionService.js';
+import {
+    getCardDuplicates,
+    mergeDuplicates,
+    dismissDuplicate
+} from '../services/DuplicateService.js';
+import {
+    findSimilarAvatars,
+    listAvatarChanges,
+    markAvatarAsPlaceholder,
+    DEFAULT_SIMILAR_DISTANCE
+} from '../services/ImageHashService.js';
 
 import fs from 'fs';
-import path from 'path';
 import FormData from 'form-data';
 import axios from 'axios';
 
@@ -111,13 +130,7 @@ class CardController {
                 return res.status(400).json({ error: 'Refreshing Character Tavern cards is not currently supported.' });
             }
 
-            if (card?.source === 'risuai') {
-                await refreshRisuCard(cardId, appConfig);
-            } else {
-                await refreshCard(cardId, appConfig);
-            }
-
-            const galleryResult = await refreshGalleryIfNeeded(parseInt(cardId, 10));
+            const galleryResult = await refreshCardFromSource(cardId);
             invalidateCache();
 
             res.json({ success: true, gallery: galleryResult });
@@ -127,6 +140,22 @@ class CardController {
         }
     };
 
+    bulkRefresh = async (req, res) => {
+        try {
+            const ids = req.body.cardIds || req.body.card_ids;
+
+            if (!Array.isArray(ids) || ids.length === 0) {
+                return res.status(400).json({ error: 'No card IDs provided' });
+            }
+
+            const job = enqueueJob('cards.refresh', { cardIds: ids.map(String) });
+            res.status(202).json({ success: true, job });
+        } catch (error) {
+            log.error('Bulk refresh error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
     toggleFavorite = async (req, res) => {
         try {
             const cardId = parseInt(req.params.cardId);
@@ -178,33 +207,14 @@ class CardController {
     deleteCard = async (req, res) => {
         try {
             const cardId = req.params.cardId;
-            const cardIdNum = parseInt(cardId);
-            const database = getDatabase();
-
-            const existing = database.prepare('SELECT source, sourceId FROM cards WHERE id = ?').get(cardIdNum);
-            const { jsonPath, pngPath } = getCardFilePaths(cardId);
-
-            if (fs.existsSync(pngPath)) fs.unlinkSync(pngPath);
-            if (fs.existsSync(jsonPath)) fs.unlinkSync(jsonPath);
+            const entry = await trashCard(cardId, { reason: 'manual' });
 
-            try {
-                await clearCardAssets(cardIdNum);
-            } catch (assetError) {
-                log.warn(`Failed to cleanup assets for card ${cardId}`, assetError);
-            }
-
-            const result = dbDeleteCard(cardIdNum);
-
-            const blacklistPath = path.join(process.cwd(), 'blacklist.txt');
-            fs.appendFileSync(blacklistPath, `${cardId}\n`);
-
-            if (existing?.source === 'ct' && existing.sourceId) {
-                const { addCtBlacklistEntry } = await import('../utils/ct-blacklist.js');
-                addCtBlacklistEntry(existing.sourceId);
+            if (!entry) {
+                return res.status(404).json({ error: 'Card not found' });
             }
 
             invalidateCache();
-            res.json(result);
+            res.json({ success: true, trashed: true, cardId: entry.cardId });
         } catch (error) {
             log.error('Delete card error', error);
             res.status(500).json({ error: error.message });
@@ -221,33 +231,15 @@ class CardController {
 
             const deleted = [];
             const errors = [];
-            const database = getDatabase();
-            const { addCtBlacklistEntry } = await import('../utils/ct-blacklist.js');
 
             for (const rawId of ids) {
                 try {
                     const cardId = String(rawId);
-                    const cardIdNum = parseInt(cardId);
-                    const existing = database.prepare('SELECT source, sourceId FROM cards WHERE id = ?').get(cardIdNum);
-                    const { jsonPath, pngPath } = getCardFilePaths(cardId);
-
-                    if (fs.existsSync(pngPath)) fs.unlinkSync(pngPath);
-                    if (fs.existsSync(jsonPath)) fs.unlinkSync(jsonPath);
-
-                    try {
-                        await clearCardAssets(cardIdNum);
-                    } catch (assetError) {
-                        log.warn(`Failed to cleanup assets for card ${cardId}`, assetError);
-                    }
-
-                    dbDeleteCard(cardIdNum);
-                    deleted.push(cardId);
-
-                    const blacklistPath = path.join(process.cwd(), 'blacklist.txt');
-                    fs.appendFileSync(blacklistPath, `${cardId}\n`);
-
-                    if (existing?.source === 'ct' && existing.sourceId) {
-                        addCtBlacklistEntry(existing.sourceId);
+                    const entry = await trashCard(cardId, { reason: 'bulk' });
+                    if (entry) {
+                        deleted.push(cardId);
+                    } else {
+                        errors.push({ cardId: rawId, error: 'Card not found' });
                     }
                 } catch (err) {
                     errors.push({ cardId: rawId, error: err.message });
@@ -348,6 +340,209 @@ class CardController {
         }
     };
 
+    // ==================== Version History ====================
+
+    listVersions = (req, res) => {
+        try {
+            const cardId = req.params.cardId;
+            if (!/^\d+$/.test(String(cardId))) {
+                return res.status(400).json({ error: 'Invalid card ID' });
+            }
+
+            const versions = listCardVersions(cardId);
+            res.json({ cardId: parseInt(cardId, 10), versions });
+        } catch (error) {
+            log.error('List versions error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    exportVersion = (req, res) => {
+        try {
+            const { cardId, rev } = req.params;
+            const format = req.query.format || 'png';
+
+            if (!/^\d+$/.test(String(cardId)) || !/^\d+$/.test(String(rev))) {
+                return res.status(400).json({ error: 'Invalid card ID or revision' });
+            }
+            if (!VERSION_EXPORT_FORMATS.includes(format)) {
+                return res.status(400).json({ error: `Unsupported format. Use one of: ${VERSION_EXPORT_FORMATS.join(', ')}` });
+            }
+
+            const result = resolveVersionExport(cardId, parseInt(rev, 10), format);
+            if (!result) {
+                return res.status(404).json({ error: 'Revision not found' });
+            }
+            if (!result.filePath || !fs.existsSync(result.filePath)) {
+                return res.status(404).json({ error: `Revision ${rev} has no ${format} file` });
+            }
+
+            res.download(result.filePath, result.filename);
+        } catch (error) {
+            log.error('Export version error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    diffVersions = (req, res) => {
+        try {
+            const cardId = req.params.cardId;
+            if (!/^\d+$/.test(String(cardId))) {
+                return res.status(400).json({ error: 'Invalid card ID' });
+            }
+
+            const parseRevision = value => {
+                if (value === undefined || value === '' || value === 'current') return 'current';
+                return /^\d+$/.test(String(value)) ? parseInt(value, 10) : null;
+            };
+
+            // Default: latest archived revision -> current files
+            let from = req.query.from;
+            if (from === undefined || from === '') {
+                const [latest] = listCardVersions(cardId);
+                if (!latest) {
+                    return res.status(404).json({ error: 'No archived revisions for this card' });
+                }
+                from = latest.revision;
+            }
+
+            const fromRev = parseRevision(from);
+            const toRev = parseRevision(req.query.to);
+            if (fromRev === null || toRev === null) {
+                return res.status(400).json({ error: 'Revisions must be a number or "current"' });
+            }
+
+            const diff = diffCardRevisions(cardId, fromRev, toRev);
+            if (!diff) {
+                return res.status(404).json({ error: 'Revision not found' });
+            }
+
+            res.json(diff);
+        } catch (error) {
+            log.error('Diff versions error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // ==================== Duplicates ====================
+
+    listDuplicates = (req, res) => {
+        try {
+            const cardId = req.params.cardId;
+            if (!/^\d+$/.test(String(cardId))) {
+                return res.status(400).json({ error: 'Invalid card ID' });
+            }
+
+            const { duplicates, links } = getCardDuplicates(cardId);
+            const baseUrl = `${req.protocol}://${req.get('host')}`;
+            decorateCards(duplicates.map(duplicate => duplicate.card), baseUrl, null, null);
+
+            res.json({ cardId: parseInt(cardId, 10), duplicates, links });
+        } catch (error) {
+            log.error('List duplicates error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // Keeps :cardId, trashes :duplicateId and records its source on the kept card
+    mergeDuplicate = async (req, res) => {
+        try {
+            const { cardId, duplicateId } = req.params;
+            if (!/^\d+$/.test(String(cardId)) || !/^\d+$/.test(String(duplicateId)) || cardId === duplicateId) {
+                return res.status(400).json({ error: 'Invalid card IDs' });
+            }
+
+            const result = await mergeDuplicates(parseInt(cardId, 10), parseInt(duplicateId, 10));
+            if (!result) {
+                return res.status(404).json({ error: 'Duplicate pair not found' });
+            }
+
+            invalidateCache();
+            res.json({ success: true, ...result });
+        } catch (error) {
+            log.error('Merge duplicate error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    dismissDuplicate = (req, res) => {
+        try {
+            const { cardId, duplicateId } = req.params;
+            if (!/^\d+$/.test(String(cardId)) || !/^\d+$/.test(String(duplicateId))) {
+                return res.status(400).json({ error: 'Invalid card IDs' });
+            }
+
+            if (!dismissDuplicate(cardId, duplicateId)) {
+                return res.status(404).json({ error: 'Duplicate pair not found' });
+            }
+
+            invalidateCache();
+            res.json({ success: true });
+        } catch (error) {
+            log.error('Dismiss duplicate error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    // ==================== Avatar Hashes ====================
+
+    similarAvatars = (req, res) => {
+        try {
+            const cardId = req.params.cardId;
+            if (!/^\d+$/.test(String(cardId))) {
+                return res.status(400).json({ error: 'Invalid card ID' });
+            }
+
+            const maxDistanceRaw = parseInt(req.query.maxDistance, 10);
+            const maxDistance = Number.isFinite(maxDistanceRaw) ? maxDistanceRaw : DEFAULT_SIMILAR_DISTANCE;
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 24, 1), 100);
+
+            const result = findSimilarAvatars(cardId, { maxDistance, limit });
+            const baseUrl = `${req.protocol}://${req.get('host')}`;
+            decorateCards(result.matches, baseUrl, null, null);
+
+            res.json({ cardId: parseInt(cardId, 10), ...result });
+        } catch (error) {
+            log.error('Similar avatars error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    avatarChanges = (req, res) => {
+        try {
+            const cardId = req.params.cardId;
+            if (!/^\d+$/.test(String(cardId))) {
+                return res.status(400).json({ error: 'Invalid card ID' });
+            }
+
+            res.json({ cardId: parseInt(cardId, 10), changes: listAvatarChanges(cardId) });
+        } catch (error) {
+            log.error('Avatar changes error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    markAvatarPlaceholder = (req, res) => {
+        try {
+            const cardId = req.params.cardId;
+            if (!/^\d+$/.test(String(cardId))) {
+                return res.status(400).json({ error: 'Invalid card ID' });
+            }
+
+            const label = typeof req.body?.label === 'string' ? req.body.label.trim().slice(0, 100) || null : null;
+            const placeholder = markAvatarAsPlaceholder(cardId, label);
+            if (!placeholder) {
+                return res.status(404).json({ error: 'Card has no decodable PNG avatar' });
+            }
+
+            invalidateCache();
+            res.json({ success: true, placeholder });
+        } catch (error) {
+            log.error('Mark placeholder error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
     // ==================== Push to External ====================
 
     pushToSillyTavern = async (req, res) => {
@@ -4,6 +4,7 @@ import { appConfig } from '../services/ConfigState.js';
 import { sillyTavernService } from '../services/SillyTavernService.js';
 import { schedulerService } from '../services/SchedulerService.js';
 import { configureSearchIndex, configureVectorSearch, isSearchIndexEnabled, drainSearchIndexQueue } from '../services/search-index.js';
+import { migrateLegacyDenyList } from '../services/DenyListService.js';
 import { logger } from '../utils/logger.js';
 
 const log = logger.scoped('CONFIG');
@@ -21,6 +22,8 @@ class ConfigController {
                 return res.status(400).json({ error: 'use_timeline requires a valid API key' });
             }
 
+            // Older clients still send the block lists that now live in the deny-list
+            migrateLegacyDenyList(newConfig);
             saveConfig(newConfig);
 
             // Mutate the singleton to update all references
@@ -36,9 +39,8 @@ class ConfigController {
                 drainSearchIndexQueue('config-update');
             }
 
-            // Restart auto-update if settings changed
-            schedulerService.startAutoUpdate();
-            schedulerService.startCtAutoUpdate();
+            // Re-arm sync schedules in case they changed
+            schedulerService.startSyncSchedules();
 
             res.json({ message: 'Successfully updated the config' });
         } catch (error) {
@@ -0,0 +1,79 @@
+import {
+    getDenyList,
+    blockTag,
+    unblockTag,
+    blockCreator,
+    unblockCreator
+} from '../services/DenyListService.js';
+import { getAvailableSources } from '../services/scrapers/index.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('DENYLIST');
+
+class DenyListController {
+    getDenyList = (req, res) => {
+        try {
+            res.json({ ...getDenyList(), sources: getAvailableSources() });
+        } catch (error) {
+            log.error('Get deny-list error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    blockTag = (req, res) => {
+        try {
+            const { tag, reason } = req.body || {};
+            const row = blockTag(tag, reason);
+            if (!row) {
+                return res.status(400).json({ error: 'Tag is required' });
+            }
+            res.status(201).json(row);
+        } catch (error) {
+            log.error('Block tag error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    unblockTag = (req, res) => {
+        try {
+            if (!unblockTag(req.params.tag)) {
+                return res.status(404).json({ error: 'Tag is not blocked' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            log.error('Unblock tag error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    blockCreator = (req, res) => {
+        try {
+            const { source, creator, reason } = req.body || {};
+            const row = getAvailableSources().includes(source) ? blockCreator(source, creator, reason) : null;
+            if (!row) {
+                return res.status(400).json({
+                    error: `Creator and a source (${getAvailableSources().join(', ')}) are required`
+                });
+            }
+            res.status(201).json(row);
+        } catch (error) {
+            log.error('Block creator error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    unblockCreator = (req, res) => {
+        try {
+            const { source, creator } = req.params;
+            if (!unblockCreator(source, creator)) {
+                return res.status(404).json({ error: 'Creator is not blocked' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            log.error('Unblock creator error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+export const denyListController = new DenyListController();
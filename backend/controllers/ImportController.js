@@ -0,0 +1,129 @@
+import busboy from 'busboy';
+import { importCardFromUrl, importCardFiles } from '../services/ImportService.js';
+import { invalidateCache } from '../services/CardQueryService.js';
+import { parseCardUrl, CARD_URL_HOSTS } from '../utils/card-url.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('IMPORT');
+
+const MAX_UPLOAD_FILES = 100;
+// Voxta packages and CharX files with assets can be large
+const MAX_UPLOAD_FILE_MB = 100;
+const MAX_UPLOAD_TOTAL_MB = 500;
+const UPLOAD_USAGE = 'Upload one or more card files as multipart field "files"';
+
+/**
+ * Stream the "files" fields out of a multipart request, enforcing the size limits as it reads
+ * @returns {Promise<{files: Array<{name: string, buffer: Buffer}>}|{status: number, error: string}>}
+ */
+function readUploadedFiles(req) {
+    return new Promise((resolve, reject) => {
+        let parser;
+        try {
+            parser = busboy({
+                headers: req.headers,
+                limits: { files: MAX_UPLOAD_FILES, fileSize: MAX_UPLOAD_FILE_MB * 1024 * 1024 }
+            });
+        } catch {
+            // Not multipart/form-data, or no boundary
+            return resolve({ status: 400, error: UPLOAD_USAGE });
+        }
+
+        const files = [];
+        let totalBytes = 0;
+        let failure = null;
+        const fail = (status, error) => {
+            if (failure) return;
+            failure = { status, error };
+            // Stop parsing and discard the rest of the body
+            req.unpipe(parser);
+            req.resume();
+            resolve(failure);
+        };
+
+        parser.on('file', (field, stream, { filename }) => {
+            if (field !== 'files' || failure) {
+                stream.resume();
+                return;
+            }
+            const chunks = [];
+            stream.on('data', chunk => {
+                totalBytes += chunk.length;
+                if (totalBytes > MAX_UPLOAD_TOTAL_MB * 1024 * 1024) {
+                    fail(413, `Uploads are limited to ${MAX_UPLOAD_TOTAL_MB} MB per request`);
+                }
+                if (!failure) {
+                    chunks.push(chunk);
+                }
+            });
+            stream.on('limit', () => fail(413, `${filename} is larger than ${MAX_UPLOAD_FILE_MB} MB`));
+            stream.on('end', () => {
+                if (!failure) {
+                    files.push({ name: filename, buffer: Buffer.concat(chunks) });
+                }
+            });
+        });
+        parser.on('filesLimit', () => fail(400, `At most ${MAX_UPLOAD_FILES} files per upload`));
+        parser.on('error', reject);
+        parser.on('close', () => {
+            if (!failure) {
+                resolve({ files });
+            }
+        });
+
+        req.pipe(parser);
+    });
+}
+
+class ImportController {
+    importFromUrl = async (req, res) => {
+        try {
+            const { url } = req.body || {};
+            if (!parseCardUrl(url)) {
+                return res.status(400).json({
+                    error: `Paste a character link from ${CARD_URL_HOSTS.join(', ')}`
+                });
+            }
+
+            const result = await importCardFromUrl(url);
+            if (!result.card) {
+                const status = result.reason === 'not_found' ? 404 : 422;
+                return res.status(status).json(result);
+            }
+
+            if (result.created) {
+                invalidateCache();
+            }
+            res.status(result.created ? 201 : 200).json(result);
+        } catch (error) {
+            log.error('Import from URL error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    importUpload = async (req, res) => {
+        try {
+            const upload = await readUploadedFiles(req);
+            if (upload.error) {
+                return res.status(upload.status).json({ error: upload.error });
+            }
+            const { files } = upload;
+            if (files.length === 0) {
+                return res.status(400).json({ error: UPLOAD_USAGE });
+            }
+
+            const results = await importCardFiles(files);
+            const created = results.filter(result => result.created).length;
+            const failed = results.filter(result => !result.card).length;
+            if (created > 0) {
+                invalidateCache();
+            }
+            res.json({ created, existing: results.length - created - failed, failed, results });
+        } catch (error) {
+            log.error('Import upload error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+export const importController = new ImportController();
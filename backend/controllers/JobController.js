@@ -0,0 +1,160 @@
+import {
+    TERMINAL_JOB_STATUSES,
+    listJobTypes,
+    validateJobRequest,
+    enqueueJob,
+    getJob,
+    listJobs,
+    cancelJob,
+    retryJob,
+    subscribeToJob
+} from '../services/JobQueueService.js';
+import { JOB_STATUSES } from '../db/repositories/JobRepository.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('JOBS');
+
+const SSE_KEEPALIVE_MS = 15000;
+
+/**
+ * Stream a job's state over SSE until it finishes or the client disconnects.
+ * Each event is `{ type: 'job', job }` or `{ type: 'progress', jobId, progress }`;
+ * `format` can rewrite events (return null to skip one).
+ */
+export function streamJobEvents(req, res, jobId, format = event => event) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    let closed = false;
+    let unsubscribe = () => {};
+    let keepAlive = null;
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        unsubscribe();
+        clearInterval(keepAlive);
+        res.end();
+    };
+
+    const send = event => {
+        if (closed) return;
+        const formatted = format(event);
+        if (formatted) {
+            res.write(`data: ${JSON.stringify(formatted)}\n\n`);
+        }
+        if (event.type === 'job' && TERMINAL_JOB_STATUSES.includes(event.job.status)) {
+            close();
+        }
+    };
+
+    unsubscribe = subscribeToJob(jobId, send);
+    keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+    req.on('close', close);
+
+    // Current state first, so a reconnecting client catches up
+    const job = getJob(jobId);
+    if (job?.progress) {
+        send({ type: 'progress', jobId: job.id, progress: job.progress });
+    }
+    send({ type: 'job', job });
+}
+
+class JobController {
+    listJobs = (req, res) => {
+        try {
+            const { status, type, page, limit } = req.query;
+            if (status && status !== 'active' && !JOB_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `Status must be 'active' or one of: ${JOB_STATUSES.join(', ')}` });
+            }
+            res.json({ ...listJobs({ status, type, page, limit }), types: listJobTypes() });
+        } catch (error) {
+            log.error('List jobs error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    createJob = (req, res) => {
+        try {
+            const { type, payload = {} } = req.body || {};
+            if (!type || typeof type !== 'string') {
+                return res.status(400).json({ error: 'type is required' });
+            }
+            if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+                return res.status(400).json({ error: 'payload must be an object' });
+            }
+
+            const conflict = validateJobRequest(type, payload);
+            if (conflict) {
+                return res.status(conflict.status).json({ error: conflict.error, job: conflict.job });
+            }
+            res.status(202).json({ job: enqueueJob(type, { trigger: 'manual', ...payload }) });
+        } catch (error) {
+            log.error('Create job error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    getJob = (req, res) => {
+        try {
+            const job = getJob(req.params.id);
+            if (!job) {
+                return res.status(404).json({ error: 'Job not found' });
+            }
+            res.json(job);
+        } catch (error) {
+            log.error('Get job error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    streamEvents = (req, res) => {
+        try {
+            const job = getJob(req.params.id);
+            if (!job) {
+                return res.status(404).json({ error: 'Job not found' });
+            }
+            streamJobEvents(req, res, job.id);
+        } catch (error) {
+            log.error('Job events error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    cancelJob = (req, res) => {
+        try {
+            const job = cancelJob(req.params.id);
+            if (!job) {
+                return res.status(404).json({ error: 'Job not found' });
+            }
+            res.json(job);
+        } catch (error) {
+            log.error('Cancel job error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    retryJob = (req, res) => {
+        try {
+            const existing = getJob(req.params.id);
+            if (!existing) {
+                return res.status(404).json({ error: 'Job not found' });
+            }
+            if (!TERMINAL_JOB_STATUSES.includes(existing.status)) {
+                return res.status(409).json({ error: 'Job is still queued or running' });
+            }
+
+            const conflict = validateJobRequest(existing.type, existing.payload);
+            if (conflict) {
+                return res.status(conflict.status).json({ error: conflict.error, job: conflict.job });
+            }
+            res.status(202).json({ job: retryJob(existing.id) });
+        } catch (error) {
+            log.error('Retry job error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+export const jobController = new JobController();
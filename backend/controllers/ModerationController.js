@@ -0,0 +1,163 @@
+import {
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    getRun,
+    listRuns
+} from '../db/repositories/ModerationRepository.js';
+import {
+    validateRuleInput,
+    previewRule,
+    dryRunRule,
+    queueRuleExecution,
+    EXECUTE_JOB_TYPE
+} from '../services/ModerationService.js';
+import { validateJobRequest } from '../services/JobQueueService.js';
+import { isSearchIndexEnabled } from '../services/search-index.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('MODERATION');
+
+function pickRuleFields(body = {}) {
+    const fields = {};
+    for (const key of ['name', 'query', 'filter', 'scope', 'action']) {
+        if (body[key] !== undefined) {
+            fields[key] = typeof body[key] === 'string' ? body[key].trim() : body[key];
+        }
+    }
+    return fields;
+}
+
+function isUniqueViolation(error) {
+    return error?.code === 'SQLITE_CONSTRAINT_UNIQUE';
+}
+
+class ModerationController {
+    listRules = (req, res) => {
+        try {
+            res.json({ rules: listRules(), searchEnabled: isSearchIndexEnabled() });
+        } catch (error) {
+            log.error('List rules error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    createRule = (req, res) => {
+        try {
+            const fields = pickRuleFields(req.body);
+            const validationError = validateRuleInput(fields);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            res.status(201).json(createRule(fields));
+        } catch (error) {
+            if (isUniqueViolation(error)) {
+                return res.status(409).json({ error: 'A rule with this name already exists' });
+            }
+            log.error('Create rule error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    updateRule = (req, res) => {
+        try {
+            const rule = getRule(req.params.id);
+            if (!rule) {
+                return res.status(404).json({ error: 'Rule not found' });
+            }
+
+            const fields = pickRuleFields(req.body);
+            const validationError = validateRuleInput(fields, { partial: true })
+                || validateRuleInput({ ...rule, ...fields });
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            res.json(updateRule(rule.id, fields));
+        } catch (error) {
+            if (isUniqueViolation(error)) {
+                return res.status(409).json({ error: 'A rule with this name already exists' });
+            }
+            log.error('Update rule error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    deleteRule = (req, res) => {
+        try {
+            const result = deleteRule(req.params.id);
+            if (result.changes === 0) {
+                return res.status(404).json({ error: 'Rule not found' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            log.error('Delete rule error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    runRule = async (req, res) => {
+        try {
+            const rule = getRule(req.params.id);
+            if (!rule) {
+                return res.status(404).json({ error: 'Rule not found' });
+            }
+            if (!isSearchIndexEnabled()) {
+                return res.status(400).json({ error: 'Moderation rules require Meilisearch to be enabled' });
+            }
+
+            const scope = req.body?.scope || rule.scope;
+            if (scope === 'preview') {
+                const limit = Math.min(Math.max(parseInt(req.body?.limit, 10) || 48, 1), 200);
+                return res.json({ scope, preview: await previewRule(rule, { limit }) });
+            }
+            if (scope === 'dry_run') {
+                return res.json({ scope, run: await dryRunRule(rule) });
+            }
+            if (scope === 'execute') {
+                const conflict = validateJobRequest(EXECUTE_JOB_TYPE, { ruleId: rule.id });
+                if (conflict) {
+                    return res.status(conflict.status).json({ error: conflict.error, job: conflict.job });
+                }
+                const { run, job } = queueRuleExecution(rule);
+                return res.status(202).json({ scope, run, job });
+            }
+            res.status(400).json({ error: `Unknown scope: ${scope}` });
+        } catch (error) {
+            log.error('Run rule error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    listRuns = (req, res) => {
+        try {
+            const rule = getRule(req.params.id);
+            if (!rule) {
+                return res.status(404).json({ error: 'Rule not found' });
+            }
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+            res.json({ runs: listRuns(rule.id, limit) });
+        } catch (error) {
+            log.error('List runs error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    getRun = (req, res) => {
+        try {
+            const run = getRun(req.params.runId);
+            if (!run || String(run.ruleId) !== String(req.params.id)) {
+                return res.status(404).json({ error: 'Run not found' });
+            }
+            res.json(run);
+        } catch (error) {
+            log.error('Get run error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+export const moderationController = new ModerationController();
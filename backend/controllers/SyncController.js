@@ -1,13 +1,15 @@
-import { syncCards } from '../services/scraper.js';
-import { syncCharacterTavern } from '../services/scrapers/CtScraper.js';
-import { syncWyvern } from '../services/scrapers/WyvernScraper.js';
-import { syncRisuAi } from '../services/scrapers/RisuAiScraper.js';
 import { fetchChubFollows, fetchChubBlockedUsers } from '../services/SyncService.js';
-import { lockService } from '../services/LockService.js';
+import { blockCreator } from '../services/DenyListService.js';
+import { enqueueJob, validateJobRequest } from '../services/JobQueueService.js';
+import { streamJobEvents } from './JobController.js';
+import { listSyncCheckpoints, clearSyncCheckpoint } from '../services/SyncCheckpointService.js';
+import { getSyncHistory, getSyncRunReport } from '../services/SyncHistoryService.js';
+import { SYNC_RUN_STATUSES } from '../db/repositories/SyncRunRepository.js';
+import { schedulerService } from '../services/SchedulerService.js';
+import { getScraperManifest, listScraperManifests } from '../services/scrapers/index.js';
 import { getDatabase } from '../database.js';
 import { logger } from '../utils/logger.js';
 import { appConfig } from '../services/ConfigState.js';
-import { drainSearchIndexQueue } from '../services/search-index.js';
 
 const log = logger.scoped('SYNC');
 
@@ -28,165 +30,140 @@ class SyncController {
         }
     }
 
-    async getChubBlockedUsers(req, res) {
+    /**
+     * Copy the account's Chub block list into the deny-list (creators on source 'chub')
+     */
+    async importChubBlockedUsers(req, res) {
         try {
-            const result = await fetchChubBlockedUsers();
-            res.json(result);
+            const { blockedUsers } = await fetchChubBlockedUsers();
+            const blocked = blockedUsers.filter(user => blockCreator('chub', user, 'Blocked on Chub'));
+            res.json({ blockedUsers: blocked });
         } catch (error) {
             log.error('Failed to fetch Chub blocked users', error);
             res.status(502).json({ error: error?.message || 'Failed to fetch blocked users from Chub' });
         }
     }
 
-    async syncCards(req, res) {
-        if (lockService.isSyncInProgress()) {
-            return res.status(409).json({ error: 'Sync already in progress' });
-        }
-        
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        
-        lockService.setSyncInProgress(true);
-        
-        try {
-            const result = await syncCards(appConfig, (progress) => {
-                res.write(`data: ${JSON.stringify(progress)}
-
-`);
-            });
-            
-            res.write(`data: ${JSON.stringify({
-                progress: 100,
-                currentCard: 'Sync Complete',
-                newCards: result.newCards
-            })}
-
-`);
-            await drainSearchIndexQueue('manual-sync');
-            res.end();
-        } catch (error) {
-            log.error('Sync error', error);
-            res.write(`data: ${JSON.stringify({ error: error.message })}
+    /**
+     * Queue a sync job and stream its progress in the original SSE format.
+     * Closing the stream does not stop the sync; use POST /api/sync/cancel or /api/jobs/:id/cancel.
+     * Query: ?mode=resume, or ?mode=backfill&from=N&to=M (default mode is 'latest')
+     */
+    startSyncJob(type, completeLabel) {
+        return (req, res) => {
+            try {
+                const { mode = 'latest', from, to } = req.query;
+                const payload = { trigger: 'manual', mode, fromPage: from, toPage: to };
+                const conflict = validateJobRequest(type, payload);
+                if (conflict) {
+                    return res.status(conflict.status).json({ error: conflict.error, jobId: conflict.job?.id });
+                }
 
-`);
-            res.end();
-        } finally {
-            lockService.setSyncInProgress(false);
-        }
+                const job = enqueueJob(type, payload);
+                streamJobEvents(req, res, job.id, event => {
+                    if (event.type === 'progress') {
+                        return { ...event.progress, jobId: event.jobId };
+                    }
+                    const { status, result, error } = event.job;
+                    if (status === 'queued') {
+                        return { progress: 0, currentCard: 'Queued, waiting for a free job worker', jobId: job.id };
+                    }
+                    if (status === 'succeeded') {
+                        return { progress: 100, currentCard: completeLabel, newCards: result?.newCards ?? 0, jobId: job.id };
+                    }
+                    if (status === 'failed' || status === 'canceled') {
+                        return { error: error || `Sync ${status}`, jobId: job.id };
+                    }
+                    return null;
+                });
+            } catch (error) {
+                log.error(`Failed to start ${type}`, error);
+                res.status(500).json({ error: error.message });
+            }
+        };
     }
 
-    async syncCharacterTavern(req, res) {
-        if (lockService.isCtSyncInProgress()) {
-            return res.status(409).json({ error: 'Character Tavern sync already in progress' });
-        }
+    syncCards = this.startSyncJob('sync.chub', 'Sync Complete');
 
-        if (!appConfig?.ctSync?.enabled) {
-            return res.status(400).json({ error: 'Character Tavern sync is disabled in config' });
-        }
-
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
+    syncCharacterTavern = this.startSyncJob('sync.ct', 'CT Sync Complete');
 
-        lockService.setCtSyncInProgress(true);
+    syncWyvern = this.startSyncJob('sync.wyvern', 'Wyvern Sync Complete');
 
-        try {
-            const result = await syncCharacterTavern(appConfig, progress => {
-                res.write(`data: ${JSON.stringify(progress)}
-
-`);
-            });
+    syncRisuAi = this.startSyncJob('sync.risuai', 'RisuAI Sync Complete');
 
-            res.write(`data: ${JSON.stringify({
-                progress: 100,
-                currentCard: 'CT Sync Complete',
-                newCards: result.added,
-            })}
+    /**
+     * GET /api/sync/:source - any registered source, including scraper plugins
+     */
+    syncSource = (req, res) => {
+        const manifest = getScraperManifest(req.params.source);
+        if (!manifest?.capabilities.sync) {
+            return res.status(404).json({ error: `Unknown sync source: ${req.params.source}` });
+        }
+        return this.startSyncJob(`sync.${manifest.source}`, `${manifest.displayName} Sync Complete`)(req, res);
+    };
 
-`);
-            await drainSearchIndexQueue('ct-sync');
-            res.end();
+    getSources(req, res) {
+        try {
+            res.json({ sources: listScraperManifests(appConfig) });
         } catch (error) {
-            log.error('CT Sync error', error);
-            res.write(`data: ${JSON.stringify({ error: error.message })}
-
-`);
-            res.end();
-        } finally {
-            lockService.setCtSyncInProgress(false);
+            log.error('Failed to list sync sources', error);
+            res.status(500).json({ error: error.message });
         }
     }
 
-    async syncWyvern(req, res) {
-        if (lockService.isSyncInProgress()) {
-            return res.status(409).json({ error: 'Sync already in progress' });
-        }
-
-        if (!appConfig?.wyvernSync?.enabled) {
-            return res.status(400).json({ error: 'Wyvern sync is disabled in config' });
+    getCheckpoints(req, res) {
+        try {
+            res.json({ checkpoints: listSyncCheckpoints() });
+        } catch (error) {
+            log.error('Failed to list sync checkpoints', error);
+            res.status(500).json({ error: error.message });
         }
+    }
 
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-
-        lockService.setSyncInProgress(true);
-
+    getSchedules(req, res) {
         try {
-            const result = await syncWyvern(appConfig, progress => {
-                res.write(`data: ${JSON.stringify(progress)}\n\n`);
-            });
-
-            res.write(`data: ${JSON.stringify({
-                progress: 100,
-                currentCard: 'Wyvern Sync Complete',
-                newCards: result.added || result.newCards || 0,
-            })}\n\n`);
-            await drainSearchIndexQueue('wyvern-sync');
-            res.end();
+            res.json({ schedules: schedulerService.getSyncSchedules() });
         } catch (error) {
-            log.error('Wyvern Sync error', error);
-            res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-            res.end();
-        } finally {
-            lockService.setSyncInProgress(false);
+            log.error('Failed to list sync schedules', error);
+            res.status(500).json({ error: error.message });
         }
     }
 
-    async syncRisuAi(req, res) {
-        if (lockService.isSyncInProgress()) {
-            return res.status(409).json({ error: 'Sync already in progress' });
+    getHistory(req, res) {
+        try {
+            const { source, trigger, status, page, limit } = req.query;
+            if (status && !SYNC_RUN_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `Status must be one of: ${SYNC_RUN_STATUSES.join(', ')}` });
+            }
+            res.json(getSyncHistory({ source, trigger, status, page, limit }));
+        } catch (error) {
+            log.error('Failed to list sync history', error);
+            res.status(500).json({ error: error.message });
         }
+    }
 
-        if (!appConfig?.risuSync?.enabled) {
-            return res.status(400).json({ error: 'RisuAI sync is disabled in config' });
+    getHistoryRun(req, res) {
+        try {
+            const run = getSyncRunReport(req.params.runId);
+            if (!run) {
+                return res.status(404).json({ error: 'Sync run not found' });
+            }
+            res.json(run);
+        } catch (error) {
+            log.error('Failed to load sync run', error);
+            res.status(500).json({ error: error.message });
         }
+    }
 
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-
-        lockService.setSyncInProgress(true);
-
+    clearCheckpoint(req, res) {
         try {
-            const result = await syncRisuAi(appConfig, progress => {
-                res.write(`data: ${JSON.stringify(progress)}\n\n`);
-            });
-
-            res.write(`data: ${JSON.stringify({
-                progress: 100,
-                currentCard: 'RisuAI Sync Complete',
-                newCards: result.added || result.newCards || 0,
-            })}\n\n`);
-            await drainSearchIndexQueue('risuai-sync');
-            res.end();
+            if (!clearSyncCheckpoint(req.params.source)) {
+                return res.status(404).json({ error: 'Checkpoint not found' });
+            }
+            res.json({ success: true });
         } catch (error) {
-            log.error('RisuAI Sync error', error);
-            res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-            res.end();
-        } finally {
-            lockService.setSyncInProgress(false);
+            log.error('Failed to clear sync checkpoint', error);
+            res.status(500).json({ error: error.message });
         }
     }
 
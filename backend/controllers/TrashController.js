@@ -0,0 +1,42 @@
+import { listTrash, restoreCard } from '../services/TrashService.js';
+import { invalidateCache } from '../services/CardQueryService.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('TRASH');
+
+class TrashController {
+    listTrash = (req, res) => {
+        try {
+            const { page, limit } = req.query;
+            res.json(listTrash({ page, limit }));
+        } catch (error) {
+            log.error('List trash error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+
+    restoreCard = async (req, res) => {
+        try {
+            const cardId = req.params.cardId;
+            if (!/^\d+$/.test(String(cardId))) {
+                return res.status(400).json({ error: 'Invalid card ID' });
+            }
+
+            const result = await restoreCard(cardId);
+            if (!result.success) {
+                if (result.reason === 'card_exists') {
+                    return res.status(409).json({ error: 'A card with this ID already exists' });
+                }
+                return res.status(404).json({ error: 'Card not found in trash' });
+            }
+
+            invalidateCache();
+            res.json(result);
+        } catch (error) {
+            log.error('Restore card error', error);
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+export const trashController = new TrashController();
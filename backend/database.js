@@ -20,6 +20,7 @@ import {
     getCards,
     getCardsByIdsOrdered,
     getAllLanguages,
+    reserveCardId,
     toggleFavorite,
     deleteCard,
     detectLanguage,
@@ -32,7 +33,7 @@ const log = logger.scoped('DB');
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const DATABASE_FILE = path.join(__dirname, '../cards.db');
+export const DATABASE_FILE = path.join(__dirname, '../cards.db');
 
 /**
  * Initialize database connection
@@ -115,6 +116,8 @@ export {
 
     getAllLanguages,
 
+    reserveCardId,
+
     toggleFavorite,
 
     deleteCard,
@@ -0,0 +1,218 @@
+/**
+ * Row-level deltas between two snapshots of a database, for incremental backups.
+ *
+ * Rows are grouped into chunks by rowid range (CHUNK_ROWS per chunk) and a
+ * database state is its schema plus one hash per chunk. A delta carries the
+ * current rows of every chunk whose hash changed; replaying it deletes each
+ * chunk's range and inserts those rows. WITHOUT ROWID tables are a single chunk.
+ * Deltas only apply between states with the same schema.
+ */
+import fs from 'fs';
+import crypto from 'crypto';
+import readline from 'readline';
+
+const CHUNK_ROWS = 1000;
+const WHOLE_TABLE = 'all';
+
+function quoteIdentifier(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+function listSchema(database) {
+    return database.prepare(`
+        SELECT type, name, sql FROM sqlite_master
+        WHERE sql IS NOT NULL AND name NOT LIKE 'sqlite_stat%'
+        ORDER BY type, name
+    `).all();
+}
+
+/**
+ * Tables holding rows: virtual tables are skipped (their shadow tables are
+ * regular tables and are copied instead), as is SQLite's own bookkeeping
+ * apart from the AUTOINCREMENT counters
+ */
+function listDataTables(database) {
+    return database.prepare(`
+        SELECT name, sql FROM sqlite_master
+        WHERE type = 'table' AND (name NOT LIKE 'sqlite_%' OR name = 'sqlite_sequence')
+        ORDER BY name
+    `).all()
+        .filter(table => !/^CREATE\s+VIRTUAL\s+TABLE/i.test(table.sql))
+        .map(table => ({ name: table.name, withoutRowid: /WITHOUT\s+ROWID\s*$/i.test(table.sql.trim()) }));
+}
+
+function selectRows(database, table, ranged = false) {
+    const source = quoteIdentifier(table.name);
+    if (table.withoutRowid) {
+        return database.prepare(`SELECT * FROM ${source}`).raw();
+    }
+    const where = ranged ? ' WHERE rowid >= ? AND rowid < ?' : '';
+    return database.prepare(`SELECT rowid, * FROM ${source}${where} ORDER BY rowid`).raw();
+}
+
+function listColumns(database, table) {
+    const columns = database.prepare(`PRAGMA table_info(${quoteIdentifier(table.name)})`).all().map(column => column.name);
+    return table.withoutRowid ? columns : ['rowid', ...columns];
+}
+
+function chunkKey(table, row) {
+    return table.withoutRowid ? WHOLE_TABLE : String(Math.floor(row[0] / CHUNK_ROWS));
+}
+
+function chunkRange(chunk) {
+    const start = Number(chunk) * CHUNK_ROWS;
+    return [start, start + CHUNK_ROWS];
+}
+
+function encodeValue(value) {
+    return Buffer.isBuffer(value) ? { $b64: value.toString('base64') } : value;
+}
+
+function decodeValue(value) {
+    return value && typeof value === 'object' && '$b64' in value ? Buffer.from(value.$b64, 'base64') : value;
+}
+
+/**
+ * Schema and per-chunk row hashes of a database
+ * @returns {{schema: object, chunks: object}} schema: "<type>:<name>" => sql; chunks: table => chunk => hash
+ */
+export function computeDatabaseState(database) {
+    const schema = Object.fromEntries(listSchema(database).map(entry => [`${entry.type}:${entry.name}`, entry.sql]));
+    const chunks = {};
+
+    for (const table of listDataTables(database)) {
+        const tableChunks = {};
+        let current = null;
+        let hash = null;
+        const flush = () => {
+            if (current !== null) {
+                tableChunks[current] = hash.digest('hex');
+            }
+        };
+
+        for (const row of selectRows(database, table).iterate()) {
+            const key = chunkKey(table, row);
+            if (key !== current) {
+                flush();
+                current = key;
+                hash = crypto.createHash('sha1');
+            }
+            hash.update(`${JSON.stringify(row.map(encodeValue))}\n`);
+        }
+        flush();
+        chunks[table.name] = tableChunks;
+    }
+
+    return { schema, chunks };
+}
+
+export function sameSchema(a, b) {
+    const keys = Object.keys(a || {});
+    return keys.length === Object.keys(b || {}).length && keys.every(key => a[key] === b[key]);
+}
+
+export function sameState(a, b) {
+    if (!sameSchema(a?.schema, b?.schema)) {
+        return false;
+    }
+    const tables = new Set([...Object.keys(a.chunks), ...Object.keys(b.chunks)]);
+    return [...tables].every(table => sameSchema(a.chunks[table], b.chunks[table]));
+}
+
+/**
+ * Chunks whose hash differs between two states of the same schema
+ * @returns {{table: string, chunk: string}[]}
+ */
+export function diffDatabaseStates(previous, next) {
+    const changed = [];
+    for (const [table, nextChunks] of Object.entries(next.chunks)) {
+        const previousChunks = previous.chunks[table] || {};
+        const keys = new Set([...Object.keys(previousChunks), ...Object.keys(nextChunks)]);
+        for (const chunk of keys) {
+            if (previousChunks[chunk] !== nextChunks[chunk]) {
+                changed.push({ table, chunk });
+            }
+        }
+    }
+    return changed;
+}
+
+/**
+ * Write the rows that turn `previous` into `state` as JSON lines, one line per chunk
+ * @returns {{chunks: number, rows: number}}
+ */
+export function writeDatabaseDelta(database, previous, state, filePath) {
+    const tables = new Map(listDataTables(database).map(table => [table.name, table]));
+    const columns = new Map();
+    const fd = fs.openSync(filePath, 'w');
+    let rows = 0;
+
+    try {
+        const changed = diffDatabaseStates(previous, state);
+        for (const { table: name, chunk } of changed) {
+            const table = tables.get(name);
+            if (!columns.has(name)) {
+                columns.set(name, listColumns(database, table));
+            }
+            const statement = selectRows(database, table, chunk !== WHOLE_TABLE);
+            const chunkRows = (chunk === WHOLE_TABLE ? statement.all() : statement.all(...chunkRange(chunk)))
+                .map(row => row.map(encodeValue));
+            rows += chunkRows.length;
+            fs.writeSync(fd, `${JSON.stringify({ table: name, chunk, columns: columns.get(name), rows: chunkRows })}\n`);
+        }
+        return { chunks: changed.length, rows };
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Replay a delta written by writeDatabaseDelta(). Triggers are dropped while
+ * the rows go in (the delta already holds their effects) and recreated after.
+ * @returns {Promise<{chunks: number, rows: number}>}
+ */
+export async function applyDatabaseDelta(database, filePath) {
+    const triggers = database.prepare("SELECT name, sql FROM sqlite_master WHERE type = 'trigger'").all();
+    const foreignKeys = database.pragma('foreign_keys', { simple: true });
+    const inserts = new Map();
+    const stats = { chunks: 0, rows: 0 };
+
+    database.pragma('foreign_keys = OFF');
+    // Shadow tables of virtual tables (FTS) are read-only in defensive mode
+    database.unsafeMode(true);
+    triggers.forEach(trigger => database.exec(`DROP TRIGGER ${quoteIdentifier(trigger.name)}`));
+
+    const applyChunk = database.transaction(({ table, chunk, columns, rows }) => {
+        const source = quoteIdentifier(table);
+        if (chunk === WHOLE_TABLE) {
+            database.prepare(`DELETE FROM ${source}`).run();
+        } else {
+            database.prepare(`DELETE FROM ${source} WHERE rowid >= ? AND rowid < ?`).run(...chunkRange(chunk));
+        }
+
+        const key = `${table}\u0000${columns.join(',')}`;
+        if (!inserts.has(key)) {
+            const placeholders = columns.map(() => '?').join(', ');
+            inserts.set(key, database.prepare(`INSERT INTO ${source} (${columns.map(quoteIdentifier).join(', ')}) VALUES (${placeholders})`));
+        }
+        const insert = inserts.get(key);
+        rows.forEach(row => insert.run(...row.map(decodeValue)));
+    });
+
+    try {
+        const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            const entry = JSON.parse(line);
+            applyChunk(entry);
+            stats.chunks++;
+            stats.rows += entry.rows.length;
+        }
+    } finally {
+        triggers.forEach(trigger => database.exec(trigger.sql));
+        database.unsafeMode(false);
+        database.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+    }
+
+    return stats;
+}
@@ -0,0 +1,86 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import {
+    computeDatabaseState,
+    diffDatabaseStates,
+    sameState,
+    writeDatabaseDelta,
+    applyDatabaseDelta
+} from './delta.js';
+
+const SCHEMA = `
+    CREATE TABLE cards (id INTEGER PRIMARY KEY, name TEXT, avatar BLOB);
+    CREATE TABLE card_tags (cardId INTEGER NOT NULL, tag TEXT NOT NULL, PRIMARY KEY(cardId, tag));
+    CREATE TABLE settings (key TEXT PRIMARY KEY, value TEXT) WITHOUT ROWID;
+    CREATE TABLE log (id INTEGER PRIMARY KEY AUTOINCREMENT, cardId INTEGER);
+    CREATE TRIGGER trg_cards_log AFTER INSERT ON cards BEGIN
+        INSERT INTO log (cardId) VALUES (NEW.id);
+    END;
+`;
+
+function seed(database) {
+    database.exec(SCHEMA);
+    const insert = database.prepare('INSERT INTO cards (id, name, avatar) VALUES (?, ?, ?)');
+    for (let id = 1; id <= 2500; id++) {
+        insert.run(id, `Card ${id}`, id % 100 === 0 ? Buffer.from([id % 256, 0, 255]) : null);
+    }
+    database.prepare('INSERT INTO card_tags (cardId, tag) VALUES (?, ?)').run(1, 'fantasy');
+    database.prepare('INSERT INTO settings (key, value) VALUES (?, ?)').run('theme', 'dark');
+}
+
+describe('delta', () => {
+    let workDir;
+
+    before(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'delta-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it('should only report chunks that changed', () => {
+        const database = new Database(':memory:');
+        seed(database);
+        const before = computeDatabaseState(database);
+
+        database.prepare('UPDATE cards SET name = ? WHERE id = ?').run('Renamed', 1500);
+        const after = computeDatabaseState(database);
+
+        assert.deepStrictEqual(diffDatabaseStates(before, after), [{ table: 'cards', chunk: '1' }]);
+        assert.strictEqual(sameState(before, after), false);
+        database.close();
+    });
+
+    it('should replay a delta onto the earlier snapshot', async () => {
+        const base = new Database(':memory:');
+        const current = new Database(':memory:');
+        seed(base);
+        seed(current);
+        const baseState = computeDatabaseState(base);
+
+        current.prepare('DELETE FROM cards WHERE id BETWEEN 10 AND 20').run();
+        current.prepare('INSERT INTO cards (id, name, avatar) VALUES (?, ?, ?)').run(9001, 'New', Buffer.from('png'));
+        current.prepare('INSERT INTO card_tags (cardId, tag) VALUES (?, ?)').run(9001, 'horror');
+        current.prepare('UPDATE settings SET value = ? WHERE key = ?').run('light', 'theme');
+        const currentState = computeDatabaseState(current);
+
+        const deltaPath = path.join(workDir, 'delta.jsonl');
+        const written = writeDatabaseDelta(current, baseState, currentState, deltaPath);
+        assert.ok(written.chunks >= 4);
+
+        const applied = await applyDatabaseDelta(base, deltaPath);
+        assert.deepStrictEqual(applied, written);
+        // The trigger didn't fire twice for the replayed insert, and is back in place afterwards
+        assert.ok(sameState(computeDatabaseState(base), currentState));
+        assert.deepStrictEqual(base.prepare('SELECT avatar FROM cards WHERE id = 9001').get().avatar, Buffer.from('png'));
+        assert.strictEqual(base.prepare("SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'trigger'").get().count, 1);
+
+        base.close();
+        current.close();
+    });
+});
@@ -0,0 +1,104 @@
+import { getDbInstance } from '../connection.js';
+
+export function getAssetBlob(hash) {
+    const database = getDbInstance();
+    return database.prepare('SELECT * FROM asset_blobs WHERE hash = ?').get(hash) || null;
+}
+
+/**
+ * Record a stored file; a hash seen before keeps its first path
+ * @returns {object} The blob row, with the path the content actually lives at
+ */
+export function registerAssetBlob({ hash, localPath, fileSize }) {
+    const database = getDbInstance();
+    database.prepare(`
+        INSERT INTO asset_blobs (hash, localPath, fileSize) VALUES (?, ?, ?)
+        ON CONFLICT(hash) DO NOTHING
+    `).run(hash, localPath, fileSize);
+    return getAssetBlob(hash);
+}
+
+/**
+ * Insert or update a card's cached asset. An upsert rather than INSERT OR REPLACE,
+ * since the replaced row would skip the delete trigger that releases its blob.
+ */
+export function saveCachedAsset({ cardId, originalUrl, localPath, assetType, fileSize = 0, metadata = null, contentHash = null }) {
+    const database = getDbInstance();
+    database.prepare(`
+        INSERT INTO cached_assets (cardId, originalUrl, localPath, assetType, fileSize, metadata, contentHash)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(cardId, originalUrl) DO UPDATE SET
+            localPath = excluded.localPath,
+            assetType = excluded.assetType,
+            fileSize = excluded.fileSize,
+            metadata = excluded.metadata,
+            contentHash = excluded.contentHash,
+            cachedAt = CURRENT_TIMESTAMP
+    `).run(cardId, originalUrl, localPath, assetType, fileSize, metadata, contentHash);
+}
+
+/**
+ * Stored content for a URL, preferring the card's own row over other cards'
+ * @returns {object|null} Blob row plus the cardId it was found under
+ */
+export function findAssetBlobByUrl(originalUrl, cardId) {
+    const database = getDbInstance();
+    return database.prepare(`
+        SELECT b.*, a.cardId FROM cached_assets a
+        JOIN asset_blobs b ON b.hash = a.contentHash
+        WHERE a.originalUrl = ?
+        ORDER BY a.cardId = ? DESC
+        LIMIT 1
+    `).get(originalUrl, cardId) || null;
+}
+
+/**
+ * Blobs no cached_assets row references, except those a trashed card would
+ * take back on restore
+ */
+export function listUnreferencedAssetBlobs() {
+    const database = getDbInstance();
+    return database.prepare(`
+        SELECT b.* FROM asset_blobs b
+        WHERE b.refCount <= 0
+          AND NOT EXISTS (
+              SELECT 1 FROM card_trash t,
+                  json_each(CASE WHEN json_valid(t.assetRows) THEN t.assetRows ELSE '[]' END) j
+              WHERE json_extract(j.value, '$.contentHash') = b.hash
+          )
+    `).all();
+}
+
+/**
+ * Drop a blob row if nothing took a reference since it was listed
+ * @returns {boolean} Whether the row was removed
+ */
+export function deleteUnreferencedAssetBlob(hash) {
+    const database = getDbInstance();
+    return database.prepare('DELETE FROM asset_blobs WHERE hash = ? AND refCount <= 0').run(hash).changes > 0;
+}
+
+/**
+ * Cached assets still stored per card, from before content addressing
+ */
+export function listLegacyCachedAssets({ afterId = 0, limit = 200 } = {}) {
+    const database = getDbInstance();
+    return database.prepare(`
+        SELECT id, cardId, originalUrl, localPath FROM cached_assets
+        WHERE contentHash IS NULL AND id > ?
+        ORDER BY id
+        LIMIT ?
+    `).all(afterId, limit);
+}
+
+export function countLegacyCachedAssets() {
+    const database = getDbInstance();
+    return database.prepare('SELECT COUNT(*) AS count FROM cached_assets WHERE contentHash IS NULL').get().count;
+}
+
+export function setCachedAssetContent(id, { contentHash, localPath, fileSize }) {
+    const database = getDbInstance();
+    database.prepare(`
+        UPDATE cached_assets SET contentHash = ?, localPath = ?, fileSize = ? WHERE id = ?
+    `).run(contentHash, localPath, fileSize, id);
+}
@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { useTestDatabase } from '../test-database.js';
+import { insertTrashEntry } from './TrashRepository.js';
+import {
+    getAssetBlob,
+    registerAssetBlob,
+    saveCachedAsset,
+    findAssetBlobByUrl,
+    listUnreferencedAssetBlobs,
+    deleteUnreferencedAssetBlob,
+    listLegacyCachedAssets,
+    countLegacyCachedAssets,
+    setCachedAssetContent
+} from './AssetBlobRepository.js';
+
+describe('AssetBlobRepository', () => {
+    const db = useTestDatabase(['cards', 'cached_assets', 'asset_blobs', 'card_trash']);
+
+    const insertCard = id => db.prepare(
+        'INSERT OR REPLACE INTO cards (id, name, source) VALUES (?, ?, ?)'
+    ).run(id, `Card ${id}`, 'chub');
+
+    const blob = hash => registerAssetBlob({ hash, localPath: `cached-assets/blobs/${hash.slice(0, 2)}/${hash}.png`, fileSize: 10 });
+
+    const cacheAsset = (cardId, url, contentHash) => saveCachedAsset({
+        cardId,
+        originalUrl: url,
+        localPath: `cached-assets/blobs/${contentHash.slice(0, 2)}/${contentHash}.png`,
+        assetType: 'image',
+        fileSize: 10,
+        contentHash
+    });
+
+    it('should count references across cards and keep the first path for a hash', () => {
+        [1, 2].forEach(insertCard);
+        blob('aa11');
+        assert.strictEqual(registerAssetBlob({ hash: 'aa11', localPath: 'elsewhere.jpg', fileSize: 10 }).localPath, 'cached-assets/blobs/aa/aa11.png');
+
+        cacheAsset(1, 'https://example.com/a.png', 'aa11');
+        cacheAsset(2, 'https://mirror.example.com/a.png', 'aa11');
+        assert.strictEqual(getAssetBlob('aa11').refCount, 2);
+
+        // Re-caching the same URL with new content moves the reference
+        blob('bb22');
+        cacheAsset(1, 'https://example.com/a.png', 'bb22');
+        assert.strictEqual(getAssetBlob('aa11').refCount, 1);
+        assert.strictEqual(getAssetBlob('bb22').refCount, 1);
+    });
+
+    it('should release blobs when the last referencing card is deleted', () => {
+        [1, 2].forEach(insertCard);
+        blob('aa11');
+        cacheAsset(1, 'https://example.com/a.png', 'aa11');
+        cacheAsset(2, 'https://example.com/a.png', 'aa11');
+
+        db.prepare('DELETE FROM cards WHERE id = 1').run();
+        assert.deepStrictEqual(listUnreferencedAssetBlobs(), []);
+
+        db.prepare('DELETE FROM cards WHERE id = 2').run();
+        assert.deepStrictEqual(listUnreferencedAssetBlobs().map(row => row.hash), ['aa11']);
+        assert.strictEqual(deleteUnreferencedAssetBlob('aa11'), true);
+        assert.strictEqual(getAssetBlob('aa11'), null);
+    });
+
+    it('should keep blobs a trashed card still lists', () => {
+        insertCard(1);
+        blob('aa11');
+        cacheAsset(1, 'https://example.com/a.png', 'aa11');
+        const assetRows = db.prepare('SELECT * FROM cached_assets WHERE cardId = 1').all();
+
+        db.prepare('DELETE FROM cards WHERE id = 1').run();
+        insertTrashEntry({ cardId: 1, cardRow: { id: 1 }, assetRows, files: [], trashPath: 'trash/1' });
+        assert.deepStrictEqual(listUnreferencedAssetBlobs(), []);
+
+        db.prepare('DELETE FROM card_trash').run();
+        assert.strictEqual(listUnreferencedAssetBlobs().length, 1);
+    });
+
+    it('should not delete a blob that was referenced again', () => {
+        insertCard(1);
+        blob('aa11');
+        cacheAsset(1, 'https://example.com/a.png', 'aa11');
+        assert.strictEqual(deleteUnreferencedAssetBlob('aa11'), false);
+    });
+
+    it('should find stored content by URL, preferring the same card', () => {
+        [1, 2].forEach(insertCard);
+        blob('aa11');
+        blob('bb22');
+        cacheAsset(1, 'https://example.com/a.png', 'aa11');
+        cacheAsset(2, 'https://example.com/a.png', 'bb22');
+
+        assert.strictEqual(findAssetBlobByUrl('https://example.com/a.png', 2).hash, 'bb22');
+        assert.strictEqual(findAssetBlobByUrl('https://example.com/a.png', 3).cardId, 1);
+        assert.strictEqual(findAssetBlobByUrl('https://example.com/missing.png', 1), null);
+    });
+
+    it('should page through legacy rows and count the blob once migrated', () => {
+        insertCard(1);
+        db.prepare(`
+            INSERT INTO cached_assets (cardId, originalUrl, localPath, assetType, fileSize)
+            VALUES (1, 'https://example.com/a.png', 'cached-assets/1/0cc175b9.png', 'image', 10)
+        `).run();
+        assert.strictEqual(countLegacyCachedAssets(), 1);
+
+        const [legacy] = listLegacyCachedAssets();
+        blob('aa11');
+        setCachedAssetContent(legacy.id, { contentHash: 'aa11', localPath: 'cached-assets/blobs/aa/aa11.png', fileSize: 10 });
+
+        assert.strictEqual(countLegacyCachedAssets(), 0);
+        assert.deepStrictEqual(listLegacyCachedAssets({ afterId: 0 }), []);
+        assert.strictEqual(getAssetBlob('aa11').refCount, 1);
+    });
+});
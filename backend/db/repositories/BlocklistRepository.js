@@ -0,0 +1,137 @@
+import { getDbInstance } from '../connection.js';
+
+// ==================== Blocklist ====================
+
+export function isBlocklisted(source, sourceId) {
+    const database = getDbInstance();
+    return !!database.prepare(
+        'SELECT 1 FROM source_blocklist WHERE source = ? AND sourceId = ?'
+    ).get(source, String(sourceId));
+}
+
+export function getBlocklistEntry(source, sourceId) {
+    const database = getDbInstance();
+    return database.prepare(
+        'SELECT * FROM source_blocklist WHERE source = ? AND sourceId = ?'
+    ).get(source, String(sourceId)) || null;
+}
+
+/**
+ * Add entries, keeping the original reason/author of IDs that are already blocked
+ * @param {Array<{source: string, sourceId: string|number, reason?: string, addedBy?: string, createdAt?: string}>} entries
+ * @returns {number} Number of new entries
+ */
+export function addBlocklistEntries(entries) {
+    const database = getDbInstance();
+    const insert = database.prepare(`
+        INSERT OR IGNORE INTO source_blocklist (source, sourceId, reason, addedBy, createdAt)
+        VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+    `);
+    const insertAll = database.transaction(rows => {
+        let added = 0;
+        for (const { source, sourceId, reason = null, addedBy = null, createdAt = null } of rows) {
+            added += insert.run(source, String(sourceId), reason, addedBy, createdAt).changes;
+        }
+        return added;
+    });
+    return insertAll(entries);
+}
+
+export function addBlocklistEntry(entry) {
+    return addBlocklistEntries([entry]) > 0;
+}
+
+export function removeBlocklistEntry(source, sourceId) {
+    const database = getDbInstance();
+    return database.prepare(
+        'DELETE FROM source_blocklist WHERE source = ? AND sourceId = ?'
+    ).run(source, String(sourceId)).changes > 0;
+}
+
+/**
+ * List blocklist entries, newest first
+ */
+export function listBlocklistEntries({ source = null, search = '', limit = 50, offset = 0 } = {}) {
+    const database = getDbInstance();
+    const conditions = [];
+    const params = [];
+    if (source) {
+        conditions.push('source = ?');
+        params.push(source);
+    }
+    if (search) {
+        conditions.push('(sourceId LIKE ? OR reason LIKE ?)');
+        params.push(`%${search}%`, `%${search}%`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const total = database.prepare(`SELECT COUNT(*) as count FROM source_blocklist ${where}`).get(...params).count;
+    const items = database.prepare(`
+        SELECT * FROM source_blocklist ${where}
+        ORDER BY createdAt DESC, sourceId ASC
+        LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return { items, total };
+}
+
+export function countBlocklistBySource() {
+    const database = getDbInstance();
+    return database.prepare(
+        'SELECT source, COUNT(*) as count FROM source_blocklist GROUP BY source ORDER BY source ASC'
+    ).all();
+}
+
+// ==================== Cooldowns ====================
+
+/**
+ * @returns {number|null} Epoch ms of the last attempt, or null when not cooling down
+ */
+export function getCooldown(source, sourceId) {
+    const database = getDbInstance();
+    const row = database.prepare(
+        'SELECT cooledAt FROM source_cooldown WHERE source = ? AND sourceId = ?'
+    ).get(source, String(sourceId));
+    return row ? row.cooledAt : null;
+}
+
+export function setCooldown(source, sourceId, { cooledAt = Date.now(), reason = null } = {}) {
+    const database = getDbInstance();
+    database.prepare(`
+        INSERT INTO source_cooldown (source, sourceId, reason, cooledAt) VALUES (?, ?, ?, ?)
+        ON CONFLICT(source, sourceId) DO UPDATE SET reason = excluded.reason, cooledAt = excluded.cooledAt
+    `).run(source, String(sourceId), reason, cooledAt);
+}
+
+export function clearCooldown(source, sourceId) {
+    const database = getDbInstance();
+    return database.prepare(
+        'DELETE FROM source_cooldown WHERE source = ? AND sourceId = ?'
+    ).run(source, String(sourceId)).changes > 0;
+}
+
+/**
+ * Remove cooldowns recorded before `before` (epoch ms)
+ * @returns {number} Number of removed entries
+ */
+export function pruneCooldowns(source, before) {
+    const database = getDbInstance();
+    return database.prepare(
+        'DELETE FROM source_cooldown WHERE source = ? AND cooledAt < ?'
+    ).run(source, before).changes;
+}
+
+export function listCooldowns({ source = null, limit = 50, offset = 0 } = {}) {
+    const database = getDbInstance();
+    const where = source ? 'WHERE source = ?' : '';
+    const params = source ? [source] : [];
+
+    const total = database.prepare(`SELECT COUNT(*) as count FROM source_cooldown ${where}`).get(...params).count;
+    const items = database.prepare(`
+        SELECT * FROM source_cooldown ${where}
+        ORDER BY cooledAt DESC
+        LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return { items, total };
+}
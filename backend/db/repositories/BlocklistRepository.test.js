@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { useTestDatabase } from '../test-database.js';
+import {
+    isBlocklisted,
+    getBlocklistEntry,
+    addBlocklistEntries,
+    addBlocklistEntry,
+    removeBlocklistEntry,
+    listBlocklistEntries,
+    countBlocklistBySource,
+    getCooldown,
+    setCooldown,
+    clearCooldown,
+    pruneCooldowns
+} from './BlocklistRepository.js';
+
+describe('BlocklistRepository', () => {
+    const db = useTestDatabase(['source_blocklist', 'source_cooldown']);
+
+    it('should scope entries by source and keep the first reason', () => {
+        assert.strictEqual(addBlocklistEntry({ source: 'chub', sourceId: 42, reason: 'spam', addedBy: 'api' }), true);
+        assert.strictEqual(addBlocklistEntry({ source: 'chub', sourceId: '42', reason: 'again' }), false);
+
+        assert.strictEqual(isBlocklisted('chub', '42'), true);
+        assert.strictEqual(isBlocklisted('ct', '42'), false);
+        assert.strictEqual(getBlocklistEntry('chub', 42).reason, 'spam');
+        assert.strictEqual(getBlocklistEntry('chub', 42).addedBy, 'api');
+    });
+
+    it('should import in bulk, filter and count by source', () => {
+        const added = addBlocklistEntries([
+            { source: 'ct', sourceId: 'a', reason: 'dupe' },
+            { source: 'ct', sourceId: 'b' },
+            { source: 'risuai', sourceId: 'c' },
+            { source: 'ct', sourceId: 'a' }
+        ]);
+        assert.strictEqual(added, 3);
+
+        const { items, total } = listBlocklistEntries({ source: 'ct', limit: 10, offset: 0 });
+        assert.strictEqual(total, 2);
+        assert.deepStrictEqual(items.map(i => i.sourceId).sort(), ['a', 'b']);
+        assert.strictEqual(listBlocklistEntries({ search: 'dupe' }).total, 1);
+        assert.deepStrictEqual(countBlocklistBySource(), [
+            { source: 'ct', count: 2 },
+            { source: 'risuai', count: 1 }
+        ]);
+
+        assert.strictEqual(removeBlocklistEntry('ct', 'a'), true);
+        assert.strictEqual(removeBlocklistEntry('ct', 'a'), false);
+    });
+
+    it('should track and prune cooldowns', () => {
+        const now = Date.now();
+        setCooldown('wyvern', 'old', { cooledAt: now - 1000 * 60 * 60 * 48 });
+        setCooldown('wyvern', 'new', { cooledAt: now, reason: 'fetch_failed' });
+        setCooldown('risuai', 'old', { cooledAt: now - 1000 * 60 * 60 * 48 });
+
+        assert.strictEqual(pruneCooldowns('wyvern', now - 1000 * 60 * 60 * 24), 1);
+        assert.strictEqual(getCooldown('wyvern', 'old'), null);
+        assert.strictEqual(getCooldown('wyvern', 'new'), now);
+        assert.ok(getCooldown('risuai', 'old'));
+
+        assert.strictEqual(clearCooldown('wyvern', 'new'), true);
+        assert.strictEqual(getCooldown('wyvern', 'new'), null);
+    });
+});
@@ -4,6 +4,15 @@ import { fileURLToPath } from 'url';
 import { franc } from 'franc';
 import { logger } from '../../utils/logger.js';
 import { getDbInstance, withTransaction } from '../connection.js';
+import { QueryBuilder } from '../../../lib/query-builder.js';
+import { parseBooleanQuery, listPositiveLiterals } from '../../utils/boolean-query.js';
+import {
+    buildFtsMatchQuery,
+    buildFtsAnyMatchQuery,
+    parseSnippet,
+    SNIPPET_OPEN,
+    SNIPPET_CLOSE
+} from '../../utils/fts-query.js';
 import {
     expandTagSearch,
     replaceCardTagsForDatabase,
@@ -21,6 +30,9 @@ const STATIC_DIR = path.join(__dirname, '../../../static');
 const CARDS_PER_PAGE = 48;
 const CARD_TAGS_TABLE_NAME = 'card_tags';
 
+// Highest ID handed out by reserveCardId() in this process
+let lastReservedCardId = 0;
+
 export const LANGUAGE_MAPPING = {
     'eng': 'English', 'cat': 'Catalan', 'nld': 'Dutch', 'spa': 'Spanish',
     'fra': 'French', 'deu': 'German', 'ita': 'Italian', 'por': 'Portuguese',
@@ -122,6 +134,12 @@ function resolveSourceUrlValue({ source, sourceUrl, sourcePath, sourceId, fullPa
     return '';
 }
 
+// Boolean search literal matched through the full-text index
+function ftsLiteralClause(value) {
+    const match = buildFtsMatchQuery(value);
+    return match ? { clause: '(id IN (SELECT rowid FROM cards_fts WHERE cards_fts MATCH ?))', params: [match] } : null;
+}
+
 function rowToCard(row) {
     const cardId = String(row.id);
     const topicsArray = row.topics ? row.topics.split(',') : [];
@@ -346,7 +364,11 @@ export function getCards(options = {}) {
         allowedIds = null,
         followedOnly = false,
         followedCreators = [],
-        minTokens = null
+        author = null,
+        minTokens = null,
+        maxTokens = null,
+        hideDuplicates = false,
+        fullTextSearch = false
     } = options;
     
     const database = getDbInstance();
@@ -366,6 +388,33 @@ export function getCards(options = {}) {
     let countSql = 'SELECT COUNT(*) as count FROM cards WHERE 1=1';
     const params = [];
     const countParams = [];
+
+    // Full-text queries take AND / OR / NOT and parentheses, as with Meilisearch
+    const searchTree = query && searchType === 'full' ? parseBooleanQuery(query) : null;
+    const isBooleanSearch = Boolean(searchTree) && searchTree.type !== 'literal';
+
+    // With the cards_fts index, a plain query is matched by the join itself; a boolean
+    // one is filtered below and only ranked on the literals that aren't negated
+    let ftsQuery = null;
+    if (fullTextSearch && searchTree) {
+        ftsQuery = isBooleanSearch ? buildFtsAnyMatchQuery(listPositiveLiterals(searchTree)) : buildFtsMatchQuery(query);
+    }
+    const matchedByJoin = Boolean(ftsQuery) && !isBooleanSearch;
+    if (ftsQuery) {
+        // Column weights for name, tagline, description, topics, author, definition, greetings
+        sql = `SELECT cards.*, fts.ftsRank, fts.ftsSnippet FROM cards ${matchedByJoin ? 'JOIN' : 'LEFT JOIN'} (
+            SELECT rowid AS ftsId, bm25(cards_fts, 10.0, 5.0, 2.0, 4.0, 3.0, 1.0, 1.0) AS ftsRank,
+                snippet(cards_fts, -1, ?, ?, '…', 16) AS ftsSnippet
+            FROM cards_fts WHERE cards_fts MATCH ?
+        ) fts ON fts.ftsId = cards.id WHERE 1=1`;
+        params.push(SNIPPET_OPEN, SNIPPET_CLOSE, ftsQuery);
+        if (matchedByJoin) {
+            countSql = `SELECT COUNT(*) as count FROM cards JOIN (
+                SELECT rowid AS ftsId FROM cards_fts WHERE cards_fts MATCH ?
+            ) fts ON fts.ftsId = cards.id WHERE 1=1`;
+            countParams.push(ftsQuery);
+        }
+    }
     
     const parseTagList = (value) => value
         .split(',')
@@ -443,7 +492,7 @@ export function getCards(options = {}) {
         });
     }
 
-    if (query && searchType !== 'tag') {
+    if (query && searchType !== 'tag' && !matchedByJoin) {
         if (searchType === 'title') {
             sql += ' AND (name LIKE ?)';
             countSql += ' AND (name LIKE ?)';
@@ -455,11 +504,10 @@ export function getCards(options = {}) {
             params.push(`%${query}%`);
             countParams.push(`%${query}%`);
         } else { // full text search
-            sql += ' AND (name LIKE ? OR description LIKE ? OR tagline LIKE ? OR topics LIKE ? OR author LIKE ?)';
-            countSql += ' AND (name LIKE ? OR description LIKE ? OR tagline LIKE ? OR topics LIKE ? OR author LIKE ?)';
-            const searchPattern = `%${query}%`;
-            params.push(searchPattern, searchPattern, searchPattern, searchPattern, searchPattern);
-            countParams.push(searchPattern, searchPattern, searchPattern, searchPattern, searchPattern);
+            const { clause, params: clauseParams } = new QueryBuilder()
+                .booleanSearch(searchTree, fullTextSearch ? { literalClause: ftsLiteralClause } : {})
+                .buildWhere();
+            appendClause(clause, clauseParams);
         }
     }
 
@@ -470,6 +518,20 @@ export function getCards(options = {}) {
         countParams.push(minTokens);
     }
 
+    if (typeof maxTokens === 'number' && Number.isFinite(maxTokens) && maxTokens >= 0) {
+        sql += ' AND tokenCount <= ?';
+        countSql += ' AND tokenCount <= ?';
+        params.push(maxTokens);
+        countParams.push(maxTokens);
+    }
+
+    if (author) {
+        sql += ' AND author = ? COLLATE NOCASE';
+        countSql += ' AND author = ? COLLATE NOCASE';
+        params.push(author);
+        countParams.push(author);
+    }
+
     if (language) {
         sql += ' AND language = ?';
         countSql += ' AND language = ?';
@@ -543,6 +605,11 @@ export function getCards(options = {}) {
         countSql += ' AND hasExpressions = 1';
     }
 
+    // Of each pending duplicate pair only the older (lower ID) card is listed
+    if (hideDuplicates) {
+        appendClause("id NOT IN (SELECT duplicateId FROM card_duplicates WHERE status = 'pending')");
+    }
+
     if (followedOnly) {
         const authorList = Array.isArray(followedCreators)
             ? followedCreators
@@ -612,7 +679,10 @@ export function getCards(options = {}) {
         'fresh_engagement_asc': `(${engagementScoreExpr} / ${activityAgeExpr}) ASC, id ASC`
     };
 
-    const orderBy = sortMap[sort] || sortMap.new;
+    // Best match first (lowest bm25) only exists for full-text queries
+    const orderBy = sort === 'relevance' && ftsQuery
+        ? 'fts.ftsRank IS NULL, fts.ftsRank ASC, id DESC'
+        : sortMap[sort] || sortMap.new;
     log.debug(`Sort param: "${sort}", Using ORDER BY: ${orderBy}`);
     sql += ` ORDER BY ${orderBy} LIMIT ? OFFSET ?`;
     params.push(limit, offset);
@@ -629,7 +699,9 @@ export function getCards(options = {}) {
     }
 
     return {
-        cards: cards.map(rowToCard),
+        cards: cards.map(row => (ftsQuery
+            ? { ...rowToCard(row), textMatch: row.ftsSnippet ? parseSnippet(row.ftsSnippet) : null }
+            : rowToCard(row))),
         count: countResult[0].count,
         page,
         totalPages: Math.ceil(countResult[0].count / limit)
@@ -689,6 +761,19 @@ export function toggleFavorite(cardId) {
     return { success: true, favorited: newStatus };
 }
 
+/**
+ * Next free ID for a card that isn't in the database yet. Callers download and
+ * write files before they upsert the row, so the ID counts as taken from here
+ * on; syncs running side by side and uploads never get the same one.
+ * @returns {number}
+ */
+export function reserveCardId() {
+    const database = getDbInstance();
+    const row = database.prepare('SELECT MAX(id) AS maxId FROM cards').get();
+    lastReservedCardId = Math.max(lastReservedCardId, row?.maxId || 0) + 1;
+    return lastReservedCardId;
+}
+
 export function deleteCard(cardId) {
     const database = getDbInstance();
     const result = database.prepare('DELETE FROM cards WHERE id = ?').run(cardId);
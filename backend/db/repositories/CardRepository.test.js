@@ -1,33 +1,10 @@
-import { describe, it, before, after, beforeEach } from 'node:test';
+import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { createConnection, closeConnection } from '../connection.js';
-import { ensureSchema } from '../schema.js';
-import { upsertCard, getCards, deleteCard, toggleFavorite, getCardsByIdsOrdered } from './CardRepository.js';
-
-// Use in-memory database
-const DB_PATH = ':memory:';
+import { useTestDatabase } from '../test-database.js';
+import { upsertCard, getCards, deleteCard, toggleFavorite, getCardsByIdsOrdered, reserveCardId } from './CardRepository.js';
 
 describe('CardRepository', () => {
-    let db;
-
-    before(() => {
-        db = createConnection(DB_PATH);
-        ensureSchema(db);
-    });
-
-    after(() => {
-        closeConnection();
-    });
-    
-    // Helper to clear tables
-    const clearTables = () => {
-        db.prepare('DELETE FROM cards').run();
-        db.prepare('DELETE FROM card_tags').run();
-    };
-
-    beforeEach(() => {
-        clearTables();
-    });
+    const db = useTestDatabase(['cards', 'card_tags']);
 
     it('should upsert a card', () => {
         const cardData = {
@@ -87,6 +64,82 @@ describe('CardRepository', () => {
          assert.strictEqual(resultDesc.cards[0].name, 'Banana');
     });
     
+    it('should rank full-text index matches and return snippets', () => {
+        upsertCard({ id: 1, name: 'Mira', description: 'A dragon tamer from the coast' });
+        upsertCard({ id: 2, name: 'Dragon Queen', description: 'Rules the north' });
+        upsertCard({ id: 3, name: 'Orla', description: 'Lighthouse keeper' });
+        db.prepare('INSERT INTO card_search_text (cardId, definition, greetings) VALUES (?, ?, ?)')
+            .run(3, 'Keeps a pet drake', 'The dragons are restless tonight');
+
+        const result = getCards({ query: 'drag', fullTextSearch: true, sort: 'relevance' });
+        assert.deepStrictEqual(result.cards.map(card => card.id), ['2', '1', '3']);
+        assert.strictEqual(result.count, 3);
+
+        const { textMatch } = result.cards[1];
+        assert.strictEqual(textMatch.text, 'A dragon tamer from the coast');
+        assert.deepStrictEqual(textMatch.highlights, [[2, 8]]);
+
+        // Every word must match, in any indexed column
+        assert.deepStrictEqual(getCards({ query: 'restless drag', fullTextSearch: true }).cards.map(card => card.id), ['3']);
+        assert.strictEqual(getCards({ query: 'drag', fullTextSearch: true, searchType: 'title' }).count, 1);
+        assert.strictEqual(getCards({ query: 'Rules' }).cards[0].textMatch, undefined);
+    });
+
+    it('should apply boolean operators to full-text queries', () => {
+        upsertCard({ id: 1, name: 'Apple', description: 'Red fruit', topics: 'food' });
+        upsertCard({ id: 2, name: 'Banana', description: 'Yellow fruit', topics: 'food' });
+        upsertCard({ id: 3, name: 'Cherry', description: 'Small red fruit', topics: 'food' });
+        const ids = options => getCards(options).cards.map(card => card.id).sort();
+
+        for (const fullTextSearch of [false, true]) {
+            assert.deepStrictEqual(ids({ query: 'red AND NOT small', fullTextSearch }), ['1']);
+            assert.deepStrictEqual(ids({ query: 'banana OR (red cherry)', fullTextSearch }), ['2', '3']);
+            assert.deepStrictEqual(ids({ query: 'fruit NOT (apple OR banana)', fullTextSearch }), ['3']);
+            assert.deepStrictEqual(ids({ query: 'NOT fruit', fullTextSearch }), []);
+            assert.strictEqual(getCards({ query: 'yellow OR small', fullTextSearch }).count, 2);
+        }
+
+        // Operators are plain words in title searches and inside quotes
+        assert.strictEqual(getCards({ query: 'Apple OR Banana', searchType: 'title' }).count, 0);
+        assert.strictEqual(getCards({ query: '"red AND fruit"' }).count, 0);
+    });
+
+    it('should keep cards with empty optional columns under a NOT query', () => {
+        upsertCard({ id: 1, name: 'Dragon Scout', description: 'Flies ahead' });
+        upsertCard({ id: 2, name: 'Dragon Tyrant', description: 'An evil overlord' });
+        db.prepare('UPDATE cards SET tagline = NULL, topics = NULL, author = NULL').run();
+
+        assert.deepStrictEqual(getCards({ query: 'dragon NOT evil' }).cards.map(card => card.id), ['1']);
+    });
+
+    it('should rank boolean full-text matches on the terms that are not negated', () => {
+        upsertCard({ id: 1, name: 'Mira', description: 'A dragon tamer' });
+        upsertCard({ id: 2, name: 'Dragon Queen', description: 'Rules the north' });
+        upsertCard({ id: 3, name: 'Orla', description: 'Lighthouse keeper' });
+
+        const result = getCards({ query: 'drag OR NOT lighthouse', fullTextSearch: true, sort: 'relevance' });
+        assert.deepStrictEqual(result.cards.map(card => card.id), ['2', '1']);
+        assert.strictEqual(result.cards[0].textMatch.text, 'Dragon Queen');
+
+        upsertCard({ id: 4, name: 'Tess', description: 'Baker' });
+        const withUnmatched = getCards({ query: 'queen OR NOT drag', fullTextSearch: true, sort: 'relevance' });
+        assert.deepStrictEqual(withUnmatched.cards.map(card => [card.id, Boolean(card.textMatch)]), [['2', true], ['4', false], ['3', false]]);
+    });
+
+    it('should filter by exact author and token range', () => {
+        upsertCard({ id: 1, name: 'Apple', author: 'Orchard' });
+        upsertCard({ id: 2, name: 'Banana', author: 'Orchardist' });
+        upsertCard({ id: 3, name: 'Cherry', author: 'orchard' });
+        const setTokens = db.prepare('UPDATE cards SET tokenCount = ? WHERE id = ?');
+        [[1, 500], [2, 1500], [3, 3000]].forEach(([id, tokens]) => setTokens.run(tokens, id));
+        const ids = options => getCards(options).cards.map(card => card.id).sort();
+
+        assert.deepStrictEqual(ids({ author: 'ORCHARD' }), ['1', '3']);
+        assert.deepStrictEqual(ids({ maxTokens: 1500 }), ['1', '2']);
+        assert.deepStrictEqual(ids({ minTokens: 1000, maxTokens: 2000 }), ['2']);
+        assert.strictEqual(getCards({ author: 'orchard', maxTokens: 1000 }).count, 1);
+    });
+
     it('should delete a card', () => {
         upsertCard({ id: 1, name: 'To Delete' });
         assert.ok(db.prepare('SELECT * FROM cards WHERE id = 1').get());
@@ -118,4 +171,29 @@ describe('CardRepository', () => {
         assert.strictEqual(result[1].id, '1');
         assert.strictEqual(result[2].id, '2');
     });
+
+    it('should not hand out a reserved card ID twice before the row exists', () => {
+        upsertCard({ id: 5, name: 'Existing' });
+        const first = reserveCardId();
+        const second = reserveCardId();
+        assert.ok(first > 5);
+        assert.strictEqual(second, first + 1);
+
+        upsertCard({ id: second + 10, name: 'Synced meanwhile' });
+        assert.strictEqual(reserveCardId(), second + 11);
+    });
+
+    it('should hide the newer card of pending duplicate pairs', () => {
+        upsertCard({ id: 1, name: 'Original', source: 'chub' });
+        upsertCard({ id: 2, name: 'Mirror', source: 'ct' });
+        upsertCard({ id: 3, name: 'Unrelated', source: 'ct' });
+        db.prepare('INSERT INTO card_duplicates (cardId, duplicateId, textSimilarity) VALUES (1, 2, 0.9)').run();
+
+        const hidden = getCards({ hideDuplicates: true });
+        assert.deepStrictEqual(hidden.cards.map(card => card.id).sort(), ['1', '3']);
+        assert.strictEqual(hidden.count, 2);
+
+        db.prepare("UPDATE card_duplicates SET status = 'dismissed'").run();
+        assert.strictEqual(getCards({ hideDuplicates: true }).count, 3);
+    });
 });
@@ -0,0 +1,97 @@
+import { logger } from '../../utils/logger.js';
+import { getDbInstance } from '../connection.js';
+
+const log = logger.scoped('Repo:Versions');
+
+// card_versions has no foreign key to cards on purpose: upsertCard uses
+// INSERT OR REPLACE, and archived revisions must outlive the live row.
+
+function rowToVersion(row) {
+    if (!row) return null;
+    let files = [];
+    try {
+        files = JSON.parse(row.files || '[]');
+    } catch {
+        files = [];
+    }
+    return {
+        cardId: row.cardId,
+        revision: row.revision,
+        source: row.source || null,
+        reason: row.reason || null,
+        name: row.name || '',
+        author: row.author || '',
+        lastModified: row.lastModified || null,
+        tokenCount: row.tokenCount ?? null,
+        contentHash: row.contentHash,
+        files,
+        storagePath: row.storagePath,
+        createdAt: row.createdAt
+    };
+}
+
+/**
+ * Next free revision number for a card (revisions start at 1)
+ */
+export function getNextRevision(cardId) {
+    const database = getDbInstance();
+    const row = database.prepare(
+        'SELECT MAX(revision) as maxRevision FROM card_versions WHERE cardId = ?'
+    ).get(cardId);
+    return (row?.maxRevision || 0) + 1;
+}
+
+/**
+ * Record an archived revision
+ * @param {object} version - Version row (cardId, revision, contentHash, files, storagePath required)
+ * @returns {object} Stored version
+ */
+export function insertCardVersion(version) {
+    const database = getDbInstance();
+    database.prepare(`
+        INSERT INTO card_versions (
+            cardId, revision, source, reason, name, author,
+            lastModified, tokenCount, contentHash, files, storagePath
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        version.cardId,
+        version.revision,
+        version.source || null,
+        version.reason || null,
+        version.name || null,
+        version.author || null,
+        version.lastModified || null,
+        Number.isFinite(version.tokenCount) ? version.tokenCount : null,
+        version.contentHash,
+        JSON.stringify(version.files || []),
+        version.storagePath
+    );
+    log.info(`Archived revision ${version.revision} of card ${version.cardId} (${version.reason || 'unknown'})`);
+    return getCardVersion(version.cardId, version.revision);
+}
+
+/**
+ * List revisions for a card, newest first
+ */
+export function getCardVersions(cardId) {
+    const database = getDbInstance();
+    return database.prepare(
+        'SELECT * FROM card_versions WHERE cardId = ? ORDER BY revision DESC'
+    ).all(cardId).map(rowToVersion);
+}
+
+export function getCardVersion(cardId, revision) {
+    const database = getDbInstance();
+    const row = database.prepare(
+        'SELECT * FROM card_versions WHERE cardId = ? AND revision = ?'
+    ).get(cardId, revision);
+    return rowToVersion(row);
+}
+
+export function getLatestCardVersion(cardId) {
+    const database = getDbInstance();
+    const row = database.prepare(
+        'SELECT * FROM card_versions WHERE cardId = ? ORDER BY revision DESC LIMIT 1'
+    ).get(cardId);
+    return rowToVersion(row);
+}
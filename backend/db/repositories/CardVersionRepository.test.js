@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { useTestDatabase } from '../test-database.js';
+import { upsertCard, deleteCard } from './CardRepository.js';
+import {
+    getNextRevision,
+    insertCardVersion,
+    getCardVersions,
+    getCardVersion,
+    getLatestCardVersion
+} from './CardVersionRepository.js';
+
+describe('CardVersionRepository', () => {
+    const db = useTestDatabase(['card_versions', 'cards']);
+
+    const makeVersion = (cardId, revision, overrides = {}) => ({
+        cardId,
+        revision,
+        source: 'chub',
+        reason: 'date_newer',
+        name: `Card ${cardId}`,
+        author: 'Tester',
+        lastModified: '2024-01-01T00:00:00Z',
+        tokenCount: 1200,
+        contentHash: `hash-${cardId}-${revision}`,
+        files: ['png', 'json'],
+        storagePath: `versions/${String(cardId).substring(0, 2)}/${cardId}`,
+        ...overrides
+    });
+
+    it('should start revisions at 1', () => {
+        assert.strictEqual(getNextRevision(42), 1);
+    });
+
+    it('should store and read back a revision', () => {
+        const stored = insertCardVersion(makeVersion(42, 1));
+
+        assert.strictEqual(stored.revision, 1);
+        assert.deepStrictEqual(stored.files, ['png', 'json']);
+        assert.strictEqual(stored.tokenCount, 1200);
+        assert.strictEqual(getNextRevision(42), 2);
+    });
+
+    it('should list revisions newest first and return the latest', () => {
+        insertCardVersion(makeVersion(42, 1));
+        insertCardVersion(makeVersion(42, 2, { reason: 'token_count_changed' }));
+        insertCardVersion(makeVersion(7, 1));
+
+        const versions = getCardVersions(42);
+        assert.deepStrictEqual(versions.map(v => v.revision), [2, 1]);
+        assert.strictEqual(getLatestCardVersion(42).reason, 'token_count_changed');
+        assert.strictEqual(getCardVersion(42, 3), null);
+    });
+
+    it('should reject duplicate revision numbers', () => {
+        insertCardVersion(makeVersion(42, 1));
+        assert.throws(() => insertCardVersion(makeVersion(42, 1)));
+    });
+
+    it('should keep revisions when the card row is replaced or deleted', () => {
+        upsertCard({ id: 42, name: 'Original', topics: '', source: 'chub' });
+        insertCardVersion(makeVersion(42, 1));
+
+        upsertCard({ id: 42, name: 'Rewritten', topics: '', source: 'chub' });
+        assert.strictEqual(getCardVersions(42).length, 1);
+
+        deleteCard(42);
+        assert.strictEqual(getCardVersions(42).length, 1);
+    });
+});
@@ -0,0 +1,60 @@
+import { logger } from '../../utils/logger.js';
+import { getDbInstance } from '../connection.js';
+
+const log = logger.scoped('Repo:DenyList');
+
+export function listBlockedTags() {
+    const database = getDbInstance();
+    return database.prepare('SELECT * FROM blocked_tags ORDER BY tag ASC').all();
+}
+
+/**
+ * Block a tag; `tag` must already be canonicalized
+ */
+export function addBlockedTag(tag, reason = null) {
+    const database = getDbInstance();
+    database.prepare(`
+        INSERT INTO blocked_tags (tag, reason) VALUES (?, ?)
+        ON CONFLICT(tag) DO UPDATE SET reason = COALESCE(excluded.reason, blocked_tags.reason)
+    `).run(tag, reason);
+    log.info(`Blocked tag "${tag}"`);
+    return database.prepare('SELECT * FROM blocked_tags WHERE tag = ?').get(tag);
+}
+
+export function removeBlockedTag(tag) {
+    const database = getDbInstance();
+    return database.prepare('DELETE FROM blocked_tags WHERE tag = ?').run(tag);
+}
+
+/**
+ * List blocked creators, optionally for a single source
+ */
+export function listBlockedCreators(source = null) {
+    const database = getDbInstance();
+    if (source) {
+        return database.prepare(
+            'SELECT * FROM blocked_creators WHERE source = ? ORDER BY creator ASC'
+        ).all(source);
+    }
+    return database.prepare('SELECT * FROM blocked_creators ORDER BY source ASC, creator ASC').all();
+}
+
+/**
+ * Block a creator on one source; `creator` must already be lowercased
+ */
+export function addBlockedCreator(source, creator, reason = null) {
+    const database = getDbInstance();
+    database.prepare(`
+        INSERT INTO blocked_creators (source, creator, reason) VALUES (?, ?, ?)
+        ON CONFLICT(source, creator) DO UPDATE SET reason = COALESCE(excluded.reason, blocked_creators.reason)
+    `).run(source, creator, reason);
+    log.info(`Blocked ${source} creator "${creator}"`);
+    return database.prepare(
+        'SELECT * FROM blocked_creators WHERE source = ? AND creator = ?'
+    ).get(source, creator);
+}
+
+export function removeBlockedCreator(source, creator) {
+    const database = getDbInstance();
+    return database.prepare('DELETE FROM blocked_creators WHERE source = ? AND creator = ?').run(source, creator);
+}
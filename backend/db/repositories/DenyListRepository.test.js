@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { useTestDatabase } from '../test-database.js';
+import {
+    listBlockedTags,
+    addBlockedTag,
+    removeBlockedTag,
+    listBlockedCreators,
+    addBlockedCreator,
+    removeBlockedCreator
+} from './DenyListRepository.js';
+
+describe('DenyListRepository', () => {
+    const db = useTestDatabase(['blocked_tags', 'blocked_creators']);
+
+    it('should add tags once and keep the existing reason when re-added without one', () => {
+        addBlockedTag('gore', 'not archived');
+        const again = addBlockedTag('gore');
+
+        assert.strictEqual(again.reason, 'not archived');
+        assert.deepStrictEqual(listBlockedTags().map(t => t.tag), ['gore']);
+
+        removeBlockedTag('gore');
+        assert.strictEqual(listBlockedTags().length, 0);
+    });
+
+    it('should scope creators by source', () => {
+        addBlockedCreator('chub', 'spammer');
+        addBlockedCreator('ct', 'spammer');
+        addBlockedCreator('chub', 'another');
+
+        assert.strictEqual(listBlockedCreators().length, 3);
+        assert.deepStrictEqual(listBlockedCreators('chub').map(c => c.creator), ['another', 'spammer']);
+
+        removeBlockedCreator('chub', 'spammer');
+        assert.deepStrictEqual(listBlockedCreators('ct').map(c => c.creator), ['spammer']);
+        assert.deepStrictEqual(listBlockedCreators('chub').map(c => c.creator), ['another']);
+    });
+});
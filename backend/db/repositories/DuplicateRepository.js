@@ -0,0 +1,201 @@
+import { getDbInstance } from '../connection.js';
+
+export const DUPLICATE_STATUSES = ['pending', 'dismissed'];
+
+// Pairs are stored once, lower card ID first
+function orderPair(a, b) {
+    const first = Number(a);
+    const second = Number(b);
+    return first < second ? [first, second] : [second, first];
+}
+
+/**
+ * Store a card's signature and the LSH buckets it can be found under
+ * @param {object} signature
+ * @param {number} signature.cardId
+ * @param {string} signature.source
+ * @param {string|null} signature.textMinhash
+ * @param {string|null} signature.avatarHash
+ * @param {string[]} [signature.textBuckets] - Key per band
+ * @param {string[]} [signature.avatarBuckets] - Key per band
+ */
+export function saveCardSignature({ cardId, source, textMinhash, avatarHash, textBuckets = [], avatarBuckets = [] }) {
+    const database = getDbInstance();
+    const insertBucket = database.prepare(`
+        INSERT OR IGNORE INTO card_signature_buckets (kind, band, bucket, cardId)
+        VALUES (?, ?, ?, ?)
+    `);
+
+    database.transaction(() => {
+        database.prepare(`
+            INSERT OR REPLACE INTO card_signatures (cardId, source, textMinhash, avatarHash, computedAt)
+            VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `).run(cardId, source, textMinhash, avatarHash);
+        database.prepare('DELETE FROM card_signature_buckets WHERE cardId = ?').run(cardId);
+        textBuckets.forEach((bucket, band) => insertBucket.run('text', band, bucket, cardId));
+        avatarBuckets.forEach((bucket, band) => insertBucket.run('avatar', band, bucket, cardId));
+    })();
+}
+
+export function getCardSignature(cardId) {
+    const database = getDbInstance();
+    return database.prepare('SELECT * FROM card_signatures WHERE cardId = ?').get(cardId) || null;
+}
+
+/**
+ * Signatures of other cards sharing at least one bucket
+ * @returns {object[]} card_signatures rows
+ */
+export function findBucketNeighbours(cardId, { textBuckets = [], avatarBuckets = [] } = {}) {
+    const database = getDbInstance();
+    const lookup = database.prepare(`
+        SELECT cardId FROM card_signature_buckets
+        WHERE kind = ? AND band = ? AND bucket = ? AND cardId != ?
+    `);
+
+    const ids = new Set();
+    const collect = (kind, buckets) => buckets.forEach((bucket, band) => {
+        for (const row of lookup.all(kind, band, bucket, cardId)) {
+            ids.add(row.cardId);
+        }
+    });
+    collect('text', textBuckets);
+    collect('avatar', avatarBuckets);
+
+    if (ids.size === 0) {
+        return [];
+    }
+    const list = Array.from(ids);
+    const placeholders = list.map(() => '?').join(', ');
+    return database.prepare(`SELECT * FROM card_signatures WHERE cardId IN (${placeholders})`).all(...list);
+}
+
+/**
+ * Cards that have no signature yet, in ID order
+ * @returns {{id: number, source: string}[]}
+ */
+export function listCardsWithoutSignature({ afterId = 0, limit = 200 } = {}) {
+    const database = getDbInstance();
+    return database.prepare(`
+        SELECT c.id, c.source FROM cards c
+        LEFT JOIN card_signatures s ON s.cardId = c.id
+        WHERE s.cardId IS NULL AND c.id > ?
+        ORDER BY c.id
+        LIMIT ?
+    `).all(afterId, limit);
+}
+
+export function countCardsWithoutSignature() {
+    const database = getDbInstance();
+    return database.prepare(`
+        SELECT COUNT(*) AS count FROM cards c
+        LEFT JOIN card_signatures s ON s.cardId = c.id
+        WHERE s.cardId IS NULL
+    `).get().count;
+}
+
+/**
+ * Forget every signature so the next scan recomputes them; dismissed pairs are kept
+ */
+export function clearCardSignatures() {
+    const database = getDbInstance();
+    database.transaction(() => {
+        database.prepare('DELETE FROM card_signature_buckets').run();
+        database.prepare('DELETE FROM card_signatures').run();
+        database.prepare("DELETE FROM card_duplicates WHERE status = 'pending'").run();
+    })();
+}
+
+/**
+ * Replace a card's pending pairs; pairs someone dismissed stay dismissed
+ * @param {number} cardId
+ * @param {{otherId: number, textSimilarity: number|null, avatarDistance: number|null}[]} matches
+ */
+export function replacePendingDuplicates(cardId, matches) {
+    const database = getDbInstance();
+    const insert = database.prepare(`
+        INSERT OR IGNORE INTO card_duplicates (cardId, duplicateId, textSimilarity, avatarDistance)
+        VALUES (?, ?, ?, ?)
+    `);
+
+    database.transaction(() => {
+        database.prepare(`
+            DELETE FROM card_duplicates
+            WHERE status = 'pending' AND (cardId = ? OR duplicateId = ?)
+        `).run(cardId, cardId);
+        for (const match of matches) {
+            const [first, second] = orderPair(cardId, match.otherId);
+            insert.run(first, second, match.textSimilarity, match.avatarDistance);
+        }
+    })();
+}
+
+export function getDuplicatePair(cardId, otherId) {
+    const database = getDbInstance();
+    const [first, second] = orderPair(cardId, otherId);
+    return database.prepare('SELECT * FROM card_duplicates WHERE cardId = ? AND duplicateId = ?').get(first, second) || null;
+}
+
+/**
+ * Duplicates recorded for a card, most similar first
+ * @returns {object[]} Rows with `otherId` set to the card on the other side of the pair
+ */
+export function listDuplicatesForCard(cardId, { includeDismissed = false } = {}) {
+    const database = getDbInstance();
+    const id = Number(cardId);
+    const statusClause = includeDismissed ? '' : "AND status = 'pending'";
+    return database.prepare(`
+        SELECT CASE WHEN cardId = ? THEN duplicateId ELSE cardId END AS otherId,
+               textSimilarity, avatarDistance, status, detectedAt
+        FROM card_duplicates
+        WHERE (cardId = ? OR duplicateId = ?) ${statusClause}
+        ORDER BY COALESCE(textSimilarity, 0) DESC, avatarDistance ASC
+    `).all(id, id, id);
+}
+
+export function setDuplicateStatus(cardId, otherId, status) {
+    if (!DUPLICATE_STATUSES.includes(status)) {
+        throw new Error(`Invalid duplicate status: ${status}`);
+    }
+    const database = getDbInstance();
+    const [first, second] = orderPair(cardId, otherId);
+    return database.prepare(`
+        UPDATE card_duplicates SET status = ? WHERE cardId = ? AND duplicateId = ?
+    `).run(status, first, second).changes > 0;
+}
+
+export function countPendingDuplicates() {
+    const database = getDbInstance();
+    return database.prepare("SELECT COUNT(*) AS count FROM card_duplicates WHERE status = 'pending'").get().count;
+}
+
+/**
+ * Record that a card is also published elsewhere (kept after merging a duplicate)
+ */
+export function addSourceLink({ cardId, source, sourceId, sourceUrl = null, mergedFromId = null }) {
+    const database = getDbInstance();
+    database.prepare(`
+        INSERT OR REPLACE INTO card_source_links (cardId, source, sourceId, sourceUrl, mergedFromId)
+        VALUES (?, ?, ?, ?, ?)
+    `).run(cardId, source, String(sourceId), sourceUrl, mergedFromId);
+}
+
+/**
+ * Hand a card's links to another card; links the target already has are dropped
+ */
+export function moveSourceLinks(fromCardId, toCardId) {
+    const database = getDbInstance();
+    database.transaction(() => {
+        database.prepare('UPDATE OR IGNORE card_source_links SET cardId = ? WHERE cardId = ?').run(toCardId, fromCardId);
+        database.prepare('DELETE FROM card_source_links WHERE cardId = ?').run(fromCardId);
+    })();
+}
+
+export function listSourceLinks(cardId) {
+    const database = getDbInstance();
+    return database.prepare(`
+        SELECT source, sourceId, sourceUrl, mergedFromId, mergedAt
+        FROM card_source_links WHERE cardId = ?
+        ORDER BY mergedAt, source
+    `).all(cardId);
+}
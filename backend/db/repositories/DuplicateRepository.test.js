@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { useTestDatabase } from '../test-database.js';
+import {
+    saveCardSignature,
+    getCardSignature,
+    findBucketNeighbours,
+    listCardsWithoutSignature,
+    replacePendingDuplicates,
+    listDuplicatesForCard,
+    setDuplicateStatus,
+    getDuplicatePair,
+    addSourceLink,
+    moveSourceLinks,
+    listSourceLinks
+} from './DuplicateRepository.js';
+
+describe('DuplicateRepository', () => {
+    const db = useTestDatabase(['cards', 'card_signatures', 'card_signature_buckets', 'card_duplicates', 'card_source_links']);
+
+    const insertCard = (id, source) => db.prepare(
+        'INSERT INTO cards (id, name, source, sourceId) VALUES (?, ?, ?, ?)'
+    ).run(id, `Card ${id}`, source, `src-${id}`);
+
+    it('should find cards sharing a bucket and list cards still to sign', () => {
+        [1, 2, 3].forEach(id => insertCard(id, id === 1 ? 'chub' : 'ct'));
+        saveCardSignature({ cardId: 1, source: 'chub', textMinhash: 'aa', avatarHash: null, textBuckets: ['k0', 'k1'] });
+        saveCardSignature({ cardId: 2, source: 'ct', textMinhash: 'bb', avatarHash: 'ff00', textBuckets: ['x0', 'k1'], avatarBuckets: ['ff00'] });
+
+        assert.deepStrictEqual(listCardsWithoutSignature().map(row => row.id), [3]);
+        assert.deepStrictEqual(findBucketNeighbours(3, { textBuckets: ['x0', 'k1'] }).map(row => row.cardId).sort(), [1, 2]);
+        // Bands only match at the same position
+        assert.deepStrictEqual(findBucketNeighbours(3, { textBuckets: ['k1', 'zz'] }), []);
+        assert.deepStrictEqual(findBucketNeighbours(1, { avatarBuckets: ['ff00'] }).map(row => row.cardId), [2]);
+
+        // Re-inserting a card (upsertCard) invalidates its signature
+        db.prepare('INSERT OR REPLACE INTO cards (id, name, source, sourceId) VALUES (1, ?, ?, ?)').run('Card 1', 'chub', 'src-1');
+        assert.strictEqual(getCardSignature(1), null);
+        assert.deepStrictEqual(findBucketNeighbours(3, { textBuckets: ['k0'] }), []);
+    });
+
+    it('should keep dismissed pairs when pending ones are replaced', () => {
+        [1, 2, 3].forEach(id => insertCard(id, ['chub', 'ct', 'risuai'][id - 1]));
+        replacePendingDuplicates(3, [
+            { otherId: 1, textSimilarity: 0.9, avatarDistance: 2 },
+            { otherId: 2, textSimilarity: 0.6, avatarDistance: 4 }
+        ]);
+        assert.strictEqual(getDuplicatePair(3, 1).cardId, 1);
+        assert.deepStrictEqual(listDuplicatesForCard(3).map(row => row.otherId), [1, 2]);
+
+        assert.strictEqual(setDuplicateStatus(2, 3, 'dismissed'), true);
+        replacePendingDuplicates(3, [{ otherId: 2, textSimilarity: 0.7, avatarDistance: null }]);
+
+        assert.deepStrictEqual(listDuplicatesForCard(3), []);
+        const all = listDuplicatesForCard(3, { includeDismissed: true });
+        assert.deepStrictEqual(all.map(row => [row.otherId, row.status, row.textSimilarity]), [[2, 'dismissed', 0.6]]);
+        assert.throws(() => setDuplicateStatus(2, 3, 'merged'), /Invalid duplicate status/);
+
+        db.prepare('DELETE FROM cards WHERE id = 2').run();
+        assert.strictEqual(getDuplicatePair(2, 3), null);
+    });
+
+    it('should move source links to the surviving card', () => {
+        [1, 2].forEach(id => insertCard(id, 'chub'));
+        addSourceLink({ cardId: 2, source: 'ct', sourceId: 'ct_1', sourceUrl: 'https://character-tavern.com/character/a/b' });
+        addSourceLink({ cardId: 1, source: 'ct', sourceId: 'ct_1' });
+        addSourceLink({ cardId: 2, source: 'risuai', sourceId: 'r1', mergedFromId: 5 });
+
+        moveSourceLinks(2, 1);
+
+        assert.deepStrictEqual(listSourceLinks(2), []);
+        assert.deepStrictEqual(listSourceLinks(1).map(link => `${link.source}:${link.sourceId}`).sort(), ['ct:ct_1', 'risuai:r1']);
+
+        db.prepare('DELETE FROM cards WHERE id = 1').run();
+        assert.deepStrictEqual(listSourceLinks(1), []);
+    });
+});
@@ -0,0 +1,113 @@
+import { getDbInstance } from '../connection.js';
+
+export function getImageHash(cardId) {
+    const database = getDbInstance();
+    return database.prepare('SELECT * FROM card_image_hashes WHERE cardId = ?').get(cardId) || null;
+}
+
+/**
+ * Store a card's image hash and clear its stale flag
+ * @param {object} entry
+ * @param {number} entry.cardId
+ * @param {string|null} entry.dhash - null when the image couldn't be decoded
+ */
+export function saveImageHash({ cardId, dhash, width = null, height = null, byteSize = null }) {
+    const database = getDbInstance();
+    database.prepare(`
+        INSERT OR REPLACE INTO card_image_hashes (cardId, dhash, width, height, byteSize, stale, computedAt)
+        VALUES (?, ?, ?, ?, ?, 0, CURRENT_TIMESTAMP)
+    `).run(cardId, dhash, width, height, byteSize);
+}
+
+/**
+ * Cards with no hash yet, or whose row was re-inserted since it was hashed
+ * @returns {{id: number}[]}
+ */
+export function listCardsNeedingImageHash({ afterId = 0, limit = 200 } = {}) {
+    const database = getDbInstance();
+    return database.prepare(`
+        SELECT c.id FROM cards c
+        LEFT JOIN card_image_hashes h ON h.cardId = c.id
+        WHERE (h.cardId IS NULL OR h.stale = 1) AND c.id > ?
+        ORDER BY c.id
+        LIMIT ?
+    `).all(afterId, limit);
+}
+
+export function countCardsNeedingImageHash() {
+    const database = getDbInstance();
+    return database.prepare(`
+        SELECT COUNT(*) AS count FROM cards c
+        LEFT JOIN card_image_hashes h ON h.cardId = c.id
+        WHERE h.cardId IS NULL OR h.stale = 1
+    `).get().count;
+}
+
+// Every stored hash gets recomputed on the next pass; recorded avatar changes stay
+export function markAllImageHashesStale() {
+    const database = getDbInstance();
+    database.prepare('UPDATE card_image_hashes SET stale = 1').run();
+}
+
+/**
+ * Iterate over every decodable hash; callers compare in JS since SQLite has no popcount
+ * @returns {IterableIterator<{cardId: number, dhash: string}>}
+ */
+export function iterateImageHashes() {
+    const database = getDbInstance();
+    return database.prepare('SELECT cardId, dhash FROM card_image_hashes WHERE dhash IS NOT NULL').iterate();
+}
+
+export function insertAvatarChange({ cardId, previousHash, newHash, distance }) {
+    const database = getDbInstance();
+    database.prepare(`
+        INSERT INTO card_avatar_changes (cardId, previousHash, newHash, distance)
+        VALUES (?, ?, ?, ?)
+    `).run(cardId, previousHash, newHash, distance);
+}
+
+export function getAvatarChanges(cardId) {
+    const database = getDbInstance();
+    return database.prepare(`
+        SELECT id, cardId, previousHash, newHash, distance, detectedAt
+        FROM card_avatar_changes WHERE cardId = ?
+        ORDER BY detectedAt DESC, id DESC
+    `).all(cardId);
+}
+
+/**
+ * Most recent avatar changes across the archive, with the card's name and source
+ */
+export function getRecentAvatarChanges({ limit = 50, offset = 0 } = {}) {
+    const database = getDbInstance();
+    return database.prepare(`
+        SELECT a.id, a.cardId, a.previousHash, a.newHash, a.distance, a.detectedAt,
+               c.name, c.author, c.source
+        FROM card_avatar_changes a
+        JOIN cards c ON c.id = a.cardId
+        ORDER BY a.detectedAt DESC, a.id DESC
+        LIMIT ? OFFSET ?
+    `).all(limit, offset);
+}
+
+export function listPlaceholderHashes() {
+    const database = getDbInstance();
+    return database.prepare(`
+        SELECT hash, label, sourceCardId, addedAt
+        FROM placeholder_image_hashes
+        ORDER BY addedAt DESC, hash
+    `).all();
+}
+
+export function addPlaceholderHash({ hash, label = null, sourceCardId = null }) {
+    const database = getDbInstance();
+    database.prepare(`
+        INSERT OR REPLACE INTO placeholder_image_hashes (hash, label, sourceCardId)
+        VALUES (?, ?, ?)
+    `).run(hash, label, sourceCardId);
+}
+
+export function removePlaceholderHash(hash) {
+    const database = getDbInstance();
+    return database.prepare('DELETE FROM placeholder_image_hashes WHERE hash = ?').run(hash).changes > 0;
+}
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { useTestDatabase } from '../test-database.js';
+import {
+    getImageHash,
+    saveImageHash,
+    listCardsNeedingImageHash,
+    countCardsNeedingImageHash,
+    iterateImageHashes,
+    insertAvatarChange,
+    getAvatarChanges,
+    getRecentAvatarChanges,
+    listPlaceholderHashes,
+    addPlaceholderHash,
+    removePlaceholderHash
+} from './ImageHashRepository.js';
+
+describe('ImageHashRepository', () => {
+    const db = useTestDatabase(['cards', 'card_image_hashes', 'card_avatar_changes', 'placeholder_image_hashes']);
+
+    const insertCard = id => db.prepare(
+        'INSERT OR REPLACE INTO cards (id, name, source) VALUES (?, ?, ?)'
+    ).run(id, `Card ${id}`, 'chub');
+
+    it('should list unhashed cards and mark re-inserted cards stale', () => {
+        [1, 2, 3].forEach(insertCard);
+        saveImageHash({ cardId: 1, dhash: '00ff00ff00ff00ff', width: 400, height: 600, byteSize: 1024 });
+        saveImageHash({ cardId: 2, dhash: null });
+
+        assert.deepStrictEqual(listCardsNeedingImageHash().map(row => row.id), [3]);
+        assert.deepStrictEqual(Array.from(iterateImageHashes()).map(row => row.cardId), [1]);
+
+        // upsertCard() re-inserts the row; the old hash is kept for comparison
+        insertCard(1);
+        assert.strictEqual(getImageHash(1).stale, 1);
+        assert.strictEqual(getImageHash(1).dhash, '00ff00ff00ff00ff');
+        assert.deepStrictEqual(listCardsNeedingImageHash().map(row => row.id), [1, 3]);
+        assert.strictEqual(countCardsNeedingImageHash(), 2);
+
+        saveImageHash({ cardId: 1, dhash: 'ff00ff00ff00ff00' });
+        assert.strictEqual(getImageHash(1).stale, 0);
+    });
+
+    it('should record avatar changes and drop them with the card', () => {
+        [1, 2].forEach(insertCard);
+        saveImageHash({ cardId: 1, dhash: 'ff00ff00ff00ff00' });
+        insertAvatarChange({ cardId: 1, previousHash: '00ff00ff00ff00ff', newHash: 'ff00ff00ff00ff00', distance: 64 });
+        insertAvatarChange({ cardId: 2, previousHash: '0000ffff0000ffff', newHash: 'ffff0000ffff0000', distance: 64 });
+
+        assert.strictEqual(getAvatarChanges(1).length, 1);
+        assert.deepStrictEqual(getRecentAvatarChanges().map(row => [row.cardId, row.name]).sort(), [[1, 'Card 1'], [2, 'Card 2']]);
+
+        db.prepare('DELETE FROM cards WHERE id = 1').run();
+        assert.deepStrictEqual(getAvatarChanges(1), []);
+        assert.strictEqual(getImageHash(1), null);
+    });
+
+    it('should add and remove placeholder hashes', () => {
+        addPlaceholderHash({ hash: '0123456789abcdef', label: 'Chub fuzz', sourceCardId: 7 });
+        addPlaceholderHash({ hash: '0123456789abcdef', label: 'Renamed' });
+
+        const [entry] = listPlaceholderHashes();
+        assert.strictEqual(listPlaceholderHashes().length, 1);
+        assert.strictEqual(entry.label, 'Renamed');
+
+        assert.strictEqual(removePlaceholderHash('0123456789abcdef'), true);
+        assert.strictEqual(removePlaceholderHash('0123456789abcdef'), false);
+    });
+});
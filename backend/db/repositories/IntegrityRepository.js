@@ -0,0 +1,76 @@
+import { getDbInstance } from '../connection.js';
+
+const CARD_TAGS_TABLE_NAME = 'card_tags';
+const TAG_SEPARATOR = '\u001f';
+
+/**
+ * Page of cards with the normalized tags currently indexed for each
+ * @returns {{id: number, source: string, topics: string|null, indexedTags: string[]}[]}
+ */
+export function listCardsForIntegrityCheck({ afterId = 0, limit = 200 } = {}) {
+    const database = getDbInstance();
+    return database.prepare(`
+        SELECT c.id, c.source, c.topics,
+               (SELECT GROUP_CONCAT(t.normalizedTag, char(31)) FROM ${CARD_TAGS_TABLE_NAME} t WHERE t.cardId = c.id) AS indexedTags
+        FROM cards c
+        WHERE c.id > ?
+        ORDER BY c.id
+        LIMIT ?
+    `).all(afterId, limit).map(row => ({
+        ...row,
+        indexedTags: row.indexedTags ? row.indexedTags.split(TAG_SEPARATOR) : []
+    }));
+}
+
+export function countCards() {
+    const database = getDbInstance();
+    return database.prepare('SELECT COUNT(*) AS count FROM cards').get().count;
+}
+
+export function getAllCardIds() {
+    const database = getDbInstance();
+    return new Set(database.prepare('SELECT id FROM cards').pluck().all());
+}
+
+/**
+ * Every cached_assets row, flagged when its card no longer exists
+ * @returns {{id: number, cardId: number, localPath: string, cardExists: number}[]}
+ */
+export function listCachedAssetsForIntegrityCheck() {
+    const database = getDbInstance();
+    return database.prepare(`
+        SELECT a.id, a.cardId, a.localPath, c.id IS NOT NULL AS cardExists
+        FROM cached_assets a
+        LEFT JOIN cards c ON c.id = a.cardId
+        ORDER BY a.id
+    `).all();
+}
+
+export function deleteCachedAssetRows(ids) {
+    const database = getDbInstance();
+    const remove = database.prepare('DELETE FROM cached_assets WHERE id = ?');
+    let removed = 0;
+    database.transaction(() => {
+        ids.forEach(id => {
+            removed += remove.run(id).changes;
+        });
+    })();
+    return removed;
+}
+
+// Rows left behind when the card was deleted with foreign keys off (older builds, ct-sync)
+export function countOrphanTagRows() {
+    const database = getDbInstance();
+    return database.prepare(`
+        SELECT COUNT(*) AS count FROM ${CARD_TAGS_TABLE_NAME}
+        WHERE cardId NOT IN (SELECT id FROM cards)
+    `).get().count;
+}
+
+export function deleteOrphanTagRows() {
+    const database = getDbInstance();
+    return database.prepare(`
+        DELETE FROM ${CARD_TAGS_TABLE_NAME}
+        WHERE cardId NOT IN (SELECT id FROM cards)
+    `).run().changes;
+}
@@ -0,0 +1,70 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { useTestDatabase } from '../test-database.js';
+import {
+    listCardsForIntegrityCheck,
+    countCards,
+    getAllCardIds,
+    listCachedAssetsForIntegrityCheck,
+    deleteCachedAssetRows,
+    countOrphanTagRows,
+    deleteOrphanTagRows
+} from './IntegrityRepository.js';
+
+describe('IntegrityRepository', () => {
+    const db = useTestDatabase(['cached_assets', 'card_tags', 'cards']);
+
+    const insertCard = (id, topics = null) => db.prepare(
+        'INSERT OR REPLACE INTO cards (id, name, source, topics) VALUES (?, ?, ?, ?)'
+    ).run(id, `Card ${id}`, 'chub', topics);
+
+    const insertTag = (cardId, tag) => db.prepare(
+        'INSERT INTO card_tags (cardId, tag, normalizedTag) VALUES (?, ?, ?)'
+    ).run(cardId, tag, tag.toLowerCase());
+
+    const insertAsset = (cardId, name) => db.prepare(
+        'INSERT INTO cached_assets (cardId, originalUrl, localPath, assetType) VALUES (?, ?, ?, ?)'
+    ).run(cardId, `https://example.com/${name}`, `cached-assets/${cardId}/${name}`, 'image');
+
+    beforeEach(() => {
+        db.pragma('foreign_keys = ON');
+    });
+
+    it('should page cards with their indexed tags', () => {
+        insertCard(1, 'Fantasy, Female');
+        insertCard(2);
+        insertCard(3, 'Horror');
+        insertTag(1, 'Fantasy');
+        insertTag(1, 'Female');
+
+        const page = listCardsForIntegrityCheck({ limit: 2 });
+        assert.deepStrictEqual(page.map(row => row.id), [1, 2]);
+        assert.deepStrictEqual(page[0].indexedTags.sort(), ['fantasy', 'female']);
+        assert.deepStrictEqual(page[1].indexedTags, []);
+
+        assert.deepStrictEqual(listCardsForIntegrityCheck({ afterId: 2 }).map(row => row.id), [3]);
+        assert.strictEqual(countCards(), 3);
+        assert.deepStrictEqual(getAllCardIds(), new Set([1, 2, 3]));
+    });
+
+    it('should flag and drop rows whose card is gone', () => {
+        insertCard(1);
+        insertAsset(1, 'a.png');
+        insertTag(1, 'Fantasy');
+
+        // Simulate rows left behind by a delete with foreign keys off
+        db.pragma('foreign_keys = OFF');
+        insertAsset(9, 'b.png');
+        insertTag(9, 'Horror');
+        insertTag(9, 'Sci-Fi');
+
+        const assets = listCachedAssetsForIntegrityCheck();
+        assert.deepStrictEqual(assets.map(row => [row.cardId, row.cardExists]), [[1, 1], [9, 0]]);
+        assert.strictEqual(countOrphanTagRows(), 2);
+
+        assert.strictEqual(deleteCachedAssetRows([assets[1].id]), 1);
+        assert.strictEqual(deleteOrphanTagRows(), 2);
+        assert.strictEqual(listCachedAssetsForIntegrityCheck().length, 1);
+        assert.strictEqual(countOrphanTagRows(), 0);
+    });
+});
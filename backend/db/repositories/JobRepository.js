@@ -0,0 +1,241 @@
+import { getDbInstance } from '../connection.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'canceled'];
+export const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+function parseJson(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+}
+
+function rowToJob(row) {
+    if (!row) return null;
+    return {
+        ...row,
+        payload: parseJson(row.payload) || {},
+        progress: parseJson(row.progress),
+        result: parseJson(row.result),
+        cancelRequested: !!row.cancelRequested
+    };
+}
+
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+export function createJob({ type, payload = {}, maxAttempts = 1, runAfter = 0 }) {
+    const database = getDbInstance();
+    const result = database.prepare(`
+        INSERT INTO jobs (type, payload, maxAttempts, runAfter)
+        VALUES (?, ?, ?, ?)
+    `).run(type, JSON.stringify(payload ?? {}), maxAttempts, runAfter);
+    return getJob(result.lastInsertRowid);
+}
+
+export function getJob(jobId) {
+    const database = getDbInstance();
+    return rowToJob(database.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId));
+}
+
+/**
+ * List jobs, newest first
+ * @param {object} [options]
+ * @param {string[]} [options.statuses] - Restrict to these statuses
+ * @param {string[]} [options.types] - Restrict to these job types
+ */
+export function listJobs({ statuses = [], types = [], limit = 50, offset = 0 } = {}) {
+    const database = getDbInstance();
+    const conditions = [];
+    const params = [];
+    if (statuses.length) {
+        conditions.push(`status IN (${placeholders(statuses)})`);
+        params.push(...statuses);
+    }
+    if (types.length) {
+        conditions.push(`type IN (${placeholders(types)})`);
+        params.push(...types);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const total = database.prepare(`SELECT COUNT(*) as count FROM jobs ${where}`).get(...params).count;
+    const items = database.prepare(`
+        SELECT * FROM jobs ${where}
+        ORDER BY id DESC
+        LIMIT ? OFFSET ?
+    `).all(...params, limit, offset).map(rowToJob);
+
+    return { items, total };
+}
+
+/**
+ * Oldest queued or running job of any of the given types
+ */
+export function findActiveJob(types) {
+    if (!types.length) return null;
+    const database = getDbInstance();
+    return rowToJob(database.prepare(`
+        SELECT * FROM jobs
+        WHERE type IN (${placeholders(types)}) AND status IN ('queued', 'running')
+        ORDER BY id ASC
+        LIMIT 1
+    `).get(...types));
+}
+
+/**
+ * Atomically lease the oldest runnable job
+ * @param {object} options
+ * @param {string} options.workerId - Lease owner
+ * @param {number} options.leaseMs - How long the lease lasts without a heartbeat
+ * @param {string[]} options.types - Job types this worker may run right now
+ * @param {number} [options.now] - Epoch ms
+ * @returns {object|null} The claimed job (status 'running')
+ */
+export function claimNextJob({ workerId, leaseMs, types, now = Date.now() }) {
+    if (!types.length) return null;
+    const database = getDbInstance();
+    const claim = database.transaction(() => {
+        const row = database.prepare(`
+            SELECT id FROM jobs
+            WHERE status = 'queued' AND runAfter <= ? AND type IN (${placeholders(types)})
+            ORDER BY id ASC
+            LIMIT 1
+        `).get(now, ...types);
+        if (!row) return null;
+
+        database.prepare(`
+            UPDATE jobs
+            SET status = 'running', attempts = attempts + 1, lockedBy = ?, lockExpiresAt = ?,
+                startedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(workerId, now + leaseMs, row.id);
+        return row.id;
+    });
+
+    const jobId = claim();
+    return jobId ? getJob(jobId) : null;
+}
+
+/**
+ * Persist progress and extend the lease
+ * @returns {boolean} Whether cancellation has been requested
+ */
+export function updateJobProgress(jobId, progress, lockExpiresAt) {
+    const database = getDbInstance();
+    database.prepare(`
+        UPDATE jobs SET progress = ?, lockExpiresAt = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(progress === undefined ? null : JSON.stringify(progress), lockExpiresAt, jobId);
+    return isJobCancelRequested(jobId);
+}
+
+export function extendJobLease(jobId, lockExpiresAt) {
+    const database = getDbInstance();
+    database.prepare('UPDATE jobs SET lockExpiresAt = ? WHERE id = ? AND status = \'running\'').run(lockExpiresAt, jobId);
+}
+
+export function isJobCancelRequested(jobId) {
+    const database = getDbInstance();
+    const row = database.prepare('SELECT cancelRequested FROM jobs WHERE id = ?').get(jobId);
+    return !!row?.cancelRequested;
+}
+
+/**
+ * Move a job to a terminal status, keeping the last reported progress
+ */
+export function finishJob(jobId, { status, result, error = null, progress }) {
+    const database = getDbInstance();
+    database.prepare(`
+        UPDATE jobs
+        SET status = ?, result = ?, error = ?, progress = COALESCE(?, progress),
+            lockedBy = NULL, lockExpiresAt = NULL, finishedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(
+        status,
+        result === undefined ? null : JSON.stringify(result),
+        error,
+        progress === undefined ? null : JSON.stringify(progress),
+        jobId
+    );
+    return getJob(jobId);
+}
+
+/**
+ * Put a failed attempt back in the queue
+ */
+export function requeueJob(jobId, { error = null, runAfter = 0 } = {}) {
+    const database = getDbInstance();
+    database.prepare(`
+        UPDATE jobs
+        SET status = 'queued', error = ?, runAfter = ?, lockedBy = NULL, lockExpiresAt = NULL,
+            updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(error, runAfter, jobId);
+    return getJob(jobId);
+}
+
+/**
+ * Queued jobs are canceled immediately; running jobs are flagged for their worker
+ */
+export function requestJobCancel(jobId) {
+    const database = getDbInstance();
+    database.prepare(`
+        UPDATE jobs
+        SET status = 'canceled', finishedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'queued'
+    `).run(jobId);
+    database.prepare(`
+        UPDATE jobs SET cancelRequested = 1, updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'running'
+    `).run(jobId);
+    return getJob(jobId);
+}
+
+/**
+ * Release running jobs whose lease expired before `before` (epoch ms).
+ * Jobs with attempts left go back to the queue, the rest fail (or end
+ * canceled when a cancel was already requested).
+ * @param {number} before - Epoch ms
+ * @param {object} [options]
+ * @param {string} [options.error] - Recorded on the released jobs
+ * @param {string} [options.exceptWorker] - Leave this worker's jobs alone
+ * @returns {{requeued: number, failed: number, canceled: number}}
+ */
+export function recoverExpiredJobs(before, { error = 'Job lease expired', exceptWorker = '' } = {}) {
+    const database = getDbInstance();
+    const recover = database.transaction(() => {
+        const stale = `status = 'running' AND (lockExpiresAt IS NULL OR lockExpiresAt < ?)
+            AND (lockedBy IS NULL OR lockedBy != ?)`;
+        const release = (status, condition) => database.prepare(`
+            UPDATE jobs
+            SET status = ?, error = ?, lockedBy = NULL, lockExpiresAt = NULL,
+                finishedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+            WHERE ${stale} AND ${condition}
+        `).run(status, error, before, exceptWorker).changes;
+
+        const canceled = release('canceled', 'cancelRequested = 1');
+        const failed = release('failed', 'attempts >= maxAttempts');
+        const requeued = database.prepare(`
+            UPDATE jobs
+            SET status = 'queued', error = ?, lockedBy = NULL, lockExpiresAt = NULL, updatedAt = CURRENT_TIMESTAMP
+            WHERE ${stale}
+        `).run(error, before, exceptWorker).changes;
+        return { requeued, failed, canceled };
+    });
+    return recover();
+}
+
+/**
+ * Delete finished jobs older than `days`
+ * @returns {number} Number of deleted jobs
+ */
+export function pruneFinishedJobs(days) {
+    const database = getDbInstance();
+    return database.prepare(`
+        DELETE FROM jobs
+        WHERE status IN ('succeeded', 'failed', 'canceled')
+          AND finishedAt < datetime('now', ?)
+    `).run(`-${days} days`).changes;
+}
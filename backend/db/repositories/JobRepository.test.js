@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { useTestDatabase } from '../test-database.js';
+import {
+    createJob,
+    getJob,
+    listJobs,
+    findActiveJob,
+    claimNextJob,
+    updateJobProgress,
+    finishJob,
+    requeueJob,
+    requestJobCancel,
+    recoverExpiredJobs
+} from './JobRepository.js';
+
+describe('JobRepository', () => {
+    const db = useTestDatabase(['jobs']);
+
+    it('should claim the oldest runnable job of an allowed type', () => {
+        const later = createJob({ type: 'sync.chub', runAfter: Date.now() + 60000 });
+        const other = createJob({ type: 'vector.etl' });
+        const first = createJob({ type: 'sync.chub', payload: { trigger: 'manual' } });
+
+        const claimed = claimNextJob({ workerId: 'w1', leaseMs: 1000, types: ['sync.chub'] });
+        assert.strictEqual(claimed.id, first.id);
+        assert.strictEqual(claimed.status, 'running');
+        assert.strictEqual(claimed.attempts, 1);
+        assert.deepStrictEqual(claimed.payload, { trigger: 'manual' });
+
+        assert.strictEqual(claimNextJob({ workerId: 'w1', leaseMs: 1000, types: ['sync.chub'] }), null);
+        assert.strictEqual(getJob(later.id).status, 'queued');
+        assert.strictEqual(getJob(other.id).status, 'queued');
+        assert.strictEqual(findActiveJob(['sync.chub']).id, later.id);
+    });
+
+    it('should cancel queued jobs immediately and flag running ones', () => {
+        const queued = createJob({ type: 'assets.cache' });
+        const running = createJob({ type: 'assets.cache' });
+        db.prepare('UPDATE jobs SET status = \'running\' WHERE id = ?').run(running.id);
+
+        assert.strictEqual(requestJobCancel(queued.id).status, 'canceled');
+        const flagged = requestJobCancel(running.id);
+        assert.strictEqual(flagged.status, 'running');
+        assert.strictEqual(flagged.cancelRequested, true);
+        assert.strictEqual(updateJobProgress(running.id, { processed: 1 }, Date.now() + 1000), true);
+
+        const done = finishJob(running.id, { status: 'canceled', result: { processed: 1 } });
+        assert.deepStrictEqual(done.result, { processed: 1 });
+        assert.ok(done.finishedAt);
+    });
+
+    it('should requeue or fail jobs whose lease expired', () => {
+        const retryable = createJob({ type: 'sync.ct', maxAttempts: 2 });
+        const exhausted = createJob({ type: 'sync.chub' });
+        claimNextJob({ workerId: 'w1', leaseMs: 10, types: ['sync.ct', 'sync.chub'], now: 1000 });
+        claimNextJob({ workerId: 'w1', leaseMs: 10, types: ['sync.ct', 'sync.chub'], now: 1000 });
+
+        assert.deepStrictEqual(recoverExpiredJobs(2000, { error: 'Interrupted' }), { requeued: 1, failed: 1, canceled: 0 });
+        assert.strictEqual(getJob(retryable.id).status, 'queued');
+        assert.strictEqual(getJob(exhausted.id).status, 'failed');
+        assert.strictEqual(getJob(exhausted.id).error, 'Interrupted');
+
+        requeueJob(retryable.id, { error: 'boom', runAfter: 5000 });
+        const { items, total } = listJobs({ statuses: ['queued'] });
+        assert.strictEqual(total, 1);
+        assert.strictEqual(items[0].runAfter, 5000);
+        assert.strictEqual(listJobs({ types: ['sync.chub'] }).total, 1);
+    });
+});
@@ -0,0 +1,113 @@
+import { logger } from '../../utils/logger.js';
+import { getDbInstance } from '../connection.js';
+
+const log = logger.scoped('Repo:Moderation');
+
+export const MODERATION_SCOPES = ['preview', 'dry_run', 'execute'];
+export const MODERATION_ACTIONS = ['quarantine', 'delete', 'delete_blacklist'];
+
+function rowToRun(row) {
+    if (!row) return null;
+    let report = null;
+    if (row.report) {
+        try {
+            report = JSON.parse(row.report);
+        } catch {
+            report = null;
+        }
+    }
+    return { ...row, report };
+}
+
+export function listRules() {
+    const database = getDbInstance();
+    return database.prepare('SELECT * FROM moderation_rules ORDER BY name COLLATE NOCASE ASC').all();
+}
+
+export function getRule(ruleId) {
+    const database = getDbInstance();
+    return database.prepare('SELECT * FROM moderation_rules WHERE id = ?').get(ruleId) || null;
+}
+
+export function createRule({ name, query = '', filter = '', scope = 'preview', action = 'quarantine' }) {
+    const database = getDbInstance();
+    const result = database.prepare(`
+        INSERT INTO moderation_rules (name, query, filter, scope, action)
+        VALUES (?, ?, ?, ?, ?)
+    `).run(name, query, filter, scope, action);
+    log.info(`Created moderation rule "${name}"`);
+    return getRule(result.lastInsertRowid);
+}
+
+/**
+ * Update a rule; only provided fields change
+ */
+export function updateRule(ruleId, updates = {}) {
+    const database = getDbInstance();
+    const allowed = ['name', 'query', 'filter', 'scope', 'action'];
+    const fields = allowed.filter(field => updates[field] !== undefined);
+    if (fields.length > 0) {
+        const assignments = fields.map(field => `${field} = ?`).join(', ');
+        database.prepare(
+            `UPDATE moderation_rules SET ${assignments}, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`
+        ).run(...fields.map(field => updates[field]), ruleId);
+    }
+    return getRule(ruleId);
+}
+
+export function deleteRule(ruleId) {
+    const database = getDbInstance();
+    return database.prepare('DELETE FROM moderation_rules WHERE id = ?').run(ruleId);
+}
+
+export function createRun({ ruleId, scope, action, matched = 0 }) {
+    const database = getDbInstance();
+    const result = database.prepare(`
+        INSERT INTO moderation_runs (ruleId, scope, action, matched)
+        VALUES (?, ?, ?, ?)
+    `).run(ruleId, scope, action, matched);
+    database.prepare('UPDATE moderation_rules SET lastRunAt = CURRENT_TIMESTAMP WHERE id = ?').run(ruleId);
+    return getRun(result.lastInsertRowid);
+}
+
+/**
+ * Record progress or completion of a run
+ */
+export function updateRun(runId, { status, matched, processed, failed, report, error } = {}) {
+    const database = getDbInstance();
+    const assignments = [];
+    const params = [];
+    const set = (column, value) => {
+        assignments.push(`${column} = ?`);
+        params.push(value);
+    };
+
+    if (matched !== undefined) set('matched', matched);
+    if (processed !== undefined) set('processed', processed);
+    if (failed !== undefined) set('failed', failed);
+    if (report !== undefined) set('report', report === null ? null : JSON.stringify(report));
+    if (error !== undefined) set('error', error);
+    if (status !== undefined) {
+        set('status', status);
+        if (status !== 'running') {
+            assignments.push('finishedAt = CURRENT_TIMESTAMP');
+        }
+    }
+
+    if (assignments.length > 0) {
+        database.prepare(`UPDATE moderation_runs SET ${assignments.join(', ')} WHERE id = ?`).run(...params, runId);
+    }
+    return getRun(runId);
+}
+
+export function getRun(runId) {
+    const database = getDbInstance();
+    return rowToRun(database.prepare('SELECT * FROM moderation_runs WHERE id = ?').get(runId));
+}
+
+export function listRuns(ruleId, limit = 20) {
+    const database = getDbInstance();
+    return database.prepare(
+        'SELECT * FROM moderation_runs WHERE ruleId = ? ORDER BY id DESC LIMIT ?'
+    ).all(ruleId, limit).map(rowToRun);
+}
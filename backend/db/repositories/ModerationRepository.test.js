@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { useTestDatabase } from '../test-database.js';
+import {
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    createRun,
+    updateRun,
+    getRun,
+    listRuns
+} from './ModerationRepository.js';
+
+describe('ModerationRepository', () => {
+    const db = useTestDatabase(['moderation_runs', 'moderation_rules']);
+
+    it('should create rules with defaults and list them by name', () => {
+        createRule({ name: 'zeta', filter: 'source = "ct"' });
+        const rule = createRule({ name: 'Alpha', query: 'spam', scope: 'dry_run', action: 'delete_blacklist' });
+
+        assert.strictEqual(rule.scope, 'dry_run');
+        assert.strictEqual(rule.action, 'delete_blacklist');
+        assert.deepStrictEqual(listRules().map(r => r.name), ['Alpha', 'zeta']);
+        assert.strictEqual(getRule(rule.id).query, 'spam');
+    });
+
+    it('should reject unknown scopes, actions and duplicate names', () => {
+        createRule({ name: 'rule' });
+        assert.throws(() => createRule({ name: 'rule' }));
+        assert.throws(() => createRule({ name: 'bad-scope', scope: 'everything' }));
+        assert.throws(() => createRule({ name: 'bad-action', action: 'burn' }));
+    });
+
+    it('should only update provided fields', () => {
+        const rule = createRule({ name: 'rule', query: 'a', filter: 'b' });
+        const updated = updateRule(rule.id, { filter: 'c' });
+
+        assert.strictEqual(updated.query, 'a');
+        assert.strictEqual(updated.filter, 'c');
+    });
+
+    it('should track runs and their reports', () => {
+        const rule = createRule({ name: 'rule' });
+        const run = createRun({ ruleId: rule.id, scope: 'execute', action: 'quarantine', matched: 3 });
+        assert.strictEqual(run.status, 'running');
+        assert.ok(getRule(rule.id).lastRunAt);
+
+        updateRun(run.id, { processed: 2, failed: 1 });
+        const done = updateRun(run.id, { status: 'completed', report: { bySource: { chub: 3 } } });
+
+        assert.strictEqual(done.processed, 2);
+        assert.strictEqual(done.failed, 1);
+        assert.deepStrictEqual(done.report, { bySource: { chub: 3 } });
+        assert.ok(done.finishedAt);
+        assert.strictEqual(listRuns(rule.id).length, 1);
+    });
+
+    it('should remove runs with their rule', () => {
+        const rule = createRule({ name: 'rule' });
+        const run = createRun({ ruleId: rule.id, scope: 'dry_run', action: 'delete' });
+
+        deleteRule(rule.id);
+        assert.strictEqual(getRun(run.id), null);
+    });
+});
@@ -0,0 +1,56 @@
+import { getDbInstance } from '../connection.js';
+
+export function getCardSearchText(cardId) {
+    const database = getDbInstance();
+    return database.prepare('SELECT * FROM card_search_text WHERE cardId = ?').get(cardId) || null;
+}
+
+/**
+ * Store the definition text extracted from a card's PNG and clear its stale flag.
+ * An upsert, so the card_search_text triggers copy the text into cards_fts.
+ * @param {object} entry
+ * @param {number} entry.cardId
+ * @param {string|null} entry.definition - null when the PNG couldn't be read
+ */
+export function saveCardSearchText({ cardId, definition = null, greetings = null }) {
+    const database = getDbInstance();
+    database.prepare(`
+        INSERT INTO card_search_text (cardId, definition, greetings, stale, extractedAt)
+        VALUES (?, ?, ?, 0, CURRENT_TIMESTAMP)
+        ON CONFLICT(cardId) DO UPDATE SET
+            definition = excluded.definition,
+            greetings = excluded.greetings,
+            stale = 0,
+            extractedAt = CURRENT_TIMESTAMP
+    `).run(cardId, definition, greetings);
+}
+
+/**
+ * Cards never extracted, or re-downloaded since they were
+ * @returns {{id: number}[]}
+ */
+export function listCardsNeedingSearchText({ afterId = 0, limit = 200 } = {}) {
+    const database = getDbInstance();
+    return database.prepare(`
+        SELECT c.id FROM cards c
+        LEFT JOIN card_search_text t ON t.cardId = c.id
+        WHERE (t.cardId IS NULL OR t.stale = 1) AND c.id > ?
+        ORDER BY c.id
+        LIMIT ?
+    `).all(afterId, limit);
+}
+
+export function countCardsNeedingSearchText() {
+    const database = getDbInstance();
+    return database.prepare(`
+        SELECT COUNT(*) AS count FROM cards c
+        LEFT JOIN card_search_text t ON t.cardId = c.id
+        WHERE t.cardId IS NULL OR t.stale = 1
+    `).get().count;
+}
+
+// Indexed text stays searchable until each card is extracted again
+export function markAllSearchTextStale() {
+    const database = getDbInstance();
+    database.prepare('UPDATE card_search_text SET stale = 1').run();
+}
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { useTestDatabase } from '../test-database.js';
+import {
+    getCardSearchText,
+    saveCardSearchText,
+    listCardsNeedingSearchText,
+    countCardsNeedingSearchText,
+    markAllSearchTextStale
+} from './SearchTextRepository.js';
+
+describe('SearchTextRepository', () => {
+    const db = useTestDatabase(['cards', 'card_search_text']);
+
+    const insertCard = (id, name = `Card ${id}`) => db.prepare(
+        'INSERT OR REPLACE INTO cards (id, name, source) VALUES (?, ?, ?)'
+    ).run(id, name, 'chub');
+
+    const matchIds = query => db.prepare(
+        'SELECT rowid AS id FROM cards_fts WHERE cards_fts MATCH ? ORDER BY rowid'
+    ).all(query).map(row => row.id);
+
+    it('should list unextracted cards and mark re-inserted cards stale', () => {
+        [1, 2, 3].forEach(id => insertCard(id));
+        saveCardSearchText({ cardId: 1, definition: 'A lighthouse keeper', greetings: 'Welcome ashore' });
+        saveCardSearchText({ cardId: 2 });
+
+        assert.deepStrictEqual(listCardsNeedingSearchText().map(row => row.id), [3]);
+
+        insertCard(1);
+        assert.strictEqual(getCardSearchText(1).stale, 1);
+        assert.deepStrictEqual(listCardsNeedingSearchText().map(row => row.id), [1, 3]);
+
+        markAllSearchTextStale();
+        assert.strictEqual(countCardsNeedingSearchText(), 3);
+        assert.deepStrictEqual(listCardsNeedingSearchText({ afterId: 1, limit: 1 }).map(row => row.id), [2]);
+    });
+
+    it('should keep the full-text index in step with cards and their text', () => {
+        insertCard(1, 'Orla');
+        insertCard(2, 'Mira');
+        saveCardSearchText({ cardId: 1, definition: 'Keeper of the élven lighthouse', greetings: 'Storm tonight' });
+        assert.deepStrictEqual(matchIds('"elv"*'), [1]);
+        assert.deepStrictEqual(matchIds('greetings:storm'), [1]);
+
+        // A re-download keeps the old text searchable until it is extracted again
+        insertCard(1, 'Orla Saltwind');
+        assert.deepStrictEqual(matchIds('saltwind lighthouse'), [1]);
+
+        saveCardSearchText({ cardId: 1, definition: 'Retired sailor', greetings: null });
+        assert.deepStrictEqual(matchIds('lighthouse'), []);
+
+        db.prepare('UPDATE cards SET name = ? WHERE id = ?').run('Captain Mira', 2);
+        assert.deepStrictEqual(matchIds('captain'), [2]);
+
+        db.prepare('DELETE FROM cards WHERE id = 1').run();
+        assert.deepStrictEqual(matchIds('sailor'), []);
+        assert.strictEqual(getCardSearchText(1), null);
+    });
+});
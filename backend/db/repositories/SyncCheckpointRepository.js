@@ -0,0 +1,86 @@
+import { getDbInstance } from '../connection.js';
+
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+}
+
+function rowToCheckpoint(row) {
+    if (!row) return null;
+    return {
+        ...row,
+        segments: parseJson(row.segments, {}),
+        filters: parseJson(row.filters, {})
+    };
+}
+
+export function getCheckpoint(source) {
+    const database = getDbInstance();
+    return rowToCheckpoint(database.prepare('SELECT * FROM sync_checkpoints WHERE source = ?').get(source));
+}
+
+export function listCheckpoints() {
+    const database = getDbInstance();
+    return database.prepare('SELECT * FROM sync_checkpoints ORDER BY source').all().map(row => rowToCheckpoint(row));
+}
+
+/**
+ * Start a new checkpoint for a source, replacing the previous one
+ */
+export function startCheckpoint(source, { mode, startPage, endPage, segments = {}, filters = {} }) {
+    const database = getDbInstance();
+    database.prepare(`
+        INSERT OR REPLACE INTO sync_checkpoints (
+            source, mode, status, startPage, endPage, segment, page, segments, filters, startedAt, updatedAt
+        ) VALUES (?, ?, 'running', ?, ?, NULL, NULL, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `).run(source, mode, startPage, endPage, JSON.stringify(segments), JSON.stringify(filters));
+    return getCheckpoint(source);
+}
+
+/**
+ * Reopen an unfinished checkpoint; keeps its range, cursor and original start time
+ */
+export function reopenCheckpoint(source) {
+    const database = getDbInstance();
+    database.prepare(`
+        UPDATE sync_checkpoints
+        SET status = 'running', error = NULL, updatedAt = CURRENT_TIMESTAMP
+        WHERE source = ?
+    `).run(source);
+    return getCheckpoint(source);
+}
+
+/**
+ * Record the cursor after a page (or a whole segment) finished
+ */
+export function saveCheckpointCursor(source, { segment, page, segments, lastSeenId, lastSeenAt }) {
+    const database = getDbInstance();
+    database.prepare(`
+        UPDATE sync_checkpoints
+        SET segment = ?,
+            page = ?,
+            segments = ?,
+            lastSeenId = COALESCE(?, lastSeenId),
+            lastSeenAt = COALESCE(?, lastSeenAt),
+            updatedAt = CURRENT_TIMESTAMP
+        WHERE source = ?
+    `).run(segment, page, JSON.stringify(segments), lastSeenId ?? null, lastSeenAt ?? null, source);
+}
+
+export function finishCheckpoint(source, status, error = null) {
+    const database = getDbInstance();
+    database.prepare(`
+        UPDATE sync_checkpoints
+        SET status = ?, error = ?, updatedAt = CURRENT_TIMESTAMP
+        WHERE source = ?
+    `).run(status, error, source);
+}
+
+export function deleteCheckpoint(source) {
+    const database = getDbInstance();
+    return database.prepare('DELETE FROM sync_checkpoints WHERE source = ?').run(source).changes > 0;
+}
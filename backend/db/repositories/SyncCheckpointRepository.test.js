@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { useTestDatabase } from '../test-database.js';
+import {
+    getCheckpoint,
+    listCheckpoints,
+    startCheckpoint,
+    reopenCheckpoint,
+    saveCheckpointCursor,
+    finishCheckpoint,
+    deleteCheckpoint
+} from './SyncCheckpointRepository.js';
+
+describe('SyncCheckpointRepository', () => {
+    const db = useTestDatabase(['sync_checkpoints']);
+
+    it('should start a checkpoint and record the cursor per page', () => {
+        startCheckpoint('wyvern', { mode: 'backfill', startPage: 40, endPage: 60, filters: { sort: 'dateCreated' } });
+        saveCheckpointCursor('wyvern', {
+            segment: 'list',
+            page: 41,
+            segments: { list: { page: 41 } },
+            lastSeenId: 'abc',
+            lastSeenAt: '2025-01-01T00:00:00.000Z'
+        });
+        // A segment-only update keeps the last seen card
+        saveCheckpointCursor('wyvern', { segment: 'list', page: 41, segments: { list: { page: 41, done: true } } });
+
+        const checkpoint = getCheckpoint('wyvern');
+        assert.strictEqual(checkpoint.status, 'running');
+        assert.strictEqual(checkpoint.mode, 'backfill');
+        assert.strictEqual(checkpoint.startPage, 40);
+        assert.strictEqual(checkpoint.endPage, 60);
+        assert.strictEqual(checkpoint.page, 41);
+        assert.strictEqual(checkpoint.lastSeenId, 'abc');
+        assert.deepStrictEqual(checkpoint.segments, { list: { page: 41, done: true } });
+        assert.deepStrictEqual(checkpoint.filters, { sort: 'dateCreated' });
+    });
+
+    it('should reopen an unfinished checkpoint without losing its cursor', () => {
+        startCheckpoint('chub', { mode: 'latest', startPage: 1, endPage: 5 });
+        saveCheckpointCursor('chub', { segment: 'search', page: 3, segments: { search: { page: 3 } }, lastSeenId: '9' });
+        finishCheckpoint('chub', 'cancelled', 'stopped');
+
+        assert.strictEqual(getCheckpoint('chub').error, 'stopped');
+
+        const reopened = reopenCheckpoint('chub');
+        assert.strictEqual(reopened.status, 'running');
+        assert.strictEqual(reopened.error, null);
+        assert.strictEqual(reopened.page, 3);
+        assert.deepStrictEqual(reopened.segments, { search: { page: 3 } });
+    });
+
+    it('should replace the checkpoint when a new sync starts', () => {
+        startCheckpoint('ct', { mode: 'latest', startPage: 1, endPage: 2 });
+        saveCheckpointCursor('ct', { segment: 'list', page: 2, segments: { list: { page: 2 } }, lastSeenId: 'x' });
+        startCheckpoint('ct', { mode: 'backfill', startPage: 10, endPage: 12 });
+        startCheckpoint('risuai', { mode: 'latest', startPage: 1, endPage: 5 });
+
+        const checkpoint = getCheckpoint('ct');
+        assert.strictEqual(checkpoint.mode, 'backfill');
+        assert.strictEqual(checkpoint.page, null);
+        assert.strictEqual(checkpoint.lastSeenId, null);
+        assert.deepStrictEqual(listCheckpoints().map(entry => entry.source), ['ct', 'risuai']);
+
+        assert.strictEqual(deleteCheckpoint('ct'), true);
+        assert.strictEqual(deleteCheckpoint('ct'), false);
+        assert.strictEqual(getCheckpoint('ct'), null);
+    });
+});
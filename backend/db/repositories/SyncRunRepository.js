@@ -0,0 +1,124 @@
+import { getDbInstance } from '../connection.js';
+
+export const SYNC_RUN_STATUSES = ['running', 'completed', 'cancelled', 'failed', 'interrupted'];
+
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+}
+
+function rowToRun(row) {
+    if (!row) return null;
+    return {
+        ...row,
+        errors: parseJson(row.errors, [])
+    };
+}
+
+export function createSyncRun({ source, trigger = 'manual', mode = 'latest', jobId = null }) {
+    const database = getDbInstance();
+    const result = database.prepare(`
+        INSERT INTO sync_runs (source, trigger, mode, jobId)
+        VALUES (?, ?, ?, ?)
+    `).run(source, trigger, mode, jobId);
+    return getSyncRun(result.lastInsertRowid);
+}
+
+export function getSyncRun(runId) {
+    const database = getDbInstance();
+    return rowToRun(database.prepare('SELECT * FROM sync_runs WHERE id = ?').get(runId));
+}
+
+/**
+ * List runs, newest first
+ * @param {object} [filters]
+ * @param {string} [filters.source]
+ * @param {string} [filters.trigger]
+ * @param {string} [filters.status]
+ * @returns {{items: object[], total: number}}
+ */
+export function listSyncRuns({ source, trigger, status, limit = 50, offset = 0 } = {}) {
+    const database = getDbInstance();
+    const conditions = [];
+    const params = [];
+    if (source) {
+        conditions.push('source = ?');
+        params.push(source);
+    }
+    if (trigger) {
+        conditions.push('trigger = ?');
+        params.push(trigger);
+    }
+    if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const total = database.prepare(`SELECT COUNT(*) as count FROM sync_runs ${where}`).get(...params).count;
+    // The list view leaves out the error samples; fetch a single run for those
+    const items = database.prepare(`
+        SELECT id, source, trigger, mode, status, jobId, pagesScanned, newCards, updatedCards,
+               skippedCards, blacklistedCards, failedCards, error, startedAt, finishedAt
+        FROM sync_runs ${where}
+        ORDER BY id DESC
+        LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    return { items, total };
+}
+
+/**
+ * Most recent run for a source, whatever its trigger or status
+ */
+export function getLatestSyncRun(source) {
+    const database = getDbInstance();
+    return rowToRun(database.prepare('SELECT * FROM sync_runs WHERE source = ? ORDER BY id DESC LIMIT 1').get(source));
+}
+
+export function updateSyncRunStats(runId, stats, errors) {
+    const database = getDbInstance();
+    database.prepare(`
+        UPDATE sync_runs
+        SET pagesScanned = ?, newCards = ?, updatedCards = ?, skippedCards = ?,
+            blacklistedCards = ?, failedCards = ?, errors = ?
+        WHERE id = ?
+    `).run(
+        stats.pagesScanned,
+        stats.newCards,
+        stats.updatedCards,
+        stats.skippedCards,
+        stats.blacklistedCards,
+        stats.failedCards,
+        JSON.stringify(errors),
+        runId
+    );
+}
+
+export function finishSyncRun(runId, status, error = null) {
+    const database = getDbInstance();
+    database.prepare(`
+        UPDATE sync_runs
+        SET status = ?, error = ?, finishedAt = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(status, error, runId);
+}
+
+/**
+ * Close runs still marked running, e.g. after a crash
+ * @param {string|null} source - Limit to one source (null = all)
+ * @returns {number} Runs closed
+ */
+export function closeRunningSyncRuns(source, status, error) {
+    const database = getDbInstance();
+    const sourceFilter = source ? 'AND source = ?' : '';
+    const params = source ? [status, error, source] : [status, error];
+    return database.prepare(`
+        UPDATE sync_runs
+        SET status = ?, error = COALESCE(error, ?), finishedAt = CURRENT_TIMESTAMP
+        WHERE status = 'running' ${sourceFilter}
+    `).run(...params).changes;
+}
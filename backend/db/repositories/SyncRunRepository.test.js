@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { useTestDatabase } from '../test-database.js';
+import {
+    createSyncRun,
+    getSyncRun,
+    listSyncRuns,
+    getLatestSyncRun,
+    updateSyncRunStats,
+    finishSyncRun,
+    closeRunningSyncRuns
+} from './SyncRunRepository.js';
+
+const STATS = {
+    pagesScanned: 3,
+    newCards: 5,
+    updatedCards: 2,
+    skippedCards: 10,
+    blacklistedCards: 1,
+    failedCards: 1
+};
+
+describe('SyncRunRepository', () => {
+    const db = useTestDatabase(['sync_runs']);
+
+    it('should record counts and error samples for a run', () => {
+        const run = createSyncRun({ source: 'wyvern', trigger: 'auto-update', jobId: 7 });
+        assert.strictEqual(run.status, 'running');
+        assert.strictEqual(run.mode, 'latest');
+
+        updateSyncRunStats(run.id, STATS, [{ sourceId: 'abc', page: 2, error: 'timeout' }]);
+        finishSyncRun(run.id, 'completed');
+
+        const saved = getSyncRun(run.id);
+        assert.strictEqual(saved.status, 'completed');
+        assert.strictEqual(saved.trigger, 'auto-update');
+        assert.strictEqual(saved.jobId, 7);
+        assert.strictEqual(saved.pagesScanned, 3);
+        assert.strictEqual(saved.newCards, 5);
+        assert.strictEqual(saved.blacklistedCards, 1);
+        assert.deepStrictEqual(saved.errors, [{ sourceId: 'abc', page: 2, error: 'timeout' }]);
+        assert.ok(saved.finishedAt);
+    });
+
+    it('should list runs newest first with filters', () => {
+        createSyncRun({ source: 'chub' });
+        createSyncRun({ source: 'ct', trigger: 'ct-auto-sync' });
+        const latest = createSyncRun({ source: 'chub', mode: 'backfill' });
+
+        const all = listSyncRuns();
+        assert.strictEqual(all.total, 3);
+        assert.strictEqual(all.items[0].id, latest.id);
+        assert.strictEqual(all.items[0].errors, undefined);
+
+        assert.strictEqual(listSyncRuns({ source: 'chub' }).total, 2);
+        assert.deepStrictEqual(listSyncRuns({ trigger: 'ct-auto-sync' }).items.map(run => run.source), ['ct']);
+        assert.strictEqual(listSyncRuns({ limit: 1, offset: 1 }).items.length, 1);
+
+        assert.strictEqual(getLatestSyncRun('chub').id, latest.id);
+        assert.strictEqual(getLatestSyncRun('wyvern'), null);
+    });
+
+    it('should close runs left running', () => {
+        const chub = createSyncRun({ source: 'chub' });
+        const ct = createSyncRun({ source: 'ct' });
+        const done = createSyncRun({ source: 'ct' });
+        finishSyncRun(done.id, 'completed');
+
+        assert.strictEqual(closeRunningSyncRuns('chub', 'failed', 'boom'), 1);
+        assert.strictEqual(getSyncRun(chub.id).status, 'failed');
+        assert.strictEqual(getSyncRun(chub.id).error, 'boom');
+
+        assert.strictEqual(closeRunningSyncRuns(null, 'interrupted', 'restart'), 1);
+        assert.strictEqual(getSyncRun(ct.id).status, 'interrupted');
+        assert.strictEqual(getSyncRun(done.id).status, 'completed');
+    });
+});
@@ -117,6 +117,18 @@ export function normalizeTagValue(tag) {
     return trimmed ? trimmed.toLowerCase() : null;
 }
 
+/**
+ * Normalize a tag and map known alias variants to their canonical tag
+ */
+export function canonicalizeTag(tag) {
+    const normalized = normalizeTagValue(tag);
+    if (!normalized) {
+        return null;
+    }
+    const canonical = reverseAliasMap[normalized];
+    return canonical ? canonical.toLowerCase() : normalized;
+}
+
 export function splitTopicsToArray(topics) {
     if (!topics) {
         return [];
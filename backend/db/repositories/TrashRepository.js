@@ -0,0 +1,97 @@
+import { logger } from '../../utils/logger.js';
+import { getDbInstance } from '../connection.js';
+
+const log = logger.scoped('Repo:Trash');
+
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+}
+
+function rowToTrashEntry(row, { includeSnapshot = false } = {}) {
+    if (!row) return null;
+    const entry = {
+        cardId: row.cardId,
+        source: row.source || null,
+        sourceId: row.sourceId || null,
+        name: row.name || '',
+        author: row.author || '',
+        reason: row.reason || null,
+        files: parseJson(row.files, []),
+        trashPath: row.trashPath,
+        blacklisted: !!row.blacklisted,
+        deletedAt: row.deletedAt
+    };
+    if (includeSnapshot) {
+        entry.cardRow = parseJson(row.cardRow, null);
+        entry.assetRows = parseJson(row.assetRows, []);
+    }
+    return entry;
+}
+
+/**
+ * Record a quarantined card. Replaces any older entry for the same ID.
+ */
+export function insertTrashEntry(entry) {
+    const database = getDbInstance();
+    database.prepare(`
+        INSERT OR REPLACE INTO card_trash (
+            cardId, source, sourceId, name, author, reason,
+            cardRow, assetRows, files, trashPath, blacklisted
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        entry.cardId,
+        entry.source || null,
+        entry.sourceId || null,
+        entry.name || null,
+        entry.author || null,
+        entry.reason || null,
+        JSON.stringify(entry.cardRow || {}),
+        JSON.stringify(entry.assetRows || []),
+        JSON.stringify(entry.files || []),
+        entry.trashPath,
+        entry.blacklisted ? 1 : 0
+    );
+    log.info(`Quarantined card ${entry.cardId} (${entry.reason || 'manual'})`);
+}
+
+/**
+ * List trashed cards, most recently deleted first
+ * @returns {{ items: object[], total: number }}
+ */
+export function getTrashEntries({ limit = 50, offset = 0 } = {}) {
+    const database = getDbInstance();
+    const rows = database.prepare(
+        'SELECT * FROM card_trash ORDER BY deletedAt DESC, cardId DESC LIMIT ? OFFSET ?'
+    ).all(limit, offset);
+    const { total } = database.prepare('SELECT COUNT(*) as total FROM card_trash').get();
+    return { items: rows.map(row => rowToTrashEntry(row)), total };
+}
+
+/**
+ * Get a trash entry including the stored card/asset rows needed to restore it
+ */
+export function getTrashEntry(cardId) {
+    const database = getDbInstance();
+    const row = database.prepare('SELECT * FROM card_trash WHERE cardId = ?').get(cardId);
+    return rowToTrashEntry(row, { includeSnapshot: true });
+}
+
+export function deleteTrashEntry(cardId) {
+    const database = getDbInstance();
+    return database.prepare('DELETE FROM card_trash WHERE cardId = ?').run(cardId);
+}
+
+/**
+ * Entries deleted at least `retentionDays` days ago
+ */
+export function getExpiredTrashEntries(retentionDays) {
+    const database = getDbInstance();
+    return database.prepare(
+        "SELECT * FROM card_trash WHERE deletedAt <= datetime('now', ?) ORDER BY deletedAt ASC"
+    ).all(`-${Number(retentionDays)} days`).map(row => rowToTrashEntry(row));
+}
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { useTestDatabase } from '../test-database.js';
+import {
+    insertTrashEntry,
+    getTrashEntries,
+    getTrashEntry,
+    deleteTrashEntry,
+    getExpiredTrashEntries
+} from './TrashRepository.js';
+
+describe('TrashRepository', () => {
+    const db = useTestDatabase(['card_trash']);
+
+    const makeEntry = (cardId, overrides = {}) => ({
+        cardId,
+        source: 'chub',
+        sourceId: String(cardId),
+        name: `Card ${cardId}`,
+        author: 'Tester',
+        reason: 'manual',
+        cardRow: { id: cardId, name: `Card ${cardId}`, topics: 'a,b' },
+        assetRows: [{ originalUrl: 'https://example.com/a.png', localPath: `cached-assets/${cardId}/a.png` }],
+        files: ['png', 'json'],
+        trashPath: `trash/${cardId}`,
+        blacklisted: true,
+        ...overrides
+    });
+
+    it('should store an entry and return the restore snapshot', () => {
+        insertTrashEntry(makeEntry(10));
+
+        const entry = getTrashEntry(10);
+        assert.strictEqual(entry.name, 'Card 10');
+        assert.strictEqual(entry.blacklisted, true);
+        assert.deepStrictEqual(entry.files, ['png', 'json']);
+        assert.strictEqual(entry.cardRow.topics, 'a,b');
+        assert.strictEqual(entry.assetRows.length, 1);
+        assert.ok(entry.deletedAt);
+    });
+
+    it('should list entries without snapshots, newest first', () => {
+        insertTrashEntry(makeEntry(1));
+        insertTrashEntry(makeEntry(2));
+        db.prepare("UPDATE card_trash SET deletedAt = datetime('now', '-1 day') WHERE cardId = 1").run();
+
+        const { items, total } = getTrashEntries({ limit: 10, offset: 0 });
+        assert.strictEqual(total, 2);
+        assert.deepStrictEqual(items.map(i => i.cardId), [2, 1]);
+        assert.strictEqual(items[0].cardRow, undefined);
+    });
+
+    it('should only return entries older than the retention period', () => {
+        insertTrashEntry(makeEntry(1));
+        insertTrashEntry(makeEntry(2));
+        db.prepare("UPDATE card_trash SET deletedAt = datetime('now', '-40 days') WHERE cardId = 1").run();
+
+        const expired = getExpiredTrashEntries(30);
+        assert.deepStrictEqual(expired.map(e => e.cardId), [1]);
+    });
+
+    it('should delete entries', () => {
+        insertTrashEntry(makeEntry(5));
+        deleteTrashEntry(5);
+        assert.strictEqual(getTrashEntry(5), null);
+    });
+});
@@ -84,6 +84,17 @@ export function ensureSchema(db) {
 
         CREATE INDEX IF NOT EXISTS idx_cached_assets_card ON cached_assets(cardId);
 
+        -- Cached asset files stored once by sha256; refCount counts cached_assets rows
+        CREATE TABLE IF NOT EXISTS asset_blobs (
+            hash TEXT PRIMARY KEY,
+            localPath TEXT NOT NULL,
+            fileSize INTEGER,
+            refCount INTEGER NOT NULL DEFAULT 0,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_asset_blobs_unreferenced ON asset_blobs(refCount) WHERE refCount <= 0;
+
         CREATE TABLE IF NOT EXISTS ${CARD_TAGS_TABLE_NAME} (
             cardId INTEGER NOT NULL,
             tag TEXT NOT NULL,
@@ -164,9 +175,373 @@ export function ensureSchema(db) {
 
         CREATE INDEX IF NOT EXISTS idx_metrics_snapshots_date ON metrics_snapshots(snapshot_date);
         CREATE INDEX IF NOT EXISTS idx_metrics_snapshots_type ON metrics_snapshots(metric_type);
+
+        CREATE TABLE IF NOT EXISTS card_versions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            cardId INTEGER NOT NULL,
+            revision INTEGER NOT NULL,
+            source TEXT,
+            reason TEXT,
+            name TEXT,
+            author TEXT,
+            lastModified TEXT,
+            tokenCount INTEGER,
+            contentHash TEXT NOT NULL,
+            files TEXT NOT NULL,
+            storagePath TEXT NOT NULL,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(cardId, revision)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_card_versions_card ON card_versions(cardId);
+
+        CREATE TABLE IF NOT EXISTS card_trash (
+            cardId INTEGER PRIMARY KEY,
+            source TEXT,
+            sourceId TEXT,
+            name TEXT,
+            author TEXT,
+            reason TEXT,
+            cardRow TEXT NOT NULL,
+            assetRows TEXT,
+            files TEXT NOT NULL,
+            trashPath TEXT NOT NULL,
+            blacklisted INTEGER DEFAULT 0,
+            deletedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_card_trash_deleted ON card_trash(deletedAt);
+
+        CREATE TABLE IF NOT EXISTS moderation_rules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE,
+            query TEXT DEFAULT '',
+            filter TEXT DEFAULT '',
+            scope TEXT NOT NULL DEFAULT 'preview' CHECK(scope IN ('preview','dry_run','execute')),
+            action TEXT NOT NULL DEFAULT 'quarantine' CHECK(action IN ('quarantine','delete','delete_blacklist')),
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            lastRunAt TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS moderation_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            ruleId INTEGER NOT NULL,
+            scope TEXT NOT NULL,
+            action TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'running' CHECK(status IN ('running','completed','failed')),
+            matched INTEGER DEFAULT 0,
+            processed INTEGER DEFAULT 0,
+            failed INTEGER DEFAULT 0,
+            report TEXT,
+            error TEXT,
+            startedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            finishedAt TEXT,
+            FOREIGN KEY (ruleId) REFERENCES moderation_rules(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_moderation_runs_rule ON moderation_runs(ruleId);
+
+        CREATE TABLE IF NOT EXISTS blocked_tags (
+            tag TEXT PRIMARY KEY,
+            reason TEXT,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS blocked_creators (
+            source TEXT NOT NULL,
+            creator TEXT NOT NULL,
+            reason TEXT,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (source, creator)
+        );
+
+        CREATE TABLE IF NOT EXISTS source_blocklist (
+            source TEXT NOT NULL,
+            sourceId TEXT NOT NULL,
+            reason TEXT,
+            addedBy TEXT,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (source, sourceId)
+        );
+
+        CREATE TABLE IF NOT EXISTS source_cooldown (
+            source TEXT NOT NULL,
+            sourceId TEXT NOT NULL,
+            reason TEXT,
+            cooledAt INTEGER NOT NULL,
+            PRIMARY KEY (source, sourceId)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_source_cooldown_time ON source_cooldown(source, cooledAt);
+
+        CREATE TABLE IF NOT EXISTS jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            type TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'queued' CHECK(status IN ('queued','running','succeeded','failed','canceled')),
+            payload TEXT,
+            progress TEXT,
+            result TEXT,
+            error TEXT,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            maxAttempts INTEGER NOT NULL DEFAULT 1,
+            cancelRequested INTEGER NOT NULL DEFAULT 0,
+            runAfter INTEGER NOT NULL DEFAULT 0,
+            lockedBy TEXT,
+            lockExpiresAt INTEGER,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            startedAt TEXT,
+            finishedAt TEXT,
+            updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, runAfter);
+        CREATE INDEX IF NOT EXISTS idx_jobs_type ON jobs(type, createdAt);
+
+        CREATE TABLE IF NOT EXISTS sync_checkpoints (
+            source TEXT PRIMARY KEY,
+            mode TEXT NOT NULL DEFAULT 'latest',
+            status TEXT NOT NULL DEFAULT 'running' CHECK(status IN ('running','completed','incomplete','cancelled','failed')),
+            startPage INTEGER NOT NULL,
+            endPage INTEGER NOT NULL,
+            segment TEXT,
+            page INTEGER,
+            segments TEXT,
+            lastSeenId TEXT,
+            lastSeenAt TEXT,
+            filters TEXT,
+            error TEXT,
+            startedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS sync_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            source TEXT NOT NULL,
+            trigger TEXT NOT NULL DEFAULT 'manual',
+            mode TEXT NOT NULL DEFAULT 'latest',
+            status TEXT NOT NULL DEFAULT 'running' CHECK(status IN ('running','completed','cancelled','failed','interrupted')),
+            jobId INTEGER,
+            pagesScanned INTEGER NOT NULL DEFAULT 0,
+            newCards INTEGER NOT NULL DEFAULT 0,
+            updatedCards INTEGER NOT NULL DEFAULT 0,
+            skippedCards INTEGER NOT NULL DEFAULT 0,
+            blacklistedCards INTEGER NOT NULL DEFAULT 0,
+            failedCards INTEGER NOT NULL DEFAULT 0,
+            errors TEXT,
+            error TEXT,
+            startedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            finishedAt TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sync_runs_source ON sync_runs(source, startedAt);
+
+        CREATE TABLE IF NOT EXISTS card_signatures (
+            cardId INTEGER PRIMARY KEY,
+            source TEXT,
+            textMinhash TEXT,
+            avatarHash TEXT,
+            computedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS card_signature_buckets (
+            kind TEXT NOT NULL CHECK(kind IN ('text','avatar')),
+            band INTEGER NOT NULL,
+            bucket TEXT NOT NULL,
+            cardId INTEGER NOT NULL,
+            PRIMARY KEY (kind, band, bucket, cardId)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_card_signature_buckets_card ON card_signature_buckets(cardId);
+
+        CREATE TABLE IF NOT EXISTS card_duplicates (
+            cardId INTEGER NOT NULL,
+            duplicateId INTEGER NOT NULL,
+            textSimilarity REAL,
+            avatarDistance INTEGER,
+            status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','dismissed')),
+            detectedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (cardId, duplicateId),
+            CHECK(cardId < duplicateId)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_card_duplicates_duplicate ON card_duplicates(duplicateId, status);
+
+        CREATE TABLE IF NOT EXISTS card_source_links (
+            cardId INTEGER NOT NULL,
+            source TEXT NOT NULL,
+            sourceId TEXT NOT NULL,
+            sourceUrl TEXT,
+            mergedFromId INTEGER,
+            mergedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (cardId, source, sourceId)
+        );
+
+        -- upsertCard() re-inserts the row, so a re-downloaded card gets a fresh signature
+        CREATE TRIGGER IF NOT EXISTS trg_cards_after_insert_signature
+        AFTER INSERT ON cards
+        BEGIN
+            DELETE FROM card_signatures WHERE cardId = NEW.id;
+            DELETE FROM card_signature_buckets WHERE cardId = NEW.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_cards_after_delete_duplicates
+        AFTER DELETE ON cards
+        BEGIN
+            DELETE FROM card_signatures WHERE cardId = OLD.id;
+            DELETE FROM card_signature_buckets WHERE cardId = OLD.id;
+            DELETE FROM card_duplicates WHERE cardId = OLD.id OR duplicateId = OLD.id;
+            DELETE FROM card_source_links WHERE cardId = OLD.id;
+        END;
+
+        CREATE TABLE IF NOT EXISTS card_image_hashes (
+            cardId INTEGER PRIMARY KEY,
+            dhash TEXT,
+            width INTEGER,
+            height INTEGER,
+            byteSize INTEGER,
+            stale INTEGER NOT NULL DEFAULT 0,
+            computedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_card_image_hashes_stale ON card_image_hashes(stale) WHERE stale = 1;
+
+        CREATE TABLE IF NOT EXISTS card_avatar_changes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            cardId INTEGER NOT NULL,
+            previousHash TEXT NOT NULL,
+            newHash TEXT NOT NULL,
+            distance INTEGER NOT NULL,
+            detectedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_card_avatar_changes_card ON card_avatar_changes(cardId, detectedAt);
+        CREATE INDEX IF NOT EXISTS idx_card_avatar_changes_detected ON card_avatar_changes(detectedAt);
+
+        CREATE TABLE IF NOT EXISTS placeholder_image_hashes (
+            hash TEXT PRIMARY KEY,
+            label TEXT,
+            sourceCardId INTEGER,
+            addedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Keep the old hash of a re-downloaded card so a swapped avatar can be noticed
+        CREATE TRIGGER IF NOT EXISTS trg_cards_after_insert_image_hash
+        AFTER INSERT ON cards
+        BEGIN
+            UPDATE card_image_hashes SET stale = 1 WHERE cardId = NEW.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_cards_after_delete_image_hash
+        AFTER DELETE ON cards
+        BEGIN
+            DELETE FROM card_image_hashes WHERE cardId = OLD.id;
+            DELETE FROM card_avatar_changes WHERE cardId = OLD.id;
+        END;
     `);
 
     addColumnIfMissing(db, 'cached_assets', 'metadata', 'TEXT');
+    addColumnIfMissing(db, 'cached_assets', 'contentHash', 'TEXT');
+
+    // Rows deleted by the cards cascade fire these too
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_cached_assets_content ON cached_assets(contentHash);
+
+        CREATE TRIGGER IF NOT EXISTS trg_cached_assets_after_insert_blob
+        AFTER INSERT ON cached_assets
+        WHEN NEW.contentHash IS NOT NULL
+        BEGIN
+            UPDATE asset_blobs SET refCount = refCount + 1 WHERE hash = NEW.contentHash;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_cached_assets_after_delete_blob
+        AFTER DELETE ON cached_assets
+        WHEN OLD.contentHash IS NOT NULL
+        BEGIN
+            UPDATE asset_blobs SET refCount = refCount - 1 WHERE hash = OLD.contentHash;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_cached_assets_after_update_blob
+        AFTER UPDATE OF contentHash ON cached_assets
+        WHEN OLD.contentHash IS NOT NEW.contentHash
+        BEGIN
+            UPDATE asset_blobs SET refCount = refCount - 1 WHERE hash = OLD.contentHash;
+            UPDATE asset_blobs SET refCount = refCount + 1 WHERE hash = NEW.contentHash;
+        END;
+    `);
+
+    // Offline full-text index, used when Meilisearch is disabled. Card definition
+    // text lives in the PNGs, so card_search_text holds the extracted copy.
+    const hasFtsIndex = Boolean(db.prepare(
+        "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'cards_fts'"
+    ).get());
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS card_search_text (
+            cardId INTEGER PRIMARY KEY,
+            definition TEXT,
+            greetings TEXT,
+            stale INTEGER NOT NULL DEFAULT 0,
+            extractedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_card_search_text_stale ON card_search_text(stale) WHERE stale = 1;
+
+        CREATE VIRTUAL TABLE IF NOT EXISTS cards_fts USING fts5(
+            name, tagline, description, topics, author, definition, greetings,
+            tokenize = 'unicode61 remove_diacritics 2',
+            prefix = '2 3'
+        );
+
+        -- Re-downloads replace the card row, so the insert trigger also drops the old entry
+        CREATE TRIGGER IF NOT EXISTS trg_cards_after_insert_fts
+        AFTER INSERT ON cards
+        BEGIN
+            UPDATE card_search_text SET stale = 1 WHERE cardId = NEW.id;
+            DELETE FROM cards_fts WHERE rowid = NEW.id;
+            INSERT INTO cards_fts (rowid, name, tagline, description, topics, author, definition, greetings)
+            SELECT NEW.id, NEW.name, NEW.tagline, NEW.description, NEW.topics, NEW.author, t.definition, t.greetings
+            FROM (SELECT 1) LEFT JOIN card_search_text t ON t.cardId = NEW.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_cards_after_update_fts
+        AFTER UPDATE OF name, tagline, description, topics, author ON cards
+        BEGIN
+            UPDATE cards_fts
+            SET name = NEW.name, tagline = NEW.tagline, description = NEW.description,
+                topics = NEW.topics, author = NEW.author
+            WHERE rowid = NEW.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_cards_after_delete_fts
+        AFTER DELETE ON cards
+        BEGIN
+            DELETE FROM cards_fts WHERE rowid = OLD.id;
+            DELETE FROM card_search_text WHERE cardId = OLD.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_card_search_text_after_insert_fts
+        AFTER INSERT ON card_search_text
+        BEGIN
+            UPDATE cards_fts SET definition = NEW.definition, greetings = NEW.greetings WHERE rowid = NEW.cardId;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_card_search_text_after_update_fts
+        AFTER UPDATE OF definition, greetings ON card_search_text
+        BEGIN
+            UPDATE cards_fts SET definition = NEW.definition, greetings = NEW.greetings WHERE rowid = NEW.cardId;
+        END;
+    `);
+
+    if (!hasFtsIndex) {
+        log.info('Building full-text index...');
+        db.exec(`
+            INSERT INTO cards_fts (rowid, name, tagline, description, topics, author, definition, greetings)
+            SELECT c.id, c.name, c.tagline, c.description, c.topics, c.author, t.definition, t.greetings
+            FROM cards c LEFT JOIN card_search_text t ON t.cardId = c.id
+        `);
+    }
+
     addColumnIfMissing(db, 'cards', 'hasAlternateGreetings', 'INTEGER DEFAULT 0');
     addColumnIfMissing(db, 'cards', 'hasLorebook', 'INTEGER DEFAULT 0');
     addColumnIfMissing(db, 'cards', 'hasEmbeddedLorebook', 'INTEGER DEFAULT 0');
@@ -189,6 +564,9 @@ export function ensureSchema(db) {
     addColumnIfMissing(db, 'cards', 'sourceId', 'TEXT');
     addColumnIfMissing(db, 'cards', 'sourcePath', 'TEXT');
     addColumnIfMissing(db, 'cards', 'sourceUrl', 'TEXT');
+    // hashCardDefinition() of the archived file; upsertCard() clears it, '' means unreadable
+    addColumnIfMissing(db, 'cards', 'definitionHash', 'TEXT');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_cards_definition_hash ON cards(definitionHash)');
 
     db.prepare("UPDATE cards SET source = 'chub' WHERE source IS NULL OR source = ''").run();
 }
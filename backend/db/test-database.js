@@ -0,0 +1,26 @@
+import { after, beforeEach } from 'node:test';
+import { createConnection, closeConnection } from './connection.js';
+import { ensureSchema } from './schema.js';
+
+/**
+ * Open an in-memory database with the full schema for a repository test.
+ * Call it inside describe(); the connection closes after the suite.
+ * @param {string[]} [tables] - Tables to empty before each test, in delete order
+ * @returns {import('better-sqlite3').Database}
+ */
+export function useTestDatabase(tables = []) {
+    const db = createConnection(':memory:');
+    ensureSchema(db);
+
+    after(() => {
+        closeConnection();
+    });
+
+    beforeEach(() => {
+        for (const table of tables) {
+            db.prepare(`DELETE FROM ${table}`).run();
+        }
+    });
+
+    return db;
+}
@@ -6,5 +6,14 @@ const router = express.Router();
 
 router.post('/backfill-token-counts', adminController.backfillTokenCounts);
 router.post('/backfill-feature-flags', adminController.backfillFeatureFlags);
+router.post('/backfill-duplicates', adminController.backfillDuplicates);
+router.post('/backfill-image-hashes', adminController.backfillImageHashes);
+router.post('/backfill-search-text', adminController.backfillSearchText);
+router.post('/backfill-definition-hashes', adminController.backfillDefinitionHashes);
+router.post('/integrity', adminController.checkIntegrity);
+router.post('/backup', adminController.createBackup);
+router.get('/placeholder-hashes', adminController.listPlaceholderHashes);
+router.delete('/placeholder-hashes/:hash', adminController.deletePlaceholderHash);
+router.get('/avatar-changes', adminController.listAvatarChanges);
 
 export default router;
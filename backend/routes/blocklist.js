@@ -0,0 +1,14 @@
+import express from 'express';
+import { blocklistController } from '../controllers/BlocklistController.js';
+
+const router = express.Router();
+
+router.get('/', blocklistController.listEntries);
+router.post('/', blocklistController.addEntry);
+router.get('/export', blocklistController.exportEntries);
+router.post('/import', express.text({ limit: '10mb' }), blocklistController.importEntries);
+router.get('/cooldowns', blocklistController.listCooldowns);
+router.delete('/cooldowns/:source/:sourceId', blocklistController.clearCooldown);
+router.delete('/:source/:sourceId', blocklistController.removeEntry);
+
+export default router;
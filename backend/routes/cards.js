@@ -23,10 +23,20 @@ router.get('/:cardId/metadata', cardController.getCardMetadata);
 router.post('/:cardId/refresh', refreshLimiter, cardController.refreshCard);
 router.delete('/:cardId', cardController.deleteCard);
 router.post('/bulk-delete', cardController.bulkDelete);
+router.post('/bulk-refresh', cardController.bulkRefresh);
 router.post('/:cardId/favorite', cardController.toggleFavorite);
 router.post('/:cardId/language', cardController.setLanguage);
 router.post('/:cardId/tags', cardController.editTags);
 router.get('/:cardId/export', cardController.exportCard);
+router.get('/:cardId/versions', cardController.listVersions);
+router.get('/:cardId/versions/:rev/export', cardController.exportVersion);
+router.get('/:cardId/diff', cardController.diffVersions);
+router.get('/:cardId/duplicates', cardController.listDuplicates);
+router.post('/:cardId/duplicates/:duplicateId/merge', cardController.mergeDuplicate);
+router.delete('/:cardId/duplicates/:duplicateId', cardController.dismissDuplicate);
+router.get('/:cardId/similar-avatars', cardController.similarAvatars);
+router.get('/:cardId/avatar-changes', cardController.avatarChanges);
+router.post('/:cardId/avatar/placeholder', cardController.markAvatarPlaceholder);
 router.post('/:cardId/push', cardController.pushToSillyTavern);
 router.post('/:cardId/push-to-architect', cardController.pushToArchitect);
 
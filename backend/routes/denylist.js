@@ -0,0 +1,12 @@
+import express from 'express';
+import { denyListController } from '../controllers/DenyListController.js';
+
+const router = express.Router();
+
+router.get('/', denyListController.getDenyList);
+router.post('/tags', denyListController.blockTag);
+router.delete('/tags/:tag', denyListController.unblockTag);
+router.post('/creators', denyListController.blockCreator);
+router.delete('/creators/:source/:creator', denyListController.unblockCreator);
+
+export default router;
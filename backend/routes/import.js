@@ -0,0 +1,21 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { importController } from '../controllers/ImportController.js';
+
+const router = express.Router();
+
+// Each import hits the source site or parses uploaded files, so keep it to roughly refresh speed
+const importLimiter = rateLimit({
+    windowMs: 1 * 60 * 1000, // 1 minute window
+    max: 20, // 20 imports per minute
+    message: { error: 'Import rate limit exceeded. Please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => req.ip === '127.0.0.1' || req.ip === '::1' || req.ip === '::ffff:127.0.0.1'
+});
+
+router.post('/url', importLimiter, importController.importFromUrl);
+// The multipart body is streamed by the controller, which enforces the size limits
+router.post('/upload', importLimiter, importController.importUpload);
+
+export default router;
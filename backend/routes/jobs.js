@@ -0,0 +1,13 @@
+import express from 'express';
+import { jobController } from '../controllers/JobController.js';
+
+const router = express.Router();
+
+router.get('/', jobController.listJobs);
+router.post('/', jobController.createJob);
+router.get('/:id', jobController.getJob);
+router.get('/:id/events', jobController.streamEvents);
+router.post('/:id/cancel', jobController.cancelJob);
+router.post('/:id/retry', jobController.retryJob);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import { moderationController } from '../controllers/ModerationController.js';
+
+const router = express.Router();
+
+router.get('/rules', moderationController.listRules);
+router.post('/rules', moderationController.createRule);
+router.put('/rules/:id', moderationController.updateRule);
+router.delete('/rules/:id', moderationController.deleteRule);
+router.post('/rules/:id/run', moderationController.runRule);
+router.get('/rules/:id/runs', moderationController.listRuns);
+router.get('/rules/:id/runs/:runId', moderationController.getRun);
+
+export default router;
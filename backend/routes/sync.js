@@ -2,6 +2,8 @@
 import express from 'express';
 import { syncController } from '../controllers/SyncController.js';
 import { lockService } from '../services/LockService.js';
+import { scraperRegistry } from '../services/scrapers/index.js';
+import { listJobs, cancelJob } from '../services/JobQueueService.js';
 import rateLimit from 'express-rate-limit';
 
 const router = express.Router();
@@ -24,16 +26,41 @@ router.get('/wyvern', syncLimiter, syncController.syncWyvern);
 router.get('/risuai', syncLimiter, syncController.syncRisuAi);
 router.post('/favorites', syncController.syncFavoritesToChub);
 router.get('/chub/follows', syncController.getChubFollows);
-router.get('/chub/blocked', syncController.getChubBlockedUsers);
+router.post('/chub/blocked/import', syncController.importChubBlockedUsers);
+router.get('/sources', syncController.getSources);
+router.get('/checkpoints', syncController.getCheckpoints);
+router.get('/schedules', syncController.getSchedules);
+router.get('/history', syncController.getHistory);
+router.get('/history/:runId', syncController.getHistoryRun);
+router.delete('/checkpoints/:source', syncController.clearCheckpoint);
 
 // Sync status and cancel endpoints
 router.get('/status', (req, res) => {
     res.json(lockService.getSyncStatus());
 });
 
+// ?source=<scraperRegistry key> cancels one source; without it every sync is cancelled
 router.post('/cancel', (req, res) => {
-    lockService.abortAllSyncs();
-    res.json({ success: true, message: 'Sync cancellation requested' });
+    const { source } = req.query;
+    if (source && !scraperRegistry[source]) {
+        return res.status(400).json({ error: `Unknown sync source: ${source}` });
+    }
+
+    const { items } = listJobs({ status: 'active', type: source ? `sync.${source}` : 'sync.*', limit: 200 });
+    items.forEach(job => cancelJob(job.id));
+    if (source) {
+        lockService.abortSync(source);
+    } else {
+        lockService.abortAllSyncs();
+    }
+    res.json({
+        success: true,
+        message: source ? `Sync cancellation requested for ${source}` : 'Sync cancellation requested',
+        canceledJobs: items.map(job => job.id)
+    });
 });
 
+// Generic sync for any registered source (built-in or plugin); keep this after the fixed paths
+router.get('/:source', syncLimiter, syncController.syncSource);
+
 export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { trashController } from '../controllers/TrashController.js';
+
+const router = express.Router();
+
+router.get('/', trashController.listTrash);
+router.post('/:cardId/restore', trashController.restoreCard);
+
+export default router;
@@ -1,36 +1,38 @@
 import axios from 'axios';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import {
+    ensureLegacyBlocklistsImported,
+    isSourceBlocked,
+    blockSourceId,
+    unblockSourceId
+} from './BlocklistService.js';
+import { getHttpReplayMode } from '../utils/http-replay.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const BLACKLIST_FILE = path.join(__dirname, '../../blacklist.txt');
 const MIN_REQUEST_INTERVAL = 1000;
 let lastRequestTime = 0;
-const blacklistSet = new Set();
 
+// Chub card blacklist, stored in source_blocklist under source 'chub'
 export function loadBlacklist() {
-    if (fs.existsSync(BLACKLIST_FILE)) {
-        const content = fs.readFileSync(BLACKLIST_FILE, 'utf8');
-        content.split('\n').forEach(line => {
-            const id = line.trim();
-            if (id) blacklistSet.add(id);
-        });
-    }
+    ensureLegacyBlocklistsImported();
+}
+
+export function addToBlacklist(cardId, { reason = null, addedBy = null } = {}) {
+    blockSourceId('chub', cardId, { reason, addedBy });
 }
 
-export function addToBlacklist(cardId) {
-    blacklistSet.add(String(cardId));
-    fs.appendFileSync(BLACKLIST_FILE, `${cardId}\n`);
+export function removeFromBlacklist(cardId) {
+    unblockSourceId('chub', cardId);
 }
 
 export function isBlacklisted(cardId) {
-    return blacklistSet.has(String(cardId));
+    return isSourceBlocked('chub', cardId);
 }
 
 export async function rateLimitedRequest(url, options = {}) {
+    // Replayed fixtures never hit the site, so there's nothing to throttle
+    if (getHttpReplayMode() === 'replay') {
+        return axios.get(url, options);
+    }
+
     const now = Date.now();
     const elapsed = now - lastRequestTime;
     
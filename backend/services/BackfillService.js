@@ -0,0 +1,227 @@
+/**
+ * BackfillService - Bulk repairs of derived card columns
+ *
+ * Re-derives token counts and feature flags from the files on disk and writes
+ * them back to both the database and the card's JSON metadata. Runs as the
+ * 'backfill.token-counts' / 'backfill.feature-flags' jobs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getDatabase } from '../database.js';
+import { readCardPngSpec } from '../utils/card-utils.js';
+import { deriveFeatures } from '@character-foundry/schemas';
+import { extractTokenCountLabel, normalizeTokenCounts } from '../utils/token-counts.js';
+import { logger } from '../utils/logger.js';
+import { cacheService } from './CacheService.js';
+
+const log = logger.scoped('BACKFILL');
+
+const STATIC_DIR = path.join(process.cwd(), 'static');
+
+function getMetadataPath(cardId) {
+    const cardIdStr = String(cardId);
+    return path.join(STATIC_DIR, cardIdStr.substring(0, 2), `${cardIdStr}.json`);
+}
+
+function readMetadataFile(cardId) {
+    const jsonPath = getMetadataPath(cardId);
+    if (!fs.existsSync(jsonPath)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    } catch (error) {
+        log.error(`Failed to read metadata for ${cardId}`, error);
+        return null;
+    }
+}
+
+/**
+ * Fill token counts for Chub cards whose counts are all zero, parsing them from the metadata labels
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - Receives { processed, total, updated, skipped, noMetadata }
+ * @returns {{updated: number, skipped: number, noMetadata: number, total: number}}
+ */
+export function backfillTokenCounts({ onProgress = () => {} } = {}) {
+    const db = getDatabase();
+
+    const cards = db.prepare(`
+        SELECT id, name
+        FROM cards
+        WHERE source = 'chub'
+        AND tokenDescriptionCount = 0
+        AND tokenPersonalityCount = 0
+        AND tokenScenarioCount = 0
+        AND tokenMesExampleCount = 0
+        AND tokenFirstMessageCount = 0
+        AND tokenSystemPromptCount = 0
+        AND tokenPostHistoryCount = 0
+    `).all();
+    log.info(`Found ${cards.length} cards with all zero token counts`);
+
+    const stats = { updated: 0, skipped: 0, noMetadata: 0, total: cards.length };
+    if (cards.length === 0) {
+        return stats;
+    }
+
+    const updateStmt = db.prepare(`
+        UPDATE cards
+        SET tokenDescriptionCount = ?,
+            tokenPersonalityCount = ?,
+            tokenScenarioCount = ?,
+            tokenMesExampleCount = ?,
+            tokenFirstMessageCount = ?,
+            tokenSystemPromptCount = ?,
+            tokenPostHistoryCount = ?
+        WHERE id = ?
+    `);
+
+    // Use transaction for bulk updates
+    const updateMany = db.transaction(() => {
+        for (let i = 0; i < cards.length; i++) {
+            const card = cards[i];
+
+            if (i % 500 === 0) {
+                onProgress({ processed: i, ...stats });
+            }
+
+            const metadata = readMetadataFile(card.id);
+            if (!metadata) {
+                stats.noMetadata++;
+                continue;
+            }
+
+            // For backfill, parse directly from labels to bypass existing zero tokenCounts
+            let counts = null;
+            if (metadata.labels) {
+                const parsed = extractTokenCountLabel(metadata.labels);
+                if (parsed) {
+                    counts = normalizeTokenCounts(parsed);
+                }
+            }
+
+            if (!counts) {
+                stats.skipped++;
+                continue;
+            }
+
+            updateStmt.run(
+                counts.tokenDescriptionCount ?? 0,
+                counts.tokenPersonalityCount ?? 0,
+                counts.tokenScenarioCount ?? 0,
+                counts.tokenMesExampleCount ?? 0,
+                counts.tokenFirstMessageCount ?? 0,
+                counts.tokenSystemPromptCount ?? 0,
+                counts.tokenPostHistoryCount ?? 0,
+                card.id
+            );
+
+            // Update JSON file to match database
+            metadata.tokenCounts = counts;
+            metadata.tokenDescriptionCount = counts.tokenDescriptionCount ?? 0;
+            metadata.tokenPersonalityCount = counts.tokenPersonalityCount ?? 0;
+            metadata.tokenScenarioCount = counts.tokenScenarioCount ?? 0;
+            metadata.tokenMesExampleCount = counts.tokenMesExampleCount ?? 0;
+            metadata.tokenFirstMessageCount = counts.tokenFirstMessageCount ?? 0;
+            metadata.tokenSystemPromptCount = counts.tokenSystemPromptCount ?? 0;
+            metadata.tokenPostHistoryCount = counts.tokenPostHistoryCount ?? 0;
+            fs.writeFileSync(getMetadataPath(card.id), JSON.stringify(metadata, null, 2), 'utf8');
+
+            stats.updated++;
+        }
+    });
+
+    updateMany();
+    onProgress({ processed: cards.length, ...stats });
+
+    log.info(`Token count backfill complete: updated ${stats.updated}, skipped ${stats.skipped}, no metadata ${stats.noMetadata}`);
+    cacheService.flush();
+    return stats;
+}
+
+/**
+ * Re-derive feature flags of every Chub card from its PNG
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - Receives { processed, total, updated, skipped }
+ * @returns {{updated: number, skipped: number, total: number}}
+ */
+export function backfillFeatureFlags({ onProgress = () => {} } = {}) {
+    const db = getDatabase();
+
+    const cards = db.prepare(`SELECT id, name FROM cards WHERE source = 'chub'`).all();
+    log.info(`Backfilling feature flags for ${cards.length} cards`);
+
+    const stats = { updated: 0, skipped: 0, total: cards.length };
+    if (cards.length === 0) {
+        return stats;
+    }
+
+    const updateStmt = db.prepare(`
+        UPDATE cards
+        SET hasAlternateGreetings = ?,
+            hasEmbeddedLorebook = ?,
+            hasLinkedLorebook = ?,
+            hasLorebook = ?,
+            hasExampleDialogues = ?,
+            hasSystemPrompt = ?,
+            hasGallery = ?
+        WHERE id = ?
+    `);
+
+    const updateMany = db.transaction(() => {
+        for (let i = 0; i < cards.length; i++) {
+            const card = cards[i];
+
+            if (i % 1000 === 0) {
+                onProgress({ processed: i, ...stats });
+            }
+
+            try {
+                const spec = readCardPngSpec(card.id);
+                if (!spec || !spec.data) {
+                    stats.skipped++;
+                    continue;
+                }
+
+                const flags = deriveFeatures(spec);
+
+                updateStmt.run(
+                    flags.hasAlternateGreetings ? 1 : 0,
+                    flags.hasEmbeddedLorebook ? 1 : 0,
+                    flags.hasLinkedLorebook ? 1 : 0,
+                    flags.hasLorebook ? 1 : 0,
+                    flags.hasExampleDialogues ? 1 : 0,
+                    flags.hasSystemPrompt ? 1 : 0,
+                    flags.hasGallery ? 1 : 0,
+                    card.id
+                );
+
+                const metadata = readMetadataFile(card.id);
+                if (metadata) {
+                    metadata.hasAlternateGreetings = flags.hasAlternateGreetings;
+                    metadata.hasEmbeddedLorebook = flags.hasEmbeddedLorebook;
+                    metadata.hasLinkedLorebook = flags.hasLinkedLorebook;
+                    metadata.hasLorebook = flags.hasLorebook;
+                    metadata.hasExampleDialogues = flags.hasExampleDialogues;
+                    metadata.hasSystemPrompt = flags.hasSystemPrompt;
+                    metadata.hasGallery = flags.hasGallery;
+                    fs.writeFileSync(getMetadataPath(card.id), JSON.stringify(metadata, null, 2), 'utf8');
+                }
+
+                stats.updated++;
+            } catch (error) {
+                log.error(`Failed to process card ${card.id}`, error);
+                stats.skipped++;
+            }
+        }
+    });
+
+    updateMany();
+    onProgress({ processed: cards.length, ...stats });
+
+    log.info(`Feature flag backfill complete: updated ${stats.updated}, skipped ${stats.skipped}`);
+    cacheService.flush();
+    return stats;
+}
@@ -0,0 +1,534 @@
+/**
+ * BackupService - Full and incremental archive backups, and restore
+ *
+ * A backup is one .tar.gz holding:
+ * - the database: a snapshot taken with SQLite's online backup API (cards.db),
+ *   or for an incremental backup the rows changed since its parent (db-delta.jsonl)
+ * - static/ and data/ (minus data/backups, where the archives are written);
+ *   an incremental backup only carries the files that are new or changed
+ * - tag-aliases.json and config.json, with secrets blanked unless asked otherwise
+ * - manifest.json (last entry): every file of the archived state with its
+ *   sha256 and the backup holding its bytes, the files deleted since the
+ *   parent, and per-chunk row hashes of the database
+ *
+ * Each archive gets a copy of its manifest next to it (<name>.manifest.json),
+ * so the next incremental backup can compare against it without unpacking.
+ *
+ * Files are read after the snapshot, so cards downloaded while a backup runs
+ * can be in static/ without a row; the integrity check reports them as orphans.
+ *
+ * Restoring (CLI only, with the server stopped) extracts the full backup and
+ * the increments built on it into a staging folder, replaying each database
+ * delta, verifies every checksum against the last manifest, then moves the
+ * current files aside to pre-restore-<time>/ before moving the restored ones in.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import { getDatabase, initDatabase, DATABASE_FILE } from '../database.js';
+import { requeueAllCards } from './search-index.js';
+import { computeDatabaseState, sameSchema, sameState, writeDatabaseDelta, applyDatabaseDelta } from '../db/delta.js';
+import { moveEntry } from './TrashService.js';
+import { createTarGzWriter, extractTarGz, resolveEntryPath } from '../utils/tar.js';
+import { STATIC_DIR } from '../utils/card-utils.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('BACKUP');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const fsp = fs.promises;
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const DATA_DIR = path.join(ROOT_DIR, 'data');
+export const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+
+const BACKUP_FORMAT = 'character-archive-backup';
+const BACKUP_VERSION = 2;
+const ARCHIVE_PREFIX = 'character-archive-';
+const MANIFEST_ENTRY = 'manifest.json';
+const DATABASE_ENTRY = 'cards.db';
+const DELTA_ENTRY = 'db-delta.jsonl';
+const CONFIG_ENTRY = 'config.json';
+
+// Single files next to the database, by archive entry name
+const ROOT_FILES = {
+    [CONFIG_ENTRY]: path.join(ROOT_DIR, 'config.json'),
+    'tag-aliases.json': path.join(ROOT_DIR, 'tag-aliases.json')
+};
+
+// Folders bundled whole; `skip` lists top-level children left out
+const BUNDLED_DIRS = [
+    { name: 'static', dir: STATIC_DIR, skip: [] },
+    { name: 'data', dir: DATA_DIR, skip: ['backups'] }
+];
+
+// WAL and shared-memory files belong to the database they sit next to
+const DATABASE_SIDE_FILES = ['-wal', '-shm'];
+
+const SECRET_KEY_PATTERN = /(api[-_]?key|token|secret|password|cookie|session|clearance|authorization)/i;
+const MAX_PROBLEMS_SHOWN = 5;
+const PROGRESS_INTERVAL = 500;
+
+/**
+ * Copy of a config object with every secret-looking string value blanked
+ */
+export function stripSecrets(value, key = '') {
+    if (Array.isArray(value)) {
+        return value.map(entry => stripSecrets(entry));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([childKey, child]) => [childKey, stripSecrets(child, childKey)]));
+    }
+    return typeof value === 'string' && value && SECRET_KEY_PATTERN.test(key) ? '' : value;
+}
+
+function readAppVersion() {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'package.json'), 'utf8')).version || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Regular files under the bundled folders, sorted, as { name, path }
+ */
+function collectBundledFiles() {
+    const files = [];
+    const walk = (dir, name, skip = []) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (skip.includes(entry.name)) continue;
+            const fullPath = path.join(dir, entry.name);
+            const entryName = `${name}/${entry.name}`;
+            if (entry.isDirectory()) {
+                walk(fullPath, entryName);
+            } else if (entry.isFile()) {
+                files.push({ name: entryName, path: fullPath });
+            }
+        }
+    };
+
+    for (const bundle of BUNDLED_DIRS) {
+        if (fs.existsSync(bundle.dir)) {
+            walk(bundle.dir, bundle.name, bundle.skip);
+        }
+    }
+    return files.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function archiveFileName(id) {
+    return `${ARCHIVE_PREFIX}${id}.tar.gz`;
+}
+
+function sidecarPath(archivePath) {
+    return archivePath.replace(/\.tar\.gz$/, '.manifest.json');
+}
+
+function readSidecar(archivePath) {
+    const manifestPath = sidecarPath(archivePath);
+    return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null;
+}
+
+/**
+ * Manifest of the newest backup in `dir` an incremental backup can build on
+ */
+function findLatestManifest(dir) {
+    if (!fs.existsSync(dir)) return null;
+    const latest = fs.readdirSync(dir)
+        .filter(name => name.startsWith(ARCHIVE_PREFIX) && name.endsWith('.tar.gz'))
+        .sort()
+        .pop();
+    if (!latest) return null;
+    const manifest = readSidecar(path.join(dir, latest));
+    return manifest?.version >= 2 && manifest.database?.state ? manifest : null;
+}
+
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Write a backup archive
+ * @param {object} [options]
+ * @param {boolean} [options.includeSecrets=false] - Keep API keys, tokens and cookies in config.json
+ * @param {boolean} [options.incremental=false] - Only bundle what changed since the newest backup in outputDir
+ * @param {string} [options.outputDir=BACKUP_DIR]
+ * @param {Function} [options.onProgress] - Receives { processed, total, bytes }
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<object>} Summary with the archive path, or { aborted: true }
+ */
+export async function createBackup({ includeSecrets = false, incremental = false, outputDir = BACKUP_DIR, onProgress = () => {}, signal } = {}) {
+    const createdAt = new Date().toISOString();
+    const id = createdAt.replace(/[:.]/g, '-');
+    const workDir = path.join(BACKUP_DIR, `.tmp-${id}`);
+    const archivePath = path.join(path.resolve(outputDir), archiveFileName(id));
+    const partialPath = `${archivePath}.partial`;
+
+    const parent = incremental ? findLatestManifest(path.dirname(archivePath)) : null;
+    if (incremental && !parent) {
+        log.info('No earlier backup to build on; writing a full backup');
+    }
+
+    await fsp.mkdir(workDir, { recursive: true });
+    await fsp.mkdir(path.dirname(archivePath), { recursive: true });
+
+    const manifest = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        id,
+        kind: parent ? 'incremental' : 'full',
+        parent: parent?.id ?? null,
+        createdAt,
+        appVersion: readAppVersion(),
+        secretsStripped: !includeSecrets,
+        cards: 0,
+        database: null,
+        files: [],
+        deleted: []
+    };
+    let bytes = 0;
+    let written = 0;
+    let skipped = 0;
+
+    try {
+        const snapshotPath = path.join(workDir, DATABASE_ENTRY);
+        const deltaPath = path.join(workDir, DELTA_ENTRY);
+        log.info('Snapshotting database');
+        await getDatabase().backup(snapshotPath);
+
+        const snapshot = new Database(snapshotPath, { readonly: true });
+        let state;
+        let delta = null;
+        try {
+            manifest.cards = snapshot.prepare('SELECT COUNT(*) AS count FROM cards').get().count;
+            state = computeDatabaseState(snapshot);
+            // A schema change (migration) since the parent needs the whole database again
+            if (parent && sameSchema(parent.database.state.schema, state.schema)) {
+                delta = writeDatabaseDelta(snapshot, parent.database.state, state, deltaPath);
+            }
+        } finally {
+            snapshot.close();
+        }
+
+        const writer = createTarGzWriter(partialPath);
+        const record = (name, result, mtime = null) => {
+            manifest.files.push({ path: name, size: result.size, sha256: result.sha256, mtime, archive: id });
+            bytes += result.size;
+            written++;
+        };
+
+        if (delta) {
+            const result = await writer.addFile(DELTA_ENTRY, deltaPath);
+            manifest.database = { mode: 'delta', entry: DELTA_ENTRY, ...result, chunks: delta.chunks, rows: delta.rows, state };
+        } else {
+            const result = await writer.addFile(DATABASE_ENTRY, snapshotPath);
+            manifest.database = { mode: 'snapshot', entry: DATABASE_ENTRY, ...result, state };
+        }
+        bytes += manifest.database.size;
+
+        for (const [name, filePath] of Object.entries(ROOT_FILES)) {
+            if (!fs.existsSync(filePath)) continue;
+            if (name === CONFIG_ENTRY && !includeSecrets) {
+                const config = stripSecrets(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+                record(name, await writer.addBuffer(name, Buffer.from(JSON.stringify(config, null, 4))));
+            } else {
+                record(name, await writer.addFile(name, filePath));
+            }
+        }
+
+        const previousFiles = new Map((parent?.files || []).map(file => [file.path, file]));
+        const files = collectBundledFiles();
+        log.info(parent ? `Comparing ${files.length} files with backup ${parent.id}` : `Bundling ${files.length} files`);
+        for (const [index, file] of files.entries()) {
+            if (signal?.aborted) break;
+            try {
+                const { size, mtimeMs } = await fsp.stat(file.path);
+                const previous = previousFiles.get(file.name);
+                if (previous && previous.size === size && previous.mtime === mtimeMs) {
+                    manifest.files.push(previous);
+                } else if (previous && previous.size === size && await hashFile(file.path) === previous.sha256) {
+                    // Touched but not changed (a refresh that fetched the same card)
+                    manifest.files.push({ ...previous, mtime: mtimeMs });
+                } else {
+                    record(file.name, await writer.addFile(file.name, file.path), mtimeMs);
+                }
+            } catch (error) {
+                // Removed since the folder walk (trash purge, card refresh)
+                if (error.code !== 'ENOENT') throw error;
+                skipped++;
+            }
+            if ((index + 1) % PROGRESS_INTERVAL === 0) {
+                onProgress({ processed: index + 1, total: files.length, bytes });
+            }
+        }
+
+        if (signal?.aborted) {
+            await writer.close();
+            await fsp.rm(partialPath, { force: true });
+            log.info('Backup canceled');
+            return { aborted: true };
+        }
+
+        const current = new Set(manifest.files.map(file => file.path));
+        manifest.deleted = [...previousFiles.keys()].filter(name => !current.has(name));
+
+        const manifestBuffer = Buffer.from(JSON.stringify(manifest));
+        await writer.addBuffer(MANIFEST_ENTRY, manifestBuffer);
+        await writer.close();
+        await fsp.rename(partialPath, archivePath);
+        await fsp.writeFile(sidecarPath(archivePath), manifestBuffer);
+    } catch (error) {
+        await fsp.rm(partialPath, { force: true });
+        throw error;
+    } finally {
+        await fsp.rm(workDir, { recursive: true, force: true });
+    }
+
+    const { size } = await fsp.stat(archivePath);
+    log.info(`${manifest.kind === 'full' ? 'Full' : 'Incremental'} backup written to ${archivePath} (${written} of ${manifest.files.length} files, ${manifest.cards} cards)`);
+    return {
+        file: archivePath,
+        size,
+        createdAt,
+        kind: manifest.kind,
+        parent: manifest.parent,
+        database: manifest.database.mode,
+        cards: manifest.cards,
+        files: manifest.files.length,
+        written,
+        deleted: manifest.deleted.length,
+        bytes,
+        skipped,
+        secretsStripped: manifest.secretsStripped
+    };
+}
+
+/**
+ * Archives to restore for `archivePath`, oldest first: the full backup and
+ * every increment up to it, found through the manifests kept next to them
+ */
+export function resolveBackupChain(archivePath) {
+    const chain = [path.resolve(archivePath)];
+    const dir = path.dirname(chain[0]);
+    let manifest = readSidecar(chain[0]);
+
+    while (manifest?.parent) {
+        const parentPath = path.join(dir, archiveFileName(manifest.parent));
+        if (!fs.existsSync(parentPath)) {
+            throw new Error(`Backup ${manifest.parent}, which ${path.basename(chain[0])} builds on, is not in ${dir}`);
+        }
+        chain.unshift(parentPath);
+        manifest = readSidecar(parentPath);
+    }
+    return chain;
+}
+
+/**
+ * Make sure an extracted manifest is a backup that continues the chain so far
+ */
+function checkChainLink(previous, manifest, archivePath) {
+    const name = path.basename(archivePath);
+    if (manifest?.format !== BACKUP_FORMAT) {
+        throw new Error(`${name} is not a Character Archive backup (manifest format missing)`);
+    }
+    if (!Number.isInteger(manifest.version) || manifest.version > BACKUP_VERSION) {
+        throw new Error(`${name} has unsupported backup version ${manifest.version}`);
+    }
+    if (!previous && manifest.kind === 'incremental') {
+        throw new Error(`${name} is an incremental backup; restore it together with the backups it builds on, oldest first`);
+    }
+    if (previous && (manifest.kind !== 'incremental' || manifest.parent !== previous.id)) {
+        throw new Error(`${name} does not build on backup ${previous.id ?? previous.createdAt}`);
+    }
+}
+
+/**
+ * Compare the files extracted so far with the manifest
+ * @param {object} manifest
+ * @param {Map<string, {size: number, sha256: string}>} extracted - Entry name => what was extracted
+ * @returns {string[]} Problems found; empty when the backup is intact
+ */
+export function verifyManifest(manifest, extracted) {
+    const problems = [];
+    const listed = new Set();
+    for (const file of manifest.files || []) {
+        listed.add(file.path);
+        const entry = extracted.get(file.path);
+        if (!entry) {
+            problems.push(`${file.path} is missing${file.archive && file.archive !== manifest.id ? ` (from backup ${file.archive})` : ''}`);
+        } else if (entry.size !== file.size || entry.sha256 !== file.sha256) {
+            problems.push(`${file.path} does not match its checksum`);
+        }
+    }
+    for (const name of extracted.keys()) {
+        if (!listed.has(name)) {
+            problems.push(`${name} is not in the manifest`);
+        }
+    }
+    // Version 1 lists the database among the files; later versions check it separately
+    if (manifest.version < 2 && !listed.has(DATABASE_ENTRY)) {
+        problems.push(`${DATABASE_ENTRY} is missing`);
+    }
+    return problems;
+}
+
+/**
+ * Apply one version 2 archive on top of what is staged: check its database
+ * entry, replay the delta if it is one, and drop files deleted since its parent
+ */
+async function replayIncrement(stagingDir, manifest, extracted) {
+    const { database } = manifest;
+    const entry = database && extracted.get(database.entry);
+    if (!entry || entry.size !== database.size || entry.sha256 !== database.sha256) {
+        throw new Error(`Backup ${manifest.id} failed verification: the database ${database?.mode ?? 'entry'} is missing or does not match its checksum`);
+    }
+    extracted.delete(database.entry);
+
+    if (database.mode === 'delta') {
+        const deltaPath = path.join(stagingDir, DELTA_ENTRY);
+        const staged = new Database(path.join(stagingDir, DATABASE_ENTRY));
+        try {
+            const applied = await applyDatabaseDelta(staged, deltaPath);
+            log.info(`Replayed ${applied.rows} rows in ${applied.chunks} chunks from backup ${manifest.id}`);
+        } finally {
+            staged.close();
+        }
+        await fsp.rm(deltaPath, { force: true });
+    }
+
+    for (const name of manifest.deleted || []) {
+        await fsp.rm(resolveEntryPath(stagingDir, name), { force: true });
+        extracted.delete(name);
+    }
+}
+
+function checkDatabaseFile(databasePath, expectedState = null) {
+    const database = new Database(databasePath, { readonly: true });
+    try {
+        const result = database.pragma('quick_check', { simple: true });
+        if (result !== 'ok') {
+            throw new Error(`Restored database failed its integrity check: ${result}`);
+        }
+        if (expectedState && !sameState(computeDatabaseState(database), expectedState)) {
+            throw new Error('Restored database does not match the row checksums in the backup manifest');
+        }
+    } finally {
+        database.close();
+    }
+}
+
+/**
+ * Live path for every restored top-level item, plus what gets moved aside first
+ */
+function planRestore(stagingDir, manifest, restoreConfig) {
+    const moves = [{ staged: path.join(stagingDir, DATABASE_ENTRY), live: DATABASE_FILE }];
+    const aside = [DATABASE_FILE, ...DATABASE_SIDE_FILES.map(suffix => `${DATABASE_FILE}${suffix}`)];
+    const listed = new Set(manifest.files.map(file => file.path));
+
+    for (const [name, livePath] of Object.entries(ROOT_FILES)) {
+        if (!listed.has(name)) continue;
+        if (name === CONFIG_ENTRY) {
+            // A stripped config would wipe the keys of the one in place
+            const keepCurrent = manifest.secretsStripped && !restoreConfig && fs.existsSync(livePath);
+            if (keepCurrent) continue;
+        }
+        moves.push({ staged: path.join(stagingDir, name), live: livePath });
+        aside.push(livePath);
+    }
+
+    for (const bundle of BUNDLED_DIRS) {
+        const current = fs.existsSync(bundle.dir) ? fs.readdirSync(bundle.dir) : [];
+        aside.push(...current.filter(name => !bundle.skip.includes(name)).map(name => path.join(bundle.dir, name)));
+        const stagedDir = path.join(stagingDir, bundle.name);
+        const restored = fs.existsSync(stagedDir) ? fs.readdirSync(stagedDir) : [];
+        moves.push(...restored.map(name => ({ staged: path.join(stagedDir, name), live: path.join(bundle.dir, name) })));
+    }
+
+    return { moves, aside };
+}
+
+/**
+ * Restore a backup over the current archive. The server must not be running.
+ * @param {string|string[]} archives - One archive, whose chain is looked up next
+ *   to it, or a full backup followed by its increments, oldest first
+ * @param {object} [options]
+ * @param {boolean} [options.restoreConfig=false] - Also replace config.json when the backup's has its secrets stripped
+ * @returns {Promise<object>} What was restored and where the previous files went
+ */
+export async function restoreBackup(archives, { restoreConfig = false } = {}) {
+    const chain = Array.isArray(archives) ? archives.map(archive => path.resolve(archive)) : resolveBackupChain(archives);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const stagingDir = path.join(ROOT_DIR, `.restore-${stamp}`);
+    const asideDir = path.join(ROOT_DIR, `pre-restore-${stamp}`);
+    let manifest = null;
+    let moves = [];
+    let moved = 0;
+
+    try {
+        const extracted = new Map();
+        for (const archivePath of chain) {
+            log.info(`Extracting ${archivePath}`);
+            const entries = await extractTarGz(archivePath, name => resolveEntryPath(stagingDir, name));
+
+            const manifestPath = path.join(stagingDir, MANIFEST_ENTRY);
+            const next = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null;
+            checkChainLink(manifest, next, archivePath);
+            manifest = next;
+
+            entries.filter(entry => entry.name !== MANIFEST_ENTRY).forEach(entry => extracted.set(entry.name, entry));
+            if (manifest.version >= 2) {
+                await replayIncrement(stagingDir, manifest, extracted);
+            }
+        }
+
+        const problems = verifyManifest(manifest, extracted);
+        if (problems.length) {
+            const more = problems.length > MAX_PROBLEMS_SHOWN ? ` (+${problems.length - MAX_PROBLEMS_SHOWN} more)` : '';
+            throw new Error(`Backup failed verification: ${problems.slice(0, MAX_PROBLEMS_SHOWN).join('; ')}${more}`);
+        }
+        checkDatabaseFile(path.join(stagingDir, DATABASE_ENTRY), manifest.database?.state);
+
+        const plan = planRestore(stagingDir, manifest, restoreConfig);
+        moves = plan.moves;
+        for (const livePath of plan.aside.filter(entry => fs.existsSync(entry))) {
+            await moveEntry(livePath, path.join(asideDir, path.relative(ROOT_DIR, livePath)));
+        }
+        for (const { staged, live } of moves) {
+            await moveEntry(staged, live);
+            moved++;
+        }
+    } catch (error) {
+        if (moved > 0 || fs.existsSync(asideDir)) {
+            log.error(`Restore stopped partway; the previous files are in ${asideDir}`);
+        }
+        throw error;
+    } finally {
+        await fsp.rm(stagingDir, { recursive: true, force: true });
+    }
+
+    // Older backups get the current schema; Meilisearch picks the cards up from the queue
+    initDatabase();
+    const queued = requeueAllCards();
+    log.info(`Restored backup from ${manifest.createdAt} (${manifest.cards} cards, ${chain.length} archive(s)); ${queued} cards queued for search indexing`);
+
+    return {
+        createdAt: manifest.createdAt,
+        appVersion: manifest.appVersion,
+        archives: chain.length,
+        cards: manifest.cards,
+        files: manifest.files.length,
+        secretsStripped: manifest.secretsStripped,
+        configRestored: moves.some(move => move.live === ROOT_FILES[CONFIG_ENTRY]),
+        previousFiles: fs.existsSync(asideDir) ? asideDir : null,
+        queued
+    };
+}
@@ -0,0 +1,226 @@
+/**
+ * BlocklistService - Per-source card blacklist and retry cooldowns
+ *
+ * Both live in SQLite (source_blocklist / source_cooldown) keyed by
+ * (source, sourceId). The flat files they replace (blacklist.txt,
+ * ct-blacklist.txt, data/<source>-blacklist.txt, data/<source>-cooldown.json)
+ * are imported once on first use and renamed to *.migrated. The legacy text
+ * format ("<id> # <reason>" per line) is still accepted for import/export.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    isBlocklisted,
+    getBlocklistEntry,
+    addBlocklistEntries,
+    addBlocklistEntry,
+    removeBlocklistEntry,
+    listBlocklistEntries,
+    countBlocklistBySource,
+    getCooldown,
+    setCooldown,
+    clearCooldown,
+    pruneCooldowns,
+    listCooldowns
+} from '../db/repositories/BlocklistRepository.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('BLOCKLIST');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const DATA_DIR = path.join(ROOT_DIR, 'data');
+
+// Built-in sources that kept JSON cooldown files before the SQLite tables
+const LEGACY_COOLDOWN_SOURCES = ['chub', 'ct', 'risuai', 'wyvern'];
+
+const LEGACY_BLOCKLIST_FILES = [
+    { source: 'chub', file: path.join(ROOT_DIR, 'blacklist.txt') },
+    { source: 'ct', file: path.join(ROOT_DIR, 'ct-blacklist.txt') },
+    { source: 'ct', file: path.join(DATA_DIR, 'ct-blacklist.txt') },
+    { source: 'risuai', file: path.join(ROOT_DIR, 'risuai-blacklist.txt') },
+    { source: 'risuai', file: path.join(DATA_DIR, 'risuai-blacklist.txt') },
+    { source: 'wyvern', file: path.join(ROOT_DIR, 'wyvern-blacklist.txt') },
+    { source: 'wyvern', file: path.join(DATA_DIR, 'wyvern-blacklist.txt') }
+];
+
+let legacyImported = false;
+
+/**
+ * Parse the legacy blacklist format: one ID per line, optional "# reason" suffix
+ * @returns {Array<{sourceId: string, reason: string|null}>}
+ */
+export function parseLegacyBlocklist(text = '') {
+    const entries = [];
+    for (const line of String(text).split(/\r?\n/)) {
+        const [rawId, ...rest] = line.split('#');
+        const sourceId = rawId.trim();
+        if (!sourceId) continue;
+        const reason = rest.join('#').trim();
+        entries.push({ sourceId, reason: reason || null });
+    }
+    return entries;
+}
+
+export function formatLegacyBlocklist(entries = []) {
+    return entries
+        .map(entry => (entry.reason ? `${entry.sourceId} # ${entry.reason}` : entry.sourceId))
+        .map(line => `${line}\n`)
+        .join('');
+}
+
+function migrateFile(file, importer) {
+    if (!fs.existsSync(file)) {
+        return;
+    }
+    try {
+        const added = importer(fs.readFileSync(file, 'utf8'));
+        fs.renameSync(file, `${file}.migrated`);
+        log.info(`Imported ${added} entries from ${path.relative(ROOT_DIR, file)}`);
+    } catch (error) {
+        log.warn(`Failed to import ${path.relative(ROOT_DIR, file)}`, error);
+    }
+}
+
+/**
+ * Import any legacy blacklist/cooldown files still on disk (once per process)
+ */
+export function ensureLegacyBlocklistsImported() {
+    if (legacyImported) {
+        return;
+    }
+    legacyImported = true;
+
+    for (const { source, file } of LEGACY_BLOCKLIST_FILES) {
+        migrateFile(file, text => importBlocklist(source, text, { addedBy: 'legacy-file' }).added);
+    }
+
+    for (const source of LEGACY_COOLDOWN_SOURCES) {
+        migrateFile(path.join(DATA_DIR, `${source}-cooldown.json`), text => {
+            const cooldowns = JSON.parse(text || '{}');
+            let added = 0;
+            for (const [sourceId, cooledAt] of Object.entries(cooldowns)) {
+                if (Number.isFinite(cooledAt)) {
+                    setCooldown(source, sourceId, { cooledAt });
+                    added++;
+                }
+            }
+            return added;
+        });
+    }
+}
+
+// ==================== Blocklist ====================
+
+export function isSourceBlocked(source, sourceId) {
+    if (sourceId === undefined || sourceId === null || sourceId === '') {
+        return false;
+    }
+    ensureLegacyBlocklistsImported();
+    return isBlocklisted(source, sourceId);
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.reason] - Why the card is blocked
+ * @param {string} [options.addedBy] - What added it (trash, moderation, api, scraper, ...)
+ * @returns {boolean} True when the ID was not blocked before
+ */
+export function blockSourceId(source, sourceId, { reason = null, addedBy = null } = {}) {
+    const normalized = String(sourceId ?? '').trim();
+    if (!normalized) {
+        return false;
+    }
+    ensureLegacyBlocklistsImported();
+    return addBlocklistEntry({ source, sourceId: normalized, reason, addedBy });
+}
+
+export function unblockSourceId(source, sourceId) {
+    ensureLegacyBlocklistsImported();
+    return removeBlocklistEntry(source, String(sourceId ?? '').trim());
+}
+
+/**
+ * All blocked IDs for one source
+ * @returns {Set<string>}
+ */
+export function getBlockedIds(source) {
+    ensureLegacyBlocklistsImported();
+    // LIMIT -1 means no limit in SQLite
+    const { items } = listBlocklistEntries({ source, limit: -1, offset: 0 });
+    return new Set(items.map(item => item.sourceId));
+}
+
+export function getBlockedEntry(source, sourceId) {
+    ensureLegacyBlocklistsImported();
+    return getBlocklistEntry(source, sourceId);
+}
+
+export function listBlocklist({ source = null, search = '', page = 1, limit = 50 } = {}) {
+    ensureLegacyBlocklistsImported();
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const { items, total } = listBlocklistEntries({
+        source,
+        search: typeof search === 'string' ? search.trim() : '',
+        limit: safeLimit,
+        offset: (safePage - 1) * safeLimit
+    });
+    return { items, total, page: safePage, limit: safeLimit, counts: countBlocklistBySource() };
+}
+
+/**
+ * Import text in the legacy format
+ * @returns {{added: number, total: number}} New entries and lines parsed
+ */
+export function importBlocklist(source, text, { addedBy = 'import' } = {}) {
+    const parsed = parseLegacyBlocklist(text);
+    const added = addBlocklistEntries(parsed.map(entry => ({ ...entry, source, addedBy })));
+    return { added, total: parsed.length };
+}
+
+/**
+ * Export one source's blocklist in the legacy format
+ */
+export function exportBlocklist(source) {
+    ensureLegacyBlocklistsImported();
+    const { items } = listBlocklistEntries({ source, limit: -1, offset: 0 });
+    return formatLegacyBlocklist(items);
+}
+
+// ==================== Cooldowns ====================
+
+export function isSourceOnCooldown(source, sourceId, cooldownMs) {
+    ensureLegacyBlocklistsImported();
+    const cooledAt = getCooldown(source, sourceId);
+    return cooledAt !== null && (Date.now() - cooledAt) < cooldownMs;
+}
+
+export function markSourceCooldown(source, sourceId, reason = null) {
+    setCooldown(source, sourceId, { reason });
+}
+
+export function clearSourceCooldown(source, sourceId) {
+    return clearCooldown(source, sourceId);
+}
+
+/**
+ * Drop cooldowns older than `cooldownMs`
+ * @returns {number} Number of pruned entries
+ */
+export function pruneExpiredCooldowns(source, cooldownMs) {
+    ensureLegacyBlocklistsImported();
+    return pruneCooldowns(source, Date.now() - cooldownMs);
+}
+
+export function listSourceCooldowns({ source = null, page = 1, limit = 50 } = {}) {
+    ensureLegacyBlocklistsImported();
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const { items, total } = listCooldowns({ source, limit: safeLimit, offset: (safePage - 1) * safeLimit });
+    return { items, total, page: safePage, limit: safeLimit };
+}
@@ -28,10 +28,17 @@ import { sillyTavernService } from './SillyTavernService.js';
 import { getRemoteCardNames } from './FederationService.js';
 import { appConfig } from './ConfigState.js';
 import { buildMeilisearchFilter } from '../utils/searchUtils.js';
+import { parseSearchQuery } from '../utils/search-query.js';
+import { getAvailableSources } from './scrapers/index.js';
+import { LOCAL_SOURCE } from '../utils/card-upload.js';
 import { logger } from '../utils/logger.js';
 
 const log = logger.scoped('CARD-QUERY');
 
+function mergeTagList(list, extra = []) {
+    return [list, ...extra].filter(Boolean).join(',');
+}
+
 /**
  * Parse and normalize query parameters from request
  */
@@ -41,41 +48,59 @@ export function parseListParams(query) {
     const limit = Number.isFinite(rawLimit) ? Math.min(Math.max(rawLimit, 1), 200) : 48;
 
     const sourceParam = query.source ? query.source.toString() : 'all';
-    const normalizedSource = ['chub', 'ct', 'risuai', 'wyvern'].includes(sourceParam) ? sourceParam : 'all';
+    const knownSources = [...getAvailableSources(), LOCAL_SOURCE];
+    const normalizedSource = knownSources.includes(sourceParam) ? sourceParam : 'all';
 
     const minTokensRaw = parseInt(query.minTokens, 10);
     const minTokens = Number.isFinite(minTokensRaw) && minTokensRaw > 0 ? minTokensRaw : null;
+    const maxTokensRaw = parseInt(query.maxTokens, 10);
+    const maxTokens = Number.isFinite(maxTokensRaw) && maxTokensRaw >= 0 ? maxTokensRaw : null;
+
+    // Qualifiers typed into the search box (author:, tag:, tokens:, ...) act like the filter controls
+    const searchType = (query.type || 'full').toString();
+    const rawQuery = (query.query || '').toString();
+    const syntax = searchType === 'full'
+        ? parseSearchQuery(rawQuery, { sources: knownSources, languages: LANGUAGE_MAPPING })
+        : { text: rawQuery, filters: {}, qualifiers: [], errors: [] };
+    const { filters } = syntax;
+    const flag = name => query[name] === 'true' || filters[name] === true;
 
     return {
         page,
         limit,
-        query: (query.query || '').toString(),
+        query: syntax.text,
+        rawQuery,
         useAdvancedSearch: query.advanced === 'true',
         advancedText: (query.advancedText || '').toString(),
         advancedFilter: (query.advancedFilter || '').toString(),
-        include: (query.include || '').toString(),
-        exclude: (query.exclude || '').toString(),
-        searchType: (query.type || 'full').toString(),
+        include: mergeTagList((query.include || '').toString(), filters.include),
+        exclude: mergeTagList((query.exclude || '').toString(), filters.exclude),
+        searchType,
         tagMatchMode: (query.tagMatchMode || 'or').toString(),
         sort: (query.sort || 'new').toString(),
-        language: query.language ? query.language.toString() : null,
+        language: filters.language || (query.language ? query.language.toString() : null),
         favoriteFilter: query.favorite ? query.favorite.toString() : null,
-        source: normalizedSource,
-        minTokens,
+        source: filters.source || normalizedSource,
+        author: filters.author || (query.author ? query.author.toString() : null),
+        minTokens: filters.minTokens ?? minTokens,
+        maxTokens: filters.maxTokens ?? maxTokens,
         // Feature flags
-        hasAlternateGreetings: query.hasAlternateGreetings === 'true',
-        hasLorebook: query.hasLorebook === 'true',
-        hasEmbeddedLorebook: query.hasEmbeddedLorebook === 'true',
-        hasLinkedLorebook: query.hasLinkedLorebook === 'true',
-        hasExampleDialogues: query.hasExampleDialogues === 'true',
-        hasSystemPrompt: query.hasSystemPrompt === 'true',
-        hasGallery: query.hasGallery === 'true',
-        hasEmbeddedImages: query.hasEmbeddedImages === 'true',
-        hasExpressions: query.hasExpressions === 'true',
+        hasAlternateGreetings: flag('hasAlternateGreetings'),
+        hasLorebook: flag('hasLorebook'),
+        hasEmbeddedLorebook: flag('hasEmbeddedLorebook'),
+        hasLinkedLorebook: flag('hasLinkedLorebook'),
+        hasExampleDialogues: flag('hasExampleDialogues'),
+        hasSystemPrompt: flag('hasSystemPrompt'),
+        hasGallery: flag('hasGallery'),
+        hasEmbeddedImages: flag('hasEmbeddedImages'),
+        hasExpressions: flag('hasExpressions'),
+        hideDuplicates: query.hideDuplicates === 'true',
         // Integration filters
         inSillyTavern: query.inSillyTavern === 'true',
         withSillyStatus: query.withSillyStatus === 'true',
-        followedOnly: query.followedOnly === 'true'
+        followedOnly: query.followedOnly === 'true',
+        // Echoed back so the search box can highlight qualifiers and errors
+        searchSyntax: { input: rawQuery, qualifiers: syntax.qualifiers, errors: syntax.errors }
     };
 }
 
@@ -91,7 +116,7 @@ export function buildCacheKey(params) {
     return JSON.stringify({
         page: params.page,
         limit: params.limit,
-        query: params.query,
+        query: params.rawQuery,
         useAdvancedSearch: params.useAdvancedSearch,
         advancedText: params.advancedText,
         advancedFilter: params.advancedFilter,
@@ -112,7 +137,10 @@ export function buildCacheKey(params) {
         hasEmbeddedImages: params.hasEmbeddedImages,
         hasExpressions: params.hasExpressions,
         followedOnly: params.followedOnly,
-        minTokens: params.minTokens
+        author: params.author,
+        minTokens: params.minTokens,
+        maxTokens: params.maxTokens,
+        hideDuplicates: params.hideDuplicates
     });
 }
 
@@ -223,6 +251,8 @@ export async function performAdvancedSearch(params) {
         exclude: params.exclude,
         tagMatchMode: params.tagMatchMode,
         minTokens: params.minTokens,
+        maxTokens: params.maxTokens,
+        author: params.author,
         language: params.language,
         favoriteFilter: params.favoriteFilter,
         source: params.source,
@@ -348,7 +378,7 @@ export async function performAdvancedSearch(params) {
 }
 
 /**
- * Perform basic database search
+ * Perform basic database search; without Meilisearch, full-text queries use the FTS5 index
  */
 export function performBasicSearch(params, allowedIds) {
     return getCards({
@@ -375,7 +405,11 @@ export function performBasicSearch(params, allowedIds) {
         allowedIds,
         followedOnly: params.followedOnly,
         followedCreators: appConfig.followedCreators || [],
-        minTokens: params.minTokens
+        author: params.author,
+        minTokens: params.minTokens,
+        maxTokens: params.maxTokens,
+        hideDuplicates: params.hideDuplicates,
+        fullTextSearch: !isSearchIndexEnabled()
     });
 }
 
@@ -405,7 +439,8 @@ export async function buildResponse(cards, total, params, advancedInfo = {}) {
             filter: advancedInfo.filter,
             fallbackReason: advancedInfo.fallbackReason
         },
-        vector: advancedInfo.vector
+        vector: advancedInfo.vector,
+        searchSyntax: params.searchSyntax
     };
 }
 
@@ -4,6 +4,10 @@ import path from 'path';
 import { getDatabase } from '../database.js';
 import { appConfig } from '../services/ConfigState.js';
 import { cacheGalleryAssets, getGalleryAssets, clearCardAssets } from './asset-cache.js';
+import { refreshCard } from './scraper.js';
+import { refreshRisuCard } from './scrapers/RisuAiScraper.js';
+import { isPluginSource, refreshPluginCard } from './scrapers/index.js';
+import { LOCAL_SOURCE } from '../utils/card-upload.js';
 import { logger } from '../utils/logger.js';
 
 const log = logger.scoped('CARD-SVC');
@@ -113,3 +117,30 @@ export async function refreshGalleryIfNeeded(cardId) {
         return null;
     }
 }
+
+/**
+ * Re-download a card from its source and re-cache its gallery when favorited
+ * @returns {Promise<object|null>} Gallery cache result, if any
+ */
+export async function refreshCardFromSource(cardId) {
+    const db = getDatabase();
+    const card = db.prepare('SELECT source FROM cards WHERE id = ?').get(cardId);
+
+    if (card?.source === 'ct') {
+        throw new Error('Refreshing Character Tavern cards is not currently supported.');
+    }
+    if (card?.source === LOCAL_SOURCE) {
+        // Local IDs are not Chub IDs; the Chub fallback below would overwrite the card
+        throw new Error('Uploaded cards have no source to refresh from.');
+    }
+
+    if (card?.source === 'risuai') {
+        await refreshRisuCard(cardId, appConfig);
+    } else if (isPluginSource(card?.source)) {
+        await refreshPluginCard(card.source, parseInt(cardId, 10), appConfig);
+    } else {
+        await refreshCard(cardId, appConfig);
+    }
+
+    return refreshGalleryIfNeeded(parseInt(cardId, 10));
+}
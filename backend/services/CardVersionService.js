@@ -0,0 +1,213 @@
+/**
+ * CardVersionService - Archived revisions of card definitions
+ *
+ * Before a sync overwrites a card's files with a newer upstream version, the
+ * files currently on disk are copied to static/versions/<prefix>/<id>/ and
+ * recorded in card_versions with an incrementing revision number.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getDatabase } from '../database.js';
+import {
+    getNextRevision,
+    insertCardVersion,
+    getCardVersions,
+    getCardVersion,
+    getLatestCardVersion
+} from '../db/repositories/CardVersionRepository.js';
+import { getCardFilePaths, readCardPngSpec, readCardSpecFromPaths, STATIC_DIR } from '../utils/card-utils.js';
+import { diffCards } from '../utils/card-diff.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('VERSIONS');
+
+const fsp = fs.promises;
+
+export const VERSIONS_DIR = path.join(STATIC_DIR, 'versions');
+
+// Archived file kinds, keyed by the getCardFilePaths() property they come from
+const VERSION_FILES = [
+    { kind: 'png', pathKey: 'pngPath', extension: 'png' },
+    { kind: 'fullPng', pathKey: 'fullPngPath', extension: 'card.png' },
+    { kind: 'charx', pathKey: 'charxPath', extension: 'charx' },
+    { kind: 'json', pathKey: 'jsonPath', extension: 'json' }
+];
+
+export const VERSION_EXPORT_FORMATS = ['png', 'json', 'charx'];
+
+function getVersionDir(cardId) {
+    const cardIdStr = String(cardId);
+    return path.join(VERSIONS_DIR, cardIdStr.substring(0, 2), cardIdStr);
+}
+
+function getVersionFilePath(cardId, revision, kind) {
+    const entry = VERSION_FILES.find(file => file.kind === kind);
+    if (!entry) {
+        throw new Error(`Unknown version file kind: ${kind}`);
+    }
+    return path.join(getVersionDir(cardId), `r${revision}.${entry.extension}`);
+}
+
+async function readIfExists(filePath) {
+    try {
+        return await fsp.readFile(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Archive the files currently on disk for a card as a new revision.
+ *
+ * No-op when the card has no files yet, or when its files are byte-identical
+ * to the most recent revision (e.g. a forced refresh of an unchanged card).
+ *
+ * @param {number|string} cardId - Card ID
+ * @param {object} [options]
+ * @param {string} [options.reason] - Why the card is being replaced (date_newer, token_count_changed, ...)
+ * @param {string} [options.source] - Source that triggered the overwrite
+ * @returns {Promise<object|null>} Stored version, or null when nothing was archived
+ */
+export async function snapshotCardVersion(cardId, options = {}) {
+    const { reason = 'upstream_update', source = null } = options;
+    const paths = getCardFilePaths(cardId);
+    const numericId = parseInt(cardId, 10);
+
+    const existingFiles = [];
+    for (const file of VERSION_FILES) {
+        const buffer = await readIfExists(paths[file.pathKey]);
+        if (buffer) {
+            existingFiles.push({ ...file, buffer });
+        }
+    }
+
+    if (existingFiles.length === 0) {
+        return null;
+    }
+
+    const hash = crypto.createHash('sha256');
+    for (const file of existingFiles) {
+        hash.update(file.kind);
+        hash.update(file.buffer);
+    }
+    const contentHash = hash.digest('hex');
+
+    const latest = getLatestCardVersion(numericId);
+    if (latest && latest.contentHash === contentHash) {
+        log.debug(`Card ${cardId} already archived as revision ${latest.revision}, skipping snapshot`);
+        return null;
+    }
+
+    const revision = getNextRevision(numericId);
+    const versionDir = getVersionDir(cardId);
+    await fsp.mkdir(versionDir, { recursive: true });
+
+    for (const file of existingFiles) {
+        await fsp.writeFile(getVersionFilePath(cardId, revision, file.kind), file.buffer);
+    }
+
+    const row = getDatabase().prepare(
+        'SELECT name, author, source, lastModified, tokenCount FROM cards WHERE id = ?'
+    ).get(numericId);
+
+    return insertCardVersion({
+        cardId: numericId,
+        revision,
+        source: source || row?.source || null,
+        reason,
+        name: row?.name || '',
+        author: row?.author || '',
+        lastModified: row?.lastModified || null,
+        tokenCount: row?.tokenCount ?? null,
+        contentHash,
+        files: existingFiles.map(file => file.kind),
+        storagePath: path.relative(STATIC_DIR, versionDir).split(path.sep).join('/')
+    });
+}
+
+/**
+ * List archived revisions for a card, newest first
+ */
+export function listCardVersions(cardId) {
+    return getCardVersions(parseInt(cardId, 10));
+}
+
+/**
+ * Resolve the archived file for a revision in the requested export format
+ * @returns {{ version: object, filePath: string, filename: string } | null}
+ */
+export function resolveVersionExport(cardId, revision, format = 'png') {
+    const numericId = parseInt(cardId, 10);
+    const version = getCardVersion(numericId, revision);
+    if (!version) {
+        return null;
+    }
+
+    // Prefer the full RisuAI PNG (with embedded assets) when one was archived
+    const candidates = format === 'png' ? ['fullPng', 'png'] : [format];
+    const kind = candidates.find(candidate => version.files.includes(candidate));
+    if (!kind) {
+        return { version, filePath: null, filename: null };
+    }
+
+    const extension = format === 'png' ? 'png' : format;
+    return {
+        version,
+        filePath: getVersionFilePath(numericId, revision, kind),
+        filename: `${numericId}-r${revision}.${extension}`
+    };
+}
+
+/**
+ * Parse the card definition for a revision number, or the live files for 'current'
+ * @returns {object|null} Parsed card spec
+ */
+export function loadRevisionSpec(cardId, revision) {
+    const numericId = parseInt(cardId, 10);
+    if (revision === 'current') {
+        return readCardPngSpec(numericId);
+    }
+
+    const version = getCardVersion(numericId, revision);
+    if (!version) {
+        return null;
+    }
+
+    const archivedPath = kind => (version.files.includes(kind)
+        ? getVersionFilePath(numericId, revision, kind)
+        : null);
+
+    return readCardSpecFromPaths({
+        pngPath: archivedPath('png'),
+        fullPngPath: archivedPath('fullPng'),
+        charxPath: archivedPath('charx'),
+        jsonPath: archivedPath('json')
+    }, `${numericId} r${revision}`);
+}
+
+/**
+ * Field-level diff between two revisions of a card
+ * @param {number|string} cardId - Card ID
+ * @param {number|'current'} from - Older revision
+ * @param {number|'current'} to - Newer revision
+ * @returns {object|null} Diff, or null when either side cannot be loaded
+ */
+export function diffCardRevisions(cardId, from, to) {
+    const before = loadRevisionSpec(cardId, from);
+    const after = loadRevisionSpec(cardId, to);
+    if (!before || !after) {
+        return null;
+    }
+
+    return {
+        cardId: parseInt(cardId, 10),
+        from,
+        to,
+        ...diffCards(before, after)
+    };
+}
@@ -0,0 +1,149 @@
+/**
+ * DenyListService - Blocked tags and creators enforced at sync time
+ *
+ * Tags are universal and stored in canonical form (tag aliases applied), so
+ * blocking one variant blocks the whole alias group. Creators are scoped by
+ * source because the same handle on two sites is not the same person.
+ * Scrapers call checkDenyList() before writing any card files.
+ */
+
+import {
+    listBlockedTags,
+    addBlockedTag,
+    removeBlockedTag,
+    listBlockedCreators,
+    addBlockedCreator,
+    removeBlockedCreator
+} from '../db/repositories/DenyListRepository.js';
+import { canonicalizeTag } from '../db/repositories/TagRepository.js';
+
+// Lookup sets, rebuilt after every change
+let cache = null;
+
+function normalizeCreator(creator) {
+    return typeof creator === 'string' ? creator.trim().toLowerCase() : '';
+}
+
+function loadCache() {
+    if (!cache) {
+        const creators = new Map();
+        for (const { source, creator } of listBlockedCreators()) {
+            if (!creators.has(source)) {
+                creators.set(source, new Set());
+            }
+            creators.get(source).add(creator);
+        }
+        cache = {
+            tags: new Set(listBlockedTags().map(row => row.tag)),
+            creators
+        };
+    }
+    return cache;
+}
+
+function toTagList(tags) {
+    if (Array.isArray(tags)) return tags;
+    if (typeof tags === 'string') return tags.split(',');
+    return [];
+}
+
+/**
+ * Move the block lists that used to live in config (ctSync.bannedTags and the
+ * Chub-only blockedCreators) into the deny-list tables and drop them from config
+ * @returns {boolean} True when config changed and should be saved
+ */
+export function migrateLegacyDenyList(config) {
+    const bannedTags = config.ctSync?.bannedTags;
+    const blockedCreators = config.blockedCreators;
+    if (bannedTags === undefined && blockedCreators === undefined) {
+        return false;
+    }
+
+    for (const tag of toTagList(bannedTags)) {
+        blockTag(tag, 'Migrated from ctSync.bannedTags');
+    }
+    for (const creator of toTagList(blockedCreators)) {
+        blockCreator('chub', creator, 'Migrated from blockedCreators');
+    }
+
+    if (config.ctSync) {
+        delete config.ctSync.bannedTags;
+    }
+    delete config.blockedCreators;
+    return true;
+}
+
+/**
+ * Check a card against the deny-list
+ * @param {object} card
+ * @param {string} card.source - Source identifier (chub, ct, risuai, wyvern)
+ * @param {string} [card.author] - Creator name as stored on the card
+ * @param {string[]|string} [card.tags] - Tag array or comma-separated topics
+ * @returns {{type: 'creator'|'tag', value: string}|null} The first match, or null when allowed
+ */
+export function checkDenyList({ source, author, tags } = {}) {
+    const { tags: blockedTags, creators } = loadCache();
+
+    const creator = normalizeCreator(author);
+    if (creator && creators.get(source)?.has(creator)) {
+        return { type: 'creator', value: creator };
+    }
+
+    if (blockedTags.size > 0) {
+        for (const tag of toTagList(tags)) {
+            const canonical = canonicalizeTag(tag);
+            if (canonical && blockedTags.has(canonical)) {
+                return { type: 'tag', value: canonical };
+            }
+        }
+    }
+
+    return null;
+}
+
+export function getDenyList() {
+    return {
+        tags: listBlockedTags(),
+        creators: listBlockedCreators()
+    };
+}
+
+/**
+ * @returns {object|null} The stored row, or null when the tag is empty
+ */
+export function blockTag(tag, reason = null) {
+    const canonical = canonicalizeTag(tag);
+    if (!canonical) {
+        return null;
+    }
+    const row = addBlockedTag(canonical, reason || null);
+    cache = null;
+    return row;
+}
+
+export function unblockTag(tag) {
+    const canonical = canonicalizeTag(tag);
+    const result = canonical ? removeBlockedTag(canonical) : { changes: 0 };
+    cache = null;
+    return result.changes > 0;
+}
+
+/**
+ * @returns {object|null} The stored row, or null when source or creator is missing
+ */
+export function blockCreator(source, creator, reason = null) {
+    const normalized = normalizeCreator(creator);
+    if (!source || !normalized) {
+        return null;
+    }
+    const row = addBlockedCreator(source, normalized, reason || null);
+    cache = null;
+    return row;
+}
+
+export function unblockCreator(source, creator) {
+    const result = removeBlockedCreator(source, normalizeCreator(creator));
+    cache = null;
+    return result.changes > 0;
+}
+
@@ -0,0 +1,215 @@
+/**
+ * DuplicateService - Cross-source duplicate detection
+ *
+ * The same character is often mirrored from Chub to Character Tavern, RisuAI
+ * or Wyvern. Every card gets a signature: a MinHash of its definition text and
+ * a dHash of its avatar, stored in card_signatures with LSH bucket keys so
+ * candidates are found by lookup instead of comparing every pair. Cards from
+ * different sources that match closely enough are recorded in card_duplicates.
+ *
+ * Signatures are computed by the 'backfill.duplicates' job, which every sync
+ * queues when it finishes. Re-downloading a card drops its signature through a
+ * trigger, so changed cards are re-checked on the next pass.
+ */
+
+import { getDatabase, getCardsByIdsOrdered } from '../database.js';
+import {
+    saveCardSignature,
+    findBucketNeighbours,
+    listCardsWithoutSignature,
+    countCardsWithoutSignature,
+    clearCardSignatures,
+    replacePendingDuplicates,
+    getDuplicatePair,
+    listDuplicatesForCard,
+    setDuplicateStatus,
+    addSourceLink,
+    moveSourceLinks,
+    listSourceLinks
+} from '../db/repositories/DuplicateRepository.js';
+import { trashCard } from './TrashService.js';
+import { getCardImageHash, matchPlaceholderHash } from './ImageHashService.js';
+import { readCardPngSpec } from '../utils/card-utils.js';
+import { shingle, computeMinHash, signatureToHex, signatureFromHex, estimateSimilarity, lshBuckets } from '../utils/minhash.js';
+import { hammingDistance } from '../utils/image-hash.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('DUPES');
+
+const TEXT_FIELDS = ['description', 'personality', 'scenario', 'first_mes'];
+// Very short definitions share most of their shingles by accident
+const MIN_SHINGLES = 8;
+const TEXT_MATCH = 0.8;
+// Looser text match accepted when the avatars agree as well
+const TEXT_WITH_AVATAR_MATCH = 0.5;
+const AVATAR_MATCH_BITS = 6;
+// dHash split into 4 bands of 16 bits; copies within 3 bits always share one
+const AVATAR_BANDS = 4;
+const SCAN_BATCH_SIZE = 200;
+
+function collectText(cardId, spec) {
+    const data = spec?.data || spec || {};
+    const parts = TEXT_FIELDS.map(field => data[field]).filter(value => typeof value === 'string' && value.trim());
+    if (parts.length > 0) {
+        return parts.join('\n');
+    }
+    const row = getDatabase().prepare('SELECT description FROM cards WHERE id = ?').get(cardId);
+    return row?.description || '';
+}
+
+// Solid or near-solid images hash to (almost) all zeros or ones and match each other
+function isInformativeHash(hash) {
+    const ones = hammingDistance(hash, '0'.repeat(hash.length));
+    return ones >= 4 && ones <= hash.length * 4 - 4;
+}
+
+// Placeholder avatars are shared by unrelated cards, so they don't count as a match
+function readAvatarHash(cardId) {
+    const hash = getCardImageHash(cardId);
+    return hash && isInformativeHash(hash) && !matchPlaceholderHash(hash) ? hash : null;
+}
+
+function avatarBands(hash) {
+    const width = hash.length / AVATAR_BANDS;
+    return Array.from({ length: AVATAR_BANDS }, (_, band) => hash.slice(band * width, band * width + width));
+}
+
+function compareSignatures(textSignature, avatarHash, other) {
+    const textSimilarity = textSignature ? estimateSimilarity(textSignature, signatureFromHex(other.textMinhash)) : 0;
+    const distance = hammingDistance(avatarHash, other.avatarHash);
+    const avatarDistance = Number.isFinite(distance) ? distance : null;
+
+    const isDuplicate = textSimilarity >= TEXT_MATCH
+        || (textSimilarity >= TEXT_WITH_AVATAR_MATCH && avatarDistance !== null && avatarDistance <= AVATAR_MATCH_BITS);
+    return isDuplicate ? { otherId: other.cardId, textSimilarity, avatarDistance } : null;
+}
+
+/**
+ * Compute and store a card's signature, then record its duplicates in other sources
+ * @param {{id: number, source: string}} card
+ * @returns {number} Duplicates found
+ */
+export function indexCard(card) {
+    const spec = readCardPngSpec(card.id);
+    const shingles = shingle(collectText(card.id, spec));
+    const textSignature = shingles.size >= MIN_SHINGLES ? computeMinHash(shingles) : null;
+    const avatarHash = readAvatarHash(card.id);
+
+    const textBuckets = textSignature ? lshBuckets(textSignature) : [];
+    const avatarBuckets = avatarHash ? avatarBands(avatarHash) : [];
+
+    saveCardSignature({
+        cardId: card.id,
+        source: card.source,
+        textMinhash: textSignature ? signatureToHex(textSignature) : null,
+        avatarHash,
+        textBuckets,
+        avatarBuckets
+    });
+
+    const matches = findBucketNeighbours(card.id, { textBuckets, avatarBuckets })
+        .filter(other => other.source !== card.source)
+        .map(other => compareSignatures(textSignature, avatarHash, other))
+        .filter(Boolean);
+
+    replacePendingDuplicates(card.id, matches);
+    return matches.length;
+}
+
+/**
+ * Sign every card that has no signature yet
+ * @param {object} [options]
+ * @param {boolean} [options.rescan=false] - Drop all signatures and pending pairs first
+ * @param {Function} [options.onProgress] - Receives { processed, total, duplicates, failed }
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{processed: number, total: number, duplicates: number, failed: number}>}
+ */
+export async function scanDuplicates({ rescan = false, onProgress = () => {}, signal } = {}) {
+    if (rescan) {
+        clearCardSignatures();
+    }
+
+    const stats = { processed: 0, total: countCardsWithoutSignature(), duplicates: 0, failed: 0 };
+    let afterId = 0;
+
+    while (!signal?.aborted) {
+        const batch = listCardsWithoutSignature({ afterId, limit: SCAN_BATCH_SIZE });
+        if (batch.length === 0) {
+            break;
+        }
+
+        for (const card of batch) {
+            try {
+                stats.duplicates += indexCard(card);
+            } catch (error) {
+                stats.failed++;
+                log.warn(`Failed to sign card ${card.id}`, error);
+            }
+            stats.processed++;
+        }
+        afterId = batch[batch.length - 1].id;
+        onProgress({ ...stats });
+
+        // Let requests through between batches
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    if (stats.duplicates > 0) {
+        log.info(`Duplicate scan found ${stats.duplicates} pair(s) across ${stats.processed} card(s)`);
+    }
+    return stats;
+}
+
+/**
+ * Pending duplicates of a card with the other card's listing row, plus the
+ * source links merged into it
+ */
+export function getCardDuplicates(cardId) {
+    const rows = listDuplicatesForCard(cardId);
+    const cards = new Map(getCardsByIdsOrdered(rows.map(row => row.otherId)).map(card => [Number(card.id), card]));
+
+    return {
+        duplicates: rows
+            .filter(row => cards.has(row.otherId))
+            .map(row => ({ ...row, card: cards.get(row.otherId) })),
+        links: listSourceLinks(cardId)
+    };
+}
+
+/**
+ * Keep one card of a duplicate pair and trash the other. The dropped card's
+ * source is recorded as a link on the kept card and blocklisted, so the next
+ * sync doesn't download the mirror again.
+ * @returns {Promise<object|null>} null when the two cards aren't a recorded pair
+ */
+export async function mergeDuplicates(keepId, dropId) {
+    if (!getDuplicatePair(keepId, dropId)) {
+        return null;
+    }
+
+    const dropped = getDatabase().prepare('SELECT source, sourceId, sourceUrl FROM cards WHERE id = ?').get(dropId);
+    if (!dropped) {
+        return null;
+    }
+
+    moveSourceLinks(dropId, keepId);
+    addSourceLink({
+        cardId: keepId,
+        source: dropped.source,
+        sourceId: dropped.sourceId,
+        sourceUrl: dropped.sourceUrl || null,
+        mergedFromId: Number(dropId)
+    });
+    await trashCard(dropId, { reason: 'merged', blacklist: true });
+    log.info(`Merged card ${dropId} (${dropped.source}) into ${keepId}`);
+
+    return { keptId: Number(keepId), trashedId: Number(dropId), links: listSourceLinks(keepId) };
+}
+
+/**
+ * Mark a pair as not duplicates; later scans leave it alone
+ * @returns {boolean} false when the pair isn't recorded
+ */
+export function dismissDuplicate(cardId, otherId) {
+    return setDuplicateStatus(cardId, otherId, 'dismissed');
+}
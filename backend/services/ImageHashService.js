@@ -0,0 +1,248 @@
+/**
+ * ImageHashService - Perceptual hashes of card images
+ *
+ * Every card PNG gets a 64-bit dHash in card_image_hashes. The hashes are used to:
+ * - recognise placeholder/fuzz images the user has marked once, at any size
+ *   (detectFuzzPattern() in png-utils asks matchPlaceholderHash())
+ * - notice when a re-downloaded card comes with a different avatar
+ *   (card_avatar_changes)
+ * - find cards with a similar avatar
+ *
+ * upsertCard() re-inserts the row, which marks its hash stale through a
+ * trigger; refreshImageHashes() recomputes stale and missing hashes as the
+ * 'backfill.image-hashes' job, which every sync queues when it finishes.
+ */
+
+import fs from 'fs';
+import { getDatabase, getCardsByIdsOrdered } from '../database.js';
+import {
+    getImageHash,
+    saveImageHash,
+    listCardsNeedingImageHash,
+    countCardsNeedingImageHash,
+    markAllImageHashesStale,
+    iterateImageHashes,
+    insertAvatarChange,
+    getAvatarChanges,
+    getRecentAvatarChanges,
+    listPlaceholderHashes as listPlaceholderRows,
+    addPlaceholderHash,
+    removePlaceholderHash as deletePlaceholderRow
+} from '../db/repositories/ImageHashRepository.js';
+import { getCardFilePaths } from '../utils/card-utils.js';
+import { readPngSize, computeDHash, hammingDistance } from '../utils/image-hash.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('IMG-HASH');
+
+// Re-encodes and resizes stay within a few bits; a different picture is ~32 bits away
+const AVATAR_CHANGE_BITS = 12;
+const PLACEHOLDER_MATCH_BITS = 4;
+export const DEFAULT_SIMILAR_DISTANCE = 10;
+const MAX_SIMILAR_DISTANCE = 20;
+const BATCH_SIZE = 200;
+
+let placeholderCache = null;
+
+function getPlaceholders() {
+    placeholderCache ??= listPlaceholderRows();
+    return placeholderCache;
+}
+
+export function hasPlaceholderHashes() {
+    try {
+        return getPlaceholders().length > 0;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Placeholder entry within a few bits of the hash
+ * @returns {object|null} null when nothing matches or the database isn't open
+ */
+export function matchPlaceholderHash(hash) {
+    if (!hash) {
+        return null;
+    }
+    let placeholders;
+    try {
+        placeholders = getPlaceholders();
+    } catch {
+        // Standalone helpers (e.g. PNG checks in scripts) run without a database
+        return null;
+    }
+    return placeholders.find(entry => hammingDistance(hash, entry.hash) <= PLACEHOLDER_MATCH_BITS) || null;
+}
+
+function readCardImage(cardId) {
+    const { pngPath } = getCardFilePaths(cardId);
+    return fs.existsSync(pngPath) ? fs.readFileSync(pngPath) : null;
+}
+
+/**
+ * Hash a card's PNG and store it. A hash that moved far from the previous one
+ * is recorded as an avatar change; a known placeholder marks the card fuzzed.
+ * @returns {object} The stored card_image_hashes row
+ */
+export function hashCardImage(cardId) {
+    const id = Number(cardId);
+    const previous = getImageHash(id);
+    const buffer = readCardImage(id);
+    const size = buffer ? readPngSize(buffer) : null;
+    const dhash = buffer ? computeDHash(buffer) : null;
+
+    saveImageHash({
+        cardId: id,
+        dhash,
+        width: size?.width ?? null,
+        height: size?.height ?? null,
+        byteSize: buffer?.length ?? null
+    });
+
+    if (previous?.dhash && dhash) {
+        const distance = hammingDistance(previous.dhash, dhash);
+        if (distance > AVATAR_CHANGE_BITS) {
+            insertAvatarChange({ cardId: id, previousHash: previous.dhash, newHash: dhash, distance });
+            log.info(`Avatar of card ${id} changed (${distance} bits)`);
+        }
+    }
+
+    const placeholder = matchPlaceholderHash(dhash);
+    if (placeholder) {
+        getDatabase().prepare('UPDATE cards SET isFuzzed = 1 WHERE id = ? AND COALESCE(isFuzzed, 0) = 0').run(id);
+    }
+
+    return getImageHash(id);
+}
+
+/**
+ * Stored hash of a card's image, computed first when missing or stale
+ * @returns {string|null}
+ */
+export function getCardImageHash(cardId) {
+    const row = getImageHash(cardId);
+    if (row && !row.stale) {
+        return row.dhash;
+    }
+    return hashCardImage(cardId).dhash;
+}
+
+/**
+ * Hash every card that has no hash yet or was re-downloaded since
+ * @param {object} [options]
+ * @param {boolean} [options.rehash=false] - Recompute all hashes
+ * @param {Function} [options.onProgress] - Receives { processed, total, hashed, undecodable, failed }
+ * @param {AbortSignal} [options.signal]
+ */
+export async function refreshImageHashes({ rehash = false, onProgress = () => {}, signal } = {}) {
+    if (rehash) {
+        markAllImageHashesStale();
+    }
+
+    const stats = { processed: 0, total: countCardsNeedingImageHash(), hashed: 0, undecodable: 0, failed: 0 };
+    let afterId = 0;
+
+    while (!signal?.aborted) {
+        const batch = listCardsNeedingImageHash({ afterId, limit: BATCH_SIZE });
+        if (batch.length === 0) {
+            break;
+        }
+
+        for (const { id } of batch) {
+            try {
+                if (hashCardImage(id).dhash) {
+                    stats.hashed++;
+                } else {
+                    stats.undecodable++;
+                }
+            } catch (error) {
+                stats.failed++;
+                log.warn(`Failed to hash image of card ${id}`, error);
+            }
+            stats.processed++;
+        }
+        afterId = batch[batch.length - 1].id;
+        onProgress({ ...stats });
+
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return stats;
+}
+
+/**
+ * Cards whose avatar is within `maxDistance` bits of this card's, closest first
+ * @returns {{hash: string|null, matches: object[], placeholder: object|null}} matches are
+ *          listing cards with `avatarDistance`; placeholder is set when the avatar is a known one
+ */
+export function findSimilarAvatars(cardId, { maxDistance = DEFAULT_SIMILAR_DISTANCE, limit = 24 } = {}) {
+    const hash = getCardImageHash(cardId);
+    if (!hash) {
+        return { hash: null, matches: [], placeholder: null };
+    }
+
+    const threshold = Math.min(Math.max(0, maxDistance), MAX_SIMILAR_DISTANCE);
+    const id = Number(cardId);
+    const found = [];
+    for (const row of iterateImageHashes()) {
+        if (row.cardId === id) continue;
+        const distance = hammingDistance(hash, row.dhash);
+        if (distance <= threshold) {
+            found.push({ cardId: row.cardId, distance });
+        }
+    }
+    found.sort((a, b) => a.distance - b.distance || a.cardId - b.cardId);
+
+    const selected = found.slice(0, limit);
+    const distances = new Map(selected.map(entry => [entry.cardId, entry.distance]));
+    const matches = getCardsByIdsOrdered(selected.map(entry => entry.cardId))
+        .map(card => ({ ...card, avatarDistance: distances.get(Number(card.id)) }));
+
+    return { hash, matches, placeholder: matchPlaceholderHash(hash) };
+}
+
+export function listAvatarChanges(cardId) {
+    return getAvatarChanges(cardId);
+}
+
+export function listRecentAvatarChanges(options) {
+    return getRecentAvatarChanges(options);
+}
+
+export function listPlaceholderHashes() {
+    return listPlaceholderRows();
+}
+
+/**
+ * Remember a card's current avatar as a placeholder; cards using it (and
+ * later downloads of it) are treated as fuzzed
+ * @returns {object|null} The placeholder entry, or null when the image can't be hashed
+ */
+export function markAvatarAsPlaceholder(cardId, label = null) {
+    const hash = getCardImageHash(cardId);
+    if (!hash) {
+        return null;
+    }
+
+    addPlaceholderHash({ hash, label, sourceCardId: Number(cardId) });
+    placeholderCache = null;
+
+    const marked = [];
+    for (const row of iterateImageHashes()) {
+        if (hammingDistance(hash, row.dhash) <= PLACEHOLDER_MATCH_BITS) {
+            marked.push(row.cardId);
+        }
+    }
+    const update = getDatabase().prepare('UPDATE cards SET isFuzzed = 1 WHERE id = ?');
+    marked.forEach(id => update.run(id));
+    log.info(`Marked avatar ${hash} of card ${cardId} as placeholder (${marked.length} card(s))`);
+
+    return { hash, label, sourceCardId: Number(cardId), cardsMarked: marked.length };
+}
+
+export function removePlaceholderHash(hash) {
+    const removed = deletePlaceholderRow(hash);
+    placeholderCache = null;
+    return removed;
+}
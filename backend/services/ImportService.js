@@ -0,0 +1,337 @@
+/**
+ * ImportService - Archive single cards on request
+ *
+ * A pasted card link is mapped to its scraper (utils/card-url.js), resolved to
+ * the list item the scraper's sync would have seen, and run through the same
+ * processCard() path, so blacklists, the deny-list and file layout all apply.
+ * Cards that are already archived are returned as they are.
+ *
+ * Uploaded files (PNG, JSON, CharX, Voxta packages) are stored as
+ * source = 'local', keyed by a hash of the normalized card definition. A file
+ * whose definition matches any archived card, whatever its source, or whose
+ * card links back to a page we already archived (CCv3 `source`, SillyTavern's
+ * chub full_path) counts as a duplicate of that card. Archived cards are hashed
+ * by refreshDefinitionHashes() in the background; uploads only look hashes up.
+ */
+
+import fs from 'fs';
+import { parseCard } from '@character-foundry/loader';
+import { deriveFeatures } from '@character-foundry/schemas';
+import { appConfig } from './ConfigState.js';
+import { getDatabase, getCardsByIdsOrdered, upsertCard, reserveCardId } from '../database.js';
+import { getScraper, getScraperManifest } from './scrapers/index.js';
+import { parseCardUrl } from '../utils/card-url.js';
+import { getCardFilePaths, readCardPngSpec } from '../utils/card-utils.js';
+import { hashCardDefinition } from '../utils/card-diff.js';
+import { LOCAL_SOURCE, getUploadFormat, estimateCardTokens, getCardSourceUrls } from '../utils/card-upload.js';
+import { mergeTokenCounts } from '../utils/token-counts.js';
+import { inferTags } from '../utils/keyword-tagger.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('IMPORT');
+
+const HASH_BATCH_SIZE = 200;
+
+// processCard() reasons worth explaining; anything else is reported as-is
+const SKIP_MESSAGES = {
+    blacklisted: 'This card is on the blacklist',
+    denied: 'This card matches a blocked tag or creator',
+    banned_tags: 'This card has a banned tag',
+    fetch_failed: 'Could not download the card',
+    node_fetch_failed: 'Could not read the card page'
+};
+
+/**
+ * Settings the scraper would get during a sync, minus the filters that only
+ * make sense for bulk crawling
+ */
+function getImportConfig(source) {
+    if (source === 'chub') {
+        return { ...appConfig, min_tokens: 0, includeForks: true };
+    }
+    const { configKey } = getScraperManifest(source) || {};
+    // CT treats a minTokens of 0 as "use the default" (300)
+    return { ...(configKey ? appConfig[configKey] : {}), minTokens: 1 };
+}
+
+function getCard(dbId) {
+    return getCardsByIdsOrdered([dbId])[0] || null;
+}
+
+/**
+ * Archive the card behind a link
+ * @param {string} url - Card page on chub.ai, character-tavern.com, realm.risuai.net or wyvern.chat
+ * @returns {Promise<{created: boolean, card: object|null, source: string, sourceId: string|null, reason?: string, error?: string}>}
+ *          card is null when the card was skipped; reason/error say why
+ * @throws {Error} If the link isn't a supported card page or the site can't be reached
+ */
+export async function importCardFromUrl(url) {
+    const target = parseCardUrl(url);
+    if (!target) {
+        throw new Error('Not a card link from a supported site');
+    }
+
+    const scraper = getScraper(target.source);
+    if (!scraper) {
+        throw new Error(`No scraper registered for ${target.source}`);
+    }
+
+    const config = getImportConfig(target.source);
+    const item = await scraper.resolveImportItem(target.ref, config);
+    if (!item) {
+        return {
+            created: false,
+            card: null,
+            source: target.source,
+            sourceId: null,
+            reason: 'not_found',
+            error: `Card not found on ${scraper.displayName}`
+        };
+    }
+
+    const sourceId = String(scraper.getSourceId(item));
+    const existing = scraper.checkExisting(sourceId);
+    if (existing) {
+        return { created: false, card: getCard(existing.id), source: target.source, sourceId };
+    }
+
+    log.info(`Importing ${scraper.displayName} card ${sourceId} from ${target.url}`);
+    const result = await scraper.processCard(item, { ...config, force: true });
+    if (!result.success) {
+        const reason = result.reason || 'skipped';
+        return {
+            created: false,
+            card: null,
+            source: target.source,
+            sourceId,
+            reason,
+            error: result.error || SKIP_MESSAGES[reason] || `Card was skipped (${reason})`
+        };
+    }
+
+    return { created: true, card: getCard(result.dbId), source: target.source, sourceId };
+}
+
+function findCardByDefinitionHash(hash) {
+    return getDatabase().prepare(
+        'SELECT id FROM cards WHERE definitionHash = ? ORDER BY id LIMIT 1'
+    ).get(hash);
+}
+
+/**
+ * Hash the archived definition of every card that has no hash yet, so uploads
+ * are compared against cards from all sources. upsertCard() re-inserts the row,
+ * which clears the hash; runs as the 'backfill.definition-hashes' job, which
+ * every sync queues when it finishes.
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - Receives { processed, total, hashed, empty, failed }
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{processed: number, total: number, hashed: number, empty: number, failed: number}>}
+ */
+export async function refreshDefinitionHashes({ onProgress = () => {}, signal } = {}) {
+    const database = getDatabase();
+    const select = database.prepare(
+        'SELECT id FROM cards WHERE definitionHash IS NULL AND id > ? ORDER BY id LIMIT ?'
+    );
+    const update = database.prepare('UPDATE cards SET definitionHash = ? WHERE id = ?');
+    const { count } = database.prepare('SELECT COUNT(*) AS count FROM cards WHERE definitionHash IS NULL').get();
+
+    const stats = { processed: 0, total: count, hashed: 0, empty: 0, failed: 0 };
+    let afterId = 0;
+
+    while (!signal?.aborted) {
+        const batch = select.all(afterId, HASH_BATCH_SIZE);
+        if (batch.length === 0) {
+            break;
+        }
+
+        for (const { id } of batch) {
+            try {
+                const hash = hashCardDefinition(readCardPngSpec(id));
+                // '' marks a card with nothing to compare, so it isn't read again
+                update.run(hash || '', id);
+                stats[hash ? 'hashed' : 'empty']++;
+            } catch (error) {
+                stats.failed++;
+                log.warn(`Failed to hash definition of card ${id}`, error);
+            }
+            stats.processed++;
+        }
+        afterId = batch[batch.length - 1].id;
+        onProgress({ ...stats });
+
+        // Let requests through between batches
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return stats;
+}
+
+function findCardBySourceUrl(urls) {
+    const statement = getDatabase().prepare('SELECT id FROM cards WHERE sourceUrl = ? LIMIT 1');
+    for (const url of urls) {
+        const row = statement.get(url);
+        if (row) {
+            return row;
+        }
+    }
+    return null;
+}
+
+/**
+ * Main image shipped inside a CharX or Voxta package, used as the grid thumbnail
+ */
+function pickPackageIcon(assets) {
+    if (!Array.isArray(assets)) {
+        return null;
+    }
+    const icons = assets.filter(asset => asset?.type === 'icon' && asset.data);
+    const icon = icons.find(asset => asset.isMain) || icons[0];
+    return icon ? Buffer.from(icon.data) : null;
+}
+
+function toTimestamp(value, fallback) {
+    // CCv3 stores unix seconds
+    const date = typeof value === 'number' ? new Date(value * 1000) : null;
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString() : fallback;
+}
+
+function buildLocalMetadata(cardDef, { dbId, sourceId, sourceUrl, filename, format, assetCount }) {
+    const data = cardDef?.data || cardDef || {};
+    const now = new Date().toISOString();
+    const baseTags = Array.isArray(data.tags) ? data.tags.filter(tag => typeof tag === 'string') : [];
+    const inferredTags = inferTags({
+        name: data.name,
+        description: data.description || '',
+        tagline: '',
+        personality: data.personality || '',
+        scenario: data.scenario || '',
+        topics: baseTags,
+        definition: cardDef
+    });
+    const { counts, total } = estimateCardTokens(cardDef);
+    const flags = deriveFeatures(cardDef);
+
+    const metadata = {
+        id: dbId,
+        name: data.name || filename,
+        description: data.description || '',
+        tagline: (data.creator_notes || '').substring(0, 200),
+        author: data.creator || 'Anonymous',
+        topics: [...new Set([...baseTags, ...inferredTags])],
+        nTokens: total,
+        tokenCount: total,
+        starCount: 0,
+        n_favorites: 0,
+        createdAt: toTimestamp(data.creation_date, now),
+        lastModified: toTimestamp(data.modification_date, now),
+        lastActivityAt: now,
+        fullPath: '',
+        source: LOCAL_SOURCE,
+        sourceId,
+        sourcePath: '',
+        sourceUrl,
+        visibility: 'private',
+        hasAlternateGreetings: Boolean(flags.hasAlternateGreetings),
+        hasLorebook: Boolean(flags.hasLorebook),
+        hasEmbeddedLorebook: Boolean(flags.hasEmbeddedLorebook),
+        hasLinkedLorebook: Boolean(flags.hasLinkedLorebook),
+        hasExampleDialogues: Boolean(flags.hasExampleDialogues),
+        hasSystemPrompt: Boolean(flags.hasSystemPrompt),
+        hasGallery: Boolean(flags.hasGallery) || assetCount > 1,
+        hasEmbeddedImages: Boolean(flags.hasEmbeddedImages),
+        hasExpressions: Boolean(flags.hasExpressions),
+        originalFilename: filename,
+        uploadFormat: format,
+        definition: cardDef
+    };
+    return mergeTokenCounts(metadata, counts);
+}
+
+/**
+ * Archive one card file from disk
+ * @param {{name: string, buffer: Buffer}} file
+ * @returns {Promise<{file: string, created: boolean, card: object|null, duplicateOf?: 'content'|'source_url', error?: string}>}
+ *          card is the archived card (new or already present), null when the file was rejected
+ */
+export async function importCardFile({ name, buffer }) {
+    const filename = String(name || 'card');
+    const format = getUploadFormat(filename);
+    if (!format) {
+        return { file: filename, created: false, card: null, error: 'Unsupported file type' };
+    }
+
+    let parsed;
+    try {
+        parsed = parseCard(new Uint8Array(buffer), filename);
+    } catch (error) {
+        log.debug(`Upload ${filename} did not parse: ${error.message}`);
+    }
+    if (!parsed?.card) {
+        return { file: filename, created: false, card: null, error: 'No character card found in this file' };
+    }
+
+    const definitionHash = hashCardDefinition(parsed.card);
+    if (!definitionHash) {
+        return { file: filename, created: false, card: null, error: 'The card in this file is empty' };
+    }
+    const existing = findCardByDefinitionHash(definitionHash);
+    if (existing) {
+        return { file: filename, created: false, card: getCard(existing.id), duplicateOf: 'content' };
+    }
+    const sourceUrls = getCardSourceUrls(parsed.card);
+    const linked = findCardBySourceUrl(sourceUrls);
+    if (linked) {
+        return { file: filename, created: false, card: getCard(linked.id), duplicateOf: 'source_url' };
+    }
+
+    const dbId = reserveCardId();
+    const paths = getCardFilePaths(dbId);
+    await fs.promises.mkdir(paths.subfolder, { recursive: true });
+
+    // Keep the original where readCardPngSpec() looks for it; Voxta packages
+    // have no slot in the layout, so only their definition and icon are kept
+    if (format === 'png') {
+        await fs.promises.writeFile(paths.pngPath, buffer);
+    } else {
+        if (format === 'charx') {
+            await fs.promises.writeFile(paths.charxPath, buffer);
+        }
+        const icon = pickPackageIcon(parsed.assets);
+        if (icon) {
+            await fs.promises.writeFile(paths.pngPath, icon);
+        }
+    }
+
+    const metadata = buildLocalMetadata(parsed.card, {
+        dbId,
+        sourceId: definitionHash.slice(0, 32),
+        sourceUrl: sourceUrls[0] || '',
+        filename,
+        format,
+        assetCount: parsed.assets?.length || 0
+    });
+    await fs.promises.writeFile(paths.jsonPath, JSON.stringify(metadata, null, 2));
+    upsertCard(metadata);
+    getDatabase().prepare('UPDATE cards SET definitionHash = ? WHERE id = ?').run(definitionHash, dbId);
+
+    log.info(`Imported local card: ${metadata.name} (${filename} -> ${dbId})`);
+    return { file: filename, created: true, card: getCard(dbId) };
+}
+
+/**
+ * Archive several uploaded files; one bad file doesn't stop the rest
+ * @param {Array<{name: string, buffer: Buffer}>} files
+ */
+export async function importCardFiles(files) {
+    const results = [];
+    for (const file of files) {
+        try {
+            results.push(await importCardFile(file));
+        } catch (error) {
+            log.error(`Failed to import ${file.name}`, error);
+            results.push({ file: file.name, created: false, card: null, error: error.message });
+        }
+    }
+    return results;
+}
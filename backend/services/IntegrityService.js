@@ -0,0 +1,374 @@
+/**
+ * IntegrityService - Consistency check of the archive against its files
+ *
+ * Checks, in order:
+ * - every card row has files under static/<prefix>/ that readCardPngSpec() can
+ *   parse, and a JSON sidecar (when present) that is valid JSON
+ * - card_tags matches each card's topics, and has no rows for deleted cards
+ * - cached_assets rows point at files that exist and at cards that exist
+ * - files under static/ that no card row owns (orphans)
+ *
+ * Repairs are opt-in, see INTEGRITY_REPAIRS. Runs as the 'maintenance.integrity'
+ * job (POST /api/admin/integrity) or from `npm run integrity`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { replaceCardTags, splitTopicsToArray, normalizeTagValue } from '../database.js';
+import {
+    listCardsForIntegrityCheck,
+    countCards,
+    getAllCardIds,
+    listCachedAssetsForIntegrityCheck,
+    deleteCachedAssetRows,
+    countOrphanTagRows,
+    deleteOrphanTagRows
+} from '../db/repositories/IntegrityRepository.js';
+import { refreshCardFromSource } from './CardService.js';
+import { trashCard, moveEntry } from './TrashService.js';
+import { invalidateCache } from './CardQueryService.js';
+import { getCardFilePaths, readCardPngSpec, STATIC_DIR } from '../utils/card-utils.js';
+import { LOCAL_SOURCE } from '../utils/card-upload.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('INTEGRITY');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const QUARANTINE_DIR = path.join(__dirname, '../../data', 'quarantine');
+
+/**
+ * - redownload: fetch cards with missing or broken files again from their source
+ * - tags: rebuild card_tags for mismatched cards and drop rows of deleted cards
+ * - dangling: drop cached_assets rows without a file or card, and move card rows
+ *   that still have no files to the trash
+ * - orphans: move unowned files to data/quarantine/<run>/
+ */
+export const INTEGRITY_REPAIRS = ['redownload', 'tags', 'dangling', 'orphans'];
+
+const CARD_FILE_KEYS = ['pngPath', 'fullPngPath', 'charxPath', 'jsonPath'];
+const CARD_FILE_PATTERN = /^(\d+)\.(png|card\.png|charx|json)$/;
+const PREFIX_DIR_PATTERN = /^\d{1,2}$/;
+const CACHED_ASSETS_DIRNAME = 'cached-assets';
+// Syncs write files before the card row; recent files are left alone
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+const MAX_SAMPLES = 100;
+
+/**
+ * Repair list from a request body/query: an array or a comma-separated string
+ */
+export function normalizeRepairs(value) {
+    if (!value) {
+        return [];
+    }
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return [...new Set(list.map(entry => String(entry).trim()).filter(Boolean))];
+}
+
+/**
+ * @returns {string|null} Error message, or null when every repair is known
+ */
+export function validateRepairs(repairs) {
+    if (!Array.isArray(repairs)) {
+        return 'repair must be a list';
+    }
+    const unknown = repairs.filter(repair => !INTEGRITY_REPAIRS.includes(repair));
+    return unknown.length
+        ? `Unknown repair action(s): ${unknown.join(', ')}. Expected: ${INTEGRITY_REPAIRS.join(', ')}`
+        : null;
+}
+
+function createReport(repairs) {
+    return {
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        aborted: false,
+        repairs,
+        totals: {
+            cards: 0,
+            missingFiles: 0,
+            invalidJson: 0,
+            unparseable: 0,
+            tagMismatches: 0,
+            orphanTagRows: 0,
+            cachedAssets: 0,
+            missingAssetFiles: 0,
+            danglingAssetRows: 0,
+            orphanFiles: 0
+        },
+        // First MAX_SAMPLES entries of each kind; totals has the full counts
+        issues: {
+            missingFiles: [],
+            invalidJson: [],
+            unparseable: [],
+            tagMismatches: [],
+            missingAssetFiles: [],
+            danglingAssetRows: [],
+            orphanFiles: []
+        },
+        repaired: {
+            redownloaded: 0,
+            cardsTrashed: 0,
+            tagsRebuilt: 0,
+            tagRowsDropped: 0,
+            assetRowsDropped: 0,
+            filesQuarantined: 0,
+            quarantineDir: null
+        },
+        errors: []
+    };
+}
+
+function recordIssue(report, kind, entry) {
+    report.totals[kind]++;
+    if (report.issues[kind].length < MAX_SAMPLES) {
+        report.issues[kind].push(entry);
+    }
+}
+
+function recordError(report, target, error) {
+    log.warn(`Integrity repair failed for ${target}: ${error.message}`);
+    if (report.errors.length < MAX_SAMPLES) {
+        report.errors.push({ target, error: error.message });
+    }
+}
+
+/**
+ * What's wrong with a card's files, if anything
+ * @returns {'missingFiles'|'invalidJson'|'unparseable'|null}
+ */
+export function checkCardFiles(cardId) {
+    const paths = getCardFilePaths(cardId);
+    const present = CARD_FILE_KEYS.filter(key => fs.existsSync(paths[key]));
+    if (present.length === 0) {
+        return 'missingFiles';
+    }
+    if (present.includes('jsonPath')) {
+        try {
+            JSON.parse(fs.readFileSync(paths.jsonPath, 'utf8'));
+        } catch {
+            return 'invalidJson';
+        }
+    }
+    return readCardPngSpec(cardId) ? null : 'unparseable';
+}
+
+function tagsMatchTopics(card) {
+    const expected = new Set(splitTopicsToArray(card.topics).map(normalizeTagValue).filter(Boolean));
+    return expected.size === card.indexedTags.length
+        && card.indexedTags.every(tag => expected.has(tag));
+}
+
+async function scanCards(report, repair, { onProgress, signal }) {
+    const broken = [];
+    const total = countCards();
+    let afterId = 0;
+
+    while (!signal?.aborted) {
+        const batch = listCardsForIntegrityCheck({ afterId, limit: BATCH_SIZE });
+        if (batch.length === 0) {
+            break;
+        }
+
+        for (const card of batch) {
+            report.totals.cards++;
+            const problem = checkCardFiles(card.id);
+            if (problem) {
+                recordIssue(report, problem, card.id);
+                broken.push({ id: card.id, source: card.source, problem });
+            }
+            if (!tagsMatchTopics(card)) {
+                recordIssue(report, 'tagMismatches', card.id);
+                if (repair.has('tags')) {
+                    replaceCardTags(card.id, splitTopicsToArray(card.topics));
+                    report.repaired.tagsRebuilt++;
+                }
+            }
+        }
+        afterId = batch[batch.length - 1].id;
+        onProgress({ phase: 'cards', processed: report.totals.cards, total, ...report.totals });
+
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return broken;
+}
+
+/**
+ * Re-download broken cards; returns the ones still without usable files
+ */
+async function redownloadCards(report, broken, { onProgress, signal }) {
+    const remaining = [];
+    for (const [index, card] of broken.entries()) {
+        if (signal?.aborted) {
+            remaining.push(...broken.slice(index));
+            break;
+        }
+        onProgress({ phase: 'redownload', processed: index, total: broken.length, currentCard: card.id });
+
+        if (card.source === LOCAL_SOURCE) {
+            remaining.push(card);
+            continue;
+        }
+        try {
+            await refreshCardFromSource(String(card.id));
+            const problem = checkCardFiles(card.id);
+            if (problem) {
+                throw new Error(`Files still ${problem === 'missingFiles' ? 'missing' : 'unreadable'} after re-download`);
+            }
+            report.repaired.redownloaded++;
+        } catch (error) {
+            recordError(report, `card ${card.id}`, error);
+            remaining.push({ ...card, problem: checkCardFiles(card.id) });
+        }
+    }
+    return remaining;
+}
+
+async function trashFilelessCards(report, cards) {
+    for (const card of cards.filter(entry => entry.problem === 'missingFiles')) {
+        try {
+            await trashCard(card.id, { reason: 'integrity', blacklist: false });
+            report.repaired.cardsTrashed++;
+        } catch (error) {
+            recordError(report, `card ${card.id}`, error);
+        }
+    }
+}
+
+function checkCachedAssets(report, repair) {
+    const drop = [];
+    for (const asset of listCachedAssetsForIntegrityCheck()) {
+        report.totals.cachedAssets++;
+        const entry = { id: asset.id, cardId: asset.cardId, localPath: asset.localPath };
+        if (!asset.cardExists) {
+            recordIssue(report, 'danglingAssetRows', entry);
+            drop.push(asset.id);
+        } else if (!fs.existsSync(path.join(STATIC_DIR, asset.localPath))) {
+            recordIssue(report, 'missingAssetFiles', entry);
+            drop.push(asset.id);
+        }
+    }
+    if (repair.has('dangling') && drop.length) {
+        report.repaired.assetRowsDropped = deleteCachedAssetRows(drop);
+    }
+}
+
+function checkOrphanTagRows(report, repair) {
+    report.totals.orphanTagRows = countOrphanTagRows();
+    if (repair.has('tags') && report.totals.orphanTagRows) {
+        report.repaired.tagRowsDropped = deleteOrphanTagRows();
+    }
+}
+
+function isSettled(fullPath) {
+    return Date.now() - fs.statSync(fullPath).mtimeMs > ORPHAN_GRACE_MS;
+}
+
+/**
+ * Card files and cached-asset folders under static/ without a card row
+ * @returns {string[]} Paths relative to STATIC_DIR
+ */
+export function findOrphanFiles(cardIds = getAllCardIds()) {
+    if (!fs.existsSync(STATIC_DIR)) {
+        return [];
+    }
+
+    const orphans = [];
+    for (const dir of fs.readdirSync(STATIC_DIR, { withFileTypes: true })) {
+        if (!dir.isDirectory() || !PREFIX_DIR_PATTERN.test(dir.name)) continue;
+        for (const file of fs.readdirSync(path.join(STATIC_DIR, dir.name))) {
+            const match = file.match(CARD_FILE_PATTERN);
+            if (!match || cardIds.has(Number(match[1]))) continue;
+            const relative = path.join(dir.name, file);
+            if (isSettled(path.join(STATIC_DIR, relative))) {
+                orphans.push(relative);
+            }
+        }
+    }
+
+    const assetsDir = path.join(STATIC_DIR, CACHED_ASSETS_DIRNAME);
+    if (fs.existsSync(assetsDir)) {
+        for (const dir of fs.readdirSync(assetsDir, { withFileTypes: true })) {
+            if (!dir.isDirectory() || !/^\d+$/.test(dir.name) || cardIds.has(Number(dir.name))) continue;
+            const relative = path.join(CACHED_ASSETS_DIRNAME, dir.name);
+            if (isSettled(path.join(STATIC_DIR, relative))) {
+                orphans.push(relative);
+            }
+        }
+    }
+
+    return orphans.map(relative => relative.split(path.sep).join('/'));
+}
+
+async function quarantineOrphans(report, orphans, startedAt) {
+    const runDir = path.join(QUARANTINE_DIR, startedAt.replace(/[:.]/g, '-'));
+    for (const relative of orphans) {
+        try {
+            await moveEntry(path.join(STATIC_DIR, relative), path.join(runDir, relative));
+            report.repaired.filesQuarantined++;
+        } catch (error) {
+            recordError(report, relative, error);
+        }
+    }
+    if (report.repaired.filesQuarantined) {
+        report.repaired.quarantineDir = runDir;
+        log.info(`Quarantined ${report.repaired.filesQuarantined} orphan file(s) in ${runDir}`);
+    }
+}
+
+/**
+ * Scan the archive and apply the requested repairs
+ * @param {object} [options]
+ * @param {string[]} [options.repairs=[]] - Subset of INTEGRITY_REPAIRS; none means report only
+ * @param {Function} [options.onProgress] - Receives { phase, processed, total, ... }
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<object>} Report with totals, sampled issues and repair counts
+ */
+export async function checkArchiveIntegrity({ repairs = [], onProgress = () => {}, signal } = {}) {
+    const invalid = validateRepairs(repairs);
+    if (invalid) {
+        throw new Error(invalid);
+    }
+
+    const repair = new Set(repairs);
+    const report = createReport(repairs);
+    log.info(`Integrity check started${repairs.length ? ` (repairs: ${repairs.join(', ')})` : ''}`);
+
+    let broken = await scanCards(report, repair, { onProgress, signal });
+    if (repair.has('redownload') && broken.length && !signal?.aborted) {
+        broken = await redownloadCards(report, broken, { onProgress, signal });
+    }
+    if (repair.has('dangling') && !signal?.aborted) {
+        await trashFilelessCards(report, broken);
+    }
+
+    if (!signal?.aborted) {
+        onProgress({ phase: 'assets', ...report.totals });
+        checkCachedAssets(report, repair);
+        checkOrphanTagRows(report, repair);
+    }
+
+    if (!signal?.aborted) {
+        onProgress({ phase: 'orphans', ...report.totals });
+        const orphans = findOrphanFiles();
+        orphans.forEach(relative => recordIssue(report, 'orphanFiles', relative));
+        if (repair.has('orphans') && orphans.length) {
+            await quarantineOrphans(report, orphans, report.startedAt);
+        }
+    }
+
+    const { redownloaded, cardsTrashed, tagsRebuilt } = report.repaired;
+    if (redownloaded || cardsTrashed || tagsRebuilt) {
+        invalidateCache();
+    }
+
+    report.aborted = Boolean(signal?.aborted);
+    report.finishedAt = new Date().toISOString();
+    const { cards, missingFiles, invalidJson, unparseable, orphanFiles } = report.totals;
+    log.info(`Integrity check ${report.aborted ? 'aborted' : 'finished'}: ${cards} cards, ${missingFiles} missing, ${invalidJson} invalid JSON, ${unparseable} unparseable, ${orphanFiles} orphan file(s)`);
+    return report;
+}
@@ -0,0 +1,223 @@
+/**
+ * JobQueueService - Persistent background jobs
+ *
+ * Long-running work (syncs, backfills, asset caching, vector ETL, bulk
+ * refreshes) is recorded in the `jobs` table and executed by JobWorkerService,
+ * so it survives the HTTP request that started it and shows up in the job
+ * history. Job types are registered once at startup with a handler; callers
+ * only enqueue by type + payload.
+ */
+
+import { EventEmitter } from 'events';
+import {
+    JOB_STATUSES,
+    ACTIVE_JOB_STATUSES,
+    createJob,
+    getJob as getJobRecord,
+    listJobs as listJobRecords,
+    findActiveJob,
+    requestJobCancel
+} from '../db/repositories/JobRepository.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('JOBS');
+
+export const TERMINAL_JOB_STATUSES = JOB_STATUSES.filter(status => !ACTIVE_JOB_STATUSES.includes(status));
+
+const jobTypes = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+/**
+ * Register a job type
+ * @param {string} type - e.g. 'sync.chub'
+ * @param {object} definition
+ * @param {Function} definition.run - async ({ job, payload, signal, reportProgress, log }) => result
+ * @param {string} [definition.label] - Human readable name
+ * @param {string} [definition.group] - Jobs sharing a group never run at the same time
+ * @param {boolean} [definition.unique] - Reject enqueueing while a job of this type is active
+ * @param {number} [definition.maxAttempts] - Attempts before the job is marked failed
+ * @param {number} [definition.retryDelayMs] - Base delay before a retry (doubles per attempt)
+ * @param {Function} [definition.validate] - (payload) => error message or null
+ * @param {Function} [definition.cancel] - Called when a running job is canceled
+ */
+export function registerJobType(type, definition) {
+    if (typeof definition?.run !== 'function') {
+        throw new Error(`Job type ${type} needs a run() handler`);
+    }
+    jobTypes.set(type, {
+        label: type,
+        group: null,
+        unique: false,
+        maxAttempts: 1,
+        retryDelayMs: 30000,
+        ...definition,
+        type
+    });
+}
+
+export function getJobType(type) {
+    return jobTypes.get(type) || null;
+}
+
+export function listJobTypes() {
+    return Array.from(jobTypes.values()).map(({ type, label, group, unique, maxAttempts }) => ({
+        type,
+        label,
+        group,
+        unique,
+        maxAttempts
+    }));
+}
+
+/**
+ * Check whether a job may be enqueued
+ * @returns {{status: number, error: string, job?: object}|null} Null when the request is fine
+ */
+export function validateJobRequest(type, payload = {}) {
+    const definition = getJobType(type);
+    if (!definition) {
+        return { status: 400, error: `Unknown job type: ${type}` };
+    }
+    const invalid = definition.validate?.(payload || {});
+    if (invalid) {
+        return { status: 400, error: invalid };
+    }
+    if (definition.unique) {
+        const active = findActiveJob([type]);
+        if (active) {
+            return { status: 409, error: `${definition.label} is already queued or running`, job: active };
+        }
+    }
+    return null;
+}
+
+/**
+ * Add a job to the queue
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts] - Overrides the type's default
+ * @param {number} [options.delayMs] - Do not start before this many ms from now
+ */
+export function enqueueJob(type, payload = {}, { maxAttempts, delayMs = 0 } = {}) {
+    const definition = getJobType(type);
+    if (!definition) {
+        throw new Error(`Unknown job type: ${type}`);
+    }
+    const job = createJob({
+        type,
+        payload: payload || {},
+        maxAttempts: maxAttempts ?? definition.maxAttempts,
+        runAfter: delayMs > 0 ? Date.now() + delayMs : 0
+    });
+    log.info(`Queued job ${job.id} (${type})`);
+    publishJob(job);
+    return job;
+}
+
+export function getJob(jobId) {
+    return getJobRecord(jobId);
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.status] - A job status, or 'active' for queued + running
+ * @param {string} [options.type] - Exact type, or a prefix ending in '.' / '.*' (e.g. 'sync.*')
+ */
+export function listJobs({ status = null, type = null, page = 1, limit = 50 } = {}) {
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const statuses = status === 'active' ? ACTIVE_JOB_STATUSES : (status ? [status] : []);
+    const { items, total } = listJobRecords({
+        statuses,
+        types: resolveTypes(type),
+        limit: safeLimit,
+        offset: (safePage - 1) * safeLimit
+    });
+    return { items, total, page: safePage, limit: safeLimit };
+}
+
+function resolveTypes(type) {
+    if (!type) return [];
+    if (type.endsWith('.*') || type.endsWith('.')) {
+        const prefix = type.replace(/\*$/, '');
+        const matches = Array.from(jobTypes.keys()).filter(key => key.startsWith(prefix));
+        // Keep the filter restrictive when nothing matches
+        return matches.length ? matches : [type];
+    }
+    return [type];
+}
+
+/**
+ * Oldest queued or running job among the given types (prefixes allowed)
+ */
+export function getActiveJob(types) {
+    return findActiveJob([].concat(types).flatMap(resolveTypes));
+}
+
+/**
+ * Cancel a job. Queued jobs end right away; running jobs are signalled and
+ * finish as 'canceled' once their handler returns.
+ * @returns {object|null} The updated job
+ */
+export function cancelJob(jobId) {
+    const existing = getJobRecord(jobId);
+    if (!existing) {
+        return null;
+    }
+    if (TERMINAL_JOB_STATUSES.includes(existing.status)) {
+        return existing;
+    }
+
+    const job = requestJobCancel(jobId);
+    log.info(`Cancel requested for job ${jobId} (${job.type})`);
+    events.emit('cancel', job);
+    publishJob(job);
+    return job;
+}
+
+/**
+ * Enqueue a fresh copy of a finished job
+ */
+export function retryJob(jobId) {
+    const job = getJobRecord(jobId);
+    if (!job) {
+        return null;
+    }
+    return enqueueJob(job.type, job.payload);
+}
+
+// ==================== Events ====================
+
+/**
+ * Broadcast a job state change (status, result, error)
+ */
+export function publishJob(job) {
+    events.emit(`job:${job.id}`, { type: 'job', job });
+}
+
+/**
+ * Broadcast progress without re-reading the job row
+ */
+export function publishJobProgress(jobId, progress) {
+    events.emit(`job:${jobId}`, { type: 'progress', jobId, progress });
+}
+
+/**
+ * Listen to one job's events
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToJob(jobId, listener) {
+    const channel = `job:${jobId}`;
+    events.on(channel, listener);
+    return () => events.off(channel, listener);
+}
+
+/**
+ * Listen for cancellation requests (used by the worker)
+ * @returns {Function} Unsubscribe
+ */
+export function onJobCancel(listener) {
+    events.on('cancel', listener);
+    return () => events.off('cancel', listener);
+}
+
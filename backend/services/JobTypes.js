@@ -0,0 +1,363 @@
+/**
+ * JobTypes - Built-in background job handlers
+ *
+ * Registered once at startup (server.js) before the worker starts:
+ * - sync.chub / sync.ct / sync.wyvern / sync.risuai (plus sync.<source> for each
+ *   scraper plugin): source syncs; payload { mode: 'latest' | 'backfill' | 'resume', fromPage, toPage }.
+ *   A finished latest Chub sync queues the CT, RisuAI and Wyvern syncs.
+ * - backfill.token-counts / backfill.feature-flags: AdminController backfills
+ * - backfill.duplicates: sign cards for duplicate detection, also queued after each sync; payload { rescan }
+ * - backfill.image-hashes: perceptual hashes of card images, also queued after each sync; payload { rehash }
+ * - backfill.search-text: card text for the offline full-text index, also queued after each sync; payload { rebuild }
+ * - backfill.definition-hashes: hashes uploads are deduplicated against, also queued after each sync
+ * - maintenance.integrity: archive integrity check; payload { repair: [...] }
+ * - maintenance.backup: archive backup to data/backups; payload { includeSecrets, incremental }
+ * - assets.cache: download a card's embedded media
+ * - cards.refresh: re-download a list of cards from their source
+ * - moderation.execute: apply a moderation rule to every match; payload { ruleId, runId }
+ * - vector.etl: run scripts/etl_cards_vector_search.js
+ */
+
+import path from 'path';
+import readline from 'readline';
+import { spawn } from 'child_process';
+import { registerJobType, validateJobRequest, enqueueJob } from './JobQueueService.js';
+import { appConfig } from './ConfigState.js';
+import { lockService } from './LockService.js';
+import { syncCards } from './scraper.js';
+import { syncCharacterTavern, syncWyvern, syncRisuAi, listScraperManifests, syncPluginSource } from './scrapers/index.js';
+import { drainSearchIndexQueue } from './search-index.js';
+import { scanDuplicates } from './DuplicateService.js';
+import { refreshImageHashes } from './ImageHashService.js';
+import { refreshSearchText } from './SearchTextService.js';
+import { checkArchiveIntegrity, validateRepairs } from './IntegrityService.js';
+import { createBackup } from './BackupService.js';
+import { validateSyncOptions, normalizeSyncOptions, failSyncCheckpoint } from './SyncCheckpointService.js';
+import { failOpenSyncRuns } from './SyncHistoryService.js';
+import { backfillTokenCounts, backfillFeatureFlags } from './BackfillService.js';
+import { cacheCardAssets } from './asset-cache.js';
+import { refreshCardFromSource } from './CardService.js';
+import { invalidateCache } from './CardQueryService.js';
+import { EXECUTE_JOB_TYPE, runRuleExecution } from './ModerationService.js';
+import { refreshDefinitionHashes } from './ImportService.js';
+
+const ETL_SCRIPT = path.join(process.cwd(), 'scripts', 'etl_cards_vector_search.js');
+const MAX_ERROR_SAMPLES = 20;
+
+// Passes over the cards a sync added, queued once the sync lock is released
+const POST_SYNC_JOBS = ['backfill.image-hashes', 'backfill.search-text', 'backfill.duplicates', 'backfill.definition-hashes'];
+
+// One job type per scraperRegistry source; each source holds its own lock, so they sync in parallel
+const SYNC_JOBS = [
+    {
+        source: 'chub',
+        label: 'Chub sync',
+        run: (config, progress) => syncCards(config, progress),
+        newCards: result => result.newCards,
+        // Queued as their own jobs when a latest Chub sync finishes (a backfill or
+        // resume stays on Chub); each takes its own lock and starts a latest sync
+        chainedSources: ['ct', 'risuai', 'wyvern']
+    },
+    {
+        source: 'ct',
+        label: 'Character Tavern sync',
+        configKey: 'ctSync',
+        run: (config, progress) => syncCharacterTavern(config, progress),
+        newCards: result => result.added
+    },
+    {
+        source: 'wyvern',
+        label: 'Wyvern sync',
+        configKey: 'wyvernSync',
+        run: (config, progress) => syncWyvern(config, progress),
+        newCards: result => result.added || result.newCards || 0
+    },
+    {
+        source: 'risuai',
+        label: 'RisuAI sync',
+        configKey: 'risuAiSync',
+        run: (config, progress) => syncRisuAi(config, progress),
+        newCards: result => result.added || result.newCards || 0
+    }
+];
+
+// Plugins all sync through BaseScraper.sync(), which reports newCards
+function pluginSyncJobs() {
+    return listScraperManifests()
+        .filter(manifest => manifest.plugin && manifest.capabilities.sync)
+        .map(manifest => ({
+            source: manifest.source,
+            label: `${manifest.displayName} sync`,
+            configKey: manifest.configKey,
+            run: (config, progress) => syncPluginSource(manifest.source, config, progress),
+            newCards: result => result.newCards
+        }));
+}
+
+/**
+ * Queue the post-sync passes; one already queued or running picks up the new cards too
+ */
+function enqueuePostSyncJobs() {
+    for (const type of POST_SYNC_JOBS) {
+        if (!validateJobRequest(type)) {
+            enqueueJob(type);
+        }
+    }
+}
+
+/**
+ * Queue syncs of other sources that ride along with this one. Disabled sources
+ * and ones already queued or running are skipped.
+ */
+function enqueueChainedSyncs(sources, trigger) {
+    for (const source of sources) {
+        const type = `sync.${source}`;
+        const payload = { trigger };
+        if (!validateJobRequest(type, payload)) {
+            enqueueJob(type, payload);
+        }
+    }
+}
+
+function registerSyncJobs() {
+    for (const sync of [...SYNC_JOBS, ...pluginSyncJobs()]) {
+        const type = `sync.${sync.source}`;
+        registerJobType(type, {
+            label: sync.label,
+            unique: true,
+            validate: payload => (sync.configKey && !appConfig?.[sync.configKey]?.enabled
+                ? `${sync.label} is disabled in config`
+                : validateSyncOptions(sync.source, payload)),
+            cancel: () => lockService.abortSync(sync.source),
+            run: async ({ job, payload, reportProgress }) => {
+                if (!lockService.acquireSync(sync.source)) {
+                    throw new Error(`${sync.label} is already running`);
+                }
+                let summary;
+                let cancelled = false;
+                try {
+                    // trigger and jobId ride along for the sync_runs report
+                    const syncOptions = { ...normalizeSyncOptions(payload), trigger: payload.trigger || 'manual', jobId: job.id };
+                    const result = await sync.run({ ...appConfig, syncOptions }, progress => {
+                        lockService.setSyncProgress(sync.source, progress);
+                        reportProgress(progress);
+                    });
+                    await drainSearchIndexQueue(`${type}:${payload.trigger || 'manual'}`);
+                    cancelled = Boolean(result?.cancelled);
+                    summary = { newCards: sync.newCards(result || {}) || 0, mode: syncOptions.mode };
+                } catch (error) {
+                    failSyncCheckpoint(sync.source, error);
+                    failOpenSyncRuns(sync.source, error);
+                    throw error;
+                } finally {
+                    lockService.releaseSync(sync.source);
+                }
+                enqueuePostSyncJobs();
+                if (sync.chainedSources && summary.mode === 'latest' && !cancelled) {
+                    enqueueChainedSyncs(sync.chainedSources, payload.trigger || 'manual');
+                }
+                return summary;
+            }
+        });
+    }
+}
+
+function registerBackfillJobs() {
+    registerJobType('backfill.token-counts', {
+        label: 'Token count backfill',
+        group: 'backfill',
+        unique: true,
+        run: async ({ reportProgress }) => backfillTokenCounts({ onProgress: reportProgress })
+    });
+
+    registerJobType('backfill.feature-flags', {
+        label: 'Feature flag backfill',
+        group: 'backfill',
+        unique: true,
+        run: async ({ reportProgress }) => backfillFeatureFlags({ onProgress: reportProgress })
+    });
+
+    registerJobType('backfill.duplicates', {
+        label: 'Duplicate detection',
+        group: 'backfill',
+        unique: true,
+        run: async ({ payload, signal, reportProgress }) => scanDuplicates({
+            rescan: payload.rescan === true,
+            onProgress: reportProgress,
+            signal
+        })
+    });
+
+    registerJobType('backfill.image-hashes', {
+        label: 'Image hash backfill',
+        group: 'backfill',
+        unique: true,
+        run: async ({ payload, signal, reportProgress }) => refreshImageHashes({
+            rehash: payload.rehash === true,
+            onProgress: reportProgress,
+            signal
+        })
+    });
+
+    registerJobType('backfill.search-text', {
+        label: 'Full-text index backfill',
+        group: 'backfill',
+        unique: true,
+        run: async ({ payload, signal, reportProgress }) => refreshSearchText({
+            rebuild: payload.rebuild === true,
+            onProgress: reportProgress,
+            signal
+        })
+    });
+
+    registerJobType('backfill.definition-hashes', {
+        label: 'Definition hash backfill',
+        group: 'backfill',
+        unique: true,
+        run: async ({ signal, reportProgress }) => refreshDefinitionHashes({ onProgress: reportProgress, signal })
+    });
+}
+
+function registerMaintenanceJobs() {
+    registerJobType('maintenance.integrity', {
+        label: 'Integrity check',
+        group: 'maintenance',
+        unique: true,
+        validate: payload => validateRepairs(payload.repair ?? []),
+        run: async ({ payload, signal, reportProgress }) => checkArchiveIntegrity({
+            repairs: payload.repair ?? [],
+            onProgress: reportProgress,
+            signal
+        })
+    });
+
+    registerJobType('maintenance.backup', {
+        label: 'Archive backup',
+        group: 'maintenance',
+        unique: true,
+        run: async ({ payload, signal, reportProgress }) => createBackup({
+            includeSecrets: payload.includeSecrets === true,
+            incremental: payload.incremental === true,
+            onProgress: reportProgress,
+            signal
+        })
+    });
+}
+
+function registerCardJobs() {
+    registerJobType('assets.cache', {
+        label: 'Cache card assets',
+        maxAttempts: 3,
+        validate: payload => (payload.cardId ? null : 'cardId is required'),
+        run: async ({ payload }) => {
+            const result = await cacheCardAssets(payload.cardId);
+            if (!result.success) {
+                throw new Error(result.error || `Failed to cache assets for card ${payload.cardId}`);
+            }
+            return result;
+        }
+    });
+
+    registerJobType('cards.refresh', {
+        label: 'Refresh cards',
+        validate: payload => (Array.isArray(payload.cardIds) && payload.cardIds.length
+            ? null
+            : 'cardIds must be a non-empty array'),
+        run: async ({ payload, signal, reportProgress }) => {
+            const cardIds = payload.cardIds.map(String);
+            const stats = { refreshed: 0, failed: 0, errors: [] };
+
+            for (const [index, cardId] of cardIds.entries()) {
+                if (signal.aborted) break;
+                reportProgress({ processed: index, total: cardIds.length, currentCard: cardId, ...stats });
+                try {
+                    await refreshCardFromSource(cardId);
+                    stats.refreshed++;
+                } catch (error) {
+                    stats.failed++;
+                    if (stats.errors.length < MAX_ERROR_SAMPLES) {
+                        stats.errors.push({ cardId, error: error.message });
+                    }
+                }
+            }
+
+            invalidateCache();
+            reportProgress({ processed: stats.refreshed + stats.failed, total: cardIds.length, ...stats });
+            return { total: cardIds.length, ...stats };
+        }
+    });
+}
+
+function registerModerationJobs() {
+    registerJobType(EXECUTE_JOB_TYPE, {
+        label: 'Moderation rule execution',
+        group: 'moderation',
+        unique: true,
+        validate: payload => (payload.ruleId ? null : 'ruleId is required'),
+        run: async ({ payload, signal, reportProgress }) => runRuleExecution(payload, {
+            signal,
+            onProgress: reportProgress
+        })
+    });
+}
+
+/**
+ * The ETL script is a standalone CLI (it exits the process), so it runs as a child process.
+ * Its "[INFO] Processed x/y cards" lines become job progress.
+ */
+function runVectorEtl({ payload, signal, reportProgress, log }) {
+    return new Promise((resolve, reject) => {
+        const env = { ...process.env };
+        if (payload.limit) env.LCR_VECTOR_LIMIT = String(payload.limit);
+        if (payload.startAfter) env.LCR_VECTOR_START_AFTER = String(payload.startAfter);
+        if (payload.force) env.LCR_VECTOR_FORCE = '1';
+
+        const child = spawn(process.execPath, [ETL_SCRIPT], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+        const tail = [];
+        const remember = line => {
+            tail.push(line);
+            if (tail.length > MAX_ERROR_SAMPLES) tail.shift();
+        };
+
+        readline.createInterface({ input: child.stdout }).on('line', line => {
+            remember(line);
+            const match = line.match(/Processed (\d+)\/(\d+) cards/);
+            if (match) {
+                reportProgress({ processed: Number(match[1]), total: Number(match[2]), message: line });
+            }
+        });
+        readline.createInterface({ input: child.stderr }).on('line', remember);
+
+        const abort = () => child.kill('SIGTERM');
+        signal.addEventListener('abort', abort, { once: true });
+
+        child.on('error', reject);
+        child.on('close', code => {
+            signal.removeEventListener('abort', abort);
+            if (code === 0 || signal.aborted) {
+                resolve({ exitCode: code, output: tail });
+                return;
+            }
+            log.warn(`Vector ETL exited with code ${code}`);
+            reject(new Error(tail.filter(line => line.includes('FATAL')).pop() || `Vector ETL exited with code ${code}`));
+        });
+    });
+}
+
+function registerVectorJobs() {
+    registerJobType('vector.etl', {
+        label: 'Vector search ETL',
+        group: 'vector',
+        unique: true,
+        run: runVectorEtl
+    });
+}
+
+export function registerDefaultJobTypes() {
+    registerSyncJobs();
+    registerBackfillJobs();
+    registerMaintenanceJobs();
+    registerCardJobs();
+    registerModerationJobs();
+    registerVectorJobs();
+}
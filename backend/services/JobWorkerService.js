@@ -0,0 +1,225 @@
+/**
+ * JobWorkerService - Executes queued jobs
+ *
+ * A single in-process loop leases jobs from the `jobs` table. Leases are
+ * renewed by a heartbeat while the handler runs; when the server restarts,
+ * jobs left 'running' by the previous process are retried (if they have
+ * attempts left) or failed. Jobs whose types share a `group` run one at a time.
+ */
+
+import crypto from 'crypto';
+import {
+    claimNextJob,
+    updateJobProgress,
+    extendJobLease,
+    isJobCancelRequested,
+    finishJob,
+    requeueJob,
+    recoverExpiredJobs,
+    pruneFinishedJobs
+} from '../db/repositories/JobRepository.js';
+import {
+    getJobType,
+    listJobTypes,
+    publishJob,
+    publishJobProgress,
+    onJobCancel
+} from './JobQueueService.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('JOB-WORKER');
+
+const POLL_INTERVAL_MS = 1000;
+const PROGRESS_WRITE_INTERVAL_MS = 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+class JobWorker {
+    constructor() {
+        this.workerId = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+        this.running = new Map(); // jobId -> { job, definition, controller }
+        this.pollTimer = null;
+        this.pruneTimer = null;
+        this.unsubscribeCancel = null;
+        this.ticking = false;
+        this.options = { concurrency: 2, leaseMs: 120000, historyDays: 30 };
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {number} [options.concurrency] - Jobs run side by side
+     * @param {number} [options.leaseSeconds] - Lease length without a heartbeat
+     * @param {number} [options.historyDays] - Days finished jobs are kept
+     */
+    start({ concurrency = 2, leaseSeconds = 120, historyDays = 30 } = {}) {
+        this.stop();
+        this.options = {
+            concurrency: Math.max(1, parseInt(concurrency, 10) || 1),
+            leaseMs: Math.max(10, parseInt(leaseSeconds, 10) || 120) * 1000,
+            historyDays: Math.max(1, parseInt(historyDays, 10) || 30)
+        };
+
+        // Nothing is running in this process yet, so every 'running' row is left over
+        const recovered = recoverExpiredJobs(Number.MAX_SAFE_INTEGER, { error: 'Interrupted by server restart' });
+        if (recovered.requeued || recovered.failed || recovered.canceled) {
+            log.info(`Recovered interrupted jobs: ${recovered.requeued} requeued, ${recovered.failed} failed, ${recovered.canceled} canceled`);
+        }
+
+        this.unsubscribeCancel = onJobCancel(job => this.handleCancel(job));
+        this.pollTimer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+        this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+        this.prune();
+        log.info(`Job worker ${this.workerId} started (concurrency ${this.options.concurrency})`);
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+            this.pruneTimer = null;
+        }
+        if (this.unsubscribeCancel) {
+            this.unsubscribeCancel();
+            this.unsubscribeCancel = null;
+        }
+    }
+
+    prune() {
+        try {
+            const pruned = pruneFinishedJobs(this.options.historyDays);
+            if (pruned > 0) {
+                log.info(`Pruned ${pruned} finished job(s) older than ${this.options.historyDays} days`);
+            }
+        } catch (error) {
+            log.error('Failed to prune job history', error);
+        }
+    }
+
+    /**
+     * Types that may start now: registered, and not in a group that is already busy
+     */
+    claimableTypes() {
+        const busyGroups = new Set(
+            Array.from(this.running.values())
+                .map(({ definition }) => definition.group)
+                .filter(Boolean)
+        );
+        return listJobTypes()
+            .filter(({ group }) => !group || !busyGroups.has(group))
+            .map(({ type }) => type);
+    }
+
+    tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+        try {
+            recoverExpiredJobs(Date.now(), { exceptWorker: this.workerId });
+            while (this.running.size < this.options.concurrency) {
+                const job = claimNextJob({
+                    workerId: this.workerId,
+                    leaseMs: this.options.leaseMs,
+                    types: this.claimableTypes()
+                });
+                if (!job) break;
+                this.execute(job);
+            }
+        } catch (error) {
+            log.error('Job worker tick failed', error);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    handleCancel(job) {
+        const entry = this.running.get(job.id);
+        if (!entry || entry.controller.signal.aborted) {
+            return;
+        }
+        entry.controller.abort();
+        try {
+            entry.definition.cancel?.(entry.job);
+        } catch (error) {
+            log.warn(`Cancel hook for job ${job.id} failed`, error);
+        }
+    }
+
+    async execute(job) {
+        const definition = getJobType(job.type);
+        const controller = new AbortController();
+        this.running.set(job.id, { job, definition, controller });
+        publishJob(job);
+        log.info(`Running job ${job.id} (${job.type}), attempt ${job.attempts}/${job.maxAttempts}`);
+
+        let lastWrite = 0;
+        let latestProgress;
+        const leaseUntil = () => Date.now() + this.options.leaseMs;
+
+        const reportProgress = progress => {
+            latestProgress = progress;
+            publishJobProgress(job.id, progress);
+            const now = Date.now();
+            if (now - lastWrite < PROGRESS_WRITE_INTERVAL_MS) return;
+            lastWrite = now;
+            if (updateJobProgress(job.id, progress, leaseUntil())) {
+                this.handleCancel(job);
+            }
+        };
+
+        // Keep the lease alive (and notice cancels from other processes) while the handler is quiet
+        const heartbeat = setInterval(() => {
+            try {
+                extendJobLease(job.id, leaseUntil());
+                if (isJobCancelRequested(job.id)) {
+                    this.handleCancel(job);
+                }
+            } catch (error) {
+                log.warn(`Heartbeat for job ${job.id} failed`, error);
+            }
+        }, Math.max(1000, Math.floor(this.options.leaseMs / 3)));
+
+        try {
+            if (!definition) {
+                throw new Error(`No handler registered for job type ${job.type}`);
+            }
+            const result = await definition.run({
+                job,
+                payload: job.payload || {},
+                signal: controller.signal,
+                reportProgress,
+                log
+            });
+            const status = controller.signal.aborted ? 'canceled' : 'succeeded';
+            publishJob(finishJob(job.id, { status, result: result ?? null, progress: latestProgress }));
+            log.info(`Job ${job.id} (${job.type}) ${status}`);
+        } catch (error) {
+            const message = error?.message || String(error);
+            if (controller.signal.aborted) {
+                publishJob(finishJob(job.id, { status: 'canceled', error: message, progress: latestProgress }));
+            } else if (definition && job.attempts < job.maxAttempts) {
+                const delay = definition.retryDelayMs * 2 ** (job.attempts - 1);
+                log.warn(`Job ${job.id} (${job.type}) failed, retrying in ${Math.round(delay / 1000)}s: ${message}`);
+                publishJob(requeueJob(job.id, { error: message, runAfter: Date.now() + delay }));
+            } else {
+                log.error(`Job ${job.id} (${job.type}) failed`, error);
+                publishJob(finishJob(job.id, { status: 'failed', error: message, progress: latestProgress }));
+            }
+        } finally {
+            clearInterval(heartbeat);
+            this.running.delete(job.id);
+            // Pick up whatever was waiting on this job's group
+            setImmediate(() => this.tick());
+        }
+    }
+
+    getStatus() {
+        return {
+            workerId: this.workerId,
+            concurrency: this.options.concurrency,
+            running: Array.from(this.running.keys())
+        };
+    }
+}
+
+export const jobWorker = new JobWorker();
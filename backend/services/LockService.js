@@ -1,70 +1,85 @@
 
+/**
+ * Per-source sync locks, abort flags and last reported progress.
+ * Sources are registered from scrapers/index.js (scraperRegistry), so each
+ * source can sync in parallel and be cancelled on its own.
+ */
 class LockService {
     constructor() {
-        this.syncInProgress = false;
-        this.ctSyncInProgress = false;
-        this.syncAborted = false;
-        this.ctSyncAborted = false;
+        this.sources = new Map();
     }
 
-    isSyncInProgress() {
-        return this.syncInProgress;
+    registerSources(sources) {
+        for (const source of sources) {
+            this.state(source);
+        }
+    }
+
+    hasSource(source) {
+        return this.sources.has(source);
     }
 
-    setSyncInProgress(value) {
-        this.syncInProgress = !!value;
-        if (value) {
-            this.syncAborted = false; // Reset abort flag when starting new sync
+    // Unknown sources get a lock too, so a scraper missing from the registry still works
+    state(source) {
+        if (!this.sources.has(source)) {
+            this.sources.set(source, { inProgress: false, aborted: false, progress: null, startedAt: null });
         }
+        return this.sources.get(source);
     }
 
-    isCtSyncInProgress() {
-        return this.ctSyncInProgress;
+    isSyncInProgress(source) {
+        return this.state(source).inProgress;
     }
 
-    setCtSyncInProgress(value) {
-        this.ctSyncInProgress = !!value;
-        if (value) {
-            this.ctSyncAborted = false; // Reset abort flag when starting new sync
+    // Returns false if the source is already syncing
+    acquireSync(source) {
+        const state = this.state(source);
+        if (state.inProgress) {
+            return false;
         }
+        state.inProgress = true;
+        state.aborted = false; // Reset abort flag when starting new sync
+        state.progress = null;
+        state.startedAt = new Date().toISOString();
+        return true;
     }
 
-    // Abort flags
-    isSyncAborted() {
-        return this.syncAborted;
+    releaseSync(source) {
+        const state = this.state(source);
+        state.inProgress = false;
+        state.startedAt = null;
     }
 
-    abortSync() {
-        this.syncAborted = true;
+    setSyncProgress(source, progress) {
+        this.state(source).progress = progress;
     }
 
-    isCtSyncAborted() {
-        return this.ctSyncAborted;
+    // Abort flags
+    isSyncAborted(source) {
+        return this.state(source).aborted;
     }
 
-    abortCtSync() {
-        this.ctSyncAborted = true;
+    abortSync(source) {
+        const state = this.state(source);
+        if (state.inProgress) {
+            state.aborted = true;
+        }
     }
 
     // Cancel all syncs
     abortAllSyncs() {
-        if (this.syncInProgress) {
-            this.syncAborted = true;
-        }
-        if (this.ctSyncInProgress) {
-            this.ctSyncAborted = true;
+        for (const source of this.sources.keys()) {
+            this.abortSync(source);
         }
     }
 
-    // Get status of all syncs
+    // Get status of all syncs, keyed by source
     getSyncStatus() {
-        return {
-            chub: { inProgress: this.syncInProgress, aborted: this.syncAborted },
-            ct: { inProgress: this.ctSyncInProgress, aborted: this.ctSyncAborted },
-            // Wyvern and RisuAI share the main sync lock
-            wyvern: { inProgress: this.syncInProgress, aborted: this.syncAborted },
-            risuai: { inProgress: this.syncInProgress, aborted: this.syncAborted },
-        };
+        const status = {};
+        for (const [source, state] of this.sources) {
+            status[source] = { ...state };
+        }
+        return status;
     }
 }
 
@@ -1,5 +1,6 @@
 import { getDatabase } from '../database.js';
 import { logger } from '../utils/logger.js';
+import { getAvailableSources } from './scrapers/index.js';
 
 const log = logger.scoped('METRICS');
 
@@ -142,7 +143,7 @@ export function getLargestCards(limit = 20) {
  */
 export function getTopCardsPerPlatform(limitPerPlatform = 5) {
     const db = getDatabase();
-    const sources = ['chub', 'ct', 'risuai', 'wyvern'];
+    const sources = getAvailableSources();
     const result = {};
 
     for (const source of sources) {
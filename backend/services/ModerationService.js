@@ -0,0 +1,268 @@
+/**
+ * ModerationService - Saved purge/deny rules over the Meilisearch index
+ *
+ * A rule is query text plus a filter expression in the same syntax the card
+ * search accepts (see normalizeFilterExpression). Rules can be previewed,
+ * dry-run into a report, or executed: execution runs as a 'moderation.execute'
+ * job that quarantines or deletes every matched card and records a report per run.
+ */
+
+import { getDatabase } from '../database.js';
+import {
+    MODERATION_SCOPES,
+    MODERATION_ACTIONS,
+    getRule,
+    createRun,
+    updateRun
+} from '../db/repositories/ModerationRepository.js';
+import { enqueueJob } from './JobQueueService.js';
+import { isSearchIndexEnabled, searchMeilisearchCards, normalizeFilterExpression } from './search-index.js';
+import { trashCard, purgeTrashEntry } from './TrashService.js';
+import { invalidateCache } from './CardQueryService.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('MODERATION');
+
+const SEARCH_PAGE_SIZE = 100;
+const MAX_MATCHES = 10000;
+const REPORT_TOP_N = 25;
+const PROGRESS_INTERVAL = 25;
+
+export const EXECUTE_JOB_TYPE = 'moderation.execute';
+
+/**
+ * Validate rule fields from a request body
+ * @param {object} input - Rule fields
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing fields (updates)
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateRuleInput(input = {}, { partial = false } = {}) {
+    const { name, query, filter, scope, action } = input;
+
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) {
+            return 'Rule name is required';
+        }
+    }
+    if (scope !== undefined && !MODERATION_SCOPES.includes(scope)) {
+        return `Scope must be one of: ${MODERATION_SCOPES.join(', ')}`;
+    }
+    if (action !== undefined && !MODERATION_ACTIONS.includes(action)) {
+        return `Action must be one of: ${MODERATION_ACTIONS.join(', ')}`;
+    }
+    if (!partial) {
+        const hasQuery = typeof query === 'string' && query.trim();
+        const hasFilter = typeof filter === 'string' && filter.trim();
+        // An empty rule would match the whole archive
+        if (!hasQuery && !hasFilter) {
+            return 'A rule needs query text or a filter expression';
+        }
+    }
+    return null;
+}
+
+function ensureSearchAvailable() {
+    if (!isSearchIndexEnabled()) {
+        throw new Error('Moderation rules require Meilisearch to be enabled');
+    }
+}
+
+/**
+ * Collect every card ID matched by a rule (capped at MAX_MATCHES)
+ * @returns {Promise<{ids: string[], total: number, appliedFilter: string, truncated: boolean}>}
+ */
+export async function collectRuleMatches(rule) {
+    ensureSearchAvailable();
+
+    const ids = [];
+    let total = 0;
+    let appliedFilter = normalizeFilterExpression(rule.filter || '');
+
+    for (let page = 1; ids.length < MAX_MATCHES; page++) {
+        const result = await searchMeilisearchCards({
+            text: rule.query || '',
+            filter: rule.filter || '',
+            page,
+            limit: SEARCH_PAGE_SIZE
+        });
+        total = result.total;
+        appliedFilter = result.appliedFilter;
+        ids.push(...result.ids);
+
+        if (result.ids.length < SEARCH_PAGE_SIZE || ids.length >= total) {
+            break;
+        }
+    }
+
+    const unique = [...new Set(ids)].slice(0, MAX_MATCHES);
+    return { ids: unique, total, appliedFilter, truncated: total > unique.length };
+}
+
+function loadCardRows(ids) {
+    const database = getDatabase();
+    const rows = [];
+    for (let i = 0; i < ids.length; i += 500) {
+        const chunk = ids.slice(i, i + 500);
+        const placeholders = chunk.map(() => '?').join(', ');
+        rows.push(...database.prepare(
+            `SELECT id, name, author, source, topics FROM cards WHERE id IN (${placeholders})`
+        ).all(...chunk));
+    }
+    return rows;
+}
+
+function topEntries(counts) {
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, REPORT_TOP_N)
+        .map(([key, count]) => ({ key, count }));
+}
+
+/**
+ * Summarize matched cards by source, tag and author
+ */
+export function buildMatchReport(ids) {
+    const rows = loadCardRows(ids);
+    const bySource = {};
+    const byAuthor = {};
+    const byTag = {};
+
+    for (const row of rows) {
+        const source = row.source || 'chub';
+        bySource[source] = (bySource[source] || 0) + 1;
+
+        const author = row.author || 'unknown';
+        byAuthor[author] = (byAuthor[author] || 0) + 1;
+
+        const tags = (row.topics || '').split(',').map(tag => tag.trim()).filter(Boolean);
+        for (const tag of new Set(tags)) {
+            byTag[tag] = (byTag[tag] || 0) + 1;
+        }
+    }
+
+    return {
+        total: rows.length,
+        bySource,
+        byAuthor: topEntries(byAuthor),
+        byTag: topEntries(byTag)
+    };
+}
+
+/**
+ * First page of matches for a rule, without recording a run
+ */
+export async function previewRule(rule, { limit = 48 } = {}) {
+    ensureSearchAvailable();
+    const result = await searchMeilisearchCards({
+        text: rule.query || '',
+        filter: rule.filter || '',
+        page: 1,
+        limit
+    });
+    const rows = loadCardRows(result.ids);
+    const byId = new Map(rows.map(row => [String(row.id), row]));
+
+    return {
+        total: result.total,
+        appliedFilter: result.appliedFilter,
+        cards: result.ids
+            .map(id => byId.get(id))
+            .filter(Boolean)
+            .map(({ id, name, author, source }) => ({ id, name, author, source }))
+    };
+}
+
+/**
+ * Record a report of everything a rule would remove, without touching any card
+ */
+export async function dryRunRule(rule) {
+    const run = createRun({ ruleId: rule.id, scope: 'dry_run', action: rule.action });
+    try {
+        const { ids, total, appliedFilter, truncated } = await collectRuleMatches(rule);
+        const report = { ...buildMatchReport(ids), appliedFilter, truncated, searchTotal: total };
+        return updateRun(run.id, { status: 'completed', matched: ids.length, report });
+    } catch (error) {
+        log.error(`Dry run of rule ${rule.id} failed`, error);
+        return updateRun(run.id, { status: 'failed', error: error.message });
+    }
+}
+
+async function applyAction(cardId, action) {
+    const entry = await trashCard(cardId, {
+        reason: 'moderation',
+        blacklist: action === 'delete_blacklist'
+    });
+    if (entry && action !== 'quarantine') {
+        await purgeTrashEntry(cardId);
+    }
+    return !!entry;
+}
+
+async function processExecution(rule, runId, { signal, onProgress } = {}) {
+    const { ids, total, appliedFilter, truncated } = await collectRuleMatches(rule);
+    const report = { ...buildMatchReport(ids), appliedFilter, truncated, searchTotal: total };
+    updateRun(runId, { matched: ids.length, report });
+
+    let processed = 0;
+    let failed = 0;
+    for (const cardId of ids) {
+        if (signal?.aborted) break;
+        try {
+            if (await applyAction(cardId, rule.action)) {
+                processed++;
+            } else {
+                failed++;
+            }
+        } catch (error) {
+            failed++;
+            log.warn(`Rule ${rule.id}: failed to ${rule.action} card ${cardId}`, error);
+        }
+
+        if ((processed + failed) % PROGRESS_INTERVAL === 0) {
+            updateRun(runId, { processed, failed });
+            onProgress?.({ processed: processed + failed, total: ids.length, failed });
+        }
+    }
+
+    invalidateCache();
+    if (signal?.aborted) {
+        log.info(`Rule "${rule.name}" ${rule.action} canceled after ${processed} cards`);
+        return updateRun(runId, { status: 'failed', processed, failed, error: 'Canceled' });
+    }
+    log.info(`Rule "${rule.name}" ${rule.action}: ${processed} processed, ${failed} failed`);
+    return updateRun(runId, { status: 'completed', processed, failed });
+}
+
+/**
+ * Record a run for a rule and queue its execution
+ * @returns {{run: object, job: object}} The run record (status 'running') and the queued job
+ */
+export function queueRuleExecution(rule) {
+    ensureSearchAvailable();
+    const run = createRun({ ruleId: rule.id, scope: 'execute', action: rule.action });
+    const job = enqueueJob(EXECUTE_JOB_TYPE, { ruleId: rule.id, runId: run.id });
+    return { run, job };
+}
+
+/**
+ * Job handler for 'moderation.execute'; payload { ruleId, runId }.
+ * Jobs queued without a runId (e.g. from the jobs API) record their own run.
+ */
+export async function runRuleExecution({ ruleId, runId }, { signal, onProgress } = {}) {
+    const rule = getRule(ruleId);
+    if (!rule) {
+        // Deleting a rule also deletes its runs
+        throw new Error(`Moderation rule ${ruleId} not found`);
+    }
+    runId = runId || createRun({ ruleId: rule.id, scope: 'execute', action: rule.action }).id;
+
+    try {
+        const run = await processExecution(rule, runId, { signal, onProgress });
+        return { runId, matched: run.matched, processed: run.processed, failed: run.failed };
+    } catch (error) {
+        log.error(`Execution of rule ${rule.id} failed`, error);
+        updateRun(runId, { status: 'failed', error: error.message });
+        throw error;
+    }
+}
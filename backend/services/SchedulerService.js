@@ -1,108 +1,225 @@
 
 import { loadConfig } from '../../config.js';
-import { syncCards } from './scraper.js';
-import { syncCharacterTavern } from './scrapers/CtScraper.js';
 import { drainSearchIndexQueue, isSearchIndexEnabled } from './search-index.js';
 import { computeDailySnapshot } from './MetricsService.js';
-import { lockService } from './LockService.js';
+import { enqueueJob, validateJobRequest } from './JobQueueService.js';
+import { purgeExpiredTrash } from './TrashService.js';
+import { getLastSyncRunStart } from './SyncHistoryService.js';
+import { scraperRegistry } from './scrapers/index.js';
+import { parseCron, nextCronRun, parseQuietHours, isInQuietHours, quietHoursEnd } from '../utils/cron.js';
 import { getDatabase } from '../database.js';
 import { logger } from '../utils/logger.js';
 
 const log = logger.scoped('SCHEDULER');
 
+/**
+ * Effective schedule for a source, or null when it isn't scheduled
+ */
+function resolveSyncSchedule(source, config) {
+    const entry = config.syncSchedules?.[source];
+    if (entry) {
+        if (!entry.enabled) {
+            return null;
+        }
+        return {
+            legacy: false,
+            trigger: 'schedule',
+            cron: typeof entry.cron === 'string' && entry.cron.trim() ? entry.cron.trim() : null,
+            intervalMinutes: Number(entry.intervalMinutes) || null,
+            quietHours: entry.quietHours || null,
+            jitterMinutes: Math.max(0, Number(entry.jitterMinutes) || 0),
+            minIntervalMinutes: Math.max(0, Number(entry.minIntervalMinutes) || 0)
+        };
+    }
+
+    const legacy = { legacy: true, cron: null, quietHours: null, jitterMinutes: 0, minIntervalMinutes: 0 };
+    if (source === 'chub' && config.autoUpdateMode) {
+        return { ...legacy, trigger: 'auto-update', intervalMinutes: (config.autoUpdateInterval || 900) / 60 };
+    }
+    if (source === 'ct' && config.ctSync?.enabled) {
+        return { ...legacy, trigger: 'ct-auto-sync', intervalMinutes: Math.max(1, config.ctSync.intervalMinutes || 180) };
+    }
+    return null;
+}
+
+function addJitter(date, jitterMinutes) {
+    if (!jitterMinutes) return date;
+    return new Date(date.getTime() + Math.floor(Math.random() * jitterMinutes * 60 * 1000));
+}
+
 class SchedulerService {
     constructor() {
-        this.autoUpdateTimer = null;
-        this.ctAutoUpdateTimer = null;
+        this.syncSchedules = new Map();
         this.searchIndexRefreshTimer = null;
         this.searchIndexQueueTimer = null;
         this.metricsSnapshotTimer = null;
         this.walCheckpointTimer = null;
+        this.trashPurgeTimer = null;
 
         this.SEARCH_INDEX_REFRESH_INTERVAL_MS = 60 * 60 * 1000;
         this.SEARCH_INDEX_QUEUE_INTERVAL_MS = 5000;
         this.WAL_CHECKPOINT_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+        this.TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+        this.MAX_TIMER_MS = 24 * 60 * 60 * 1000;
     }
 
-    startAutoUpdate() {
-        if (this.autoUpdateTimer) {
-            clearInterval(this.autoUpdateTimer);
-            this.autoUpdateTimer = null;
+    /**
+     * (Re)arm timed syncs for every registered scraper. Sources with an entry in
+     * config.syncSchedules use it; the rest fall back to the legacy Chub
+     * auto-update and Character Tavern auto-sync intervals.
+     */
+    startSyncSchedules() {
+        for (const state of this.syncSchedules.values()) {
+            clearTimeout(state.timer);
         }
+        this.syncSchedules.clear();
 
         const currentConfig = loadConfig();
-        if (!currentConfig.autoUpdateMode) {
-            console.log('[INFO] Auto-update is disabled');
-            return;
-        }
-
-        const interval = (currentConfig.autoUpdateInterval || 900) * 1000;
-        console.log(`[INFO] Auto-update enabled with ${currentConfig.autoUpdateInterval}s interval`);
-
-        this.autoUpdateTimer = setInterval(async () => {
-            if (lockService.isSyncInProgress()) {
-                console.log('[INFO] Sync already in progress, skipping auto-update');
-                return;
+        for (const source of Object.keys(scraperRegistry)) {
+            const schedule = resolveSyncSchedule(source, currentConfig);
+            if (!schedule) {
+                continue;
             }
 
-            console.log('[INFO] Auto-update triggered');
-            lockService.setSyncInProgress(true);
+            const state = {
+                source,
+                schedule,
+                cron: null,
+                quietWindow: null,
+                timer: null,
+                nextRunAt: null,
+                lastRun: null,
+                error: null
+            };
+            this.syncSchedules.set(source, state);
+
             try {
-                await syncCards(loadConfig(), (progress) => {
-                    if (progress.progress % 25 === 0 || progress.progress === 100) {
-                        console.log(`[INFO] Auto-update progress: ${progress.progress}%`);
-                    }
-                });
-                console.log('[INFO] Auto-update complete');
-                await drainSearchIndexQueue('auto-update');
+                state.cron = schedule.cron ? parseCron(schedule.cron) : null;
+                state.quietWindow = parseQuietHours(schedule.quietHours);
+                if (!state.cron && !(schedule.intervalMinutes > 0)) {
+                    throw new Error('Schedule needs a cron expression or intervalMinutes');
+                }
             } catch (error) {
-                log.error('Auto-update failed', error);
-            } finally {
-                lockService.setSyncInProgress(false);
+                state.error = error.message;
+                log.error(`Invalid ${source} sync schedule: ${error.message}`);
+                continue;
             }
-        }, interval);
-    }
 
-    startCtAutoUpdate() {
-        if (this.ctAutoUpdateTimer) {
-            clearInterval(this.ctAutoUpdateTimer);
-            this.ctAutoUpdateTimer = null;
+            this.planSyncRun(state, new Date());
+            const every = schedule.cron ? `cron "${schedule.cron}"` : `every ${schedule.intervalMinutes} minute(s)`;
+            log.info(`${source} sync scheduled (${every}), next run ${state.nextRunAt?.toISOString() ?? 'never'}`);
         }
 
-        const currentConfig = loadConfig();
-        const ctConfig = currentConfig.ctSync || {};
-        if (!ctConfig.enabled) {
-            console.log('[INFO] Character Tavern auto-sync is disabled');
+        if (this.syncSchedules.size === 0) {
+            log.info('No sync schedules enabled');
+        }
+    }
+
+    /**
+     * Work out the next run after `from`: the cron match (or one interval later)
+     * plus jitter, pushed past quiet hours
+     */
+    planSyncRun(state, from) {
+        const { schedule } = state;
+        const base = state.cron
+            ? nextCronRun(state.cron, from)
+            : new Date(from.getTime() + schedule.intervalMinutes * 60 * 1000);
+        if (!base) {
+            state.nextRunAt = null;
+            state.error = `Cron expression "${schedule.cron}" never fires`;
+            log.warn(`${state.source} sync schedule: ${state.error}`);
             return;
         }
 
-        const intervalMs = Math.max(1, ctConfig.intervalMinutes || 180) * 60 * 1000;
-        console.log(`[INFO] Character Tavern auto-sync enabled with ${ctConfig.intervalMinutes || 180} minute interval`);
+        let next = addJitter(base, schedule.jitterMinutes);
+        if (isInQuietHours(next, state.quietWindow)) {
+            next = addJitter(quietHoursEnd(next, state.quietWindow), schedule.jitterMinutes);
+        }
+        state.nextRunAt = next;
+        this.armSyncTimer(state);
+    }
 
-        this.ctAutoUpdateTimer = setInterval(async () => {
-            if (lockService.isCtSyncInProgress()) {
-                console.log('[INFO] CT sync already in progress, skipping auto-sync run');
+    armSyncTimer(state) {
+        // setTimeout overflows past ~24.8 days, so long waits are re-armed in steps
+        const delay = Math.min(Math.max(0, state.nextRunAt.getTime() - Date.now()), this.MAX_TIMER_MS);
+        state.timer = setTimeout(() => {
+            if (Date.now() < state.nextRunAt.getTime()) {
+                this.armSyncTimer(state);
                 return;
             }
+            this.runScheduledSync(state);
+        }, delay);
+    }
 
-            console.log('[INFO] Character Tavern auto-sync triggered');
-            lockService.setCtSyncInProgress(true);
-            try {
-                await syncCharacterTavern(loadConfig(), progress => {
-                    if (progress.processed % 25 === 0) {
-                        console.log(`[INFO] CT auto-sync processed ${progress.processed} cards (added ${progress.added})`);
-                    }
-                });
-                console.log('[INFO] Character Tavern auto-sync complete');
-                await drainSearchIndexQueue('ct-auto-sync');
-            } catch (error) {
-                log.error('Character Tavern auto-sync failed', error);
-            } finally {
-                lockService.setCtSyncInProgress(false);
+    runScheduledSync(state) {
+        const { source, schedule } = state;
+        const now = new Date();
+
+        if (isInQuietHours(now, state.quietWindow)) {
+            state.lastRun = { at: now.toISOString(), status: 'skipped', reason: 'Quiet hours' };
+        } else {
+            const lastStart = schedule.minIntervalMinutes > 0 ? getLastSyncRunStart(source) : null;
+            const sinceLastMs = lastStart ? now.getTime() - lastStart.getTime() : Infinity;
+            if (sinceLastMs < schedule.minIntervalMinutes * 60 * 1000) {
+                const reason = `Last sync started ${Math.round(sinceLastMs / 60000)} minute(s) ago (minimum ${schedule.minIntervalMinutes})`;
+                log.info(`Skipping scheduled ${source} sync: ${reason}`);
+                state.lastRun = { at: now.toISOString(), status: 'skipped', reason };
+            } else {
+                const { job, reason } = this.enqueueSync(`sync.${source}`, schedule.trigger);
+                state.lastRun = job
+                    ? { at: now.toISOString(), status: 'queued', jobId: job.id }
+                    : { at: now.toISOString(), status: 'skipped', reason };
             }
-        }, intervalMs);
+        }
+
+        this.planSyncRun(state, now);
+    }
+
+    /**
+     * Queue a scheduled sync unless one for the same source is already queued or running
+     * @returns {{job: object|null, reason?: string}}
+     */
+    enqueueSync(type, trigger) {
+        try {
+            const conflict = validateJobRequest(type);
+            if (conflict) {
+                log.info(`Skipping scheduled ${type}: ${conflict.error}`);
+                return { job: null, reason: conflict.error };
+            }
+            return { job: enqueueJob(type, { trigger }) };
+        } catch (error) {
+            log.error(`Failed to queue scheduled ${type}`, error);
+            return { job: null, reason: error.message };
+        }
+    }
+
+    /**
+     * Schedule and next run for every registered source, for /api/sync/schedules
+     */
+    getSyncSchedules() {
+        return Object.keys(scraperRegistry).map(source => {
+            const state = this.syncSchedules.get(source);
+            if (!state) {
+                return { source, enabled: false, nextRunAt: null, lastRun: null, error: null };
+            }
+            const { schedule } = state;
+            return {
+                source,
+                enabled: true,
+                legacy: schedule.legacy,
+                trigger: schedule.trigger,
+                cron: schedule.cron,
+                intervalMinutes: schedule.cron ? null : schedule.intervalMinutes,
+                quietHours: schedule.quietHours,
+                jitterMinutes: schedule.jitterMinutes,
+                minIntervalMinutes: schedule.minIntervalMinutes,
+                nextRunAt: state.nextRunAt?.toISOString() ?? null,
+                lastRun: state.lastRun,
+                error: state.error
+            };
+        });
     }
-    
+
     startSearchIndexScheduler() {
         if (this.searchIndexRefreshTimer) {
             clearInterval(this.searchIndexRefreshTimer);
@@ -226,6 +343,36 @@ class SchedulerService {
             log.error('WAL checkpoint failed', error);
         }
     }
+
+    /**
+     * Start periodic purge of trashed cards older than trash.retentionDays
+     */
+    startTrashPurgeScheduler() {
+        if (this.trashPurgeTimer) {
+            clearInterval(this.trashPurgeTimer);
+            this.trashPurgeTimer = null;
+        }
+
+        this.runTrashPurge();
+
+        this.trashPurgeTimer = setInterval(() => {
+            this.runTrashPurge();
+        }, this.TRASH_PURGE_INTERVAL_MS);
+
+        log.info('Trash purge scheduler started (every 1 hour)');
+    }
+
+    /**
+     * Purge expired trash entries using the current retention setting
+     */
+    async runTrashPurge() {
+        try {
+            const retentionDays = loadConfig().trash?.retentionDays ?? 30;
+            await purgeExpiredTrash(retentionDays);
+        } catch (error) {
+            log.error('Trash purge failed', error);
+        }
+    }
 }
 
 export const schedulerService = new SchedulerService();
@@ -0,0 +1,101 @@
+/**
+ * SearchTextService - Card text for the offline full-text index
+ *
+ * When Meilisearch is disabled, full-text search goes through the SQLite FTS5
+ * table cards_fts. Triggers keep its name, tagline, description, tags and
+ * author columns in step with the cards table; the definition and greetings
+ * only exist in the card PNG, so this service extracts them into
+ * card_search_text, whose own triggers copy them into the index.
+ *
+ * upsertCard() re-inserts the row, which marks the extracted text stale;
+ * refreshSearchText() extracts stale and missing cards as the
+ * 'backfill.search-text' job, which every sync queues when it finishes.
+ */
+
+import {
+    getCardSearchText,
+    saveCardSearchText,
+    listCardsNeedingSearchText,
+    countCardsNeedingSearchText,
+    markAllSearchTextStale
+} from '../db/repositories/SearchTextRepository.js';
+import { readCardPngSpec } from '../utils/card-utils.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('FTS');
+
+const DEFINITION_FIELDS = ['description', 'personality', 'scenario', 'mes_example', 'system_prompt', 'post_history_instructions'];
+const BATCH_SIZE = 200;
+
+function joinText(values) {
+    const parts = values.filter(value => typeof value === 'string' && value.trim());
+    return parts.length > 0 ? parts.join('\n') : null;
+}
+
+/**
+ * Definition and greeting text of a parsed card spec
+ * @returns {{definition: string|null, greetings: string|null}}
+ */
+export function extractSearchText(spec) {
+    const data = spec?.data || spec || {};
+    const alternates = Array.isArray(data.alternate_greetings) ? data.alternate_greetings : [];
+    return {
+        definition: joinText(DEFINITION_FIELDS.map(field => data[field])),
+        greetings: joinText([data.first_mes, ...alternates])
+    };
+}
+
+/**
+ * Extract a card's text from its PNG and store it in the full-text index
+ * @returns {object} The stored card_search_text row
+ */
+export function indexCardText(cardId) {
+    const id = Number(cardId);
+    const spec = readCardPngSpec(id);
+    saveCardSearchText({ cardId: id, ...extractSearchText(spec) });
+    return getCardSearchText(id);
+}
+
+/**
+ * Extract every card that has no text yet or was re-downloaded since
+ * @param {object} [options]
+ * @param {boolean} [options.rebuild=false] - Extract all cards again
+ * @param {Function} [options.onProgress] - Receives { processed, total, indexed, empty, failed }
+ * @param {AbortSignal} [options.signal]
+ */
+export async function refreshSearchText({ rebuild = false, onProgress = () => {}, signal } = {}) {
+    if (rebuild) {
+        markAllSearchTextStale();
+    }
+
+    const stats = { processed: 0, total: countCardsNeedingSearchText(), indexed: 0, empty: 0, failed: 0 };
+    let afterId = 0;
+
+    while (!signal?.aborted) {
+        const batch = listCardsNeedingSearchText({ afterId, limit: BATCH_SIZE });
+        if (batch.length === 0) {
+            break;
+        }
+
+        for (const { id } of batch) {
+            try {
+                const row = indexCardText(id);
+                if (row.definition || row.greetings) {
+                    stats.indexed++;
+                } else {
+                    stats.empty++;
+                }
+            } catch (error) {
+                stats.failed++;
+                log.warn(`Failed to index text of card ${id}`, error);
+            }
+            stats.processed++;
+        }
+        afterId = batch[batch.length - 1].id;
+        onProgress({ ...stats });
+
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return stats;
+}
@@ -0,0 +1,207 @@
+/**
+ * SyncCheckpointService - Resumable page cursors for source syncs
+ *
+ * Each source keeps one checkpoint: the page range of its latest sync, the last
+ * finished page of every segment (Chub walks the timeline, each topic and each
+ * followed creator separately; the other scrapers have a single 'list'
+ * segment), the last card seen and the filters in effect. Sync modes:
+ * - latest: the configured page range (default)
+ * - backfill: an explicit fromPage..toPage range
+ * - resume: continue the last unfinished checkpoint after its last finished page
+ */
+
+import {
+    getCheckpoint,
+    listCheckpoints,
+    startCheckpoint,
+    reopenCheckpoint,
+    saveCheckpointCursor,
+    finishCheckpoint,
+    deleteCheckpoint
+} from '../db/repositories/SyncCheckpointRepository.js';
+import { lockService } from './LockService.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('CHECKPOINT');
+
+export const SYNC_MODES = ['latest', 'backfill', 'resume'];
+export const DEFAULT_SEGMENT = 'list';
+
+function toPageNumber(value) {
+    const page = Number(value);
+    return Number.isInteger(page) && page > 0 ? page : null;
+}
+
+function toCursorValue(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+}
+
+export function normalizeSyncOptions(options = {}) {
+    return {
+        mode: options?.mode || 'latest',
+        fromPage: toPageNumber(options?.fromPage),
+        toPage: toPageNumber(options?.toPage)
+    };
+}
+
+function isResumable(checkpoint) {
+    return !!checkpoint && checkpoint.status !== 'completed';
+}
+
+/**
+ * Check sync options before a job is queued
+ * @returns {string|null} Error message, or null when the options are usable
+ */
+export function validateSyncOptions(source, options = {}) {
+    const { mode, fromPage, toPage } = normalizeSyncOptions(options);
+    if (!SYNC_MODES.includes(mode)) {
+        return `mode must be one of: ${SYNC_MODES.join(', ')}`;
+    }
+    if (mode === 'backfill') {
+        if (!fromPage || !toPage) {
+            return 'Backfill needs fromPage and toPage as positive integers';
+        }
+        if (fromPage > toPage) {
+            return 'fromPage must not be greater than toPage';
+        }
+    }
+    if (mode === 'resume' && !isResumable(getCheckpoint(source))) {
+        return `No unfinished ${source} sync to resume`;
+    }
+    return null;
+}
+
+/**
+ * Cursor handed to a scraper for one sync run; every call persists immediately,
+ * so a crash loses at most the page in flight.
+ */
+export class SyncCursor {
+    constructor(source, checkpoint) {
+        this.source = source;
+        this.mode = checkpoint.mode;
+        this.startPage = checkpoint.startPage;
+        this.endPage = checkpoint.endPage;
+        // Failures belong to the run that hit them; a resumed run retries those segments
+        this.segments = Object.fromEntries(
+            Object.entries(checkpoint.segments || {}).map(([name, { error, ...state }]) => [name, state])
+        );
+    }
+
+    get pageCount() {
+        return this.endPage - this.startPage + 1;
+    }
+
+    isSegmentDone(segment = DEFAULT_SEGMENT) {
+        return !!this.segments[segment]?.done;
+    }
+
+    /**
+     * First page still to fetch for a segment; past endPage once it is done
+     */
+    firstPage(segment = DEFAULT_SEGMENT) {
+        if (this.isSegmentDone(segment)) {
+            return this.endPage + 1;
+        }
+        const lastPage = this.segments[segment]?.page;
+        return lastPage ? Math.max(this.startPage, lastPage + 1) : this.startPage;
+    }
+
+    pageDone(segment, page, { lastSeenId, lastSeenAt } = {}) {
+        this.segments[segment] = { ...this.segments[segment], page };
+        this.save(segment, page, { lastSeenId, lastSeenAt });
+    }
+
+    // No-op for a segment that failed during this run, so it stays resumable
+    segmentDone(segment = DEFAULT_SEGMENT) {
+        const state = this.segments[segment] || {};
+        if (state.error || state.done) return;
+        this.segments[segment] = { ...state, done: true };
+        this.save(segment, state.page ?? null);
+    }
+
+    segmentFailed(segment, error) {
+        this.segments[segment] = { ...this.segments[segment], error: error?.message || String(error) };
+        this.save(segment, this.segments[segment].page ?? null);
+    }
+
+    save(segment, page, { lastSeenId, lastSeenAt } = {}) {
+        saveCheckpointCursor(this.source, {
+            segment,
+            page,
+            segments: this.segments,
+            lastSeenId: toCursorValue(lastSeenId),
+            lastSeenAt: toCursorValue(lastSeenAt)
+        });
+    }
+
+    /**
+     * @param {'completed'|'cancelled'|'failed'} status - 'completed' turns into
+     *   'incomplete' when a segment failed part way
+     */
+    finish(status = 'completed', error = null) {
+        const failed = Object.values(this.segments).find(state => state.error);
+        const finalStatus = status === 'completed' && failed ? 'incomplete' : status;
+        finishCheckpoint(this.source, finalStatus, error || failed?.error || null);
+        log.info(`${this.source} checkpoint ${finalStatus}`);
+    }
+}
+
+/**
+ * Open the cursor for a sync run
+ * @param {string} source - scraperRegistry key
+ * @param {object} [options] - { mode, fromPage, toPage }
+ * @param {object} defaults - { startPage, endPage, filters } from the source's config
+ * @returns {SyncCursor}
+ */
+export function openSyncCursor(source, options, { startPage, endPage, filters = {} }) {
+    const { mode, fromPage, toPage } = normalizeSyncOptions(options);
+
+    if (mode === 'resume') {
+        const checkpoint = getCheckpoint(source);
+        if (!isResumable(checkpoint)) {
+            throw new Error(`No unfinished ${source} sync to resume`);
+        }
+        if (JSON.stringify(checkpoint.filters) !== JSON.stringify(filters)) {
+            throw new Error(`${source} sync filters changed since the checkpoint was saved; run a backfill instead`);
+        }
+        log.info(`Resuming ${source} ${checkpoint.mode} sync (pages ${checkpoint.startPage}-${checkpoint.endPage}, last page ${checkpoint.page ?? 'none'})`);
+        return new SyncCursor(source, reopenCheckpoint(source));
+    }
+
+    const range = mode === 'backfill'
+        ? { startPage: fromPage, endPage: toPage }
+        : { startPage, endPage };
+    return new SyncCursor(source, startCheckpoint(source, { mode, ...range, filters }));
+}
+
+/**
+ * Mark a source's checkpoint failed if its run threw before finishing
+ */
+export function failSyncCheckpoint(source, error) {
+    const checkpoint = getCheckpoint(source);
+    if (checkpoint?.status === 'running') {
+        finishCheckpoint(source, 'failed', error?.message || String(error));
+    }
+}
+
+/**
+ * Checkpoints for the sync UI. A 'running' checkpoint whose source holds no
+ * lock was cut off by a crash or restart.
+ */
+export function listSyncCheckpoints() {
+    return listCheckpoints().map(checkpoint => {
+        const inProgress = lockService.isSyncInProgress(checkpoint.source);
+        return {
+            ...checkpoint,
+            inProgress,
+            interrupted: checkpoint.status === 'running' && !inProgress,
+            resumable: isResumable(checkpoint) && !inProgress
+        };
+    });
+}
+
+export function clearSyncCheckpoint(source) {
+    return deleteCheckpoint(source);
+}
@@ -0,0 +1,171 @@
+/**
+ * SyncHistoryService - Per-run sync reports
+ *
+ * Scrapers open a run when a sync starts and record every page and card
+ * outcome on it; counts are flushed to `sync_runs` after each page, so a crash
+ * still leaves a partial report. The trigger (manual, schedule, or the legacy
+ * auto-update/ct-auto-sync) comes from the job payload, which SchedulerService
+ * sets for timed syncs.
+ */
+
+import {
+    createSyncRun,
+    getSyncRun,
+    listSyncRuns,
+    getLatestSyncRun,
+    updateSyncRunStats,
+    finishSyncRun,
+    closeRunningSyncRuns
+} from '../db/repositories/SyncRunRepository.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('SYNC-HISTORY');
+
+const MAX_ERROR_SAMPLES = 20;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// processCard() reasons that mean the card was refused by a blacklist or deny-list
+const BLACKLIST_REASONS = new Set(['blacklisted', 'denied']);
+const FAILURE_REASONS = new Set(['error', 'fetch_failed']);
+
+export class SyncRunRecorder {
+    constructor(run) {
+        this.id = run.id;
+        this.source = run.source;
+        this.stats = {
+            pagesScanned: 0,
+            newCards: 0,
+            updatedCards: 0,
+            skippedCards: 0,
+            blacklistedCards: 0,
+            failedCards: 0
+        };
+        this.errors = [];
+        this.finished = false;
+    }
+
+    /**
+     * Count one card
+     * @param {'new'|'updated'|'skipped'|'blacklisted'|'failed'} outcome
+     * @param {object} [details] - { sourceId, page, error } kept as a sample for failures
+     */
+    record(outcome, details = {}) {
+        const key = `${outcome}Cards`;
+        if (!(key in this.stats)) {
+            throw new Error(`Unknown sync outcome: ${outcome}`);
+        }
+        this.stats[key]++;
+        if (outcome === 'failed') {
+            this.sampleError(details);
+        }
+    }
+
+    /**
+     * Count a BaseScraper.processCard() result
+     */
+    recordResult(result, details = {}) {
+        if (result.success) {
+            this.record(result.isNew ? 'new' : 'updated');
+        } else if (BLACKLIST_REASONS.has(result.reason)) {
+            this.record('blacklisted');
+        } else if (FAILURE_REASONS.has(result.reason)) {
+            this.record('failed', { ...details, error: result.error || result.reason });
+        } else {
+            this.record('skipped');
+        }
+    }
+
+    // Page-level failures (a list fetch that threw) are samples without a card
+    sampleError({ sourceId = null, page = null, error = null } = {}) {
+        if (this.errors.length >= MAX_ERROR_SAMPLES) return;
+        this.errors.push({
+            sourceId: sourceId === null ? null : String(sourceId),
+            page,
+            error: error?.message || (error ? String(error) : 'Unknown error'),
+            at: new Date().toISOString()
+        });
+    }
+
+    pageScanned() {
+        this.stats.pagesScanned++;
+        this.flush();
+    }
+
+    flush() {
+        updateSyncRunStats(this.id, this.stats, this.errors);
+    }
+
+    /**
+     * @param {'completed'|'cancelled'|'failed'} status
+     */
+    finish(status = 'completed', error = null) {
+        if (this.finished) return;
+        this.finished = true;
+        this.flush();
+        finishSyncRun(this.id, status, error?.message || error || null);
+        const { newCards, updatedCards, skippedCards, blacklistedCards, failedCards, pagesScanned } = this.stats;
+        log.info(`${this.source} run #${this.id} ${status}: ${pagesScanned} pages, ${newCards} new, ${updatedCards} updated, ${skippedCards} skipped, ${blacklistedCards} blacklisted, ${failedCards} failed`);
+    }
+}
+
+/**
+ * Start recording a sync run
+ * @param {string} source - scraperRegistry key
+ * @param {object} [options] - { trigger, mode, jobId }
+ * @returns {SyncRunRecorder}
+ */
+export function openSyncRun(source, { trigger, mode, jobId } = {}) {
+    return new SyncRunRecorder(createSyncRun({
+        source,
+        trigger: trigger || 'manual',
+        mode: mode || 'latest',
+        jobId: jobId ?? null
+    }));
+}
+
+/**
+ * Close a source's open runs after its sync threw
+ */
+export function failOpenSyncRuns(source, error) {
+    closeRunningSyncRuns(source, 'failed', error?.message || String(error));
+}
+
+/**
+ * Runs left open by a crash or restart; call once at startup before any sync
+ */
+export function closeInterruptedSyncRuns() {
+    const closed = closeRunningSyncRuns(null, 'interrupted', 'Interrupted by server restart');
+    if (closed > 0) {
+        log.warn(`Marked ${closed} unfinished sync run(s) as interrupted`);
+    }
+    return closed;
+}
+
+export function getSyncHistory({ source, trigger, status, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+    const { items, total } = listSyncRuns({
+        source,
+        trigger,
+        status,
+        limit: pageSize,
+        offset: (pageNumber - 1) * pageSize
+    });
+    return { items, total, page: pageNumber, limit: pageSize };
+}
+
+export function getSyncRunReport(runId) {
+    return getSyncRun(runId);
+}
+
+/**
+ * When the source's latest run started, for the scheduler's minimum-interval check
+ * @returns {Date|null}
+ */
+export function getLastSyncRunStart(source) {
+    const run = getLatestSyncRun(source);
+    if (!run) return null;
+    // SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+    return new Date(`${run.startedAt.replace(' ', 'T')}Z`);
+}
@@ -0,0 +1,263 @@
+/**
+ * TrashService - Quarantine for deleted cards
+ *
+ * Deleting a card moves its files (PNG/JSON/CharX and cached-assets/<id>) to
+ * data/trash/<id>/, which is not served publicly, and removes the row from
+ * `cards` so it disappears from listings and the search index. The removed
+ * card and cached_assets rows are kept in card_trash so the card can be
+ * restored until the retention period expires and the entry is purged.
+ * Shared cached asset files the card referenced stay in place until then.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    getDatabase,
+    withTransaction,
+    deleteCard as dbDeleteCard,
+    replaceCardTags,
+    splitTopicsToArray
+} from '../database.js';
+import {
+    insertTrashEntry,
+    getTrashEntries,
+    getTrashEntry,
+    deleteTrashEntry,
+    getExpiredTrashEntries
+} from '../db/repositories/TrashRepository.js';
+import { blockSourceId, unblockSourceId } from './BlocklistService.js';
+import { collectAssetGarbage } from './asset-cache.js';
+import { getCardFilePaths, STATIC_DIR } from '../utils/card-utils.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.scoped('TRASH');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const fsp = fs.promises;
+
+const DATA_DIR = path.join(__dirname, '../../data');
+export const TRASH_DIR = path.join(DATA_DIR, 'trash');
+const CACHED_ASSETS_DIR = path.join(STATIC_DIR, 'cached-assets');
+
+// Card files that travel to the trash, keyed by getCardFilePaths() property
+const TRASH_FILES = [
+    { kind: 'png', pathKey: 'pngPath', suffix: '.png' },
+    { kind: 'fullPng', pathKey: 'fullPngPath', suffix: '.card.png' },
+    { kind: 'charx', pathKey: 'charxPath', suffix: '.charx' },
+    { kind: 'json', pathKey: 'jsonPath', suffix: '.json' }
+];
+
+function getTrashDir(cardId) {
+    return path.join(TRASH_DIR, String(cardId));
+}
+
+async function pathExists(filePath) {
+    try {
+        await fsp.access(filePath, fs.constants.F_OK);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Rename, falling back to copy + remove when source and target are on different devices
+ */
+export async function moveEntry(from, to) {
+    await fsp.mkdir(path.dirname(to), { recursive: true });
+    try {
+        await fsp.rename(from, to);
+    } catch (error) {
+        if (error.code !== 'EXDEV') {
+            throw error;
+        }
+        await fsp.cp(from, to, { recursive: true });
+        await fsp.rm(from, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Move a card to the trash
+ * @param {number|string} cardId - Card ID
+ * @param {object} [options]
+ * @param {string} [options.reason] - Why the card was removed (manual, bulk, moderation, ...)
+ * @param {boolean} [options.blacklist=true] - Blacklist the card so syncs don't re-download it
+ * @returns {Promise<object|null>} Trash entry, or null when there was nothing to remove
+ */
+export async function trashCard(cardId, options = {}) {
+    const { reason = 'manual', blacklist = true } = options;
+    const cardIdNum = parseInt(cardId, 10);
+    const paths = getCardFilePaths(cardIdNum);
+    const database = getDatabase();
+
+    const cardRow = database.prepare('SELECT * FROM cards WHERE id = ?').get(cardIdNum);
+    const assetRows = database.prepare('SELECT * FROM cached_assets WHERE cardId = ?').all(cardIdNum);
+
+    const trashDir = getTrashDir(cardIdNum);
+    // A previous entry for the same ID is superseded by this one
+    await fsp.rm(trashDir, { recursive: true, force: true });
+
+    const files = [];
+    for (const file of TRASH_FILES) {
+        const sourcePath = paths[file.pathKey];
+        if (await pathExists(sourcePath)) {
+            await moveEntry(sourcePath, path.join(trashDir, `${cardIdNum}${file.suffix}`));
+            files.push(file.kind);
+        }
+    }
+
+    const assetDir = path.join(CACHED_ASSETS_DIR, String(cardIdNum));
+    if (await pathExists(assetDir)) {
+        await moveEntry(assetDir, path.join(trashDir, 'cached-assets'));
+        files.push('cachedAssets');
+    }
+
+    if (!cardRow && files.length === 0) {
+        return null;
+    }
+
+    const entry = {
+        cardId: cardIdNum,
+        source: cardRow?.source || null,
+        sourceId: cardRow?.sourceId || null,
+        name: cardRow?.name || '',
+        author: cardRow?.author || '',
+        reason,
+        cardRow: cardRow || { id: cardIdNum },
+        assetRows,
+        files,
+        trashPath: path.relative(DATA_DIR, trashDir).split(path.sep).join('/'),
+        blacklisted: blacklist
+    };
+
+    withTransaction(() => {
+        insertTrashEntry(entry);
+        if (cardRow) {
+            dbDeleteCard(cardIdNum);
+        }
+    });
+
+    if (blacklist) {
+        blockSourceId(entry.source || 'chub', entry.sourceId || cardIdNum, {
+            reason: `Deleted (${reason})`,
+            addedBy: 'trash'
+        });
+    }
+
+    return entry;
+}
+
+/**
+ * Restore a trashed card: move its files back, re-insert its rows and lift the blacklist
+ * @returns {Promise<{success: boolean, reason?: string, cardId?: number, name?: string}>}
+ */
+export async function restoreCard(cardId) {
+    const cardIdNum = parseInt(cardId, 10);
+    const entry = getTrashEntry(cardIdNum);
+    if (!entry) {
+        return { success: false, reason: 'not_found' };
+    }
+
+    const database = getDatabase();
+    const existing = database.prepare('SELECT id FROM cards WHERE id = ?').get(cardIdNum);
+    if (existing) {
+        return { success: false, reason: 'card_exists' };
+    }
+
+    const paths = getCardFilePaths(cardIdNum);
+    const trashDir = getTrashDir(cardIdNum);
+    await fsp.mkdir(paths.subfolder, { recursive: true });
+
+    for (const file of TRASH_FILES) {
+        const trashedPath = path.join(trashDir, `${cardIdNum}${file.suffix}`);
+        if (await pathExists(trashedPath)) {
+            await moveEntry(trashedPath, paths[file.pathKey]);
+        }
+    }
+
+    const trashedAssets = path.join(trashDir, 'cached-assets');
+    if (await pathExists(trashedAssets)) {
+        await moveEntry(trashedAssets, path.join(CACHED_ASSETS_DIR, String(cardIdNum)));
+    }
+
+    const cardColumns = new Set(database.prepare('PRAGMA table_info(cards)').all().map(column => column.name));
+    const assetColumns = new Set(database.prepare('PRAGMA table_info(cached_assets)').all().map(column => column.name));
+
+    const insertRow = (table, columns, row) => {
+        const keys = Object.keys(row).filter(key => columns.has(key) && !(table === 'cached_assets' && key === 'id'));
+        database.prepare(
+            `INSERT OR IGNORE INTO ${table} (${keys.join(', ')}) VALUES (${keys.map(() => '?').join(', ')})`
+        ).run(...keys.map(key => row[key]));
+    };
+
+    withTransaction(() => {
+        if (entry.cardRow && entry.cardRow.name !== undefined) {
+            insertRow('cards', cardColumns, entry.cardRow);
+            replaceCardTags(cardIdNum, splitTopicsToArray(entry.cardRow.topics));
+            for (const assetRow of entry.assetRows || []) {
+                insertRow('cached_assets', assetColumns, assetRow);
+            }
+        }
+        deleteTrashEntry(cardIdNum);
+    });
+
+    if (entry.blacklisted) {
+        unblockSourceId(entry.source || 'chub', entry.sourceId || cardIdNum);
+    }
+
+    await fsp.rm(trashDir, { recursive: true, force: true });
+    log.info(`Restored card ${cardIdNum} from trash`);
+
+    return { success: true, cardId: cardIdNum, name: entry.name };
+}
+
+/**
+ * List trashed cards
+ */
+export function listTrash({ page = 1, limit = 50 } = {}) {
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+    const safePage = Math.max(parseInt(page, 10) || 1, 1);
+    const { items, total } = getTrashEntries({ limit: safeLimit, offset: (safePage - 1) * safeLimit });
+    return { items, total, page: safePage, limit: safeLimit };
+}
+
+/**
+ * Permanently remove a trashed card's files and entry
+ */
+export async function purgeTrashEntry(cardId) {
+    const cardIdNum = parseInt(cardId, 10);
+    await fsp.rm(getTrashDir(cardIdNum), { recursive: true, force: true });
+    deleteTrashEntry(cardIdNum);
+    collectAssetGarbage();
+}
+
+/**
+ * Purge entries older than the retention period
+ * @param {number} retentionDays - Days to keep trashed cards; 0 or less keeps them forever
+ * @returns {Promise<{purged: number}>}
+ */
+export async function purgeExpiredTrash(retentionDays) {
+    const days = Number(retentionDays);
+    if (!Number.isFinite(days) || days <= 0) {
+        return { purged: 0 };
+    }
+
+    const expired = getExpiredTrashEntries(days);
+    let purged = 0;
+    for (const entry of expired) {
+        try {
+            await purgeTrashEntry(entry.cardId);
+            purged++;
+        } catch (error) {
+            log.warn(`Failed to purge trashed card ${entry.cardId}`, error);
+        }
+    }
+
+    if (purged > 0) {
+        log.info(`Purged ${purged} card(s) deleted more than ${days} day(s) ago`);
+    }
+    return { purged };
+}
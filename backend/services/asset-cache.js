@@ -3,8 +3,19 @@ import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import { getDatabase } from '../database.js';
-import { readCardPngSpec } from '../utils/card-utils.js';
+import { getDatabase, withTransaction } from '../database.js';
+import {
+    getAssetBlob,
+    registerAssetBlob,
+    saveCachedAsset,
+    findAssetBlobByUrl,
+    listUnreferencedAssetBlobs,
+    deleteUnreferencedAssetBlob,
+    listLegacyCachedAssets,
+    countLegacyCachedAssets,
+    setCachedAssetContent
+} from '../db/repositories/AssetBlobRepository.js';
+import { readCardPngSpec, STATIC_DIR } from '../utils/card-utils.js';
 import { isURLSafe, extractRemoteImageUrls } from '@character-foundry/image-utils';
 import { logger } from '../utils/logger.js';
 
@@ -14,6 +25,9 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const CACHE_DIR = path.join(__dirname, '../../static', 'cached-assets');
+// Downloaded files, stored once per distinct content: blobs/<2 hex>/<sha256><ext>
+const BLOB_DIRNAME = 'blobs';
+const MIGRATION_BATCH_SIZE = 200;
 
 // Security: Allowlist of domains for asset downloads (SSRF protection)
 const ALLOWED_ASSET_DOMAINS = [
@@ -160,6 +174,55 @@ function getCardCacheDir(cardId) {
     return path.join(CACHE_DIR, String(cardId));
 }
 
+function getBlobRelativePath(hash, ext) {
+    return path.join('cached-assets', BLOB_DIRNAME, hash.substring(0, 2), `${hash}${ext}`);
+}
+
+/**
+ * Write content to the blob store unless the same bytes are already there
+ * @returns {{hash: string, localPath: string, fileSize: number, written: boolean}} localPath is relative to static/
+ */
+function storeAssetContent(buffer, ext) {
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const existing = getAssetBlob(hash);
+    if (existing && fs.existsSync(path.join(STATIC_DIR, existing.localPath))) {
+        return { hash, localPath: existing.localPath, fileSize: buffer.length, written: false };
+    }
+
+    const localPath = existing?.localPath || getBlobRelativePath(hash, ext);
+    const fullPath = path.join(STATIC_DIR, localPath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    // A blob path never holds a partly written file
+    const tempPath = `${fullPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, buffer);
+    fs.renameSync(tempPath, fullPath);
+    return { hash, localPath, fileSize: buffer.length, written: true };
+}
+
+/**
+ * Point a card's cached asset row at stored content. The blob row and the
+ * reference go in together, so garbage collection never sees one without the other.
+ * @returns {boolean} false when the stored file vanished in the meantime
+ */
+function recordCachedAsset(cardId, url, result, metadata) {
+    if (!fs.existsSync(path.join(STATIC_DIR, result.localPath))) {
+        return false;
+    }
+    withTransaction(() => {
+        registerAssetBlob({ hash: result.contentHash, localPath: result.localPath, fileSize: result.fileSize });
+        saveCachedAsset({
+            cardId,
+            originalUrl: url,
+            localPath: result.localPath,
+            assetType: result.assetType,
+            fileSize: result.fileSize || 0,
+            metadata: metadata ? JSON.stringify(metadata) : null,
+            contentHash: result.contentHash
+        });
+    });
+    return true;
+}
+
 function getNodesCachePath(cardId) {
     return path.join(getCardCacheDir(cardId), GALLERY_NODES_FILENAME);
 }
@@ -367,29 +430,17 @@ async function downloadAsset(url, cardId, options = {}) {
     }
 
     try {
-        // Generate hash for filename
-        const urlHash = crypto.createHash('md5').update(url).digest('hex');
-        const ext = path.extname(new URL(url).pathname).split('?')[0] || '.jpg';
-        const filename = `${urlHash}${ext}`;
-        const cardDir = getCardCacheDir(cardId);
-
-        // Create card directory if it doesn't exist
-        if (!fs.existsSync(cardDir)) {
-            fs.mkdirSync(cardDir, { recursive: true });
-        }
-
-        const localPath = path.join(cardDir, filename);
-        const relativePath = path.join('cached-assets', String(cardId), filename);
         const resolvedType = explicitType || (url.match(/\.(mp3|wav|ogg|m4a)$/i) ? 'audio' : 'image');
 
-        // Skip if already downloaded
-        if (fs.existsSync(localPath)) {
+        // Skip if this URL was already stored, for this card or another one
+        const known = findAssetBlobByUrl(url, cardId);
+        if (known && fs.existsSync(path.join(STATIC_DIR, known.localPath))) {
             log.debug(`Already cached: ${url}`);
-            const stats = fs.statSync(localPath);
             return {
                 success: true,
-                localPath: relativePath,
-                fileSize: stats.size,
+                localPath: known.localPath,
+                fileSize: known.fileSize,
+                contentHash: known.hash,
                 cached: true,
                 assetType: resolvedType,
                 metadata
@@ -407,16 +458,17 @@ async function downloadAsset(url, cardId, options = {}) {
             }
         });
 
-        // Save to disk
-        fs.writeFileSync(localPath, response.data);
-        const fileSize = fs.statSync(localPath).size;
+        // Save to disk, or reuse identical bytes fetched from another URL
+        const ext = path.extname(new URL(url).pathname).split('?')[0] || '.jpg';
+        const stored = storeAssetContent(Buffer.from(response.data), ext);
 
-        log.debug(`Downloaded: ${url} (${(fileSize / 1024).toFixed(2)} KB)`);
+        log.debug(`Downloaded: ${url} (${(stored.fileSize / 1024).toFixed(2)} KB${stored.written ? '' : ', same content already stored'})`);
 
         return {
             success: true,
-            localPath: relativePath,
-            fileSize,
+            localPath: stored.localPath,
+            fileSize: stored.fileSize,
+            contentHash: stored.hash,
             cached: false,
             assetType: resolvedType,
             metadata
@@ -432,8 +484,6 @@ async function downloadAsset(url, cardId, options = {}) {
  */
 export async function cacheCardAssets(cardId) {
     try {
-        const db = getDatabase();
-
         // Scan for URLs
         const { urls, error } = await scanCardForUrls(cardId);
         if (error) {
@@ -461,10 +511,9 @@ export async function cacheCardAssets(cardId) {
 
                 // Store in database
                 try {
-                    db.prepare(`
-                        INSERT OR REPLACE INTO cached_assets (cardId, originalUrl, localPath, assetType, fileSize, metadata)
-                        VALUES (?, ?, ?, ?, ?, ?)
-                    `).run(cardId, url, result.localPath, result.assetType, result.fileSize || 0, result.metadata ? JSON.stringify(result.metadata) : null);
+                    if (!recordCachedAsset(cardId, url, result, result.metadata)) {
+                        log.warn(`Cached file for ${url} disappeared before it was recorded`);
+                    }
                 } catch (dbError) {
                     log.error('DB error', dbError);
                 }
@@ -587,7 +636,6 @@ export async function cacheGalleryAssets(cardId, apiKey = '', options = {}) {
 
         log.info(`Caching ${items.length} gallery assets for card ${cardId}`);
 
-        const db = getDatabase();
         const results = { cached: 0, skipped: 0, failed: 0, total: items.length };
         const assets = [];
 
@@ -632,10 +680,9 @@ export async function cacheGalleryAssets(cardId, apiKey = '', options = {}) {
                 }
 
                 try {
-                    db.prepare(`
-                        INSERT OR REPLACE INTO cached_assets (cardId, originalUrl, localPath, assetType, fileSize, metadata)
-                        VALUES (?, ?, ?, ?, ?, ?)
-                    `).run(cardId, item.url, result.localPath, result.assetType, result.fileSize || 0, JSON.stringify(metadata));
+                    if (!recordCachedAsset(cardId, item.url, result, metadata)) {
+                        log.warn(`Cached file for ${item.url} disappeared before it was recorded`);
+                    }
                 } catch (dbError) {
                     log.error('DB error storing gallery asset', dbError);
                 }
@@ -768,14 +815,15 @@ export async function clearCardAssets(cardId, options = {}) {
         // Get assets to delete
         const params = assetType ? [cardId, assetType] : [cardId];
         const selectSql = assetType
-            ? 'SELECT localPath FROM cached_assets WHERE cardId = ? AND assetType = ?'
-            : 'SELECT localPath FROM cached_assets WHERE cardId = ?';
+            ? 'SELECT localPath, contentHash FROM cached_assets WHERE cardId = ? AND assetType = ?'
+            : 'SELECT localPath, contentHash FROM cached_assets WHERE cardId = ?';
 
         const assets = db.prepare(selectSql).all(...params);
 
-        // Delete files
-        for (const asset of assets) {
-            const fullPath = path.join(__dirname, 'static', asset.localPath);
+        // Delete per-card files from before content addressing; shared blobs
+        // are removed below once no card references them
+        for (const asset of assets.filter(asset => !asset.contentHash)) {
+            const fullPath = path.join(STATIC_DIR, asset.localPath);
             if (fs.existsSync(fullPath)) {
                 fs.unlinkSync(fullPath);
             }
@@ -792,6 +840,7 @@ export async function clearCardAssets(cardId, options = {}) {
             ? 'DELETE FROM cached_assets WHERE cardId = ? AND assetType = ?'
             : 'DELETE FROM cached_assets WHERE cardId = ?';
         db.prepare(deleteSql).run(...params);
+        collectAssetGarbage();
 
         log.info(`Cleared ${assetType || 'all'} assets for card ${cardId}`);
         return { success: true, removed: assets.length };
@@ -801,6 +850,94 @@ export async function clearCardAssets(cardId, options = {}) {
     }
 }
 
+/**
+ * Delete stored files no card references any more. Cards in the trash keep
+ * theirs until the trash entry is purged.
+ * @returns {{removed: number, bytes: number}}
+ */
+export function collectAssetGarbage() {
+    const result = { removed: 0, bytes: 0 };
+    for (const blob of listUnreferencedAssetBlobs()) {
+        // Row and file go in the same tick, so a download can't pick the blob up halfway
+        if (!deleteUnreferencedAssetBlob(blob.hash)) continue;
+        try {
+            fs.rmSync(path.join(STATIC_DIR, blob.localPath), { force: true });
+            result.removed++;
+            result.bytes += blob.fileSize || 0;
+        } catch (error) {
+            log.warn(`Failed to delete unreferenced asset ${blob.localPath}`, error);
+        }
+    }
+    if (result.removed > 0) {
+        log.info(`Removed ${result.removed} unreferenced cached asset(s) (${(result.bytes / 1024 / 1024).toFixed(1)} MB)`);
+    }
+    return result;
+}
+
+/**
+ * One-off move of per-card cached files (cached-assets/<cardId>/<md5 of url><ext>)
+ * into the blob store, keeping one copy of each distinct content
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - Receives { processed, total, migrated }
+ * @returns {object} Counts, and bytes on disk before and after
+ */
+export function migrateAssetCache({ onProgress = () => {} } = {}) {
+    const total = countLegacyCachedAssets();
+    const report = { total, migrated: 0, duplicates: 0, missing: 0, failed: 0, bytesBefore: 0, bytesAfter: 0, reclaimedBytes: 0 };
+    const cardDirs = new Set();
+    let afterId = 0;
+    let processed = 0;
+
+    for (;;) {
+        const rows = listLegacyCachedAssets({ afterId, limit: MIGRATION_BATCH_SIZE });
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+            afterId = row.id;
+            processed++;
+            const legacyPath = path.join(STATIC_DIR, row.localPath);
+            try {
+                if (!fs.existsSync(legacyPath)) {
+                    // Left for the integrity check's dangling repair
+                    report.missing++;
+                    continue;
+                }
+                const buffer = fs.readFileSync(legacyPath);
+                const stored = storeAssetContent(buffer, path.extname(legacyPath));
+                withTransaction(() => {
+                    registerAssetBlob({ hash: stored.hash, localPath: stored.localPath, fileSize: stored.fileSize });
+                    setCachedAssetContent(row.id, { contentHash: stored.hash, localPath: stored.localPath, fileSize: stored.fileSize });
+                });
+                fs.rmSync(legacyPath, { force: true });
+                cardDirs.add(path.dirname(legacyPath));
+
+                report.migrated++;
+                report.bytesBefore += buffer.length;
+                if (stored.written) {
+                    report.bytesAfter += stored.fileSize;
+                } else {
+                    report.duplicates++;
+                }
+            } catch (error) {
+                report.failed++;
+                log.warn(`Failed to migrate cached asset ${row.id} (${row.localPath})`, error);
+            }
+        }
+        onProgress({ processed, total, migrated: report.migrated });
+    }
+
+    // gallery-nodes.json stays in the card folder; only folders left empty go
+    for (const dir of cardDirs) {
+        if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+            fs.rmdirSync(dir);
+        }
+    }
+
+    report.reclaimedBytes = report.bytesBefore - report.bytesAfter;
+    log.info(`Migrated ${report.migrated}/${total} cached assets, reclaimed ${(report.reclaimedBytes / 1024 / 1024).toFixed(1)} MB`);
+    return report;
+}
+
 /**
  * Rewrite card metadata to use cached URLs
  */
@@ -5,6 +5,7 @@ import { fileURLToPath } from 'url';
 
 import { getDatabase, detectLanguage } from '../database.js';
 import { isCtBlacklisted } from '../utils/ct-blacklist.js';
+import { checkDenyList } from './DenyListService.js';
 import { logger } from '../utils/logger.js';
 
 const log = logger.scoped('CT-SYNC');
@@ -283,12 +284,6 @@ async function fetchCtPage({ bearerToken, hitsPerPage, page, minTokens, maxToken
   }
 }
 
-function matchesBannedTags(hit, bannedLower) {
-  if (!bannedLower.length) return false;
-  const tagSet = new Set((hit.tags || []).map(tag => tag.toLowerCase()));
-  return bannedLower.some(tag => tagSet.has(tag));
-}
-
 export async function syncCharacterTavern(appConfig = {}, progressCallback = null) {
   const ctConfig = appConfig.ctSync || {};
   if (!ctConfig.enabled) {
@@ -305,7 +300,6 @@ export async function syncCharacterTavern(appConfig = {}, progressCallback = nul
   const minTokens = ctConfig.minTokens || DEFAULT_MIN_TOKENS;
   const maxTokens = ctConfig.maxTokens || DEFAULT_MAX_TOKENS;
   const excludedWarnings = ctConfig.excludedWarnings || [];
-  const bannedTags = (ctConfig.bannedTags || []).map(tag => tag.toLowerCase());
   const cookies = [];
   if (ctConfig.cfClearance || process.env.CT_CF_CLEARANCE) cookies.push(`cf_clearance=${(ctConfig.cfClearance || process.env.CT_CF_CLEARANCE).trim()}`);
   if (ctConfig.session || process.env.CT_SESSION) cookies.push(`session=${(ctConfig.session || process.env.CT_SESSION).trim()}`);
@@ -350,7 +344,7 @@ export async function syncCharacterTavern(appConfig = {}, progressCallback = nul
         continue;
       }
 
-      if (matchesBannedTags(hit, bannedTags)) {
+      if (checkDenyList({ source: 'ct', author: hit.author, tags: hit.tags })) {
         skipped += 1;
         continue;
       }
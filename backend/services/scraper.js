@@ -16,11 +16,12 @@ import {
     loadBlacklist,
     isBlacklisted
 } from './ApiClient.js';
-import { syncRisuAi } from './scrapers/RisuAiScraper.js';
-import { syncWyvern } from './scrapers/WyvernScraper.js';
-import { syncCharacterTavern } from './scrapers/CtScraper.js';
 import { syncLinkedLorebooks } from './LorebookService.js';
 import { lockService } from './LockService.js';
+import { openSyncCursor } from './SyncCheckpointService.js';
+import { openSyncRun } from './SyncHistoryService.js';
+import { snapshotCardVersion } from './CardVersionService.js';
+import { checkDenyList } from './DenyListService.js';
 
 const scraperLogger = logger.scoped('SCRAPER');
 
@@ -377,6 +378,18 @@ export async function downloadCard(card, config, options = {}) {
     const { force = false } = options;
 
     const cardId = String(card.id);
+
+    // Blocked tags/creators are never written, even on forced refreshes
+    const denied = checkDenyList({
+        source: 'chub',
+        author: card.author || (card.fullPath || card.path || '').split('/')[0],
+        tags: card.topics
+    });
+    if (denied) {
+        scraperLogger.info(`Skipping card ${cardId}: blocked ${denied.type} "${denied.value}"`);
+        return false;
+    }
+
     const subfolder = path.join(STATIC_DIR, cardId.substring(0, 2));
     ensureDir(subfolder);
 
@@ -600,6 +613,13 @@ export async function downloadCard(card, config, options = {}) {
     // If card was updated, log the reason
     if (updateCheck.updated && existingMetadata) {
         scraperLogger.info(`Card ${cardId} was updated (${updateCheck.reason}), downloading new version`);
+        // Keep the definition we archived before it gets overwritten below; a failed
+        // snapshot must not cost us the upstream update
+        try {
+            await snapshotCardVersion(cardId, { reason: updateCheck.reason, source: 'chub' });
+        } catch (error) {
+            scraperLogger.warn(`Failed to archive revision of ${cardId} before update`, error);
+        }
     }
 
     if (existingValid) {
@@ -1060,34 +1080,56 @@ export async function refreshCard(cardId, config) {
 /**
  * Sync cards from Chub API
  */
+/**
+ * Config that shapes which cards land on which Chub page; resuming requires it unchanged
+ */
+function getChubCheckpointFilters(config) {
+    return {
+        timeline: !!config.use_timeline && !config.followedCreatorsOnly,
+        syncLimit: config.syncLimit || 500,
+        sort: config.syncByNew ? 'created_at' : 'last_activity_at',
+        topic: config.topic || '',
+        cycleTopics: !!config.cycle_topics,
+        excludeTopic: config.excludeTopic || '',
+        venus: !!config.venus,
+        minTokens: config.min_tokens || 50,
+        followedCreatorsOnly: !!config.followedCreatorsOnly,
+        followedCreators: (config.syncFollowedCreators || config.followedCreatorsOnly) && Array.isArray(config.followedCreators)
+            ? config.followedCreators.filter(Boolean)
+            : []
+    };
+}
+
+// Cursor position after a page: the last card on it
+function checkpointCard(cards) {
+    const last = cards[cards.length - 1];
+    return { lastSeenId: last?.id, lastSeenAt: last?.lastActivityAt || last?.createdAt };
+}
+
 export async function syncCards(config, progressCallback = null) {
     loadBlacklist();
     
     const client = createChubClient(config.chubApiKey);
     const syncLimit = config.syncLimit || 500;
-    const pageLimit = config.pageLimit || 1;
-    const startPage = config.startPage || 1;
-    const maxPage = startPage + pageLimit - 1;
+    const configStartPage = config.startPage || 1;
+    const cursor = openSyncCursor('chub', config.syncOptions, {
+        startPage: configStartPage,
+        endPage: configStartPage + (config.pageLimit || 1) - 1,
+        filters: getChubCheckpointFilters(config)
+    });
+    const { startPage, endPage: maxPage, pageCount: pageLimit } = cursor;
+    const run = openSyncRun('chub', { ...config.syncOptions, mode: cursor.mode });
     const syncConcurrency = Math.max(1, Math.min(config.syncConcurrency || 3, 8));
 
     const tagsList = (config.topic || '').split(',').map(tag => tag.trim()).filter(Boolean);
     const shouldCycleTopics = config.cycle_topics && tagsList.length > 0;
     const followedCreators = Array.isArray(config.followedCreators) ? config.followedCreators.filter(Boolean) : [];
 
-    // Build set of blocked creators for fast lookup (case-insensitive)
-    const blockedCreatorsSet = new Set(
-        (Array.isArray(config.blockedCreators) ? config.blockedCreators : [])
-            .map(c => (c || '').trim().toLowerCase())
-            .filter(Boolean)
-    );
-
-    // Helper to check if a card is from a blocked creator
-    const isCreatorBlocked = (card) => {
-        if (blockedCreatorsSet.size === 0) return false;
+    // Helper to check if a card is from a blocked creator or carries a blocked tag
+    const isCardBlocked = (card) => {
         const fullPath = card.fullPath || card.path || '';
-        if (!fullPath) return false;
-        const author = fullPath.split('/')[0]?.toLowerCase();
-        return author && blockedCreatorsSet.has(author);
+        const author = fullPath.split('/')[0];
+        return !!checkDenyList({ source: 'chub', author, tags: card.topics });
     };
 
     const timelineSegments = config.use_timeline && !config.followedCreatorsOnly ? pageLimit : 0;
@@ -1111,23 +1153,21 @@ export async function syncCards(config, progressCallback = null) {
         });
     };
     
-    scraperLogger.info(`Starting sync - pages ${startPage} to ${maxPage}, ${syncLimit} cards per page`);
-
-    // Run all enabled scrapers sequentially
-    if (config.ctSync?.enabled) {
-        scraperLogger.info('Running Character Tavern sync...');
-        await syncCharacterTavern(config, progressCallback);
-    }
-
-    if (config.risuAiSync?.enabled) {
-        scraperLogger.info('Running RisuAI sync...');
-        await syncRisuAi(config, progressCallback);
-    }
+    // Chub card IDs are the database IDs, so existence tells new from updated
+    const cardExistsStmt = getDatabase().prepare('SELECT 1 FROM cards WHERE id = ?');
+    const downloadAndRecord = async (card, page) => {
+        const existed = !!cardExistsStmt.get(card.id);
+        try {
+            const downloaded = await downloadCard(card, config);
+            run.record(downloaded ? (existed ? 'updated' : 'new') : 'skipped');
+            return downloaded;
+        } catch (error) {
+            run.record('failed', { sourceId: card.id, page, error });
+            throw error;
+        }
+    };
 
-    if (config.wyvernSync?.enabled) {
-        scraperLogger.info('Running Wyvern sync...');
-        await syncWyvern(config, progressCallback);
-    }
+    scraperLogger.info(`Starting ${cursor.mode} sync - pages ${startPage} to ${maxPage}, ${syncLimit} cards per page`);
 
     // Timeline mode
     if (config.use_timeline && !config.followedCreatorsOnly) {
@@ -1136,12 +1176,15 @@ export async function syncCards(config, progressCallback = null) {
         }
         
         scraperLogger.info('Using timeline mode');
+        currentPage = cursor.firstPage('timeline');
         
         while (currentPage <= maxPage) {
             // Check for abort
-            if (lockService.isSyncAborted()) {
+            if (lockService.isSyncAborted('chub')) {
                 scraperLogger.info('Chub sync aborted by user (timeline)');
                 progressCallback?.({ progress: 100, currentCard: 'Sync cancelled', newCards, cancelled: true });
+                cursor.finish('cancelled');
+                run.finish('cancelled');
                 return { newCards, cancelled: true };
             }
 
@@ -1160,27 +1203,32 @@ export async function syncCards(config, progressCallback = null) {
                     const cardName = card.name || '';
 
                     if (card.projectSpace !== 'characters') {
+                        run.record('skipped');
                         updateProgress(cardName);
                         return;
                     }
 
                     if (card.labels?.some(l => l.title === 'Forked')) {
+                        run.record('skipped');
                         updateProgress(cardName);
                         return;
                     }
 
                     if (config.min_tokens && card.nTokens < config.min_tokens) {
+                        run.record('skipped');
                         updateProgress(cardName);
                         return;
                     }
 
                     if (isBlacklisted(card.id)) {
+                        run.record('blacklisted');
                         updateProgress(cardName);
                         return;
                     }
 
-                    if (isCreatorBlocked(card)) {
-                        scraperLogger.debug(`Skipping card ${card.id} from blocked creator`);
+                    if (isCardBlocked(card)) {
+                        scraperLogger.debug(`Skipping card ${card.id} from blocked creator or tag`);
+                        run.record('blacklisted');
                         updateProgress(cardName);
                         return;
                     }
@@ -1200,7 +1248,7 @@ export async function syncCards(config, progressCallback = null) {
                         scraperLogger.warn(`Failed to fetch ratings for ${card.id}: ${error.message}`);
                     }
 
-                    if (await downloadCard(card, config)) {
+                    if (await downloadAndRecord(card, currentPage)) {
                         newCards++;
                     }
 
@@ -1208,13 +1256,18 @@ export async function syncCards(config, progressCallback = null) {
                 });
                 
                 scraperLogger.info(`Page ${currentPage} complete. Total new cards: ${newCards}`);
+                cursor.pageDone('timeline', currentPage, checkpointCard(cards));
+                run.pageScanned();
                 currentPage++;
                 
             } catch (error) {
                 scraperLogger.error(`Failed on page ${currentPage}`, error);
+                cursor.segmentFailed('timeline', error);
+                run.sampleError({ page: currentPage, error });
                 break;
             }
         }
+        cursor.segmentDone('timeline');
     } 
     // Regular search mode - runs when syncTagsMode is on OR syncByNew is set (default fallback)
     else if (!config.followedCreatorsOnly && (config.syncTagsMode || config.syncByNew || !config.use_timeline)) {
@@ -1239,10 +1292,11 @@ export async function syncCards(config, progressCallback = null) {
         }
 
         const runPagesForTag = async (tagLabel, tagValue) => {
-            let page = startPage;
+            const segment = tagLabel ? `search:${tagLabel}` : 'search';
+            let page = cursor.firstPage(segment);
             while (page <= maxPage) {
                 // Check for abort
-                if (lockService.isSyncAborted()) {
+                if (lockService.isSyncAborted('chub')) {
                     scraperLogger.info('Chub sync aborted by user (search)');
                     return;
                 }
@@ -1264,12 +1318,14 @@ export async function syncCards(config, progressCallback = null) {
                         const cardName = card.name || '';
 
                         if (isBlacklisted(card.id) || card.id === 88) {
+                            run.record('blacklisted');
                             updateProgress(cardName);
                             return;
                         }
 
-                        if (isCreatorBlocked(card)) {
-                            scraperLogger.debug(`Skipping card ${card.id} from blocked creator`);
+                        if (isCardBlocked(card)) {
+                            scraperLogger.debug(`Skipping card ${card.id} from blocked creator or tag`);
+                            run.record('blacklisted');
                             updateProgress(cardName);
                             return;
                         }
@@ -1286,7 +1342,7 @@ export async function syncCards(config, progressCallback = null) {
                             scraperLogger.warn(`Failed to fetch ratings for ${card.id}`, error);
                         }
 
-                        if (await downloadCard(card, config)) {
+                        if (await downloadAndRecord(card, page)) {
                             newCards++;
                         }
 
@@ -1294,12 +1350,19 @@ export async function syncCards(config, progressCallback = null) {
                     });
 
                     scraperLogger.info(`Page ${page}${tagLabel ? ` (${tagLabel})` : ''} complete. Total new cards: ${newCards}`);
+                    cursor.pageDone(segment, page, checkpointCard(cards));
+                    run.pageScanned();
                     page++;
                 } catch (error) {
                     scraperLogger.error(`Failed on page ${page}${tagLabel ? ` (${tagLabel})` : ''}`, error);
+                    cursor.segmentFailed(segment, error);
+                    run.sampleError({ page, error });
                     break;
                 }
             }
+            if (!lockService.isSyncAborted('chub')) {
+                cursor.segmentDone(segment);
+            }
         };
 
         if (shouldCycleTopics) {
@@ -1317,17 +1380,18 @@ export async function syncCards(config, progressCallback = null) {
 
         for (const username of creatorsToProcess) {
             // Check for abort
-            if (lockService.isSyncAborted()) {
+            if (lockService.isSyncAborted('chub')) {
                 scraperLogger.info('Chub sync aborted by user (followed creators)');
                 break;
             }
 
             scraperLogger.info(`Processing followed creator '${username}'.`);
-            let page = startPage;
+            const segment = `creator:${username}`;
+            let page = cursor.firstPage(segment);
 
             while (page <= maxPage) {
                 // Check for abort
-                if (lockService.isSyncAborted()) {
+                if (lockService.isSyncAborted('chub')) {
                     break;
                 }
 
@@ -1359,12 +1423,14 @@ export async function syncCards(config, progressCallback = null) {
                         const cardName = card.name || '';
 
                         if (isBlacklisted(card.id)) {
+                            run.record('blacklisted');
                             updateProgress(cardName);
                             return;
                         }
 
-                        if (isCreatorBlocked(card)) {
-                            scraperLogger.debug(`Skipping card ${card.id} from blocked creator`);
+                        if (isCardBlocked(card)) {
+                            scraperLogger.debug(`Skipping card ${card.id} from blocked creator or tag`);
+                            run.record('blacklisted');
                             updateProgress(cardName);
                             return;
                         }
@@ -1381,7 +1447,7 @@ export async function syncCards(config, progressCallback = null) {
                             scraperLogger.warn(`Failed to fetch ratings for ${card.id}`, error);
                         }
 
-                        if (await downloadCard(card, config)) {
+                        if (await downloadAndRecord(card, page)) {
                             newCards++;
                         }
 
@@ -1389,12 +1455,19 @@ export async function syncCards(config, progressCallback = null) {
                     });
 
                     scraperLogger.info(`Page ${page} (creator ${username}) complete. Total new cards: ${newCards}`);
+                    cursor.pageDone(segment, page, checkpointCard(cards));
+                    run.pageScanned();
                     page++;
                 } catch (error) {
                     scraperLogger.error(`Failed on page ${page} for creator '${username}'`, error);
+                    cursor.segmentFailed(segment, error);
+                    run.sampleError({ page, error });
                     break;
                 }
             }
+            if (!lockService.isSyncAborted('chub')) {
+                cursor.segmentDone(segment);
+            }
         }
     }
 
@@ -1407,6 +1480,9 @@ export async function syncCards(config, progressCallback = null) {
         });
     }
 
+    const finalStatus = lockService.isSyncAborted('chub') ? 'cancelled' : 'completed';
+    cursor.finish(finalStatus);
+    run.finish(finalStatus);
     scraperLogger.info(`Sync complete. Total new/updated cards: ${newCards}`);
     return { success: true, newCards };
 }
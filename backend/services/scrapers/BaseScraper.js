@@ -2,11 +2,14 @@
  * BaseScraper - Abstract base class for all character scrapers
  *
  * Provides common infrastructure:
- * - Blacklist management (persistent file-based)
- * - Cooldown tracking (JSON file with expiry)
+ * - Blacklist management (SQLite, per source)
+ * - Cooldown tracking (SQLite, with expiry)
+ * - Deny-list checks (blocked tags and creators)
  * - File operations (directory creation, PNG/JSON/CharX writing)
  * - Database operations (check existing, get next ID, upsert)
  * - Progress reporting
+ * - Resumable page checkpoints (SyncCheckpointService)
+ * - Per-run reports (SyncHistoryService)
  *
  * Concrete scrapers only need to implement:
  * - fetchList(page, config) - Get list of cards from source
@@ -19,9 +22,21 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { getDatabase, upsertCard } from '../../database.js';
+import { getDatabase, upsertCard, reserveCardId } from '../../database.js';
 import { logger } from '../../utils/logger.js';
 import { lockService } from '../LockService.js';
+import { openSyncCursor, DEFAULT_SEGMENT } from '../SyncCheckpointService.js';
+import { openSyncRun } from '../SyncHistoryService.js';
+import { snapshotCardVersion } from '../CardVersionService.js';
+import { checkDenyList } from '../DenyListService.js';
+import {
+    ensureLegacyBlocklistsImported,
+    isSourceBlocked,
+    blockSourceId,
+    isSourceOnCooldown,
+    markSourceCooldown,
+    pruneExpiredCooldowns
+} from '../BlocklistService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -38,107 +53,82 @@ export class BaseScraper {
      * @param {object} config - Scraper configuration
      * @param {string} config.source - Source identifier (e.g., 'chub', 'risuai', 'wyvern', 'ct')
      * @param {string} config.displayName - Human-readable name (e.g., 'RisuAI', 'Wyvern')
-     * @param {string} [config.blacklistFile] - Path to blacklist file (defaults to data/{source}-blacklist.txt)
-     * @param {string} [config.cooldownFile] - Path to cooldown file (defaults to data/{source}-cooldown.json)
      * @param {number} [config.cooldownMs] - Cooldown period in ms (defaults to 24 hours)
      */
     constructor(config) {
         this.source = config.source;
         this.displayName = config.displayName || config.source;
-        this.blacklistFile = config.blacklistFile || path.join(DATA_DIR, `${config.source}-blacklist.txt`);
-        this.cooldownFile = config.cooldownFile || path.join(DATA_DIR, `${config.source}-cooldown.json`);
         this.cooldownMs = config.cooldownMs || 24 * 60 * 60 * 1000; // 24 hours default
+        // Root for card files; tests point this at a temp dir
+        this.staticDir = STATIC_DIR;
         this.log = logger.scoped(this.displayName.toUpperCase());
-
-        this._blacklist = new Set();
-        this._cooldown = {};
-        this._cooldownDirty = false;
     }
 
     // ==================== Blacklist Management ====================
+    // Backed by the source_blocklist table, keyed by (source, sourceId)
 
     loadBlacklist() {
-        try {
-            if (fs.existsSync(this.blacklistFile)) {
-                const content = fs.readFileSync(this.blacklistFile, 'utf8');
-                this._blacklist = new Set(
-                    content.split('\n')
-                        .map(line => line.split('#')[0].trim()) // Strip comments
-                        .filter(line => line.length > 0)
-                );
-                this.log.info(`Loaded ${this._blacklist.size} blacklisted cards`);
-            }
-        } catch (error) {
-            this.log.warn('Failed to load blacklist', error.message);
-        }
+        ensureLegacyBlocklistsImported();
     }
 
     isBlacklisted(sourceId) {
-        return this._blacklist.has(String(sourceId));
+        return isSourceBlocked(this.source, sourceId);
     }
 
     addToBlacklist(sourceId, reason = '') {
         try {
-            const id = String(sourceId);
-            this._blacklist.add(id);
-            const entry = reason ? `${id} # ${reason}` : id;
-            fs.appendFileSync(this.blacklistFile, `${entry}\n`);
-            this.log.info(`Added ${id} to blacklist: ${reason || 'no reason'}`);
+            blockSourceId(this.source, sourceId, { reason: reason || null, addedBy: 'scraper' });
+            this.log.info(`Added ${sourceId} to blacklist: ${reason || 'no reason'}`);
         } catch (error) {
             this.log.warn(`Failed to add ${sourceId} to blacklist`, error.message);
         }
     }
 
     // ==================== Cooldown Management ====================
+    // Backed by the source_cooldown table
 
     loadCooldown() {
         try {
-            if (fs.existsSync(this.cooldownFile)) {
-                const content = fs.readFileSync(this.cooldownFile, 'utf8');
-                this._cooldown = JSON.parse(content);
-
-                // Prune expired entries
-                const now = Date.now();
-                let pruned = 0;
-                for (const [id, ts] of Object.entries(this._cooldown)) {
-                    if (now - ts > this.cooldownMs) {
-                        delete this._cooldown[id];
-                        pruned++;
-                    }
-                }
-
-                if (pruned > 0) {
-                    this.saveCooldown();
-                }
-
-                this.log.info(`Loaded ${Object.keys(this._cooldown).length} cooldown entries (pruned ${pruned} expired)`);
+            const pruned = pruneExpiredCooldowns(this.source, this.cooldownMs);
+            if (pruned > 0) {
+                this.log.info(`Pruned ${pruned} expired cooldown entries`);
             }
         } catch (error) {
-            this.log.warn('Failed to load cooldown', error.message);
-            this._cooldown = {};
+            this.log.warn('Failed to prune cooldowns', error.message);
         }
     }
 
     isOnCooldown(sourceId) {
-        const ts = this._cooldown[String(sourceId)];
-        if (!ts) return false;
-        return (Date.now() - ts) < this.cooldownMs;
+        return isSourceOnCooldown(this.source, sourceId, this.cooldownMs);
     }
 
-    setCooldown(sourceId) {
-        this._cooldown[String(sourceId)] = Date.now();
-        this._cooldownDirty = true;
-    }
-
-    saveCooldown() {
+    setCooldown(sourceId, reason = null) {
         try {
-            fs.writeFileSync(this.cooldownFile, JSON.stringify(this._cooldown, null, 2));
-            this._cooldownDirty = false;
+            markSourceCooldown(this.source, sourceId, reason);
         } catch (error) {
-            this.log.warn('Failed to save cooldown', error.message);
+            this.log.warn(`Failed to set cooldown for ${sourceId}`, error.message);
         }
     }
 
+    // ==================== Deny-list ====================
+
+    /**
+     * Check parsed metadata against the blocked tags and creators
+     * @param {object} metadata - Output of parseCardToMetadata()
+     * @returns {{type: 'creator'|'tag', value: string}|null} The match, or null when allowed
+     */
+    getDenyListMatch(metadata) {
+        const match = checkDenyList({
+            source: this.source,
+            author: metadata?.author,
+            tags: metadata?.topics
+        });
+        if (match) {
+            this.log.info(`Skipping card ${metadata?.name || metadata?.sourceId}: blocked ${match.type} "${match.value}"`);
+        }
+        return match;
+    }
+
     // ==================== File Operations ====================
 
     /**
@@ -147,7 +137,7 @@ export class BaseScraper {
     getCardDir(dbId) {
         const dbIdStr = String(dbId);
         const prefix = dbIdStr.substring(0, 2);
-        const cardDir = path.join(STATIC_DIR, prefix);
+        const cardDir = path.join(this.staticDir, prefix);
 
         if (!fs.existsSync(cardDir)) {
             fs.mkdirSync(cardDir, { recursive: true });
@@ -165,12 +155,28 @@ export class BaseScraper {
 
     /**
      * Write card files to disk
+     * Existing files with different content are archived as a card revision first.
+     * @param {object} [options]
+     * @param {string} [options.reason] - Revision reason recorded for the archived files
      */
-    async writeCardFiles(dbId, files = {}) {
+    async writeCardFiles(dbId, files = {}, options = {}) {
         const paths = this.getCardDir(dbId);
         const written = [];
 
         try {
+            // Archive the current files as a revision before they are replaced;
+            // the new files are written even when archiving fails
+            if (await this.hasChangedFiles(paths, files)) {
+                try {
+                    await snapshotCardVersion(dbId, {
+                        reason: options.reason || 'upstream_update',
+                        source: this.source
+                    });
+                } catch (error) {
+                    this.log.warn(`Failed to archive revision of ${dbId} before update`, error);
+                }
+            }
+
             if (files.png) {
                 await fs.promises.writeFile(paths.pngPath, files.png);
                 written.push('png');
@@ -198,6 +204,27 @@ export class BaseScraper {
         return { paths, written };
     }
 
+    /**
+     * Check whether writing `files` would replace existing files with different content
+     */
+    async hasChangedFiles(paths, files = {}) {
+        const targets = [
+            [files.png, paths.pngPath],
+            [files.fullPng, paths.fullPngPath],
+            [files.charx, paths.charxPath],
+            [files.json && (typeof files.json === 'string' ? files.json : JSON.stringify(files.json, null, 2)), paths.jsonPath]
+        ];
+
+        for (const [content, filePath] of targets) {
+            if (!content || !fs.existsSync(filePath)) continue;
+            const current = await fs.promises.readFile(filePath);
+            if (!current.equals(Buffer.from(content))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
     // ==================== Database Operations ====================
 
     /**
@@ -211,12 +238,10 @@ export class BaseScraper {
     }
 
     /**
-     * Get next available database ID
+     * Reserve a database ID for a new card; other sources syncing in parallel won't get it
      */
     getNextDbId() {
-        const db = getDatabase();
-        const maxIdRow = db.prepare('SELECT MAX(id) as maxId FROM cards').get();
-        return (maxIdRow?.maxId || 0) + 1;
+        return reserveCardId();
     }
 
     /**
@@ -366,6 +391,12 @@ export class BaseScraper {
             // Parse to metadata
             const metadata = await this.parseCardToMetadata(cardData, dbId, item);
 
+            const denied = this.getDenyListMatch(metadata);
+            if (denied) {
+                this.setCooldown(sourceId);
+                return { success: false, reason: 'denied', blockedBy: denied };
+            }
+
             // Fetch image if needed
             const imageRef = this.getImageRef ? this.getImageRef(item, cardData) : null;
             let imageBuffer = null;
@@ -379,7 +410,9 @@ export class BaseScraper {
                 filesToWrite.png = imageBuffer;
             }
 
-            await this.writeCardFiles(dbId, filesToWrite);
+            await this.writeCardFiles(dbId, filesToWrite, {
+                reason: existing && !force ? 'date_newer' : 'forced_refresh'
+            });
 
             // Update cooldown
             this.setCooldown(sourceId);
@@ -404,16 +437,32 @@ export class BaseScraper {
     }
 
     /**
-     * Main sync function - fetches and processes cards
+     * Filters that decide which cards land on which page; a checkpoint can only
+     * be resumed while they are unchanged. Override in subclasses.
      * @param {object} config - Sync configuration (source-specific)
+     * @returns {object}
+     */
+    getCheckpointFilters(config) {
+        return {};
+    }
+
+    /**
+     * Main sync function - fetches and processes cards
+     * @param {object} config - Sync configuration (source-specific); `syncOptions`
+     *   selects the latest / backfill / resume mode (see SyncCheckpointService)
      * @param {function} [progressCallback] - Progress callback
      * @returns {Promise<{success: boolean, newCards: number, updatedCards: number, errors: number}>}
      */
     async sync(config = {}, progressCallback = null) {
-        const pageLimit = config.pageLimit || 10;
-        const startPage = config.startPage || 1;
+        const cursor = openSyncCursor(this.source, config.syncOptions, {
+            startPage: config.startPage || 1,
+            endPage: config.pageLimit || 10,
+            filters: this.getCheckpointFilters(config)
+        });
+        const { startPage, endPage, pageCount } = cursor;
+        const run = openSyncRun(this.source, { ...config.syncOptions, mode: cursor.mode });
 
-        this.log.info(`Starting ${this.displayName} sync (pages ${startPage}-${pageLimit})...`);
+        this.log.info(`Starting ${this.displayName} ${cursor.mode} sync (pages ${startPage}-${endPage})...`);
 
         // Load state
         this.loadBlacklist();
@@ -422,8 +471,9 @@ export class BaseScraper {
         let newCards = 0;
         let updatedCards = 0;
         let errors = 0;
-        let page = startPage;
+        let page = cursor.firstPage();
         let hasMore = true;
+        let aborted = false;
 
         this.reportProgress(progressCallback, {
             progress: 0,
@@ -431,23 +481,14 @@ export class BaseScraper {
             newCards: 0
         });
 
-        while (hasMore && page <= pageLimit) {
-            // Check for abort (main sync or CT sync depending on source)
-            const isAborted = this.source === 'ct'
-                ? lockService.isCtSyncAborted()
-                : lockService.isSyncAborted();
-            if (isAborted) {
-                this.log.info(`${this.displayName} sync aborted by user`);
-                this.reportProgress(progressCallback, {
-                    progress: 100,
-                    currentCard: `[${this.displayName}] Sync cancelled`,
-                    newCards,
-                    cancelled: true
-                });
+        while (hasMore && page <= endPage) {
+            // Check for abort of this source's sync
+            if (lockService.isSyncAborted(this.source)) {
+                aborted = true;
                 break;
             }
 
-            this.log.info(`Fetching page ${page}/${pageLimit}`);
+            this.log.info(`Fetching page ${page}/${endPage}`);
 
             const items = await this.fetchList(page, config);
 
@@ -459,17 +500,18 @@ export class BaseScraper {
 
             this.log.info(`Processing ${items.length} cards from page ${page}`);
 
+            let lastItem = null;
             for (const item of items) {
                 // Check for abort before each card
-                const isAbortedMid = this.source === 'ct'
-                    ? lockService.isCtSyncAborted()
-                    : lockService.isSyncAborted();
-                if (isAbortedMid) {
+                if (lockService.isSyncAborted(this.source)) {
                     this.log.info(`${this.displayName} sync aborted by user (mid-page)`);
+                    aborted = true;
                     break;
                 }
 
                 const result = await this.processCard(item, config);
+                lastItem = item;
+                run.recordResult(result, { sourceId: this.getSourceId(item), page });
 
                 if (result.success) {
                     if (result.isNew) {
@@ -479,9 +521,10 @@ export class BaseScraper {
                     }
 
                     this.reportProgress(progressCallback, {
-                        progress: Math.round((page / pageLimit) * 100),
+                        progress: Math.round(((page - startPage + 1) / pageCount) * 100),
                         currentCard: `[${this.displayName}] ${result.name || this.getSourceId(item)}`,
-                        newCards
+                        newCards,
+                        page
                     });
                 } else if (result.reason === 'error' || result.reason === 'fetch_failed') {
                     errors++;
@@ -491,18 +534,34 @@ export class BaseScraper {
                 await this.delay(config.delayMs || 100);
             }
 
+            // A page cut short by a cancel is fetched again on resume
+            if (aborted) {
+                break;
+            }
+
+            cursor.pageDone(DEFAULT_SEGMENT, page, {
+                lastSeenId: lastItem ? this.getSourceId(lastItem) : null,
+                lastSeenAt: lastItem ? this.getRemoteTimestamp(lastItem) : null
+            });
+            run.pageScanned();
             this.log.info(`Page ${page} complete. New: ${newCards}, Updated: ${updatedCards}, Errors: ${errors}`);
             page++;
-
-            // Save cooldown periodically
-            if (this._cooldownDirty && page % 5 === 0) {
-                this.saveCooldown();
-            }
         }
 
-        // Final save
-        if (this._cooldownDirty) {
-            this.saveCooldown();
+        if (aborted) {
+            this.log.info(`${this.displayName} sync aborted by user`);
+            this.reportProgress(progressCallback, {
+                progress: 100,
+                currentCard: `[${this.displayName}] Sync cancelled`,
+                newCards,
+                cancelled: true
+            });
+            cursor.finish('cancelled');
+            run.finish('cancelled');
+        } else {
+            cursor.segmentDone();
+            cursor.finish('completed');
+            run.finish('completed');
         }
 
         this.log.info(`${this.displayName} sync complete. New: ${newCards}, Updated: ${updatedCards}, Errors: ${errors}`);
@@ -543,6 +602,24 @@ export class BaseScraper {
         return result;
     }
 
+    /**
+     * Turn a pasted card link into the list item processCard() expects
+     * Override when the site's card page isn't addressed by its source ID.
+     * @param {string} ref - Reference from parseCardUrl() (utils/card-url.js)
+     * @param {object} [config] - Source configuration
+     * @returns {Promise<object|null>} null when the card doesn't exist
+     */
+    async resolveImportItem(ref, config = {}) {
+        const { data, error, status } = await this.fetchCard(ref);
+        if (data) {
+            return data;
+        }
+        if (status === 404 || /not found/i.test(error || '')) {
+            return null;
+        }
+        throw new Error(`Failed to fetch ${this.displayName} card ${ref}: ${error}`);
+    }
+
     // ==================== Utility Methods ====================
 
     delay(ms) {
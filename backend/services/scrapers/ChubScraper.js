@@ -199,7 +199,7 @@ export class ChubScraper extends BaseScraper {
 
             return { data: card, error: null };
         } catch (error) {
-            return { data: null, error: error.message };
+            return { data: null, error: error.message, status: error?.response?.status };
         }
     }
 
@@ -301,8 +301,8 @@ export class ChubScraper extends BaseScraper {
             return { success: false, reason: 'blacklisted' };
         }
 
-        // Skip forks if configured
-        if (item.labels?.some(l => l.title === 'Forked')) {
+        // Skip forks unless asked for (e.g. a fork pasted into URL import)
+        if (!config.includeForks && item.labels?.some(l => l.title === 'Forked')) {
             return { success: false, reason: 'forked' };
         }
 
@@ -0,0 +1,103 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createConnection, closeConnection } from '../../db/connection.js';
+import { ensureSchema } from '../../db/schema.js';
+import { enableHttpReplay, httpReplayModeFromEnv } from '../../utils/http-replay.js';
+import { createChubClient } from '../ApiClient.js';
+import { ChubScraper } from './ChubScraper.js';
+
+// Replays fixtures/chub; run with HTTP_REPLAY=record to refresh them from the live site
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/chub');
+const CARD_ID = 4120583;
+
+describe('ChubScraper', () => {
+    let db;
+    let replay;
+    let scraper;
+    let staticDir;
+
+    before(() => {
+        db = createConnection(':memory:');
+        ensureSchema(db);
+        replay = enableHttpReplay({ mode: httpReplayModeFromEnv(), fixturesDir: FIXTURES_DIR });
+    });
+
+    after(() => {
+        replay.restore();
+        closeConnection();
+    });
+
+    beforeEach(() => {
+        staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chub-scraper-'));
+        scraper = new ChubScraper();
+        scraper.staticDir = staticDir;
+    });
+
+    afterEach(() => {
+        fs.rmSync(staticDir, { recursive: true, force: true });
+    });
+
+    it('should list nodes from the search gateway', async () => {
+        const nodes = await scraper.fetchList(1, { syncLimit: 2 });
+        assert.deepStrictEqual(nodes.map(node => scraper.getSourceId(node)), [CARD_ID, 4120611]);
+        assert.strictEqual(scraper.getRemoteTimestamp(nodes[0]), '2025-06-14T09:02:11.000Z');
+        assert.strictEqual(scraper.getImageRef(nodes[0]), nodes[0].max_res_url);
+    });
+
+    it('should skip forks before downloading anything', async () => {
+        const [, fork] = await scraper.fetchList(1, { syncLimit: 2 });
+        const result = await scraper.processCard(fork, {});
+        assert.strictEqual(result.reason, 'forked');
+    });
+
+    it('should fetch a single card and report a missing one', async () => {
+        const found = await scraper.fetchCard(CARD_ID);
+        assert.strictEqual(found.error, null);
+        assert.strictEqual(found.data.fullPath, 'stellarquill/captain-mira-voss');
+
+        const missing = await scraper.fetchCard(999999999);
+        assert.strictEqual(missing.data, null);
+        assert.match(missing.error, /404/);
+    });
+
+    it('should read ratings', async () => {
+        const ratings = await scraper.fetchRatings(CARD_ID, createChubClient(''));
+        assert.strictEqual(ratings.ratingsEnabled, true);
+        assert.deepStrictEqual(JSON.parse(ratings.ratings), { 4: 3, 5: 11 });
+    });
+
+    it('should pass card data through as metadata and derive flags from the definition', async () => {
+        const { data } = await scraper.fetchCard(CARD_ID);
+        // downloadCard builds Chub metadata itself; parseCardToMetadata is a pass-through
+        assert.strictEqual(await scraper.parseCardToMetadata(data, CARD_ID), data);
+
+        assert.deepStrictEqual(scraper.deriveFeatureFlags(data.definition), {
+            hasAlternateGreetings: true,
+            hasLorebook: true,
+            hasEmbeddedLorebook: true,
+            hasLinkedLorebook: false,
+            hasExampleDialogues: true,
+            hasSystemPrompt: false,
+            hasGallery: false,
+            hasEmbeddedImages: false,
+            hasExpressions: false
+        });
+    });
+
+    it('should write the JSON sidecar under the card id prefix', async () => {
+        const { data } = await scraper.fetchCard(CARD_ID);
+        const metadata = await scraper.parseCardToMetadata(data, CARD_ID);
+        const { paths, written } = await scraper.writeCardFiles(CARD_ID, { json: metadata });
+
+        assert.deepStrictEqual(written, ['json']);
+        assert.strictEqual(paths.jsonPath, path.join(staticDir, '41', `${CARD_ID}.json`));
+        const json = JSON.parse(fs.readFileSync(paths.jsonPath, 'utf8'));
+        assert.strictEqual(json.name, 'Captain Mira Voss');
+        assert.strictEqual(json.definition.character_book.entries.length, 1);
+        assert.strictEqual(fs.existsSync(paths.pngPath), false);
+    });
+});
@@ -9,14 +9,12 @@
  */
 
 import axios from 'axios';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { BaseScraper } from './BaseScraper.js';
+import { lockService } from '../LockService.js';
+import { openSyncCursor, DEFAULT_SEGMENT } from '../SyncCheckpointService.js';
+import { openSyncRun } from '../SyncHistoryService.js';
 import { detectLanguage } from '../../database.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 const SEARCH_URL = 'https://character-tavern.com/api/search/cards';
 const CARDS_BASE_URL = 'https://cards.character-tavern.com';
 const CT_SITE_URL = 'https://character-tavern.com';
@@ -34,9 +32,6 @@ export class CtScraper extends BaseScraper {
             source: 'ct',
             displayName: 'Character Tavern'
         });
-
-        // CT uses database blacklist file in data/
-        this.blacklistFile = path.join(__dirname, '../../../data/ct-blacklist.txt');
     }
 
     // ==================== Helper Methods ====================
@@ -94,12 +89,6 @@ export class CtScraper extends BaseScraper {
         return Array.from(new Set(tags.map(tag => (tag || '').toString().trim()).filter(Boolean)));
     }
 
-    matchesBannedTags(hit, bannedLower) {
-        if (!bannedLower.length) return false;
-        const tagSet = new Set((hit.tags || []).map(tag => tag.toLowerCase()));
-        return bannedLower.some(tag => tagSet.has(tag));
-    }
-
     formatDescription(hit) {
         return hit.characterDefinition || hit.pageDescription || hit.characterScenario || '';
     }
@@ -118,6 +107,17 @@ export class CtScraper extends BaseScraper {
         return cookies;
     }
 
+    /**
+     * Cookies from the CT settings, falling back to the CT_* environment variables
+     */
+    resolveCookies(config = {}) {
+        return this.buildCookies({
+            cfClearance: config.cfClearance || process.env.CT_CF_CLEARANCE,
+            session: config.session || process.env.CT_SESSION,
+            allowedWarnings: config.allowedWarnings || process.env.CT_ALLOWED_WARNINGS
+        });
+    }
+
     // ==================== Abstract Method Implementations ====================
 
     getSourceId(item) {
@@ -138,7 +138,6 @@ export class CtScraper extends BaseScraper {
     async fetchList(page, config) {
         const {
             hitsPerPage = 30,
-            bannedTags = [],
             cookies = [],
             sort = 'newest',
             query = ''
@@ -169,8 +168,6 @@ export class CtScraper extends BaseScraper {
 
             const hits = response.data?.hits || [];
 
-            // Store banned tags filter for processCard
-            this._bannedTagsLower = (bannedTags || []).map(t => t.toLowerCase());
             this._totalPages = response.data?.totalPages || null;
 
             return hits;
@@ -190,6 +187,26 @@ export class CtScraper extends BaseScraper {
         return { data: null, error: 'Not implemented' };
     }
 
+    /**
+     * CT has no single-card endpoint, so search for the slug and pick the hit
+     * whose path matches the pasted link
+     * @param {string} ref - '<author>/<slug>'
+     */
+    async resolveImportItem(ref, config = {}) {
+        const cookies = this.resolveCookies(config);
+        this._currentCookies = cookies;
+
+        const slug = ref.split('/').pop();
+        const hits = await this.fetchList(1, {
+            hitsPerPage: 50,
+            sort: 'newest',
+            query: slug.replace(/[-_]+/g, ' '),
+            cookies
+        });
+        const wanted = ref.toLowerCase();
+        return hits.find(hit => (hit.path || '').trim().replace(/^\/+/, '').toLowerCase() === wanted) || null;
+    }
+
     /**
      * Download card PNG from CT CDN
      */
@@ -303,11 +320,6 @@ export class CtScraper extends BaseScraper {
     async processCard(item, config = {}) {
         const sourceId = this.getSourceId(item);
 
-        // Check banned tags
-        if (this._bannedTagsLower && this.matchesBannedTags(item, this._bannedTagsLower)) {
-            return { success: false, reason: 'banned_tags' };
-        }
-
         // Check min tokens
         if (item.totalTokens && item.totalTokens < (config.minTokens || 300)) {
             return { success: false, reason: 'below_min_tokens' };
@@ -330,6 +342,11 @@ export class CtScraper extends BaseScraper {
             // Parse metadata
             const metadata = await this.parseCardToMetadata(item, dbId);
 
+            const denied = this.getDenyListMatch(metadata);
+            if (denied) {
+                return { success: false, reason: 'denied', blockedBy: denied };
+            }
+
             // Fetch image
             const imageBuffer = await this.fetchImage(item.path);
             if (!imageBuffer) {
@@ -359,43 +376,58 @@ export class CtScraper extends BaseScraper {
         }
     }
 
+    getCheckpointFilters(config) {
+        return {
+            hitsPerPage: Math.min(config.hitsPerPage || 30, 50),
+            minTokens: config.minTokens || 300,
+            sort: config.sort || 'newest',
+            query: config.query || ''
+        };
+    }
+
     /**
      * Override sync to handle CT-specific configuration
      */
     async sync(config = {}, progressCallback = null) {
-        const pageLimit = config.pages || config.pageLimit || 1;
-
-        const cookies = this.buildCookies({
-            cfClearance: config.cfClearance || process.env.CT_CF_CLEARANCE,
-            session: config.session || process.env.CT_SESSION,
-            allowedWarnings: config.allowedWarnings || process.env.CT_ALLOWED_WARNINGS
+        const cursor = openSyncCursor(this.source, config.syncOptions, {
+            startPage: 1,
+            endPage: config.pages || config.pageLimit || 1,
+            filters: this.getCheckpointFilters(config)
         });
 
+        const cookies = this.resolveCookies(config);
+
         // Store cookies for image download
         this._currentCookies = cookies;
 
         const scraperConfig = {
             cookies,
-            hitsPerPage: Math.min(config.hitsPerPage || 30, 50),
-            minTokens: config.minTokens || 300,
-            bannedTags: config.bannedTags || [],
-            sort: config.sort || 'newest',
-            query: config.query || ''
+            ...this.getCheckpointFilters(config)
         };
 
-        this.log.info(`Starting CT sync (${pageLimit} pages)...`);
+        const run = openSyncRun(this.source, { ...config.syncOptions, mode: cursor.mode });
+
+        this.log.info(`Starting CT ${cursor.mode} sync (pages ${cursor.startPage}-${cursor.endPage})...`);
         this.loadBlacklist();
 
         let added = 0;
         let skipped = 0;
         let processed = 0;
+        let aborted = false;
+
+        for (let page = cursor.firstPage(); page <= cursor.endPage; page++) {
+            if (lockService.isSyncAborted(this.source)) {
+                aborted = true;
+                break;
+            }
 
-        for (let page = 1; page <= pageLimit; page++) {
             let hits;
             try {
                 hits = await this.fetchList(page, scraperConfig);
             } catch (error) {
                 this.log.error(`Failed to fetch CT page ${page}`, error.message);
+                run.sampleError({ page, error });
+                run.finish('failed', error);
                 throw error;
             }
 
@@ -405,13 +437,19 @@ export class CtScraper extends BaseScraper {
             }
 
             for (const hit of hits) {
+                if (lockService.isSyncAborted(this.source)) {
+                    aborted = true;
+                    break;
+                }
+
                 processed++;
                 const result = await this.processCard(hit, scraperConfig);
+                run.recordResult(result, { sourceId: this.getSourceId(hit), page });
 
                 if (result.success) {
                     added++;
                     this.reportProgress(progressCallback, {
-                        progress: Math.round((page / pageLimit) * 100),
+                        progress: Math.round(((page - cursor.startPage + 1) / cursor.pageCount) * 100),
                         currentCard: `[CT] ${result.name}`,
                         newCards: added,
                         page,
@@ -424,12 +462,34 @@ export class CtScraper extends BaseScraper {
                 }
             }
 
+            // A page cut short by a cancel is fetched again on resume
+            if (aborted) {
+                break;
+            }
+
+            const lastHit = hits[hits.length - 1];
+            cursor.pageDone(DEFAULT_SEGMENT, page, {
+                lastSeenId: this.getSourceId(lastHit),
+                lastSeenAt: this.getRemoteTimestamp(lastHit)
+            });
+            run.pageScanned();
+
             // Check if we've reached the end
             if (this._totalPages && page >= this._totalPages) {
                 break;
             }
         }
 
+        if (aborted) {
+            this.log.info('CT sync aborted by user');
+            cursor.finish('cancelled');
+            run.finish('cancelled');
+        } else {
+            cursor.segmentDone();
+            cursor.finish('completed');
+            run.finish('completed');
+        }
+
         this.log.info(`CT sync complete: ${added} added, ${skipped} skipped, ${processed} processed`);
 
         return { success: true, newCards: added, updatedCards: 0, added, skipped, processed };
@@ -448,7 +508,7 @@ export async function syncCharacterTavern(appConfig = {}, progressCallback = nul
         return { added: 0, skipped: 0, processed: 0 };
     }
 
-    return scraper.sync(ctConfig, progressCallback);
+    return scraper.sync({ ...ctConfig, syncOptions: appConfig.syncOptions }, progressCallback);
 }
 
 export default CtScraper;
@@ -0,0 +1,110 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createConnection, closeConnection } from '../../db/connection.js';
+import { ensureSchema } from '../../db/schema.js';
+import { enableHttpReplay, httpReplayModeFromEnv } from '../../utils/http-replay.js';
+import { CtScraper } from './CtScraper.js';
+
+// Replays fixtures/ct; run with HTTP_REPLAY=record to refresh them from the live site
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/ct');
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+describe('CtScraper', () => {
+    let db;
+    let replay;
+    let scraper;
+    let staticDir;
+
+    before(() => {
+        db = createConnection(':memory:');
+        ensureSchema(db);
+        replay = enableHttpReplay({ mode: httpReplayModeFromEnv(), fixturesDir: FIXTURES_DIR });
+    });
+
+    after(() => {
+        replay.restore();
+        closeConnection();
+    });
+
+    beforeEach(() => {
+        db.prepare('DELETE FROM cards').run();
+        staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ct-scraper-'));
+        scraper = new CtScraper();
+        scraper.staticDir = staticDir;
+    });
+
+    afterEach(() => {
+        fs.rmSync(staticDir, { recursive: true, force: true });
+    });
+
+    it('should read hits and the page count from the search API', async () => {
+        const hits = await scraper.fetchList(1, { hitsPerPage: 2 });
+        assert.strictEqual(hits.length, 1);
+        assert.strictEqual(hits[0].id, 'ct_8f2d1c9a');
+        assert.strictEqual(scraper._totalPages, 4);
+    });
+
+    it('should explain a 403 from the search API', async () => {
+        await assert.rejects(scraper.fetchList(2, { hitsPerPage: 2 }), /403 \(check Cloudflare cookie\)/);
+    });
+
+    it('should map a hit to card metadata', async () => {
+        const [hit] = await scraper.fetchList(1, { hitsPerPage: 2 });
+        const metadata = await scraper.parseCardToMetadata(hit, 12);
+
+        assert.strictEqual(metadata.id, 12);
+        assert.strictEqual(metadata.name, 'Orla the Lighthouse Keeper');
+        assert.strictEqual(metadata.author, 'saltwind');
+        assert.strictEqual(metadata.description, hit.characterDefinition);
+        assert.deepStrictEqual(metadata.topics, ['Fantasy', 'female', 'slice of life']);
+        assert.strictEqual(metadata.tokenCount, 1820);
+        // lastUpdateAt of 0 falls back to createdAt (seconds)
+        assert.strictEqual(metadata.createdAt, '2024-06-01 12:00:00');
+        assert.strictEqual(metadata.lastModified, '2024-06-01 12:00:00');
+        assert.strictEqual(metadata.nChats, 5321);
+        assert.strictEqual(metadata.n_favorites, 210);
+        assert.strictEqual(metadata.source, 'ct');
+        assert.strictEqual(metadata.sourceId, 'ct_8f2d1c9a');
+        assert.strictEqual(metadata.sourceUrl, 'https://character-tavern.com/character/saltwind/orla-the-lighthouse-keeper');
+        assert.strictEqual(metadata.hasAlternateGreetings, true);
+        assert.strictEqual(metadata.hasExampleDialogues, true);
+        assert.strictEqual(metadata.hasSystemPrompt, true);
+        assert.strictEqual(metadata.hasLorebook, false);
+        assert.strictEqual(metadata.mes_example, '{{char}}: Tea? It is all I have.\n{{user}}: Thanks.');
+    });
+
+    it('should write the JSON sidecar and PNG for a new card', async () => {
+        const [hit] = await scraper.fetchList(1, { hitsPerPage: 2 });
+        const result = await scraper.processCard(hit, { minTokens: 300 });
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.isNew, true);
+        assert.strictEqual(result.dbId, 1);
+
+        const paths = scraper.getCardDir(1);
+        assert.strictEqual(paths.dir, path.join(staticDir, '1'));
+        const json = JSON.parse(fs.readFileSync(paths.jsonPath, 'utf8'));
+        assert.strictEqual(json.name, 'Orla the Lighthouse Keeper');
+        assert.strictEqual(json.sourceId, 'ct_8f2d1c9a');
+        assert.strictEqual(json.rawHit.path, 'saltwind/orla-the-lighthouse-keeper');
+        assert.ok(fs.readFileSync(paths.pngPath).subarray(0, 8).equals(PNG_SIGNATURE));
+        assert.strictEqual(fs.existsSync(paths.charxPath), false);
+
+        const row = db.prepare('SELECT name, source, sourceId FROM cards WHERE id = 1').get();
+        assert.deepStrictEqual({ ...row }, { name: 'Orla the Lighthouse Keeper', source: 'ct', sourceId: 'ct_8f2d1c9a' });
+
+        const again = await scraper.processCard(hit, { minTokens: 300 });
+        assert.strictEqual(again.reason, 'already_exists');
+    });
+
+    it('should skip hits below the token minimum without fetching', async () => {
+        const [hit] = await scraper.fetchList(1, { hitsPerPage: 2 });
+        const result = await scraper.processCard(hit, { minTokens: 5000 });
+        assert.strictEqual(result.reason, 'below_min_tokens');
+        assert.deepStrictEqual(fs.readdirSync(staticDir), []);
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * PluginLoader - Discovers scraper plugins
+ *
+ * Each folder under plugins/scrapers/ needs a manifest.json and an entry module
+ * (index.js by default) whose default export extends BaseScraper. A plugin that
+ * fails to load is logged and skipped so one broken folder can't stop the server.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { BaseScraper } from './BaseScraper.js';
+import { normalizeScraperManifest } from '../../utils/scraper-manifest.js';
+import { logger } from '../../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PLUGINS_DIR = path.join(__dirname, '../../../plugins/scrapers');
+
+const log = logger.scoped('PLUGINS');
+
+async function loadPlugin(pluginDir) {
+    const manifestPath = path.join(pluginDir, 'manifest.json');
+    const manifest = normalizeScraperManifest(JSON.parse(await fs.promises.readFile(manifestPath, 'utf8')));
+
+    const entryPath = path.resolve(pluginDir, manifest.entry);
+    if (!entryPath.startsWith(pluginDir + path.sep)) {
+        throw new Error(`${manifest.source}: entry must be inside the plugin folder`);
+    }
+
+    const module = await import(pathToFileURL(entryPath).href);
+    const ScraperClass = module.default;
+    if (typeof ScraperClass !== 'function' || !(ScraperClass.prototype instanceof BaseScraper)) {
+        throw new Error(`${manifest.source}: ${manifest.entry} must default-export a class extending BaseScraper`);
+    }
+
+    const instance = new ScraperClass();
+    if (instance.source !== manifest.source) {
+        throw new Error(`${manifest.source}: scraper reports source "${instance.source}", expected "${manifest.source}"`);
+    }
+
+    return { manifest, ScraperClass };
+}
+
+/**
+ * Load every plugin folder
+ * @param {string} [pluginsDir]
+ * @param {string[]} [takenSources] - Sources already registered (built-ins)
+ * @returns {Promise<Array<{manifest: object, ScraperClass: typeof BaseScraper}>>}
+ */
+export async function loadScraperPlugins(pluginsDir = PLUGINS_DIR, takenSources = []) {
+    if (!fs.existsSync(pluginsDir)) {
+        return [];
+    }
+
+    const taken = new Set(takenSources);
+    const plugins = [];
+    const entries = await fs.promises.readdir(pluginsDir, { withFileTypes: true });
+
+    for (const entry of entries) {
+        if (!entry.isDirectory() || entry.name.startsWith('.') || entry.name.startsWith('_')) {
+            continue;
+        }
+        const pluginDir = path.join(pluginsDir, entry.name);
+        if (!fs.existsSync(path.join(pluginDir, 'manifest.json'))) {
+            continue;
+        }
+
+        try {
+            const plugin = await loadPlugin(pluginDir);
+            if (taken.has(plugin.manifest.source)) {
+                throw new Error(`source "${plugin.manifest.source}" is already registered`);
+            }
+            taken.add(plugin.manifest.source);
+            plugins.push(plugin);
+            log.info(`Loaded scraper plugin ${plugin.manifest.displayName} (${plugin.manifest.source}) from ${entry.name}/`);
+        } catch (error) {
+            log.error(`Skipping scraper plugin ${entry.name}/: ${error.message}`);
+        }
+    }
+
+    return plugins;
+}
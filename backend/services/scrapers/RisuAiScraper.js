@@ -235,6 +235,11 @@ export class RisuAiScraper extends BaseScraper {
         }
     }
 
+    // Card links carry the node ID, and processCard() wants the node
+    async resolveImportItem(ref) {
+        return this.fetchNode(`/character/${ref}`);
+    }
+
     async fetchCard(sourceId) {
         // For RisuAI, we need to fetch the node first
         const node = await this.fetchNode(`/character/${sourceId}`);
@@ -568,6 +573,12 @@ export class RisuAiScraper extends BaseScraper {
             // Parse to metadata
             const metadata = await this.parseCardToMetadata(cardData, dbId, item);
 
+            const denied = this.getDenyListMatch(metadata);
+            if (denied) {
+                this.setCooldown(sourceId);
+                return { success: false, reason: 'denied', blockedBy: denied };
+            }
+
             // Prepare files to write
             const filesToWrite = { json: metadata };
 
@@ -624,7 +635,8 @@ export async function syncRisuAi(config, progressCallback = null) {
 
     const scraperConfig = {
         pageLimit: config.risuAiSync?.pageLimit || 5,
-        ...config.risuAiSync
+        ...config.risuAiSync,
+        syncOptions: config.syncOptions
     };
 
     return scraper.sync(scraperConfig, progressCallback);
@@ -0,0 +1,111 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createConnection, closeConnection } from '../../db/connection.js';
+import { ensureSchema } from '../../db/schema.js';
+import { enableHttpReplay, httpReplayModeFromEnv } from '../../utils/http-replay.js';
+import { RisuAiScraper } from './RisuAiScraper.js';
+
+// Replays fixtures/risuai; run with HTTP_REPLAY=record to refresh them from the live site
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/risuai');
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const CARD_ID = '5b1f3e0c-77aa-4d2e-9c1b-0f3b6e2d9a41';
+
+describe('RisuAiScraper', () => {
+    let db;
+    let replay;
+    let scraper;
+    let staticDir;
+
+    before(() => {
+        db = createConnection(':memory:');
+        ensureSchema(db);
+        replay = enableHttpReplay({ mode: httpReplayModeFromEnv(), fixturesDir: FIXTURES_DIR });
+    });
+
+    after(() => {
+        replay.restore();
+        closeConnection();
+    });
+
+    beforeEach(() => {
+        db.prepare('DELETE FROM cards').run();
+        db.prepare('DELETE FROM source_cooldown').run();
+        staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'risuai-scraper-'));
+        scraper = new RisuAiScraper();
+        scraper.staticDir = staticDir;
+    });
+
+    afterEach(() => {
+        fs.rmSync(staticDir, { recursive: true, force: true });
+    });
+
+    it('should collect character links from the listing page', async () => {
+        const items = await scraper.fetchList(1, {});
+        assert.deepStrictEqual(items, [
+            { url: `/character/${CARD_ID}` },
+            { url: '/character/0d7c2b55-1e6f-4a3b-8c9d-aa11bb22cc33' }
+        ]);
+    });
+
+    it('should read the node from the character page', async () => {
+        const node = await scraper.fetchNode(`/character/${CARD_ID}`);
+        assert.strictEqual(node.id, CARD_ID);
+        assert.strictEqual(node.authorname, 'petalworks');
+        assert.strictEqual(node.is_charx, false);
+        assert.deepStrictEqual(node.tags, ['female', 'slice of life']);
+    });
+
+    it('should fall back to JSON-v3 when CharX and PNG downloads fail', async () => {
+        const { data, error } = await scraper.fetchCard(CARD_ID);
+        assert.strictEqual(error, null);
+        assert.strictEqual(data.cardDef.spec, 'chara_card_v3');
+        assert.strictEqual(data.charxBuffer, null);
+        assert.strictEqual(data.fullPngBuffer, null);
+    });
+
+    it('should map a card to metadata', async () => {
+        const { data } = await scraper.fetchCard(CARD_ID);
+        const metadata = await scraper.parseCardToMetadata(data, 3);
+
+        assert.strictEqual(metadata.id, 3);
+        assert.strictEqual(metadata.name, 'Hana');
+        assert.strictEqual(metadata.author, 'petalworks');
+        assert.strictEqual(metadata.description, 'Hana runs the flower shop on Kite Street and can hear what flowers think.');
+        assert.strictEqual(metadata.tagline, 'A florist who can hear what flowers think about people.');
+        assert.ok(['female', 'slice of life'].every(tag => metadata.topics.includes(tag)));
+        assert.strictEqual(metadata.tokenCount, 64);
+        assert.strictEqual(metadata.starCount, 1200);
+        assert.strictEqual(metadata.createdAt, '2024-07-03T09:46:40.000Z');
+        assert.strictEqual(metadata.fullPath, 'risuai/petalworks/Hana');
+        assert.strictEqual(metadata.sourceUrl, `https://realm.risuai.net/character/${CARD_ID}`);
+        assert.strictEqual(metadata.visibility, 'public');
+        assert.strictEqual(metadata.hasLorebook, true);
+        assert.strictEqual(metadata.hasEmbeddedImages, true);
+        assert.strictEqual(metadata.hasSystemPrompt, true);
+        assert.strictEqual(metadata.hasAlternateGreetings, false);
+        assert.strictEqual(metadata.definition.data.name, 'Hana');
+    });
+
+    it('should write the JSON sidecar and thumbnail for a listed card', async () => {
+        const result = await scraper.processCard({ url: `/character/${CARD_ID}` }, {});
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.isNew, true);
+
+        const paths = scraper.getCardDir(result.dbId);
+        const json = JSON.parse(fs.readFileSync(paths.jsonPath, 'utf8'));
+        assert.strictEqual(json.sourceId, CARD_ID);
+        assert.strictEqual(json.definition.spec, 'chara_card_v3');
+        assert.ok(fs.readFileSync(paths.pngPath).subarray(0, 8).equals(PNG_SIGNATURE));
+        // JSON-v3 fallback: no CharX or full-size PNG to keep
+        assert.strictEqual(fs.existsSync(paths.charxPath), false);
+        assert.strictEqual(fs.existsSync(paths.fullPngPath), false);
+
+        const row = db.prepare('SELECT name, source FROM cards WHERE sourceId = ?').get(CARD_ID);
+        assert.deepStrictEqual({ ...row }, { name: 'Hana', source: 'risuai' });
+    });
+});
@@ -55,6 +55,15 @@ export class WyvernScraper extends BaseScraper {
         return cardData?.avatar || item?.avatar;
     }
 
+    getCheckpointFilters(config) {
+        return {
+            sort: config.sort || 'dateCreated',
+            order: config.order || 'DESC',
+            rating: config.rating || 'explicit',
+            itemsPerPage: config.itemsPerPage || 50
+        };
+    }
+
     async fetchList(page, config) {
         const { bearerToken = null, itemsPerPage = 50, rating = 'explicit' } = config;
         const sort = config.sort || 'dateCreated';
@@ -337,7 +346,8 @@ export async function syncWyvern(config, progressCallback = null) {
         pageLimit: config.wyvernSync?.pageLimit || 10,
         itemsPerPage: config.wyvernSync?.itemsPerPage || 50,
         bearerToken: config.wyvernSync?.bearerToken || null,
-        rating: config.wyvernSync?.rating || 'explicit'
+        rating: config.wyvernSync?.rating || 'explicit',
+        syncOptions: config.syncOptions
     };
 
     if (!config.wyvernSync?.enabled) {
@@ -0,0 +1,103 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createConnection, closeConnection } from '../../db/connection.js';
+import { ensureSchema } from '../../db/schema.js';
+import { enableHttpReplay, httpReplayModeFromEnv } from '../../utils/http-replay.js';
+import { WyvernScraper } from './WyvernScraper.js';
+
+// Replays fixtures/wyvern; run with HTTP_REPLAY=record to refresh them from the live site
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/wyvern');
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const CHARACTER_ID = 'wyv_01HZX3K9M2';
+
+describe('WyvernScraper', () => {
+    let db;
+    let replay;
+    let scraper;
+    let staticDir;
+
+    before(() => {
+        db = createConnection(':memory:');
+        ensureSchema(db);
+        replay = enableHttpReplay({ mode: httpReplayModeFromEnv(), fixturesDir: FIXTURES_DIR });
+    });
+
+    after(() => {
+        replay.restore();
+        closeConnection();
+    });
+
+    beforeEach(() => {
+        db.prepare('DELETE FROM cards').run();
+        db.prepare('DELETE FROM source_cooldown').run();
+        staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wyvern-scraper-'));
+        scraper = new WyvernScraper();
+        scraper.staticDir = staticDir;
+    });
+
+    afterEach(() => {
+        fs.rmSync(staticDir, { recursive: true, force: true });
+    });
+
+    it('should list characters from the explore search', async () => {
+        const items = await scraper.fetchList(1, { itemsPerPage: 1 });
+        assert.strictEqual(items.length, 1);
+        assert.strictEqual(scraper.getSourceId(items[0]), CHARACTER_ID);
+    });
+
+    it('should report the status of a missing character', async () => {
+        const result = await scraper.fetchCard('wyv_missing');
+        assert.strictEqual(result.data, null);
+        assert.strictEqual(result.status, 404);
+    });
+
+    it('should map a character to card metadata', async () => {
+        const { data } = await scraper.fetchCard(CHARACTER_ID);
+        const metadata = await scraper.parseCardToMetadata(data, 7);
+
+        assert.strictEqual(metadata.id, 7);
+        assert.strictEqual(metadata.name, 'Dr. Ilse Marrow');
+        assert.strictEqual(metadata.author, 'nightnurse');
+        assert.ok(['wyvern', 'horror', 'doctor'].every(tag => metadata.topics.includes(tag)));
+        assert.strictEqual(metadata.topics[0], 'wyvern');
+        assert.strictEqual(metadata.tokenCount, 88);
+        assert.strictEqual(metadata.starCount, 44);
+        assert.strictEqual(metadata.n_favorites, 12);
+        assert.strictEqual(metadata.rating, 0.5);
+        assert.strictEqual(metadata.lastModified, '2025-05-02T16:30:00.000Z');
+        assert.strictEqual(metadata.fullPath, 'wyvern/nightnurse/Dr. Ilse Marrow');
+        assert.strictEqual(metadata.sourceUrl, `https://app.wyvern.chat/characters/${CHARACTER_ID}`);
+        assert.strictEqual(metadata.hasAlternateGreetings, true);
+        assert.strictEqual(metadata.hasLorebook, true);
+        assert.strictEqual(metadata.hasSystemPrompt, true);
+        assert.strictEqual(metadata.hasGallery, false);
+
+        const { data: definition } = metadata.definition;
+        assert.strictEqual(metadata.definition.spec, 'chara_card_v2');
+        assert.strictEqual(definition.system_prompt, 'Write in third person.');
+        assert.deepStrictEqual(definition.character_book.entries.map(entry => entry.content), ['Nobody goes to the north ward.']);
+        assert.strictEqual(definition.extensions.visual_description, 'Tall, grey scrubs, tired eyes.');
+    });
+
+    it('should write the JSON sidecar and the proxied avatar for a new card', async () => {
+        const [item] = await scraper.fetchList(1, { itemsPerPage: 1 });
+        const result = await scraper.processCard(item, {});
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.isNew, true);
+
+        const paths = scraper.getCardDir(result.dbId);
+        const json = JSON.parse(fs.readFileSync(paths.jsonPath, 'utf8'));
+        assert.strictEqual(json.sourceId, CHARACTER_ID);
+        assert.strictEqual(json.definition.data.name, 'Dr. Ilse Marrow');
+        assert.ok(fs.readFileSync(paths.pngPath).subarray(0, 8).equals(PNG_SIGNATURE));
+
+        // Processed cards go on cooldown until the next day
+        const again = await scraper.processCard(item, {});
+        assert.strictEqual(again.reason, 'cooldown');
+    });
+});
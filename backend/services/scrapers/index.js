@@ -1,5 +1,10 @@
 /**
  * Scraper Index - Exports all available scrapers
+ *
+ * Built-in scrapers are registered below; more are discovered at startup from
+ * plugins/scrapers/ (see PluginLoader). Everything keyed by source - sync jobs,
+ * locks, schedules, checkpoints and the generic /api/sync/:source route - reads
+ * scraperRegistry, so a plugin needs no changes outside its own folder.
  */
 
 export { BaseScraper } from './BaseScraper.js';
@@ -15,6 +20,9 @@ import { WyvernScraper } from './WyvernScraper.js';
 import { RisuAiScraper } from './RisuAiScraper.js';
 import { CtScraper } from './CtScraper.js';
 import { ChubScraper } from './ChubScraper.js';
+import { lockService } from '../LockService.js';
+import { loadScraperPlugins, PLUGINS_DIR } from './PluginLoader.js';
+import { applyConfigDefaults } from '../../utils/scraper-manifest.js';
 
 // Registry of all available scrapers
 export const scraperRegistry = {
@@ -24,6 +32,42 @@ export const scraperRegistry = {
     chub: ChubScraper,
 };
 
+// Display metadata for every source; plugins bring theirs in manifest.json
+const scraperManifests = {
+    chub: {
+        source: 'chub',
+        displayName: 'Chub',
+        configKey: null,
+        capabilities: { sync: true, refresh: true, resume: true }
+    },
+    ct: {
+        source: 'ct',
+        displayName: 'Character Tavern',
+        configKey: 'ctSync',
+        capabilities: { sync: true, refresh: false, resume: true }
+    },
+    risuai: {
+        source: 'risuai',
+        displayName: 'RisuAI',
+        configKey: 'risuAiSync',
+        capabilities: { sync: true, refresh: true, resume: true }
+    },
+    wyvern: {
+        source: 'wyvern',
+        displayName: 'Wyvern',
+        configKey: 'wyvernSync',
+        capabilities: { sync: true, refresh: true, resume: true }
+    },
+};
+
+for (const { manifest, ScraperClass } of await loadScraperPlugins(PLUGINS_DIR, Object.keys(scraperRegistry))) {
+    scraperRegistry[manifest.source] = ScraperClass;
+    scraperManifests[manifest.source] = { ...manifest, plugin: true };
+}
+
+// Every registered source gets its own sync lock
+lockService.registerSources(Object.keys(scraperRegistry));
+
 /**
  * Get a scraper instance by source name
  * @param {string} source - Source identifier
@@ -44,3 +88,73 @@ export function getScraper(source) {
 export function getAvailableSources() {
     return Object.keys(scraperRegistry);
 }
+
+/**
+ * Manifest for a source (built-in or plugin)
+ * @param {string} source
+ * @returns {object|null}
+ */
+export function getScraperManifest(source) {
+    return scraperManifests[source] || null;
+}
+
+/**
+ * All sources with display name, capabilities and (for plugins) config schema
+ * @param {object} [appConfig] - Adds each source's enabled state when given
+ */
+export function listScraperManifests(appConfig = null) {
+    return Object.values(scraperManifests).map(manifest => ({
+        plugin: false,
+        ...manifest,
+        ...(appConfig && {
+            enabled: manifest.configKey ? !!appConfig[manifest.configKey]?.enabled : true
+        })
+    }));
+}
+
+export function isPluginSource(source) {
+    return !!scraperManifests[source]?.plugin;
+}
+
+/**
+ * A plugin's settings from config.json with its schema defaults applied
+ */
+export function getPluginConfig(source, appConfig = {}) {
+    const manifest = scraperManifests[source];
+    if (!manifest?.plugin) {
+        return null;
+    }
+    return applyConfigDefaults(manifest, appConfig[manifest.configKey]);
+}
+
+/**
+ * Sync a plugin source; the plugin counterpart of syncWyvern() and friends
+ * @param {string} source
+ * @param {object} appConfig - Full app config (plus syncOptions from the job)
+ * @param {Function} [progressCallback]
+ */
+export async function syncPluginSource(source, appConfig = {}, progressCallback = null) {
+    const scraper = getScraper(source);
+    if (!scraper || !isPluginSource(source)) {
+        throw new Error(`Unknown plugin source: ${source}`);
+    }
+
+    const pluginConfig = getPluginConfig(source, appConfig);
+    if (!pluginConfig.enabled) {
+        scraper.log.info(`${scraper.displayName} sync disabled`);
+        return { success: true, newCards: 0, updatedCards: 0 };
+    }
+
+    return scraper.sync({ ...pluginConfig, syncOptions: appConfig.syncOptions }, progressCallback);
+}
+
+/**
+ * Re-download one plugin card
+ */
+export async function refreshPluginCard(source, dbId, appConfig = {}) {
+    const manifest = scraperManifests[source];
+    if (!manifest?.plugin || !manifest.capabilities.refresh) {
+        throw new Error(`Refreshing ${manifest?.displayName || source} cards is not supported.`);
+    }
+    return getScraper(source).refreshCard(dbId, getPluginConfig(source, appConfig));
+}
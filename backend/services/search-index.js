@@ -1,6 +1,13 @@
 import { MeiliSearch } from 'meilisearch';
 import { getDatabase } from '../database.js';
 import { logger } from '../utils/logger.js';
+import {
+    trimOuterParens,
+    tokenizeBooleanExpression,
+    parseBooleanExpression,
+    expandBooleanExpression,
+    parseBooleanQuery
+} from '../utils/boolean-query.js';
 
 const log = logger.scoped('SEARCH');
 
@@ -76,7 +83,9 @@ const SORT_MAP = {
     engagement_desc: ['engagementScore:desc', 'id:desc'],
     engagement_asc: ['engagementScore:asc', 'id:asc'],
     fresh_engagement_desc: ['engagementVelocity:desc', 'id:desc'],
-    fresh_engagement_asc: ['engagementVelocity:asc', 'id:asc']
+    fresh_engagement_asc: ['engagementVelocity:asc', 'id:asc'],
+    // No sort rules: Meilisearch's own ranking
+    relevance: []
 };
 
 function computeFreshnessBonus(ageDays = 0) {
@@ -374,8 +383,8 @@ function parseFederatedQueryPhrases(input = '') {
 
     const normalized = trimOuterParens(raw);
     try {
-        const tokens = tokenizeBooleanExpression(normalized);
-        const ast = parseBooleanExpression(tokens);
+        // Adjacent words are ANDed, as in the offline search
+        const ast = parseBooleanQuery(normalized);
         if (!ast) {
             return { phrases: normalized ? [normalized] : [], usedOr: false };
         }
@@ -393,201 +402,6 @@ function parseFederatedQueryPhrases(input = '') {
     }
 }
 
-function trimOuterParens(value = '') {
-    let result = value.trim();
-    while (result.startsWith('(') && result.endsWith(')')) {
-        const inner = result.slice(1, -1).trim();
-        if (!inner || !hasBalancedParens(inner)) {
-            break;
-        }
-        result = inner;
-    }
-    return result;
-}
-
-function hasBalancedParens(value = '') {
-    let depth = 0;
-    for (let i = 0; i < value.length; i += 1) {
-        const char = value[i];
-        if (char === '(') depth += 1;
-        if (char === ')') {
-            depth -= 1;
-            if (depth < 0) return false;
-        }
-    }
-    return depth === 0;
-}
-
-function tokenizeBooleanExpression(value = '') {
-    const tokens = [];
-    let buffer = '';
-    let inQuote = false;
-    let quoteChar = '';
-
-    const pushBuffer = () => {
-        const normalized = buffer.trim().replace(/\s+/g, ' ');
-        if (normalized) {
-            tokens.push({ type: 'literal', value: normalized });
-        }
-        buffer = '';
-    };
-
-    const matchesOperator = (index, op) => {
-        const slice = value.slice(index, index + op.length);
-        if (slice !== op) return false;
-        const before = index === 0 ? '' : value[index - 1];
-        const after = value[index + op.length] || '';
-        const beforeBoundary = !before || /["\s()]/ .test(before);
-        const afterBoundary = !after || /["\s()]/ .test(after);
-        return beforeBoundary && afterBoundary;
-    };
-
-    for (let i = 0; i < value.length; i += 1) {
-        const char = value[i];
-        const prevChar = i > 0 ? value[i - 1] : '';
-
-        if (inQuote) {
-            buffer += char;
-            if (char === quoteChar && prevChar !== '\\') {
-                inQuote = false;
-                quoteChar = '';
-            }
-            continue;
-        }
-
-        if (char === '"' || char === "'") {
-            inQuote = true;
-            quoteChar = char;
-            buffer += char;
-            continue;
-        }
-
-        if (char === '(' || char === ')') {
-            pushBuffer();
-            tokens.push({ type: 'paren', value: char });
-            continue;
-        }
-
-        if (matchesOperator(i, 'AND')) {
-            pushBuffer();
-            tokens.push({ type: 'op', value: 'AND' });
-            i += 2;
-            continue;
-        }
-
-        if (matchesOperator(i, 'OR')) {
-            pushBuffer();
-            tokens.push({ type: 'op', value: 'OR' });
-            i += 1;
-            continue;
-        }
-
-        if (matchesOperator(i, 'NOT')) {
-            pushBuffer();
-            tokens.push({ type: 'op', value: 'NOT' });
-            i += 2;
-            continue;
-        }
-
-        buffer += char;
-    }
-
-    pushBuffer();
-    return tokens;
-}
-
-function parseBooleanExpression(tokens = []) {
-    let index = 0;
-
-    const peek = () => tokens[index];
-    const consume = () => tokens[index++];
-
-    const parseExpression = () => parseOr();
-
-    const parseOr = () => {
-        let node = parseAnd();
-        while (peek()?.type === 'op' && peek().value === 'OR') {
-            consume();
-            const right = parseAnd();
-            node = { type: 'or', left: node, right };
-        }
-        return node;
-    };
-
-    const parseAnd = () => {
-        let node = parseUnary();
-        while (peek()?.type === 'op' && peek().value === 'AND') {
-            consume();
-            const right = parseUnary();
-            node = { type: 'and', left: node, right };
-        }
-        return node;
-    };
-
-    const parseUnary = () => {
-        const token = peek();
-        if (!token) {
-            return null;
-        }
-        if (token.type === 'op' && token.value === 'NOT') {
-            consume();
-            const child = parseUnary();
-            return { type: 'not', child };
-        }
-        if (token.type === 'paren' && token.value === '(') {
-            consume();
-            const inner = parseExpression();
-            if (peek()?.type === 'paren' && peek().value === ')') {
-                consume();
-            }
-            return inner;
-        }
-        if (token.type === 'literal') {
-            consume();
-            return { type: 'literal', value: token.value };
-        }
-        return null;
-    };
-
-    return parseExpression();
-}
-
-function expandBooleanExpression(node) {
-    if (!node) {
-        return [];
-    }
-    switch (node.type) {
-        case 'literal':
-            return [[node.value]];
-        case 'not':
-            return expandBooleanExpression(node.child).map(parts => [`NOT (${parts.join(' ')})`]);
-        case 'and':
-            return combineConjunctions(
-                expandBooleanExpression(node.left),
-                expandBooleanExpression(node.right)
-            );
-        case 'or':
-            return [
-                ...expandBooleanExpression(node.left),
-                ...expandBooleanExpression(node.right)
-            ];
-        default:
-            return [];
-    }
-}
-
-function combineConjunctions(left = [], right = []) {
-    if (!left.length) return right;
-    if (!right.length) return left;
-    const combos = [];
-    left.forEach(l => {
-        right.forEach(r => {
-            combos.push([...l, ...r]);
-        });
-    });
-    return combos;
-}
-
 function resolveIndexUid() {
     if (meiliConfig?.indexName) {
         return meiliConfig.indexName;
@@ -1653,6 +1467,18 @@ export async function processIndexQueue({ batchSize = 500 } = {}) {
     };
 }
 
+/**
+ * Replace the queue with an upsert for every card, e.g. after restoring a backup
+ * @returns {number} Cards queued
+ */
+export function requeueAllCards() {
+    const database = getDatabase();
+    return database.transaction(() => {
+        database.prepare('DELETE FROM search_index_queue').run();
+        return database.prepare("INSERT INTO search_index_queue (cardId, action) SELECT id, 'upsert' FROM cards").run().changes;
+    })();
+}
+
 export async function rebuildSearchIndexFromRows(rows = []) {
     ensureMeiliEnabled();
     const documents = Array.isArray(rows)
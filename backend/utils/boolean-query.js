@@ -0,0 +1,263 @@
+/**
+ * Boolean search syntax shared by Meilisearch and the SQLite search
+ *
+ * AND, OR and NOT (upper case) with parentheses; "quoted" and 'quoted' text is
+ * kept together, so operators inside quotes are plain words. search-index.js
+ * expands the tree into Meilisearch multi-search phrases and filter expressions;
+ * getCards() compiles it to SQL through QueryBuilder.booleanSearch().
+ */
+
+export function trimOuterParens(value = '') {
+    let result = value.trim();
+    while (result.startsWith('(') && result.endsWith(')')) {
+        const inner = result.slice(1, -1).trim();
+        if (!inner || !hasBalancedParens(inner)) {
+            break;
+        }
+        result = inner;
+    }
+    return result;
+}
+
+function hasBalancedParens(value = '') {
+    let depth = 0;
+    for (let i = 0; i < value.length; i += 1) {
+        const char = value[i];
+        if (char === '(') depth += 1;
+        if (char === ')') {
+            depth -= 1;
+            if (depth < 0) return false;
+        }
+    }
+    return depth === 0;
+}
+
+export function tokenizeBooleanExpression(value = '') {
+    const tokens = [];
+    let buffer = '';
+    let inQuote = false;
+    let quoteChar = '';
+
+    const pushBuffer = () => {
+        const normalized = buffer.trim().replace(/\s+/g, ' ');
+        if (normalized) {
+            tokens.push({ type: 'literal', value: normalized });
+        }
+        buffer = '';
+    };
+
+    const matchesOperator = (index, op) => {
+        const slice = value.slice(index, index + op.length);
+        if (slice !== op) return false;
+        const before = index === 0 ? '' : value[index - 1];
+        const after = value[index + op.length] || '';
+        const beforeBoundary = !before || /["\s()]/ .test(before);
+        const afterBoundary = !after || /["\s()]/ .test(after);
+        return beforeBoundary && afterBoundary;
+    };
+
+    for (let i = 0; i < value.length; i += 1) {
+        const char = value[i];
+        const prevChar = i > 0 ? value[i - 1] : '';
+
+        if (inQuote) {
+            buffer += char;
+            if (char === quoteChar && prevChar !== '\\') {
+                inQuote = false;
+                quoteChar = '';
+            }
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            inQuote = true;
+            quoteChar = char;
+            buffer += char;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            pushBuffer();
+            tokens.push({ type: 'paren', value: char });
+            continue;
+        }
+
+        if (matchesOperator(i, 'AND')) {
+            pushBuffer();
+            tokens.push({ type: 'op', value: 'AND' });
+            i += 2;
+            continue;
+        }
+
+        if (matchesOperator(i, 'OR')) {
+            pushBuffer();
+            tokens.push({ type: 'op', value: 'OR' });
+            i += 1;
+            continue;
+        }
+
+        if (matchesOperator(i, 'NOT')) {
+            pushBuffer();
+            tokens.push({ type: 'op', value: 'NOT' });
+            i += 2;
+            continue;
+        }
+
+        buffer += char;
+    }
+
+    pushBuffer();
+    return tokens;
+}
+
+/**
+ * Parse tokens into a tree of { type: 'literal', value } / { type: 'not', child } /
+ * { type: 'and' | 'or', left, right } nodes; NOT binds tighter than AND, AND tighter than OR
+ * @param {object[]} tokens - From tokenizeBooleanExpression()
+ * @param {object} [options]
+ * @param {boolean} [options.implicitAnd=false] - Read operands without an operator
+ *        between them (`(a OR b) c`, `a NOT b`) as AND instead of stopping there
+ * @returns {object|null}
+ */
+export function parseBooleanExpression(tokens = [], { implicitAnd = false } = {}) {
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const consume = () => tokens[index++];
+
+    const parseExpression = () => parseOr();
+
+    const parseOr = () => {
+        let node = parseAnd();
+        while (peek()?.type === 'op' && peek().value === 'OR') {
+            consume();
+            const right = parseAnd();
+            node = { type: 'or', left: node, right };
+        }
+        return node;
+    };
+
+    const startsOperand = token => token?.type === 'literal'
+        || (token?.type === 'paren' && token.value === '(')
+        || (token?.type === 'op' && token.value === 'NOT');
+
+    const parseAnd = () => {
+        let node = parseUnary();
+        while ((peek()?.type === 'op' && peek().value === 'AND') || (implicitAnd && startsOperand(peek()))) {
+            if (peek().type === 'op' && peek().value === 'AND') {
+                consume();
+            }
+            const right = parseUnary();
+            node = { type: 'and', left: node, right };
+        }
+        return node;
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (!token) {
+            return null;
+        }
+        if (token.type === 'op' && token.value === 'NOT') {
+            consume();
+            const child = parseUnary();
+            return { type: 'not', child };
+        }
+        if (token.type === 'paren' && token.value === '(') {
+            consume();
+            const inner = parseExpression();
+            if (peek()?.type === 'paren' && peek().value === ')') {
+                consume();
+            }
+            return inner;
+        }
+        if (token.type === 'literal') {
+            consume();
+            return { type: 'literal', value: token.value };
+        }
+        return null;
+    };
+
+    return parseExpression();
+}
+
+export function expandBooleanExpression(node) {
+    if (!node) {
+        return [];
+    }
+    switch (node.type) {
+        case 'literal':
+            return [[node.value]];
+        case 'not':
+            return expandBooleanExpression(node.child).map(parts => [`NOT (${parts.join(' ')})`]);
+        case 'and':
+            return combineConjunctions(
+                expandBooleanExpression(node.left),
+                expandBooleanExpression(node.right)
+            );
+        case 'or':
+            return [
+                ...expandBooleanExpression(node.left),
+                ...expandBooleanExpression(node.right)
+            ];
+        default:
+            return [];
+    }
+}
+
+function combineConjunctions(left = [], right = []) {
+    if (!left.length) return right;
+    if (!right.length) return left;
+    const combos = [];
+    left.forEach(l => {
+        right.forEach(r => {
+            combos.push([...l, ...r]);
+        });
+    });
+    return combos;
+}
+
+/**
+ * Parse a search box string. Text without operators comes back as one literal,
+ * and so does input that is nothing but operators.
+ * @returns {object|null} Expression tree, null for blank input
+ */
+export function parseBooleanQuery(input = '') {
+    const normalized = trimOuterParens(typeof input === 'string' ? input : '');
+    if (!normalized) {
+        return null;
+    }
+    const tree = parseBooleanExpression(tokenizeBooleanExpression(normalized), { implicitAnd: true });
+    return containsLiteral(tree) ? tree : { type: 'literal', value: normalized.replace(/\s+/g, ' ') };
+}
+
+function containsLiteral(node) {
+    if (!node) {
+        return false;
+    }
+    if (node.type === 'literal') {
+        return true;
+    }
+    return node.type === 'not' ? containsLiteral(node.child) : containsLiteral(node.left) || containsLiteral(node.right);
+}
+
+/**
+ * Literals a match can be credited to: every literal not under a NOT
+ * @returns {string[]}
+ */
+export function listPositiveLiterals(node, negated = false) {
+    if (!node) {
+        return [];
+    }
+    switch (node.type) {
+        case 'literal':
+            return negated ? [] : [node.value];
+        case 'not':
+            return listPositiveLiterals(node.child, !negated);
+        case 'and':
+        case 'or':
+            return [...listPositiveLiterals(node.left, negated), ...listPositiveLiterals(node.right, negated)];
+        default:
+            return [];
+    }
+}
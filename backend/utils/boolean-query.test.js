@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    tokenizeBooleanExpression,
+    parseBooleanExpression,
+    expandBooleanExpression,
+    parseBooleanQuery,
+    listPositiveLiterals
+} from './boolean-query.js';
+
+const literal = value => ({ type: 'literal', value });
+
+describe('boolean-query', () => {
+    it('should keep quoted operators inside literals', () => {
+        assert.deepStrictEqual(tokenizeBooleanExpression('"cats AND dogs" OR (elf)'), [
+            { type: 'literal', value: '"cats AND dogs"' },
+            { type: 'op', value: 'OR' },
+            { type: 'paren', value: '(' },
+            { type: 'literal', value: 'elf' },
+            { type: 'paren', value: ')' }
+        ]);
+        // Only upper-case words are operators
+        assert.deepStrictEqual(tokenizeBooleanExpression('rock and roll'), [literal('rock and roll')]);
+    });
+
+    it('should expand into OR-ed phrases for Meilisearch', () => {
+        const tree = parseBooleanExpression(tokenizeBooleanExpression('(elf OR dwarf) AND ranger'));
+        assert.deepStrictEqual(expandBooleanExpression(tree), [['elf', 'ranger'], ['dwarf', 'ranger']]);
+        assert.deepStrictEqual(expandBooleanExpression(parseBooleanQuery('dragon NOT evil')), [['dragon', 'NOT (evil)']]);
+    });
+
+    it('should read adjacent operands as AND in search queries', () => {
+        assert.deepStrictEqual(parseBooleanQuery('dragon NOT evil'), {
+            type: 'and',
+            left: literal('dragon'),
+            right: { type: 'not', child: literal('evil') }
+        });
+        assert.deepStrictEqual(parseBooleanQuery('(elf OR dwarf) ranger'), {
+            type: 'and',
+            left: { type: 'or', left: literal('elf'), right: literal('dwarf') },
+            right: literal('ranger')
+        });
+        assert.deepStrictEqual(parseBooleanQuery('  (space   pirate) '), literal('space pirate'));
+    });
+
+    it('should fall back to one literal and list positive literals', () => {
+        assert.deepStrictEqual(parseBooleanQuery('OR'), literal('OR'));
+        assert.strictEqual(parseBooleanQuery('   '), null);
+
+        const tree = parseBooleanQuery('knight AND NOT (evil OR NOT paladin) OR "dark lord"');
+        assert.deepStrictEqual(listPositiveLiterals(tree), ['knight', 'paladin', '"dark lord"']);
+    });
+});
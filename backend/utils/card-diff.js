@@ -0,0 +1,273 @@
+/**
+ * Field-level diff between two character card definitions (CCv2/CCv3).
+ *
+ * Compares the fields people actually edit - text fields, each alternate
+ * greeting and each lorebook entry (matched by its keys) - instead of a raw
+ * JSON diff, so a removed lorebook entry or rewritten greeting shows up as a
+ * single readable change.
+ *
+ * hashCardDefinition() reduces the same fields to one hash, so a card saved by
+ * a different tool (re-encoded PNG, CCv2 vs CCv3, CRLF) is still recognised.
+ */
+
+import crypto from 'crypto';
+
+const TEXT_FIELDS = [
+    { key: 'name', label: 'Name' },
+    { key: 'description', label: 'Description' },
+    { key: 'personality', label: 'Personality' },
+    { key: 'scenario', label: 'Scenario' },
+    { key: 'first_mes', label: 'First message' },
+    { key: 'mes_example', label: 'Example dialogue' },
+    { key: 'system_prompt', label: 'System prompt' },
+    { key: 'post_history_instructions', label: 'Post-history instructions' },
+    { key: 'creator_notes', label: 'Creator notes' }
+];
+
+const LOREBOOK_FIELDS = ['keys', 'secondary_keys', 'content', 'enabled', 'constant', 'selective', 'insertion_order'];
+
+/**
+ * Unwrap a parsed card (spec wrapper, legacy v1 or chub definition) into its data object
+ */
+export function extractCardData(card) {
+    if (!card || typeof card !== 'object') {
+        return {};
+    }
+    if (card.data && typeof card.data === 'object') {
+        return card.data;
+    }
+    if (card.definition && typeof card.definition === 'object') {
+        return extractCardData(card.definition);
+    }
+    return card;
+}
+
+function normalizeText(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/\r\n/g, '\n');
+}
+
+function normalizeKeys(keys) {
+    if (Array.isArray(keys)) {
+        return keys.map(k => String(k).trim()).filter(Boolean);
+    }
+    if (typeof keys === 'string') {
+        return keys.split(',').map(k => k.trim()).filter(Boolean);
+    }
+    return [];
+}
+
+function normalizeLorebookEntry(entry, index) {
+    const keys = normalizeKeys(entry?.keys ?? entry?.key);
+    return {
+        name: entry?.name || entry?.comment || '',
+        keys,
+        secondary_keys: normalizeKeys(entry?.secondary_keys ?? entry?.keysecondary),
+        content: normalizeText(entry?.content),
+        enabled: entry?.enabled !== false,
+        constant: !!entry?.constant,
+        selective: !!entry?.selective,
+        insertion_order: entry?.insertion_order ?? null,
+        index
+    };
+}
+
+function lorebookIdentity(entry) {
+    if (entry.keys.length > 0) {
+        return entry.keys.map(k => k.toLowerCase()).sort().join(', ');
+    }
+    if (entry.name) {
+        return `name:${entry.name.toLowerCase()}`;
+    }
+    return `index:${entry.index}`;
+}
+
+/**
+ * Map lorebook entries by identity; duplicates get a #n suffix so none are dropped
+ */
+function indexLorebook(data) {
+    const entries = Array.isArray(data?.character_book?.entries) ? data.character_book.entries : [];
+    const map = new Map();
+    entries.forEach((raw, index) => {
+        const entry = normalizeLorebookEntry(raw, index);
+        const base = lorebookIdentity(entry);
+        let id = base;
+        let n = 2;
+        while (map.has(id)) {
+            id = `${base} #${n++}`;
+        }
+        map.set(id, entry);
+    });
+    return map;
+}
+
+function sameValue(a, b) {
+    // Key lists are sets; reordering them is not a change
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return JSON.stringify([...a].sort()) === JSON.stringify([...b].sort());
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function diffTextFields(before, after) {
+    const changes = [];
+    for (const { key, label } of TEXT_FIELDS) {
+        const a = normalizeText(before[key]);
+        const b = normalizeText(after[key]);
+        if (a === b) continue;
+        changes.push({
+            section: 'field',
+            path: key,
+            label,
+            type: !a ? 'added' : !b ? 'removed' : 'changed',
+            before: a || null,
+            after: b || null
+        });
+    }
+    return changes;
+}
+
+/**
+ * Greetings identical on both sides are unchanged regardless of position;
+ * the leftovers are paired in order as rewrites, extra ones are added/removed.
+ */
+function diffGreetings(before, after) {
+    const a = (Array.isArray(before.alternate_greetings) ? before.alternate_greetings : []).map(normalizeText);
+    const b = (Array.isArray(after.alternate_greetings) ? after.alternate_greetings : []).map(normalizeText);
+
+    const unmatchedB = new Map();
+    b.forEach((text, index) => {
+        if (!unmatchedB.has(text)) unmatchedB.set(text, []);
+        unmatchedB.get(text).push(index);
+    });
+
+    const leftoverA = [];
+    a.forEach((text, index) => {
+        const candidates = unmatchedB.get(text);
+        if (candidates && candidates.length > 0) {
+            candidates.shift();
+        } else {
+            leftoverA.push(index);
+        }
+    });
+    const leftoverB = [...unmatchedB.values()].flat().sort((x, y) => x - y);
+
+    const changes = [];
+    const pairs = Math.max(leftoverA.length, leftoverB.length);
+    for (let i = 0; i < pairs; i++) {
+        const fromIndex = leftoverA[i];
+        const toIndex = leftoverB[i];
+        const index = toIndex ?? fromIndex;
+        changes.push({
+            section: 'alternate_greetings',
+            path: `alternate_greetings[${index}]`,
+            label: `Alternate greeting ${index + 1}`,
+            type: fromIndex === undefined ? 'added' : toIndex === undefined ? 'removed' : 'changed',
+            before: fromIndex === undefined ? null : a[fromIndex],
+            after: toIndex === undefined ? null : b[toIndex]
+        });
+    }
+    return changes;
+}
+
+function describeLorebookEntry(id, entry) {
+    return entry.name ? `${entry.name} (${id})` : id;
+}
+
+function diffLorebook(before, after) {
+    const a = indexLorebook(before);
+    const b = indexLorebook(after);
+    const changes = [];
+
+    for (const [id, entry] of a) {
+        const next = b.get(id);
+        if (!next) {
+            changes.push({
+                section: 'lorebook',
+                path: `character_book.entries[${id}]`,
+                label: describeLorebookEntry(id, entry),
+                type: 'removed',
+                before: entry,
+                after: null
+            });
+            continue;
+        }
+        const changedFields = LOREBOOK_FIELDS.filter(field => !sameValue(entry[field], next[field]));
+        if (entry.name !== next.name) {
+            changedFields.unshift('name');
+        }
+        if (changedFields.length > 0) {
+            changes.push({
+                section: 'lorebook',
+                path: `character_book.entries[${id}]`,
+                label: describeLorebookEntry(id, next),
+                type: 'changed',
+                changedFields,
+                before: entry,
+                after: next
+            });
+        }
+    }
+
+    for (const [id, entry] of b) {
+        if (a.has(id)) continue;
+        changes.push({
+            section: 'lorebook',
+            path: `character_book.entries[${id}]`,
+            label: describeLorebookEntry(id, entry),
+            type: 'added',
+            before: null,
+            after: entry
+        });
+    }
+
+    return changes;
+}
+
+/**
+ * Diff two card definitions
+ * @param {object} beforeCard - Older card (spec wrapper or data object)
+ * @param {object} afterCard - Newer card
+ * @returns {{ changes: object[], summary: { added: number, removed: number, changed: number } }}
+ */
+export function diffCards(beforeCard, afterCard) {
+    const before = extractCardData(beforeCard);
+    const after = extractCardData(afterCard);
+
+    const changes = [
+        ...diffTextFields(before, after),
+        ...diffGreetings(before, after),
+        ...diffLorebook(before, after)
+    ];
+
+    const summary = { added: 0, removed: 0, changed: 0 };
+    for (const change of changes) {
+        summary[change.type] += 1;
+    }
+
+    return { changes, summary };
+}
+
+/**
+ * Hash of a card's normalized definition: text fields, alternate greetings and
+ * lorebook entries. Dates, tags, extensions and the file format don't count.
+ * @param {object} card - Parsed card (spec wrapper, legacy v1 or chub definition)
+ * @returns {string|null} sha256 hex, or null when the card has no content to compare
+ */
+export function hashCardDefinition(card) {
+    const data = extractCardData(card);
+    const fields = TEXT_FIELDS.map(({ key }) => normalizeText(data[key]).trim());
+    const greetings = (Array.isArray(data.alternate_greetings) ? data.alternate_greetings : [])
+        .map(text => normalizeText(text).trim())
+        .filter(Boolean);
+    const lorebook = [...indexLorebook(data)]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([id, entry]) => [id, ...LOREBOOK_FIELDS.map(field => (
+            Array.isArray(entry[field]) ? [...entry[field]].sort() : entry[field]
+        ))]);
+
+    if (!fields.some(Boolean) && greetings.length === 0 && lorebook.length === 0) {
+        return null;
+    }
+    return crypto.createHash('sha256').update(JSON.stringify([fields, greetings, lorebook])).digest('hex');
+}
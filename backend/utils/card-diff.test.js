@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { diffCards, extractCardData, hashCardDefinition } from './card-diff.js';
+
+const makeCard = (overrides = {}) => ({
+    spec: 'chara_card_v3',
+    spec_version: '3.0',
+    data: {
+        name: 'Ember',
+        description: 'A dragon who guards a library.',
+        personality: 'Curious',
+        scenario: 'The library at night',
+        first_mes: 'Welcome, reader.',
+        alternate_greetings: ['Hello again.', 'Quiet, please.'],
+        system_prompt: '',
+        character_book: {
+            entries: [
+                { keys: ['library'], content: 'An old stone library.', enabled: true },
+                { keys: ['dragon', 'wyrm'], content: 'Ember is a red dragon.', enabled: true }
+            ]
+        },
+        ...overrides
+    }
+});
+
+describe('card-diff', () => {
+    it('should unwrap spec wrappers and chub definitions', () => {
+        assert.strictEqual(extractCardData(makeCard()).name, 'Ember');
+        assert.strictEqual(extractCardData({ definition: makeCard() }).name, 'Ember');
+        assert.strictEqual(extractCardData({ name: 'V1' }).name, 'V1');
+        assert.deepStrictEqual(extractCardData(null), {});
+    });
+
+    it('should report no changes for identical cards', () => {
+        const { changes, summary } = diffCards(makeCard(), makeCard());
+        assert.strictEqual(changes.length, 0);
+        assert.deepStrictEqual(summary, { added: 0, removed: 0, changed: 0 });
+    });
+
+    it('should detect changed, added and removed text fields', () => {
+        const after = makeCard({
+            description: 'A dragon who burned the library.',
+            system_prompt: 'Stay in character.',
+            scenario: ''
+        });
+        const { changes } = diffCards(makeCard(), after);
+        const byPath = Object.fromEntries(changes.map(c => [c.path, c]));
+
+        assert.strictEqual(byPath.description.type, 'changed');
+        assert.strictEqual(byPath.description.before, 'A dragon who guards a library.');
+        assert.strictEqual(byPath.system_prompt.type, 'added');
+        assert.strictEqual(byPath.scenario.type, 'removed');
+    });
+
+    it('should ignore reordered greetings and pair rewrites by position', () => {
+        const reordered = makeCard({ alternate_greetings: ['Quiet, please.', 'Hello again.'] });
+        assert.strictEqual(diffCards(makeCard(), reordered).changes.length, 0);
+
+        const rewritten = makeCard({ alternate_greetings: ['Hello again.', 'Shh!', 'Boo.'] });
+        const { changes } = diffCards(makeCard(), rewritten);
+        assert.deepStrictEqual(changes.map(c => [c.path, c.type]), [
+            ['alternate_greetings[1]', 'changed'],
+            ['alternate_greetings[2]', 'added']
+        ]);
+        assert.strictEqual(changes[0].before, 'Quiet, please.');
+    });
+
+    it('should match lorebook entries by keys regardless of order', () => {
+        const after = makeCard({
+            character_book: {
+                entries: [
+                    { keys: ['wyrm', 'dragon'], content: 'Ember is a black dragon.', enabled: true }
+                ]
+            }
+        });
+        const { changes, summary } = diffCards(makeCard(), after);
+
+        assert.deepStrictEqual(summary, { added: 0, removed: 1, changed: 1 });
+        const removed = changes.find(c => c.type === 'removed');
+        assert.strictEqual(removed.section, 'lorebook');
+        assert.deepStrictEqual(removed.before.keys, ['library']);
+
+        const changed = changes.find(c => c.type === 'changed');
+        assert.deepStrictEqual(changed.changedFields, ['content']);
+    });
+
+    it('should keep lorebook entries with duplicate keys apart', () => {
+        const before = makeCard({
+            character_book: {
+                entries: [
+                    { keys: ['tavern'], content: 'First.' },
+                    { keys: ['tavern'], content: 'Second.' }
+                ]
+            }
+        });
+        const after = makeCard({
+            character_book: { entries: [{ keys: ['tavern'], content: 'First.' }] }
+        });
+        const { changes } = diffCards(before, after);
+
+        assert.strictEqual(changes.length, 1);
+        assert.strictEqual(changes[0].type, 'removed');
+        assert.strictEqual(changes[0].before.content, 'Second.');
+    });
+
+    it('should hash definitions the same regardless of format and volatile fields', () => {
+        const hash = hashCardDefinition(makeCard());
+        assert.match(hash, /^[0-9a-f]{64}$/);
+
+        const resaved = makeCard({
+            description: 'A dragon who guards a library.\r\n',
+            modification_date: 1700000000,
+            tags: ['dragon'],
+            character_book: {
+                entries: [
+                    { keys: ['wyrm', 'dragon'], content: 'Ember is a red dragon.', enabled: true },
+                    { keys: ['library'], content: 'An old stone library.', enabled: true }
+                ]
+            }
+        });
+        assert.strictEqual(hashCardDefinition({ ...resaved, spec: 'chara_card_v2', spec_version: '2.0' }), hash);
+        assert.strictEqual(hashCardDefinition(resaved.data), hash);
+
+        assert.notStrictEqual(hashCardDefinition(makeCard({ first_mes: 'Welcome back.' })), hash);
+        assert.notStrictEqual(hashCardDefinition(makeCard({ alternate_greetings: ['Hello again.'] })), hash);
+        assert.strictEqual(hashCardDefinition({ data: { name: '  ' } }), null);
+    });
+});
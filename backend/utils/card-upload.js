@@ -0,0 +1,80 @@
+/**
+ * Helpers for cards uploaded from disk.
+ *
+ * The loader sniffs the container itself; the extension only decides which
+ * uploads we accept and which slot of the card layout keeps the original.
+ */
+
+import path from 'path';
+import { TOKEN_COUNT_FIELD_MAP, normalizeTokenCounts } from './token-counts.js';
+import { parseCardUrl } from './card-url.js';
+
+// Source of cards uploaded or imported from disk; there is nowhere to re-download them from
+export const LOCAL_SOURCE = 'local';
+
+export const UPLOAD_FORMATS = {
+    '.png': 'png',
+    '.json': 'json',
+    '.charx': 'charx',
+    '.voxpkg': 'voxta'
+};
+
+/**
+ * @param {string} filename
+ * @returns {'png'|'json'|'charx'|'voxta'|null}
+ */
+export function getUploadFormat(filename) {
+    if (typeof filename !== 'string') {
+        return null;
+    }
+    return UPLOAD_FORMATS[path.extname(filename).toLowerCase()] || null;
+}
+
+const estimate = (text) => (typeof text === 'string' ? Math.round(text.length / 4) : 0);
+
+/**
+ * Rough token counts (4 characters per token, as the scrapers estimate them)
+ * @param {object} cardDef - Card spec, either `{ data: {...} }` or the bare data
+ * @returns {{counts: object, total: number}} counts keyed by token column; total
+ *          also covers alternate greetings and lorebook entries
+ */
+export function estimateCardTokens(cardDef) {
+    const data = cardDef?.data || cardDef || {};
+
+    const raw = {};
+    for (const field of Object.keys(TOKEN_COUNT_FIELD_MAP)) {
+        raw[field] = estimate(data[field]);
+    }
+    const counts = normalizeTokenCounts(raw);
+
+    let total = Object.values(raw).reduce((sum, value) => sum + value, 0);
+    if (Array.isArray(data.alternate_greetings)) {
+        total += data.alternate_greetings.reduce((sum, greeting) => sum + estimate(greeting), 0);
+    }
+    if (Array.isArray(data.character_book?.entries)) {
+        total += data.character_book.entries.reduce((sum, entry) => sum + estimate(entry?.content), 0);
+    }
+
+    return { counts, total };
+}
+
+/**
+ * Links back to the site a card was downloaded from, in the form the scrapers
+ * store in cards.sourceUrl. Reads CCv3 `source` entries and the chub full_path
+ * that SillyTavern keeps when it imports from Chub.
+ * @param {object} cardDef
+ * @returns {string[]}
+ */
+export function getCardSourceUrls(cardDef) {
+    const data = cardDef?.data || cardDef || {};
+    const candidates = Array.isArray(data.source) ? [...data.source] : [];
+    const chubPath = data.extensions?.chub?.full_path;
+    if (typeof chubPath === 'string' && chubPath) {
+        candidates.push(`https://chub.ai/characters/${chubPath}`);
+    }
+
+    const urls = candidates
+        .map(candidate => parseCardUrl(candidate)?.url)
+        .filter(Boolean);
+    return [...new Set(urls)];
+}
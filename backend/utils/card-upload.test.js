@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { getUploadFormat, estimateCardTokens, getCardSourceUrls } from './card-upload.js';
+
+describe('card-upload', () => {
+    it('should accept card files by extension', () => {
+        assert.strictEqual(getUploadFormat('Orla.PNG'), 'png');
+        assert.strictEqual(getUploadFormat('orla.json'), 'json');
+        assert.strictEqual(getUploadFormat('orla.charx'), 'charx');
+        assert.strictEqual(getUploadFormat('orla.voxpkg'), 'voxta');
+        assert.strictEqual(getUploadFormat('orla.webp'), null);
+        assert.strictEqual(getUploadFormat('png'), null);
+        assert.strictEqual(getUploadFormat(undefined), null);
+    });
+
+    it('should estimate token counts per field and in total', () => {
+        const { counts, total } = estimateCardTokens({
+            spec: 'chara_card_v3',
+            data: {
+                description: 'a'.repeat(400),
+                first_mes: 'b'.repeat(80),
+                alternate_greetings: ['c'.repeat(40)],
+                character_book: { entries: [{ content: 'd'.repeat(20) }, {}] }
+            }
+        });
+
+        assert.strictEqual(counts.tokenDescriptionCount, 100);
+        assert.strictEqual(counts.tokenFirstMessageCount, 20);
+        assert.strictEqual(counts.tokenPersonalityCount, 0);
+        assert.strictEqual(total, 135);
+        assert.strictEqual(estimateCardTokens({ description: 'abcd' }).total, 1);
+        assert.strictEqual(estimateCardTokens(null).total, 0);
+    });
+
+    it('should collect the source links a card carries', () => {
+        assert.deepStrictEqual(getCardSourceUrls({
+            data: {
+                source: ['https://realm.risuai.net/character/5b1f3e0c-77aa', 'my notes', 'https://example.com/x'],
+                extensions: { chub: { full_path: 'stellarquill/captain-mira-voss' } }
+            }
+        }), [
+            'https://realm.risuai.net/character/5b1f3e0c-77aa',
+            'https://chub.ai/characters/stellarquill/captain-mira-voss'
+        ]);
+        assert.deepStrictEqual(getCardSourceUrls({
+            source: ['chub.ai/characters/a/b', 'https://www.chub.ai/characters/a/b']
+        }), ['https://chub.ai/characters/a/b']);
+        assert.deepStrictEqual(getCardSourceUrls({ data: {} }), []);
+    });
+});
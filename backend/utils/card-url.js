@@ -0,0 +1,85 @@
+/**
+ * Card page links from the supported sites.
+ *
+ * parseCardUrl() maps a pasted link to the scraper source that handles it and
+ * the reference that source's resolveImportItem() understands:
+ * - chub:   https://chub.ai/characters/<creator>/<slug>        -> '<creator>/<slug>'
+ * - ct:     https://character-tavern.com/character/<author>/<slug> -> '<author>/<slug>'
+ * - risuai: https://realm.risuai.net/character/<id>            -> '<id>'
+ * - wyvern: https://app.wyvern.chat/characters/<id>            -> '<id>'
+ */
+
+const URL_RULES = [
+    {
+        source: 'chub',
+        hosts: ['chub.ai', 'www.chub.ai', 'venus.chub.ai', 'characterhub.org', 'www.characterhub.org'],
+        // Path segments after the prefix that make up the reference
+        prefix: 'characters',
+        segments: 2
+    },
+    {
+        source: 'ct',
+        hosts: ['character-tavern.com', 'www.character-tavern.com'],
+        prefix: 'character',
+        segments: 2
+    },
+    {
+        source: 'risuai',
+        hosts: ['realm.risuai.net'],
+        prefix: 'character',
+        segments: 1
+    },
+    {
+        source: 'wyvern',
+        hosts: ['app.wyvern.chat', 'wyvern.chat', 'www.wyvern.chat'],
+        prefix: 'characters',
+        segments: 1
+    }
+];
+
+export const CARD_URL_HOSTS = ['chub.ai', 'character-tavern.com', 'realm.risuai.net', 'wyvern.chat'];
+
+/**
+ * @param {string} input - Link as pasted; the scheme may be left off
+ * @returns {{source: string, ref: string, url: string}|null} null when the link isn't a card page on a supported site
+ */
+export function parseCardUrl(input) {
+    if (typeof input !== 'string' || !input.trim()) {
+        return null;
+    }
+
+    const trimmed = input.trim();
+    let url;
+    try {
+        url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    } catch {
+        return null;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return null;
+    }
+
+    const host = url.hostname.toLowerCase();
+    const rule = URL_RULES.find(candidate => candidate.hosts.includes(host));
+    if (!rule) {
+        return null;
+    }
+
+    let parts;
+    try {
+        parts = url.pathname.split('/').filter(Boolean).map(part => decodeURIComponent(part));
+    } catch {
+        return null;
+    }
+    if (parts[0] !== rule.prefix || parts.length < rule.segments + 1) {
+        return null;
+    }
+
+    const refParts = parts.slice(1, rule.segments + 1);
+    if (refParts.some(part => !part.trim() || part.includes('/'))) {
+        return null;
+    }
+
+    const ref = refParts.join('/');
+    return { source: rule.source, ref, url: `https://${rule.hosts[0]}/${rule.prefix}/${ref}` };
+}
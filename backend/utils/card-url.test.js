@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseCardUrl } from './card-url.js';
+
+describe('card-url', () => {
+    it('should map card links to their source and reference', () => {
+        assert.deepStrictEqual(parseCardUrl('https://chub.ai/characters/stellarquill/captain-mira-voss'), {
+            source: 'chub',
+            ref: 'stellarquill/captain-mira-voss',
+            url: 'https://chub.ai/characters/stellarquill/captain-mira-voss'
+        });
+        assert.strictEqual(parseCardUrl('https://www.characterhub.org/characters/a/b/main/tree?x=1').ref, 'a/b');
+        assert.deepStrictEqual(
+            parseCardUrl('character-tavern.com/character/saltwind/orla-the-lighthouse-keeper'),
+            {
+                source: 'ct',
+                ref: 'saltwind/orla-the-lighthouse-keeper',
+                url: 'https://character-tavern.com/character/saltwind/orla-the-lighthouse-keeper'
+            }
+        );
+        assert.deepStrictEqual(parseCardUrl('  https://realm.risuai.net/character/5b1f3e0c-77aa#top '), {
+            source: 'risuai',
+            ref: '5b1f3e0c-77aa',
+            url: 'https://realm.risuai.net/character/5b1f3e0c-77aa'
+        });
+        assert.strictEqual(parseCardUrl('https://app.wyvern.chat/characters/wyv_01HZX3K9M2').source, 'wyvern');
+    });
+
+    it('should reject links that are not card pages', () => {
+        assert.strictEqual(parseCardUrl(''), null);
+        assert.strictEqual(parseCardUrl('not a url at all'), null);
+        assert.strictEqual(parseCardUrl('https://chub.ai/users/stellarquill'), null);
+        assert.strictEqual(parseCardUrl('https://chub.ai/characters/stellarquill'), null);
+        assert.strictEqual(parseCardUrl('https://example.com/characters/a/b'), null);
+        assert.strictEqual(parseCardUrl('ftp://realm.risuai.net/character/abc'), null);
+        assert.strictEqual(parseCardUrl('https://realm.risuai.net/character/a%2Fb'), null);
+        assert.strictEqual(parseCardUrl('https://realm.risuai.net/character/%E0%A4%A'), null);
+    });
+});
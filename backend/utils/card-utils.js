@@ -31,7 +31,14 @@ export function getCardFilePaths(cardId) {
 }
 
 export function readCardPngSpec(cardId) {
-    const { pngPath, fullPngPath, charxPath, jsonPath } = getCardFilePaths(cardId);
+    return readCardSpecFromPaths(getCardFilePaths(cardId), cardId);
+}
+
+/**
+ * Parse a card spec from an explicit set of file paths (full PNG, PNG, CharX, then JSON sidecar).
+ * Used for live cards and for archived revisions, which keep the same file kinds.
+ */
+export function readCardSpecFromPaths({ pngPath, fullPngPath, charxPath, jsonPath }, cardId) {
 
     // Try full PNG first (RisuAI cards with embedded assets)
     if (fs.existsSync(fullPngPath)) {
@@ -0,0 +1,225 @@
+/**
+ * Cron expressions and quiet-hour windows for the sync scheduler.
+ *
+ * Supports the standard five fields (minute hour day-of-month month
+ * day-of-week) with `*`, lists, ranges, steps and month/day names, plus the
+ * @hourly/@daily/@weekly/@monthly shortcuts. Times are server local time.
+ * When both day fields are restricted a day matches either one, as in cron.
+ */
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    // 7 is accepted as Sunday and folded into 0
+    { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+// A year of minutes is more than any valid expression needs to find a match
+const MAX_SEARCH_MINUTES = 366 * 24 * 60;
+
+function parseValue(token, field, expression) {
+    const lower = token.toLowerCase();
+    if (field.names) {
+        const index = field.names.indexOf(lower);
+        if (index !== -1) {
+            return index + field.nameOffset;
+        }
+    }
+    if (!/^\d+$/.test(token)) {
+        throw new Error(`Invalid ${field.name} value "${token}" in cron expression "${expression}"`);
+    }
+    const value = parseInt(token, 10);
+    if (value < field.min || value > field.max) {
+        throw new Error(`${field.name} value ${value} is out of range (${field.min}-${field.max}) in "${expression}"`);
+    }
+    return value;
+}
+
+function parseField(text, field, expression) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [rangeText, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (!Number.isInteger(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+            throw new Error(`Invalid step "${part}" in cron expression "${expression}"`);
+        }
+
+        let start;
+        let end;
+        if (rangeText === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (rangeText.includes('-')) {
+            const [from, to] = rangeText.split('-');
+            start = parseValue(from, field, expression);
+            end = parseValue(to, field, expression);
+            if (end < start) {
+                throw new Error(`Invalid range "${rangeText}" in cron expression "${expression}"`);
+            }
+        } else {
+            start = parseValue(rangeText, field, expression);
+            // "5/15" means every 15 starting at 5
+            end = stepText === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression
+ * @returns {object} Parsed fields for nextCronRun()
+ * @throws {Error} If the expression is malformed
+ */
+export function parseCron(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('Cron expression is required');
+    }
+    const source = expression.trim();
+    const expanded = MACROS[source.toLowerCase()] || source;
+    const parts = expanded.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Cron expression "${source}" must have 5 fields (minute hour day-of-month month day-of-week)`);
+    }
+
+    const parsed = { expression: source };
+    FIELDS.forEach((field, index) => {
+        parsed[field.name] = parseField(parts[index], field, source);
+    });
+    parsed.dayOfMonthRestricted = parts[2] !== '*';
+    parsed.dayOfWeekRestricted = parts[4] !== '*';
+    return parsed;
+}
+
+/**
+ * Validate a cron expression without throwing
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateCron(expression) {
+    try {
+        parseCron(expression);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+function matchesDay(cron, date) {
+    const dayOfMonth = cron.dayOfMonth.has(date.getDate());
+    const dayOfWeek = cron.dayOfWeek.has(date.getDay());
+    if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+        return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Next time the expression fires, strictly after `from`
+ * @param {string|object} cron - Expression or parseCron() result
+ * @param {Date} [from]
+ * @returns {Date|null} Null if nothing matches within a year (e.g. "0 0 31 2 *")
+ */
+export function nextCronRun(cron, from = new Date()) {
+    const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = from.getTime() + MAX_SEARCH_MINUTES * 60 * 1000;
+    while (date.getTime() <= limit) {
+        if (!parsed.month.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!matchesDay(parsed, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!parsed.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!parsed.minute.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return date;
+    }
+    return null;
+}
+
+function parseTimeOfDay(value, label) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`Quiet hours ${label} must be HH:MM, got "${value}"`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Parse a quiet-hours window; the end may be before the start to wrap past midnight
+ * @param {{start: string, end: string}|null} quietHours - e.g. { start: '23:00', end: '07:00' }
+ * @returns {{start: number, end: number}|null} Minutes after midnight, or null when unset
+ * @throws {Error} If either time is malformed
+ */
+export function parseQuietHours(quietHours) {
+    if (!quietHours || (!quietHours.start && !quietHours.end)) {
+        return null;
+    }
+    const start = parseTimeOfDay(quietHours.start, 'start');
+    const end = parseTimeOfDay(quietHours.end, 'end');
+    return start === end ? null : { start, end };
+}
+
+function minuteOfDay(date) {
+    return date.getHours() * 60 + date.getMinutes();
+}
+
+/**
+ * @param {Date} date
+ * @param {{start: number, end: number}|null} window - parseQuietHours() result
+ */
+export function isInQuietHours(date, window) {
+    if (!window) return false;
+    const minute = minuteOfDay(date);
+    if (window.start < window.end) {
+        return minute >= window.start && minute < window.end;
+    }
+    return minute >= window.start || minute < window.end;
+}
+
+/**
+ * When the quiet window containing `date` ends; `date` itself if it is outside the window
+ */
+export function quietHoursEnd(date, window) {
+    if (!isInQuietHours(date, window)) {
+        return date;
+    }
+    const end = new Date(date.getTime());
+    end.setHours(Math.floor(window.end / 60), window.end % 60, 0, 0);
+    if (end.getTime() <= date.getTime()) {
+        end.setDate(end.getDate() + 1);
+    }
+    return end;
+}
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    parseCron,
+    validateCron,
+    nextCronRun,
+    parseQuietHours,
+    isInQuietHours,
+    quietHoursEnd
+} from './cron.js';
+
+// Local-time dates, matching how the scheduler evaluates expressions
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('cron', () => {
+    it('should parse lists, ranges, steps and names', () => {
+        const cron = parseCron('*/15 9-17 * jan,jul mon-fri');
+        assert.deepStrictEqual([...cron.minute], [0, 15, 30, 45]);
+        assert.deepStrictEqual([...cron.hour], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+        assert.deepStrictEqual([...cron.month], [1, 7]);
+        assert.deepStrictEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+        assert.deepStrictEqual([...parseCron('0 0 * * 7').dayOfWeek], [0]);
+        assert.deepStrictEqual([...parseCron('5/20 * * * *').minute], [5, 25, 45]);
+    });
+
+    it('should reject malformed expressions', () => {
+        assert.match(validateCron('* * * *'), /5 fields/);
+        assert.match(validateCron('60 * * * *'), /out of range/);
+        assert.match(validateCron('*/0 * * * *'), /Invalid step/);
+        assert.match(validateCron('0 5-2 * * *'), /Invalid range/);
+        assert.match(validateCron(''), /required/);
+        assert.strictEqual(validateCron('@daily'), null);
+    });
+
+    it('should find the next matching minute', () => {
+        assert.deepStrictEqual(nextCronRun('*/15 * * * *', at(2024, 3, 10, 8, 7)), at(2024, 3, 10, 8, 15));
+        // Strictly after the reference time
+        assert.deepStrictEqual(nextCronRun('30 2 * * *', at(2024, 3, 10, 2, 30)), at(2024, 3, 11, 2, 30));
+        assert.deepStrictEqual(nextCronRun('0 0 1 * *', at(2024, 12, 15, 12, 0)), at(2025, 1, 1, 0, 0));
+        assert.deepStrictEqual(nextCronRun('@weekly', at(2024, 3, 13, 12, 0)), at(2024, 3, 17, 0, 0));
+        assert.strictEqual(nextCronRun('0 0 31 2 *', at(2024, 1, 1)), null);
+    });
+
+    it('should match either day field when both are restricted', () => {
+        // 2024-03-13 is a Wednesday; the 15th comes before the next Monday
+        assert.deepStrictEqual(nextCronRun('0 6 15 * mon', at(2024, 3, 13, 12, 0)), at(2024, 3, 15, 6, 0));
+        assert.deepStrictEqual(nextCronRun('0 6 * * mon', at(2024, 3, 13, 12, 0)), at(2024, 3, 18, 6, 0));
+    });
+
+    it('should handle quiet hours that wrap past midnight', () => {
+        const window = parseQuietHours({ start: '23:00', end: '07:00' });
+        assert.strictEqual(isInQuietHours(at(2024, 3, 10, 23, 30), window), true);
+        assert.strictEqual(isInQuietHours(at(2024, 3, 10, 6, 59), window), true);
+        assert.strictEqual(isInQuietHours(at(2024, 3, 10, 7, 0), window), false);
+        assert.deepStrictEqual(quietHoursEnd(at(2024, 3, 10, 23, 30), window), at(2024, 3, 11, 7, 0));
+        assert.deepStrictEqual(quietHoursEnd(at(2024, 3, 10, 12, 0), window), at(2024, 3, 10, 12, 0));
+
+        assert.strictEqual(parseQuietHours(null), null);
+        assert.throws(() => parseQuietHours({ start: '25:00', end: '07:00' }), /HH:MM/);
+    });
+});
@@ -1,67 +1,33 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { logger } from './logger.js';
+import {
+    isSourceBlocked,
+    blockSourceId,
+    unblockSourceId,
+    getBlockedIds
+} from '../services/BlocklistService.js';
 
-const log = logger.scoped('CT-BLACKLIST');
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const CT_BLACKLIST_FILE = path.join(__dirname, '../../ct-blacklist.txt');
-
-const ctBlacklist = new Set();
-let loaded = false;
-
-function ensureLoaded() {
-    if (loaded) {
-        return;
-    }
-    try {
-        if (!fs.existsSync(CT_BLACKLIST_FILE)) {
-            fs.writeFileSync(CT_BLACKLIST_FILE, '');
-            loaded = true;
-            return;
-        }
-        const contents = fs.readFileSync(CT_BLACKLIST_FILE, 'utf8');
-        contents
-            .split('\n')
-            .map(line => line.trim())
-            .filter(Boolean)
-            .forEach(id => ctBlacklist.add(id));
-    } catch (error) {
-        log.warn('Failed to read ct-blacklist.txt', error);
-    } finally {
-        loaded = true;
-    }
-}
+// Character Tavern blacklist, stored in source_blocklist under source 'ct'
 
 export function isCtBlacklisted(sourceId) {
     if (!sourceId) {
         return false;
     }
-    ensureLoaded();
-    return ctBlacklist.has(String(sourceId));
+    return isSourceBlocked('ct', sourceId);
 }
 
-export function addCtBlacklistEntry(sourceId) {
+export function addCtBlacklistEntry(sourceId, { reason = null, addedBy = null } = {}) {
     if (!sourceId) {
         return;
     }
-    ensureLoaded();
-    const normalized = String(sourceId).trim();
-    if (!normalized || ctBlacklist.has(normalized)) {
+    blockSourceId('ct', sourceId, { reason, addedBy });
+}
+
+export function removeCtBlacklistEntry(sourceId) {
+    if (!sourceId) {
         return;
     }
-    ctBlacklist.add(normalized);
-    try {
-        fs.appendFileSync(CT_BLACKLIST_FILE, `${normalized}\n`);
-    } catch (error) {
-        log.error('Failed to append to ct-blacklist.txt', error);
-    }
+    unblockSourceId('ct', sourceId);
 }
 
 export function getCtBlacklistSnapshot() {
-    ensureLoaded();
-    return new Set(ctBlacklist);
+    return getBlockedIds('ct');
 }
@@ -0,0 +1,68 @@
+/**
+ * Helpers for the SQLite FTS5 card index (cards_fts), used for search when
+ * Meilisearch is disabled
+ */
+
+// Wrapped around matched terms by snippet(); control characters never occur in card text
+export const SNIPPET_OPEN = '\u0002';
+export const SNIPPET_CLOSE = '\u0003';
+
+const TOKEN_PATTERN = /"([^"]*)"?|([^\s"]+)/g;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+function words(text) {
+    return text.match(WORD_PATTERN) || [];
+}
+
+/**
+ * Turn a search box string into an FTS5 MATCH expression. Every word must
+ * match and is matched as a prefix ("drag" finds "dragon"); "quoted text"
+ * matches as an exact phrase. FTS5 operators in the input are treated as words.
+ * @returns {string|null} null when the input has nothing searchable
+ */
+export function buildFtsMatchQuery(text = '') {
+    const terms = [];
+    for (const [, phrase, bare] of String(text).matchAll(TOKEN_PATTERN)) {
+        if (phrase !== undefined) {
+            const phraseWords = words(phrase);
+            if (phraseWords.length > 0) {
+                terms.push(`"${phraseWords.join(' ')}"`);
+            }
+        } else {
+            terms.push(...words(bare).map(word => `"${word}"*`));
+        }
+    }
+    return terms.length > 0 ? terms.join(' ') : null;
+}
+
+/**
+ * MATCH expression for rows matching any of the texts, each read as by buildFtsMatchQuery()
+ * @returns {string|null}
+ */
+export function buildFtsAnyMatchQuery(texts = []) {
+    const alternatives = texts.map(buildFtsMatchQuery).filter(Boolean);
+    return alternatives.length > 0 ? alternatives.map(match => `(${match})`).join(' OR ') : null;
+}
+
+/**
+ * Split a snippet() result into plain text and the ranges of matched terms
+ * @returns {{text: string, highlights: number[][]}} highlights: [start, end) offsets into text
+ */
+export function parseSnippet(snippet) {
+    let text = '';
+    let start = null;
+    const highlights = [];
+    for (const char of String(snippet ?? '')) {
+        if (char === SNIPPET_OPEN) {
+            start = text.length;
+        } else if (char === SNIPPET_CLOSE) {
+            if (start !== null && text.length > start) {
+                highlights.push([start, text.length]);
+            }
+            start = null;
+        } else {
+            text += char;
+        }
+    }
+    return { text, highlights };
+}
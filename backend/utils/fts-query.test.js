@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { buildFtsMatchQuery, buildFtsAnyMatchQuery, parseSnippet, SNIPPET_OPEN, SNIPPET_CLOSE } from './fts-query.js';
+
+describe('fts-query', () => {
+    it('should match every word as a prefix and quoted text as a phrase', () => {
+        assert.strictEqual(buildFtsMatchQuery('drag queen'), '"drag"* "queen"*');
+        assert.strictEqual(buildFtsMatchQuery('"space pirate" capt'), '"space pirate" "capt"*');
+        assert.strictEqual(buildFtsMatchQuery('élven  ranger'), '"élven"* "ranger"*');
+        assert.strictEqual(buildFtsMatchQuery('"unterminated phrase'), '"unterminated phrase"');
+    });
+
+    it('should treat punctuation and FTS5 syntax as plain text', () => {
+        assert.strictEqual(buildFtsMatchQuery('name:mira OR NOT (x*)'), '"name"* "mira"* "OR"* "NOT"* "x"*');
+        assert.strictEqual(buildFtsMatchQuery("o'brien"), '"o"* "brien"*');
+        assert.strictEqual(buildFtsMatchQuery('  "" -- ** '), null);
+        assert.strictEqual(buildFtsMatchQuery(''), null);
+    });
+
+    it('should match any of several texts', () => {
+        assert.strictEqual(buildFtsAnyMatchQuery(['elf ranger', '"dark lord"', '--']), '("elf"* "ranger"*) OR ("dark lord")');
+        assert.strictEqual(buildFtsAnyMatchQuery([]), null);
+    });
+
+    it('should turn snippet markers into highlight ranges', () => {
+        const snippet = `…the ${SNIPPET_OPEN}dragon${SNIPPET_CLOSE} and her ${SNIPPET_OPEN}knight${SNIPPET_CLOSE}`;
+        assert.deepStrictEqual(parseSnippet(snippet), {
+            text: '…the dragon and her knight',
+            highlights: [[5, 11], [20, 26]]
+        });
+        assert.deepStrictEqual(parseSnippet('no match here'), { text: 'no match here', highlights: [] });
+        assert.deepStrictEqual(parseSnippet(null), { text: '', highlights: [] });
+    });
+});
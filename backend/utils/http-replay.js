@@ -0,0 +1,215 @@
+/**
+ * Record/replay for outgoing axios requests, so scrapers can be tested offline.
+ *
+ * enableHttpReplay() swaps axios' default adapter. That covers axios.get/post
+ * (rateLimitedRequest, the CT and Wyvern image fetches) and every instance made
+ * afterwards with axios.create() (createChubClient, createWyvernClient,
+ * WyvernScraper.createClient).
+ *
+ * - record: requests go out as usual and each response, errors included, is
+ *   saved to <fixturesDir>/<method>-<host-and-path>-<hash>.json
+ * - replay: responses come from those files; a request with no fixture fails
+ *   instead of touching the network
+ *
+ * Fixtures are keyed by method, full URL (query params sorted) and request body;
+ * headers are ignored and never written, so API keys and cookies stay out of them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios, { AxiosError } from 'axios';
+
+export const HTTP_REPLAY_MODES = ['off', 'record', 'replay'];
+
+// Response headers worth keeping; the rest is noise that changes on every request
+const KEPT_HEADERS = ['content-type', 'location'];
+
+let active = null;
+
+function canonicalUrl(config) {
+    const url = new URL(axios.getUri(config));
+    url.searchParams.sort();
+    return url.toString();
+}
+
+function serializeBody(data) {
+    if (data === undefined || data === null) return '';
+    if (typeof data === 'string') return data;
+    if (Buffer.isBuffer(data)) return data.toString('base64');
+    try {
+        return JSON.stringify(data);
+    } catch {
+        return String(data);
+    }
+}
+
+/**
+ * Fixture file name for a request
+ * @param {object} config - axios request config
+ */
+export function fixtureNameFor(config) {
+    const method = (config.method || 'get').toLowerCase();
+    const url = canonicalUrl(config);
+    const hash = crypto.createHash('sha1')
+        .update(`${method} ${url}\n${serializeBody(config.data)}`)
+        .digest('hex')
+        .slice(0, 10);
+    const { host, pathname } = new URL(url);
+    const slug = `${host}${pathname}`.replace(/[^a-zA-Z0-9.-]+/g, '_').replace(/_+$/, '').slice(0, 80);
+    return `${method}-${slug}-${hash}.json`;
+}
+
+function encodeBody(data, contentType = '') {
+    if (Buffer.isBuffer(data) || data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+        return { encoding: 'base64', body: Buffer.from(data).toString('base64') };
+    }
+    const text = typeof data === 'string' ? data : serializeBody(data);
+    if (contentType.includes('json')) {
+        try {
+            // Stored parsed so fixtures stay readable and easy to trim by hand
+            return { encoding: 'json', body: JSON.parse(text) };
+        } catch {
+            // Not valid JSON after all; keep the raw text
+        }
+    }
+    return { encoding: 'utf8', body: text };
+}
+
+function decodeBody(fixture, responseType) {
+    const { encoding, body } = fixture.response;
+    const buffer = encoding === 'base64'
+        ? Buffer.from(body, 'base64')
+        : Buffer.from(encoding === 'json' ? JSON.stringify(body) : body, 'utf8');
+    // Adapters hand back raw data; axios' transformResponse does the JSON parsing
+    return responseType === 'arraybuffer' ? buffer : buffer.toString('utf8');
+}
+
+function pickHeaders(headers = {}) {
+    const kept = {};
+    for (const name of KEPT_HEADERS) {
+        const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+        if (value) kept[name] = String(value);
+    }
+    return kept;
+}
+
+async function recordResponse(fixturesDir, config, response) {
+    const headers = pickHeaders(response.headers);
+    const fixture = {
+        request: {
+            method: (config.method || 'get').toUpperCase(),
+            url: canonicalUrl(config)
+        },
+        response: {
+            status: response.status,
+            statusText: response.statusText || '',
+            headers,
+            ...encodeBody(response.data, headers['content-type'] || '')
+        }
+    };
+    await fs.promises.mkdir(fixturesDir, { recursive: true });
+    await fs.promises.writeFile(path.join(fixturesDir, fixtureNameFor(config)), JSON.stringify(fixture, null, 2));
+}
+
+function recordingAdapter(fixturesDir, realAdapter) {
+    return async config => {
+        try {
+            const response = await realAdapter(config);
+            await recordResponse(fixturesDir, config, response);
+            return response;
+        } catch (error) {
+            if (error?.response) {
+                await recordResponse(fixturesDir, config, error.response);
+            }
+            throw error;
+        }
+    };
+}
+
+function replayingAdapter(fixturesDir) {
+    return async config => {
+        const file = path.join(fixturesDir, fixtureNameFor(config));
+        if (!fs.existsSync(file)) {
+            throw new AxiosError(
+                `No HTTP fixture for ${(config.method || 'get').toUpperCase()} ${canonicalUrl(config)} (expected ${path.basename(file)}; record it with HTTP_REPLAY=record)`,
+                'ERR_NO_FIXTURE',
+                config
+            );
+        }
+
+        const fixture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        const response = {
+            data: decodeBody(fixture, config.responseType),
+            status: fixture.response.status,
+            statusText: fixture.response.statusText || '',
+            headers: fixture.response.headers || {},
+            config,
+            request: { replayed: true, fixture: path.basename(file) }
+        };
+
+        const validateStatus = config.validateStatus;
+        if (!validateStatus || validateStatus(response.status)) {
+            return response;
+        }
+        throw new AxiosError(
+            `Request failed with status code ${response.status}`,
+            response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+            config,
+            response.request,
+            response
+        );
+    };
+}
+
+/**
+ * Route axios through fixtures until restore() is called
+ * @param {object} options
+ * @param {'record'|'replay'} [options.mode]
+ * @param {string} options.fixturesDir
+ * @returns {{mode: string, fixturesDir: string, restore: Function}}
+ */
+export function enableHttpReplay({ mode = 'replay', fixturesDir }) {
+    if (!['record', 'replay'].includes(mode)) {
+        throw new Error(`HTTP replay mode must be record or replay, got "${mode}"`);
+    }
+    if (!fixturesDir) {
+        throw new Error('fixturesDir is required');
+    }
+    if (active) {
+        active.restore();
+    }
+
+    const originalAdapter = axios.defaults.adapter;
+    axios.defaults.adapter = mode === 'record'
+        ? recordingAdapter(fixturesDir, axios.getAdapter(originalAdapter))
+        : replayingAdapter(fixturesDir);
+
+    const handle = {
+        mode,
+        fixturesDir,
+        restore() {
+            if (active === handle) {
+                axios.defaults.adapter = originalAdapter;
+                active = null;
+            }
+        }
+    };
+    active = handle;
+    return handle;
+}
+
+/**
+ * 'record' when HTTP_REPLAY=record is set, otherwise 'replay'; tests use this so
+ * re-recording is one env var away
+ */
+export function httpReplayModeFromEnv(env = process.env) {
+    return env.HTTP_REPLAY === 'record' ? 'record' : 'replay';
+}
+
+/**
+ * @returns {'off'|'record'|'replay'}
+ */
+export function getHttpReplayMode() {
+    return active ? active.mode : 'off';
+}
@@ -0,0 +1,84 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import axios from 'axios';
+import { enableHttpReplay, getHttpReplayMode, httpReplayModeFromEnv } from './http-replay.js';
+
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0xFF]);
+
+describe('http-replay', () => {
+    let server;
+    let baseUrl;
+    let fixturesDir;
+    let hits = 0;
+
+    before(async () => {
+        fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-replay-'));
+        server = http.createServer((req, res) => {
+            hits++;
+            if (req.url.startsWith('/cards')) {
+                res.writeHead(200, { 'content-type': 'application/json', 'set-cookie': 'session=secret' });
+                res.end(JSON.stringify({ hits: [{ id: 1 }], query: req.url }));
+            } else if (req.url === '/image.png') {
+                res.writeHead(200, { 'content-type': 'image/png' });
+                res.end(PNG_BYTES);
+            } else {
+                res.writeHead(404, { 'content-type': 'text/plain' });
+                res.end('nope');
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+        fs.rmSync(fixturesDir, { recursive: true, force: true });
+    });
+
+    it('should replay recorded responses without the network', async () => {
+        const recording = enableHttpReplay({ mode: 'record', fixturesDir });
+        assert.strictEqual(getHttpReplayMode(), 'record');
+        // Instances created after enabling pick up the adapter too
+        const client = axios.create({ headers: { Authorization: 'Bearer secret' } });
+        await client.get(`${baseUrl}/cards`, { params: { page: 2, limit: 10 } });
+        await axios.get(`${baseUrl}/image.png`, { responseType: 'arraybuffer' });
+        await assert.rejects(axios.get(`${baseUrl}/missing`), error => error.response?.status === 404);
+        recording.restore();
+        assert.strictEqual(getHttpReplayMode(), 'off');
+
+        const saved = fs.readdirSync(fixturesDir).map(file => fs.readFileSync(path.join(fixturesDir, file), 'utf8')).join('\n');
+        assert.strictEqual(saved.includes('secret'), false);
+
+        const recordedHits = hits;
+        const replay = enableHttpReplay({ mode: 'replay', fixturesDir });
+        try {
+            // Param order doesn't matter
+            const cards = await axios.get(`${baseUrl}/cards?limit=10&page=2`);
+            assert.deepStrictEqual(cards.data.hits, [{ id: 1 }]);
+            assert.strictEqual(cards.headers['content-type'], 'application/json');
+
+            const image = await axios.get(`${baseUrl}/image.png`, { responseType: 'arraybuffer' });
+            assert.ok(Buffer.from(image.data).equals(PNG_BYTES));
+
+            await assert.rejects(axios.get(`${baseUrl}/missing`), error => {
+                assert.strictEqual(error.response.status, 404);
+                assert.strictEqual(error.response.data, 'nope');
+                return true;
+            });
+            await assert.rejects(axios.get(`${baseUrl}/never-recorded`), /No HTTP fixture for GET/);
+        } finally {
+            replay.restore();
+        }
+        assert.strictEqual(hits, recordedHits);
+    });
+
+    it('should read the mode from HTTP_REPLAY', () => {
+        assert.strictEqual(httpReplayModeFromEnv({ HTTP_REPLAY: 'record' }), 'record');
+        assert.strictEqual(httpReplayModeFromEnv({}), 'replay');
+        assert.throws(() => enableHttpReplay({ mode: 'live', fixturesDir: os.tmpdir() }), /record or replay/);
+    });
+});
@@ -0,0 +1,281 @@
+/**
+ * Perceptual hashing for card avatars, without native image libraries.
+ *
+ * samplePngGrayscale() decodes a PNG with zlib and averages it down to a small
+ * grayscale grid while unfiltering, so the full bitmap is never held. dHash
+ * compares neighbouring cells of a 9x8 grid: re-encoded, resized or slightly
+ * recompressed copies of an image land within a few bits of each other.
+ * JPEG/WebP avatars are not decoded and hash to null.
+ */
+
+import zlib from 'zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+// Larger images are skipped rather than inflated into memory
+const MAX_PIXELS = 40 * 1000 * 1000;
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function readChunks(buffer) {
+    const header = { width: 0, height: 0, bitDepth: 0, colorType: -1, interlace: 0 };
+    const idat = [];
+    let palette = null;
+    let transparency = null;
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            header.width = data.readUInt32BE(0);
+            header.height = data.readUInt32BE(4);
+            header.bitDepth = data[8];
+            header.colorType = data[9];
+            header.interlace = data[12];
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    return { header, idat, palette, transparency };
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+function unfilterRow(filter, row, previous, bpp) {
+    const length = row.length;
+    switch (filter) {
+        case 1:
+            for (let i = bpp; i < length; i++) row[i] = (row[i] + row[i - bpp]) & 0xff;
+            break;
+        case 2:
+            if (!previous) break;
+            for (let i = 0; i < length; i++) row[i] = (row[i] + previous[i]) & 0xff;
+            break;
+        case 3:
+            for (let i = 0; i < length; i++) {
+                const left = i >= bpp ? row[i - bpp] : 0;
+                const up = previous ? previous[i] : 0;
+                row[i] = (row[i] + ((left + up) >> 1)) & 0xff;
+            }
+            break;
+        case 4:
+            for (let i = 0; i < length; i++) {
+                const left = i >= bpp ? row[i - bpp] : 0;
+                const up = previous ? previous[i] : 0;
+                const upLeft = previous && i >= bpp ? previous[i - bpp] : 0;
+                row[i] = (row[i] + paeth(left, up, upLeft)) & 0xff;
+            }
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * Grid cells each source column (or row) contributes to; cells are at least
+ * one pixel wide, so images smaller than the grid still fill every cell
+ */
+function cellMap(size, cells) {
+    const map = Array.from({ length: size }, () => []);
+    for (let cell = 0; cell < cells; cell++) {
+        const start = Math.min(size - 1, Math.floor((cell * size) / cells));
+        const end = Math.max(start + 1, Math.floor(((cell + 1) * size) / cells));
+        for (let i = start; i < end && i < size; i++) {
+            map[i].push(cell);
+        }
+    }
+    return map;
+}
+
+/**
+ * Width and height from the IHDR chunk, without decoding
+ * @returns {{width: number, height: number}|null}
+ */
+export function readPngSize(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 24 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        return null;
+    }
+    if (buffer.toString('latin1', 12, 16) !== 'IHDR') {
+        return null;
+    }
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+/**
+ * Decode a PNG into a cols x rows grid of average luminance (0-255).
+ * Transparent pixels are composited over white.
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number, grid: Float64Array}|null} null for
+ *          non-PNG, interlaced, oversized or corrupt input
+ */
+export function samplePngGrayscale(buffer, cols, rows) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 33 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        return null;
+    }
+
+    try {
+        const { header, idat, palette, transparency } = readChunks(buffer);
+        const { width, height, bitDepth, colorType, interlace } = header;
+        const channels = CHANNELS[colorType];
+        if (!channels || !width || !height || interlace !== 0 || width * height > MAX_PIXELS) {
+            return null;
+        }
+        if (colorType === 3 && !palette) {
+            return null;
+        }
+
+        const bitsPerPixel = channels * bitDepth;
+        const stride = Math.ceil((width * bitsPerPixel) / 8);
+        const bpp = Math.max(1, bitsPerPixel >> 3);
+        const raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: (stride + 1) * height });
+        if (raw.length < (stride + 1) * height) {
+            return null;
+        }
+
+        const maxSample = (1 << bitDepth) - 1;
+        const sample = (row, index) => {
+            if (bitDepth === 8) return row[index];
+            if (bitDepth === 16) return row[index * 2];
+            const bitOffset = index * bitDepth;
+            const value = (row[bitOffset >> 3] >> (8 - bitDepth - (bitOffset & 7))) & maxSample;
+            return colorType === 3 ? value : Math.round((value * 255) / maxSample);
+        };
+        const luma = (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b;
+        const overWhite = (gray, alpha) => (gray * alpha + 255 * (255 - alpha)) / 255;
+
+        const pixelGray = (row, x) => {
+            const base = x * channels;
+            switch (colorType) {
+                case 0:
+                    return sample(row, base);
+                case 2:
+                    return luma(sample(row, base), sample(row, base + 1), sample(row, base + 2));
+                case 3: {
+                    const index = sample(row, base);
+                    const gray = luma(palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2]);
+                    const alpha = transparency && index < transparency.length ? transparency[index] : 255;
+                    return overWhite(gray, alpha);
+                }
+                case 4:
+                    return overWhite(sample(row, base), sample(row, base + 1));
+                default:
+                    return overWhite(
+                        luma(sample(row, base), sample(row, base + 1), sample(row, base + 2)),
+                        sample(row, base + 3)
+                    );
+            }
+        };
+
+        const colCells = cellMap(width, cols);
+        const rowCells = cellMap(height, rows);
+        const sums = new Float64Array(cols * rows);
+        const counts = new Float64Array(cols * rows);
+
+        // Images at least as large as the grid put each pixel in exactly one cell
+        const singleCell = width >= cols && height >= rows;
+        const colCell = Int32Array.from(colCells, cells => cells[0]);
+
+        let previous = null;
+        for (let y = 0; y < height; y++) {
+            const start = y * (stride + 1);
+            const row = raw.subarray(start + 1, start + 1 + stride);
+            unfilterRow(raw[start], row, previous, bpp);
+            previous = row;
+
+            if (singleCell) {
+                const offset = rowCells[y][0] * cols;
+                if (bitDepth === 8 && (colorType === 2 || colorType === 6)) {
+                    // Common case (8-bit RGB/RGBA) without the per-sample helpers
+                    for (let x = 0, i = 0; x < width; x++, i += channels) {
+                        const gray = 0.299 * row[i] + 0.587 * row[i + 1] + 0.114 * row[i + 2];
+                        sums[offset + colCell[x]] += channels === 4 ? overWhite(gray, row[i + 3]) : gray;
+                    }
+                } else {
+                    for (let x = 0; x < width; x++) {
+                        sums[offset + colCell[x]] += pixelGray(row, x);
+                    }
+                }
+                for (let x = 0; x < width; x++) {
+                    counts[offset + colCell[x]] += 1;
+                }
+                continue;
+            }
+            for (let x = 0; x < width; x++) {
+                const gray = pixelGray(row, x);
+                for (const cy of rowCells[y]) {
+                    for (const cx of colCells[x]) {
+                        sums[cy * cols + cx] += gray;
+                        counts[cy * cols + cx] += 1;
+                    }
+                }
+            }
+        }
+
+        const grid = new Float64Array(cols * rows);
+        for (let i = 0; i < grid.length; i++) {
+            grid[i] = counts[i] ? sums[i] / counts[i] : 0;
+        }
+        return { width, height, grid };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 64-bit difference hash of a PNG
+ * @param {Buffer} buffer
+ * @returns {string|null} 16 hex characters, or null when the image can't be decoded
+ */
+export function computeDHash(buffer) {
+    const sampled = samplePngGrayscale(buffer, 9, 8);
+    if (!sampled) {
+        return null;
+    }
+
+    let hex = '';
+    let nibble = 0;
+    let bit = 0;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            nibble = (nibble << 1) | (sampled.grid[y * 9 + x] < sampled.grid[y * 9 + x + 1] ? 1 : 0);
+            if (++bit % 4 === 0) {
+                hex += nibble.toString(16);
+                nibble = 0;
+            }
+        }
+    }
+    return hex;
+}
+
+const POPCOUNT = Array.from({ length: 16 }, (_, n) => (n & 1) + ((n >> 1) & 1) + ((n >> 2) & 1) + ((n >> 3) & 1));
+
+/**
+ * Number of differing bits between two hex hashes of equal length
+ * @returns {number} Infinity when either hash is missing or the lengths differ
+ */
+export function hammingDistance(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length || !a.length) {
+        return Infinity;
+    }
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        distance += POPCOUNT[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+    }
+    return distance;
+}
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import zlib from 'zlib';
+import { samplePngGrayscale, computeDHash, hammingDistance, readPngSize } from './image-hash.js';
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    // The decoder doesn't verify CRCs
+    return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+}
+
+/**
+ * Minimal PNG writer: 8-bit RGBA (or palette when `palette` is given), one
+ * filter type for every row
+ */
+function encodePng(width, height, pixel, { filter = 0, palette = null } = {}) {
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8;
+    ihdr[9] = palette ? 3 : 6;
+
+    const channels = palette ? 1 : 4;
+    const stride = width * channels;
+    const raw = Buffer.alloc((stride + 1) * height);
+    let previous = Buffer.alloc(stride);
+    for (let y = 0; y < height; y++) {
+        const row = Buffer.alloc(stride);
+        for (let x = 0; x < width; x++) {
+            const value = pixel(x, y);
+            if (palette) {
+                row[x] = value;
+            } else {
+                row.set(value, x * 4);
+            }
+        }
+        raw[y * (stride + 1)] = filter;
+        for (let i = 0; i < stride; i++) {
+            // filter 2 (Up) stores the difference to the row above
+            raw[y * (stride + 1) + 1 + i] = filter === 2 ? (row[i] - previous[i]) & 0xff : row[i];
+        }
+        previous = row;
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', ihdr),
+        ...(palette ? [chunk('PLTE', Buffer.from(palette))] : []),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// Diagonal light-to-dark blob, roughly what an avatar with a bright corner looks like
+const portrait = (width, height) => (x, y) => {
+    const value = Math.round(255 * (1 - (x / width + y / height) / 2) * (0.6 + 0.4 * Math.sin((x / width) * 6)));
+    return [value, value, Math.min(255, value + 20), 255];
+};
+
+describe('image-hash', () => {
+    it('should average a PNG down to a grayscale grid', () => {
+        const png = encodePng(4, 2, (x) => (x < 2 ? [0, 0, 0, 255] : [255, 255, 255, 255]));
+        const { width, height, grid } = samplePngGrayscale(png, 2, 1);
+        assert.strictEqual(width, 4);
+        assert.strictEqual(height, 2);
+        assert.strictEqual(Math.round(grid[0]), 0);
+        assert.strictEqual(Math.round(grid[1]), 255);
+
+        // Fully transparent pixels count as white
+        const clear = encodePng(2, 2, () => [0, 0, 0, 0]);
+        assert.strictEqual(Math.round(samplePngGrayscale(clear, 1, 1).grid[0]), 255);
+
+        const paletted = encodePng(2, 1, (x) => x, { palette: [0, 0, 0, 255, 255, 255] });
+        assert.deepStrictEqual(Array.from(samplePngGrayscale(paletted, 2, 1).grid).map(Math.round), [0, 255]);
+    });
+
+    it('should give resized and re-filtered copies the same hash', () => {
+        const large = encodePng(180, 160, portrait(180, 160));
+        const small = encodePng(45, 40, portrait(45, 40), { filter: 2 });
+        const hash = computeDHash(large);
+
+        assert.match(hash, /^[0-9a-f]{16}$/);
+        assert.ok(hammingDistance(hash, computeDHash(small)) <= 4);
+
+        const flipped = encodePng(180, 160, (x, y) => portrait(180, 160)(179 - x, y));
+        assert.ok(hammingDistance(hash, computeDHash(flipped)) > 20);
+    });
+
+    it('should hash tiny canvases and reject what it cannot decode', () => {
+        assert.match(computeDHash(encodePng(1, 1, () => [10, 20, 30, 255])), /^0{16}$/);
+        assert.strictEqual(computeDHash(Buffer.from('\xff\xd8\xff\xe0 not a png', 'latin1')), null);
+        assert.strictEqual(computeDHash(null), null);
+        const truncated = encodePng(8, 8, portrait(8, 8)).subarray(0, 60);
+        assert.strictEqual(computeDHash(truncated), null);
+
+        assert.deepStrictEqual(readPngSize(truncated), { width: 8, height: 8 });
+        assert.strictEqual(readPngSize(Buffer.from('GIF89a')), null);
+    });
+
+    it('should count differing bits', () => {
+        assert.strictEqual(hammingDistance('0f', '0f'), 0);
+        assert.strictEqual(hammingDistance('0f', 'f0'), 8);
+        assert.strictEqual(hammingDistance('0000000000000001', '0000000000000003'), 1);
+        assert.strictEqual(hammingDistance('0f', null), Infinity);
+        assert.strictEqual(hammingDistance('0f', '0f0'), Infinity);
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * MinHash signatures for near-duplicate text.
+ *
+ * Text is normalised (lowercase, macros like {{char}} kept as plain words,
+ * punctuation dropped), split into overlapping word shingles and reduced to a
+ * fixed-size signature. The share of equal signature slots estimates the
+ * Jaccard similarity of the two shingle sets. lshBuckets() cuts a signature
+ * into bands so likely matches can be found with an equality lookup instead of
+ * comparing every pair.
+ */
+
+export const MINHASH_SIZE = 64;
+export const LSH_BANDS = 16;
+const SHINGLE_WORDS = 3;
+
+// murmur3 finaliser: spreads every input bit over the whole 32-bit output
+function fmix32(value) {
+    let h = value;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+function fnv1a32(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// One seed per slot; hashing (shingle hash ^ seed) stands in for a random permutation
+const SEEDS = Array.from({ length: MINHASH_SIZE }, (_, i) => fmix32(Math.imul(i + 1, 0x9e3779b9)));
+
+export function normalizeText(text) {
+    if (typeof text !== 'string') {
+        return '';
+    }
+    return text
+        .toLowerCase()
+        .replace(/\{\{\s*(char|user)\s*\}\}/g, ' $1 ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * @param {string} text
+ * @returns {Set<string>} Word shingles; texts shorter than a shingle become one shingle
+ */
+export function shingle(text, size = SHINGLE_WORDS) {
+    const words = normalizeText(text).split(' ').filter(Boolean);
+    const shingles = new Set();
+    if (words.length === 0) {
+        return shingles;
+    }
+    if (words.length <= size) {
+        shingles.add(words.join(' '));
+        return shingles;
+    }
+    for (let i = 0; i + size <= words.length; i++) {
+        shingles.add(words.slice(i, i + size).join(' '));
+    }
+    return shingles;
+}
+
+/**
+ * @param {Iterable<string>} shingles
+ * @returns {Uint32Array|null} null when there is nothing to hash
+ */
+export function computeMinHash(shingles) {
+    const signature = new Uint32Array(MINHASH_SIZE).fill(0xffffffff);
+    let empty = true;
+    for (const item of shingles) {
+        empty = false;
+        const base = fnv1a32(item);
+        for (let i = 0; i < MINHASH_SIZE; i++) {
+            const value = fmix32(base ^ SEEDS[i]);
+            if (value < signature[i]) {
+                signature[i] = value;
+            }
+        }
+    }
+    return empty ? null : signature;
+}
+
+export function signatureToHex(signature) {
+    return Array.from(signature, value => value.toString(16).padStart(8, '0')).join('');
+}
+
+export function signatureFromHex(hex) {
+    if (typeof hex !== 'string' || hex.length !== MINHASH_SIZE * 8) {
+        return null;
+    }
+    const signature = new Uint32Array(MINHASH_SIZE);
+    for (let i = 0; i < MINHASH_SIZE; i++) {
+        signature[i] = parseInt(hex.slice(i * 8, i * 8 + 8), 16);
+    }
+    return signature;
+}
+
+/**
+ * Estimated Jaccard similarity (0-1) of two signatures
+ */
+export function estimateSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) {
+        return 0;
+    }
+    let equal = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) equal++;
+    }
+    return equal / a.length;
+}
+
+/**
+ * Band keys for locality-sensitive hashing; two signatures sharing any key are
+ * worth comparing. With 16 bands of 4 slots, pairs at 0.6 similarity share a
+ * band about 90% of the time, pairs at 0.3 about one time in eight.
+ * @returns {string[]} One key per band, index = band number
+ */
+export function lshBuckets(signature, bands = LSH_BANDS) {
+    const rows = Math.floor(signature.length / bands);
+    const keys = [];
+    for (let band = 0; band < bands; band++) {
+        keys.push(signatureToHex(signature.subarray(band * rows, band * rows + rows)));
+    }
+    return keys;
+}
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    MINHASH_SIZE,
+    normalizeText,
+    shingle,
+    computeMinHash,
+    signatureToHex,
+    signatureFromHex,
+    estimateSimilarity,
+    lshBuckets
+} from './minhash.js';
+
+const ORLA = `Orla keeps the Saltwind lighthouse alone since the storm took her brother.
+She talks to the gulls, trades stories with passing fishermen and never lets the lamp go dark.
+{{user}} washes ashore one night, half drowned, and Orla has to decide whether to trust a stranger.`;
+
+const signatureOf = text => computeMinHash(shingle(text));
+
+describe('minhash', () => {
+    it('should normalise macros, case and punctuation', () => {
+        assert.strictEqual(normalizeText('Hi, {{ User }}!  I am {{char}}.'), 'hi user i am char');
+        assert.strictEqual(normalizeText(null), '');
+        assert.deepStrictEqual([...shingle('one two')], ['one two']);
+        assert.deepStrictEqual([...shingle('a b c d')], ['a b c', 'b c d']);
+        assert.strictEqual(shingle('  ...  ').size, 0);
+    });
+
+    it('should score mirrored copies close and unrelated text far apart', () => {
+        const original = signatureOf(ORLA);
+        const mirrored = signatureOf(ORLA.replace('{{user}}', '{{User}}').replace('go dark', 'go out') + ' Slow burn.');
+        const unrelated = signatureOf('A cyberpunk courier named Vex runs illegal data chips across Neo Kowloon while dodging corporate hit squads.');
+
+        assert.strictEqual(original.length, MINHASH_SIZE);
+        assert.strictEqual(estimateSimilarity(original, signatureOf(ORLA)), 1);
+        assert.ok(estimateSimilarity(original, mirrored) > 0.6);
+        assert.ok(estimateSimilarity(original, unrelated) < 0.2);
+        assert.strictEqual(computeMinHash(shingle('')), null);
+    });
+
+    it('should round-trip signatures and share LSH buckets between near copies', () => {
+        const original = signatureOf(ORLA);
+        const hex = signatureToHex(original);
+        assert.strictEqual(hex.length, MINHASH_SIZE * 8);
+        assert.deepStrictEqual(signatureFromHex(hex), original);
+        assert.strictEqual(signatureFromHex('abc'), null);
+
+        const buckets = lshBuckets(original);
+        assert.strictEqual(buckets.length, 16);
+        assert.deepStrictEqual(lshBuckets(signatureOf(ORLA)), buckets);
+        const mirrored = lshBuckets(signatureOf(`${ORLA} Slow burn.`));
+        assert.ok(mirrored.some((key, band) => key === buckets[band]));
+    });
+});
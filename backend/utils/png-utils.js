@@ -1,6 +1,8 @@
 import fs from 'fs';
 import extractChunks from 'png-chunks-extract';
 import { logger } from './logger.js';
+import { computeDHash } from './image-hash.js';
+import { hasPlaceholderHashes, matchPlaceholderHash } from '../services/ImageHashService.js';
 
 const log = logger.scoped('PNG-UTIL');
 
@@ -52,7 +54,9 @@ export async function analyzePng(buffer) {
         sizeKB,
         // We don't have brightness info without pixel analysis, but we don't need it
         // Fuzz detection uses dimensions + size, not brightness
-        avgBrightness: 128  // Neutral default
+        avgBrightness: 128,  // Neutral default
+        // Decoding costs ~50ms for a large card, so only hash when there is something to compare against
+        dhash: hasPlaceholderHashes() ? computeDHash(buffer) : null
     };
 }
 
@@ -77,6 +81,12 @@ export function detectFuzzPattern(info) {
         return { isFuzz: false, reason: 'invalid_png' };
     }
 
+    // Placeholders the user marked from a card, recognised at any size
+    const placeholder = matchPlaceholderHash(info.dhash);
+    if (placeholder) {
+        return { isFuzz: true, reason: `known_placeholder${placeholder.label ? `:${placeholder.label}` : ''}` };
+    }
+
     // Known "fuzz" signatures from Chub
     // 240x240 is the standard Chub fuzz placeholder
     if (info.width === 240 && info.height === 240 && info.sizeKB < 150) {
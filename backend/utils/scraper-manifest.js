@@ -0,0 +1,132 @@
+/**
+ * Scraper plugin manifests.
+ *
+ * Every folder under plugins/scrapers/ carries a manifest.json describing the
+ * source it adds: its id (used in /api/sync/:source, job types and the cards
+ * table), display name, entry module, capabilities and a config schema whose
+ * defaults fill in `config[configKey]`.
+ */
+
+// Path segments already taken under /api/sync, plus the built-in sources
+export const RESERVED_SOURCE_IDS = [
+    'chub', 'ct', 'risuai', 'wyvern', 'all',
+    'cards', 'favorites', 'checkpoints', 'schedules', 'history', 'status', 'cancel', 'sources'
+];
+
+const SOURCE_ID_PATTERN = /^[a-z][a-z0-9-]{1,31}$/;
+const CONFIG_TYPES = ['string', 'number', 'boolean', 'string[]'];
+
+const DEFAULT_CAPABILITIES = {
+    // Listed pages can be walked by /api/sync/:source and the scheduler
+    sync: true,
+    // Single cards can be re-downloaded from the card view
+    refresh: false,
+    // BaseScraper.sync() checkpoints pages, so resume and backfill work out of the box
+    resume: true
+};
+
+const TYPE_DEFAULTS = {
+    string: '',
+    number: 0,
+    boolean: false,
+    'string[]': []
+};
+
+function camelCase(value) {
+    return value.replace(/-([a-z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+function matchesType(value, type) {
+    if (type === 'string[]') {
+        return Array.isArray(value) && value.every(item => typeof item === 'string');
+    }
+    return typeof value === type;
+}
+
+function normalizeConfigSchema(schema = {}, source) {
+    if (typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new Error(`${source}: configSchema must be an object of field definitions`);
+    }
+
+    const fields = {
+        enabled: { type: 'boolean', default: false, label: 'Enabled' }
+    };
+    for (const [key, field] of Object.entries(schema)) {
+        const definition = typeof field === 'string' ? { type: field } : { ...field };
+        if (!CONFIG_TYPES.includes(definition.type)) {
+            throw new Error(`${source}: config field "${key}" needs a type (${CONFIG_TYPES.join(', ')})`);
+        }
+        if (definition.default !== undefined && !matchesType(definition.default, definition.type)) {
+            throw new Error(`${source}: default for config field "${key}" is not a ${definition.type}`);
+        }
+        fields[key] = {
+            ...definition,
+            label: definition.label || key,
+            default: definition.default ?? TYPE_DEFAULTS[definition.type]
+        };
+    }
+    return fields;
+}
+
+/**
+ * Validate a manifest and fill in defaults
+ * @param {object} raw - Parsed manifest.json
+ * @returns {object} Normalized manifest
+ * @throws {Error} If a required field is missing or invalid
+ */
+export function normalizeScraperManifest(raw) {
+    if (!raw || typeof raw !== 'object') {
+        throw new Error('Manifest must be a JSON object');
+    }
+
+    const source = typeof raw.source === 'string' ? raw.source.trim() : '';
+    if (!SOURCE_ID_PATTERN.test(source)) {
+        throw new Error(`Invalid source "${raw.source}": use 2-32 lowercase letters, digits or dashes, starting with a letter`);
+    }
+    if (RESERVED_SOURCE_IDS.includes(source)) {
+        throw new Error(`Source "${source}" is reserved`);
+    }
+
+    const displayName = typeof raw.displayName === 'string' ? raw.displayName.trim() : '';
+    if (!displayName) {
+        throw new Error(`${source}: displayName is required`);
+    }
+
+    const capabilities = { ...DEFAULT_CAPABILITIES };
+    for (const [key, value] of Object.entries(raw.capabilities || {})) {
+        if (!(key in DEFAULT_CAPABILITIES)) {
+            throw new Error(`${source}: unknown capability "${key}"`);
+        }
+        capabilities[key] = value === true;
+    }
+
+    return {
+        source,
+        displayName,
+        description: typeof raw.description === 'string' ? raw.description : '',
+        version: typeof raw.version === 'string' ? raw.version : null,
+        entry: typeof raw.entry === 'string' && raw.entry.trim() ? raw.entry.trim() : 'index.js',
+        configKey: typeof raw.configKey === 'string' && raw.configKey.trim()
+            ? raw.configKey.trim()
+            : `${camelCase(source)}Sync`,
+        configSchema: normalizeConfigSchema(raw.configSchema, source),
+        capabilities
+    };
+}
+
+/**
+ * Plugin settings from config.json with schema defaults for anything unset
+ * @param {object} manifest - normalizeScraperManifest() result
+ * @param {object} [values] - config[manifest.configKey]
+ */
+export function applyConfigDefaults(manifest, values = {}) {
+    const config = {};
+    for (const [key, field] of Object.entries(manifest.configSchema)) {
+        const value = values?.[key];
+        config[key] = value !== undefined && matchesType(value, field.type)
+            ? value
+            : structuredClone(field.default);
+    }
+    // Keys outside the schema are passed through untouched
+    return { ...values, ...config };
+}
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { normalizeScraperManifest, applyConfigDefaults } from './scraper-manifest.js';
+
+const MANIFEST = {
+    source: 'example-site',
+    displayName: 'Example Site',
+    configSchema: {
+        pageLimit: { type: 'number', default: 5, label: 'Pages per sync' },
+        apiKey: 'string',
+        tags: { type: 'string[]', default: ['sfw'] }
+    },
+    capabilities: { refresh: true }
+};
+
+describe('scraper-manifest', () => {
+    it('should fill in defaults', () => {
+        const manifest = normalizeScraperManifest(MANIFEST);
+        assert.strictEqual(manifest.entry, 'index.js');
+        assert.strictEqual(manifest.configKey, 'exampleSiteSync');
+        assert.deepStrictEqual(manifest.capabilities, { sync: true, refresh: true, resume: true });
+        assert.deepStrictEqual(Object.keys(manifest.configSchema), ['enabled', 'pageLimit', 'apiKey', 'tags']);
+        assert.strictEqual(manifest.configSchema.apiKey.default, '');
+    });
+
+    it('should reject invalid manifests', () => {
+        assert.throws(() => normalizeScraperManifest({ ...MANIFEST, source: 'Bad Name' }), /Invalid source/);
+        assert.throws(() => normalizeScraperManifest({ ...MANIFEST, source: 'history' }), /reserved/);
+        assert.throws(() => normalizeScraperManifest({ ...MANIFEST, displayName: '' }), /displayName/);
+        assert.throws(() => normalizeScraperManifest({ ...MANIFEST, capabilities: { teleport: true } }), /unknown capability/);
+        assert.throws(
+            () => normalizeScraperManifest({ ...MANIFEST, configSchema: { pageLimit: { type: 'number', default: 'five' } } }),
+            /not a number/
+        );
+    });
+
+    it('should merge config values over schema defaults', () => {
+        const manifest = normalizeScraperManifest(MANIFEST);
+        const config = applyConfigDefaults(manifest, { enabled: true, pageLimit: 'lots', extra: 1 });
+        assert.deepStrictEqual(config, { enabled: true, pageLimit: 5, apiKey: '', tags: ['sfw'], extra: 1 });
+    });
+});
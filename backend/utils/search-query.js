@@ -0,0 +1,268 @@
+/**
+ * Field-qualified syntax for the main search box
+ *
+ *   author:foo tag:fantasy -tag:nsfw tokens:>2000 source:risuai has:lorebook lang:ja "exact phrase"
+ *
+ * parseSearchQuery() takes the qualifiers out of the text and returns them as
+ * list filters named like the parseListParams() fields, the remaining text for
+ * full-text search, and the position of every qualifier and error so the search
+ * box can highlight them. Words with an unknown prefix ("re:zero") stay text.
+ */
+
+const QUALIFIER_KEYS = {
+    author: 'author',
+    tag: 'tag',
+    tags: 'tag',
+    tokens: 'tokens',
+    source: 'source',
+    has: 'has',
+    lang: 'lang',
+    language: 'lang'
+};
+
+// Keys that take one value per search
+const SINGLE_KEYS = new Set(['author', 'source', 'lang']);
+
+const HAS_FLAGS = {
+    lorebook: 'hasLorebook',
+    'embedded-lorebook': 'hasEmbeddedLorebook',
+    'linked-lorebook': 'hasLinkedLorebook',
+    greetings: 'hasAlternateGreetings',
+    'alternate-greetings': 'hasAlternateGreetings',
+    examples: 'hasExampleDialogues',
+    'example-dialogues': 'hasExampleDialogues',
+    'system-prompt': 'hasSystemPrompt',
+    gallery: 'hasGallery',
+    images: 'hasEmbeddedImages',
+    'embedded-images': 'hasEmbeddedImages',
+    expressions: 'hasExpressions'
+};
+
+// Two-letter codes for the ISO 639-3 codes language detection stores
+const LANGUAGE_ALIASES = {
+    en: 'eng', ca: 'cat', nl: 'nld', es: 'spa', fr: 'fra', de: 'deu', it: 'ita', pt: 'por',
+    zh: 'cmn', ja: 'jpn', ko: 'kor', ru: 'rus', ar: 'arb', hi: 'hin', tl: 'tgl', id: 'ind',
+    no: 'nor', hr: 'hrv', so: 'som', sq: 'sqi', pl: 'pol', et: 'est', cy: 'cym', af: 'afr',
+    sw: 'swa', sl: 'slv', sv: 'swe', ro: 'ron', tr: 'tur', da: 'dan', lt: 'lit', fi: 'fin',
+    vi: 'vie', hu: 'hun', sk: 'slk', cs: 'ces', bn: 'ben', kn: 'kan', lv: 'lav', ta: 'tam',
+    el: 'ell', uk: 'ukr', bg: 'bul', fa: 'fas', mk: 'mkd', he: 'heb', gu: 'guj', ml: 'mal',
+    th: 'tha'
+};
+
+const QUALIFIER_PATTERN = /^(-?)([A-Za-z]+):([\s\S]*)$/;
+const TOKENS_PATTERN = /^(>=|<=|>|<)?(\d+)$/;
+const TOKENS_RANGE_PATTERN = /^(\d+)\.\.(\d+)$/;
+
+/**
+ * Split the input into words and parentheses; quoted text stays inside its word.
+ * A word whose quote is never closed runs to the end and records where it opened.
+ */
+function scanTokens(input) {
+    const tokens = [];
+    let index = 0;
+    while (index < input.length) {
+        const char = input[index];
+        if (/\s/.test(char)) {
+            index++;
+            continue;
+        }
+        if (char === '(' || char === ')') {
+            tokens.push({ type: 'paren', text: char, start: index, end: index + 1 });
+            index++;
+            continue;
+        }
+
+        const start = index;
+        let openQuote = null;
+        while (index < input.length && !/[\s()]/.test(input[index])) {
+            if (input[index] === '"') {
+                const close = input.indexOf('"', index + 1);
+                if (close === -1) {
+                    openQuote = index;
+                    index = input.length;
+                    break;
+                }
+                index = close + 1;
+            } else {
+                index++;
+            }
+        }
+        tokens.push({ type: 'word', text: input.slice(start, index), start, end: index, openQuote });
+    }
+    return tokens;
+}
+
+function unquote(value) {
+    return value.length >= 2 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1).trim() : value;
+}
+
+function parseTokenRange(value) {
+    const range = value.match(TOKENS_RANGE_PATTERN);
+    if (range) {
+        const [min, max] = [Number(range[1]), Number(range[2])];
+        return min <= max ? { minTokens: min, maxTokens: max } : null;
+    }
+    const bound = value.match(TOKENS_PATTERN);
+    if (!bound) {
+        return null;
+    }
+    const count = Number(bound[2]);
+    switch (bound[1]) {
+        case '>': return { minTokens: count + 1 };
+        case '<': return count > 0 ? { maxTokens: count - 1 } : null;
+        case '<=': return { maxTokens: count };
+        default: return { minTokens: count };
+    }
+}
+
+function resolveLanguage(value, languages) {
+    const code = value.toLowerCase();
+    const candidate = LANGUAGE_ALIASES[code] || code;
+    if (!languages) {
+        return candidate;
+    }
+    if (Array.isArray(languages)) {
+        return languages.includes(candidate) ? candidate : null;
+    }
+    if (languages[candidate]) {
+        return candidate;
+    }
+    // Full names, as listed in the language filter
+    return Object.keys(languages).find(key => languages[key].toLowerCase() === code) || null;
+}
+
+function isOperator(token, operator) {
+    return token?.type === 'word' && token.text === operator;
+}
+
+/**
+ * Check one qualifier and turn it into filter fields
+ * @returns {{fields: object}|{error: string}}
+ */
+function readQualifier(key, value, negated, { sources, languages }) {
+    if (!value) {
+        return { error: `${key}: needs a value` };
+    }
+    if (negated && key !== 'tag') {
+        return { error: `-${key}: isn't supported; only tags can be excluded` };
+    }
+
+    switch (key) {
+        case 'author':
+            return { fields: { author: value } };
+        case 'tag':
+            return { fields: negated ? { exclude: [value] } : { include: [value] } };
+        case 'tokens': {
+            const range = parseTokenRange(value);
+            return range
+                ? { fields: range }
+                : { error: 'tokens: takes a count such as >2000, <=8000 or 1000..4000' };
+        }
+        case 'source': {
+            const source = value.toLowerCase();
+            if (Array.isArray(sources) && !sources.includes(source)) {
+                return { error: `Unknown source "${value}" (${sources.join(', ')})` };
+            }
+            return { fields: { source } };
+        }
+        case 'has': {
+            const flag = HAS_FLAGS[value.toLowerCase().replace(/_/g, '-')];
+            return flag
+                ? { fields: { [flag]: true } }
+                : { error: `Unknown feature "${value}" (${Object.keys(HAS_FLAGS).join(', ')})` };
+        }
+        case 'lang': {
+            const language = resolveLanguage(value, languages);
+            return language ? { fields: { language } } : { error: `Unknown language "${value}"` };
+        }
+        default:
+            return { error: `Unknown qualifier ${key}:` };
+    }
+}
+
+/**
+ * Parse search box input into text and filters
+ * @param {string} input - Raw search box text
+ * @param {object} [options]
+ * @param {string[]} [options.sources] - Valid source: values; anything goes when omitted
+ * @param {object|string[]} [options.languages] - Language codes, or a code => name map
+ * @returns {{
+ *   text: string,
+ *   filters: object,
+ *   qualifiers: {key: string, value: string, negated: boolean, start: number, end: number}[],
+ *   errors: {message: string, start: number, end: number}[]
+ * }} filters holds only the fields that were given; include/exclude are arrays.
+ *    Qualifiers with errors are left out of filters and removed from the text.
+ */
+export function parseSearchQuery(input = '', options = {}) {
+    const source = typeof input === 'string' ? input : '';
+    const errors = [];
+    const tokens = scanTokens(source);
+    const filters = {};
+    const qualifiers = [];
+    const removed = [];
+    const seen = new Set();
+    let depth = 0;
+
+    tokens.forEach((token, index) => {
+        if (token.type === 'paren') {
+            depth = Math.max(0, depth + (token.text === '(' ? 1 : -1));
+            return;
+        }
+        const match = token.text.match(QUALIFIER_PATTERN);
+        const key = match && QUALIFIER_KEYS[match[2].toLowerCase()];
+        if (!key) {
+            if (token.openQuote !== null) {
+                errors.push({ message: 'Missing closing quote', start: token.openQuote, end: token.end });
+            }
+            return;
+        }
+
+        removed.push(token);
+        const negated = match[1] === '-';
+        const value = unquote(match[3]);
+        const fail = message => errors.push({ message, start: token.start, end: token.end });
+
+        if (token.openQuote !== null) {
+            return fail(`Missing closing quote in ${key}:`);
+        }
+        if (depth > 0) {
+            return fail(`${key}: applies to the whole search and can't go inside parentheses`);
+        }
+        if (isOperator(tokens[index - 1], 'OR') || isOperator(tokens[index + 1], 'OR')) {
+            return fail(`${key}: applies to the whole search and can't be combined with OR`);
+        }
+        if (isOperator(tokens[index - 1], 'NOT')) {
+            return fail(key === 'tag' ? 'Use -tag: to exclude a tag' : `${key}: can't be negated`);
+        }
+        if (SINGLE_KEYS.has(key) && seen.has(key)) {
+            return fail(`${key}: is already set earlier in the search`);
+        }
+
+        const result = readQualifier(key, value, negated, options);
+        if (result.error) {
+            return fail(result.error);
+        }
+
+        seen.add(key);
+        for (const [field, fieldValue] of Object.entries(result.fields)) {
+            filters[field] = Array.isArray(fieldValue) ? [...(filters[field] || []), ...fieldValue] : fieldValue;
+        }
+        qualifiers.push({ key, value, negated, start: token.start, end: token.end });
+    });
+
+    let text = '';
+    let cursor = 0;
+    for (const token of removed) {
+        text += `${source.slice(cursor, token.start)} `;
+        cursor = token.end;
+    }
+    text += source.slice(cursor);
+
+    return {
+        text: text.replace(/\s+/g, ' ').trim(),
+        filters,
+        qualifiers,
+        errors: errors.sort((a, b) => a.start - b.start)
+    };
+}
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseSearchQuery } from './search-query.js';
+
+const options = {
+    sources: ['chub', 'ct', 'risuai', 'local'],
+    languages: { eng: 'English', jpn: 'Japanese', unknown: 'Unknown' }
+};
+
+describe('search-query', () => {
+    it('should turn qualifiers into list filters and keep the rest as text', () => {
+        const input = 'author:foo tag:fantasy -tag:nsfw tokens:>2000 source:risuai has:lorebook lang:ja "exact phrase"';
+        const result = parseSearchQuery(input, options);
+
+        assert.strictEqual(result.text, '"exact phrase"');
+        assert.deepStrictEqual(result.filters, {
+            author: 'foo',
+            include: ['fantasy'],
+            exclude: ['nsfw'],
+            minTokens: 2001,
+            source: 'risuai',
+            hasLorebook: true,
+            language: 'jpn'
+        });
+        assert.deepStrictEqual(result.errors, []);
+        assert.deepStrictEqual(result.qualifiers[2], { key: 'tag', value: 'nsfw', negated: true, start: 23, end: 32 });
+        assert.strictEqual(input.slice(result.qualifiers[0].start, result.qualifiers[0].end), 'author:foo');
+    });
+
+    it('should accept quoted values, ranges and language names', () => {
+        const result = parseSearchQuery('Tags:"space opera" tokens:1000..4000 language:english knight', options);
+        assert.strictEqual(result.text, 'knight');
+        assert.deepStrictEqual(result.filters, {
+            include: ['space opera'],
+            minTokens: 1000,
+            maxTokens: 4000,
+            language: 'eng'
+        });
+
+        assert.deepStrictEqual(parseSearchQuery('tokens:<=8000').filters, { maxTokens: 8000 });
+        assert.deepStrictEqual(parseSearchQuery('tokens:<500').filters, { maxTokens: 499 });
+    });
+
+    it('should leave unknown prefixes and boolean text alone', () => {
+        const result = parseSearchQuery('re:zero (elf OR dwarf) NOT orc tag:fantasy', options);
+        assert.strictEqual(result.text, 're:zero (elf OR dwarf) NOT orc');
+        assert.deepStrictEqual(result.filters, { include: ['fantasy'] });
+        assert.deepStrictEqual(parseSearchQuery('', options), { text: '', filters: {}, qualifiers: [], errors: [] });
+    });
+
+    it('should report invalid qualifiers with their positions', () => {
+        const input = 'source:nowhere has:wings tokens:lots author: lang:xx -author:foo knight';
+        const { text, filters, qualifiers, errors } = parseSearchQuery(input, options);
+
+        assert.strictEqual(text, 'knight');
+        assert.deepStrictEqual(filters, {});
+        assert.deepStrictEqual(qualifiers, []);
+        assert.deepStrictEqual(
+            errors.map(error => input.slice(error.start, error.end)),
+            ['source:nowhere', 'has:wings', 'tokens:lots', 'author:', 'lang:xx', '-author:foo']
+        );
+        assert.match(errors[0].message, /Unknown source "nowhere"/);
+        assert.match(errors[3].message, /needs a value/);
+        assert.match(errors[5].message, /only tags can be excluded/);
+    });
+
+    it('should reject qualifiers mixed into boolean expressions or repeated', () => {
+        const input = '(tag:elf OR dwarf) orc OR source:chub NOT tag:nsfw author:a author:b';
+        const { filters, errors } = parseSearchQuery(input, options);
+
+        assert.deepStrictEqual(filters, { author: 'a' });
+        assert.deepStrictEqual(errors.map(error => input.slice(error.start, error.end)), ['tag:elf', 'source:chub', 'tag:nsfw', 'author:b']);
+        assert.match(errors[0].message, /parentheses/);
+        assert.match(errors[1].message, /OR/);
+        assert.match(errors[2].message, /-tag:/);
+        assert.match(errors[3].message, /already set/);
+    });
+
+    it('should flag an unterminated quote', () => {
+        const input = 'tag:fantasy "dark lord';
+        const { text, errors } = parseSearchQuery(input, options);
+        assert.strictEqual(text, '"dark lord');
+        assert.deepStrictEqual(errors, [{ message: 'Missing closing quote', start: 12, end: input.length }]);
+
+        const unclosedValue = parseSearchQuery('knight author:"sir lance', options);
+        assert.strictEqual(unclosedValue.text, 'knight');
+        assert.deepStrictEqual(unclosedValue.filters, {});
+        assert.deepStrictEqual(unclosedValue.errors, [{ message: 'Missing closing quote in author:', start: 7, end: 24 }]);
+    });
+});
@@ -9,6 +9,8 @@ export function buildMeilisearchFilter({
     exclude = '',
     tagMatchMode = 'and',
     minTokens = null,
+    maxTokens = null,
+    author = null,
     language = null,
     favoriteFilter = null,
     source = null,
@@ -45,6 +47,16 @@ export function buildMeilisearchFilter({
         parts.push(`tokenCount >= ${minTokens}`);
     }
 
+    // Token maximum
+    if (maxTokens !== null && Number.isFinite(Number(maxTokens))) {
+        parts.push(`tokenCount <= ${maxTokens}`);
+    }
+
+    // Author filter - typed by the user, so quotes and backslashes are escaped
+    if (author && author.trim()) {
+        parts.push(`author = "${author.trim().replace(/["\\]/g, '\\$&')}"`);
+    }
+
     // Language filter
     if (language && language !== 'all') {
         parts.push(`language = "${language}"`);
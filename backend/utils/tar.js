@@ -0,0 +1,285 @@
+/**
+ * Minimal streaming tar.gz (ustar) writer and reader for archive backups.
+ *
+ * Only regular files are written; directories are implied by entry paths.
+ * The reader hashes every entry as it extracts so callers can check the
+ * bytes against a manifest without reading them back.
+ */
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { once } from 'events';
+import { pipeline } from 'stream/promises';
+
+const BLOCK_SIZE = 512;
+const READ_SIZE = 64 * 1024;
+// Long names written by GNU tar and pax arrive as an entry of their own before the file
+const ENTRY_TYPES = { 0: 'file', 5: 'directory', L: 'longName', x: 'paxHeader' };
+// Largest size the 11 octal digits of a ustar header can hold; bigger files use base-256
+const MAX_OCTAL_SIZE = 8 ** 11;
+
+function writeString(header, value, offset, length) {
+    header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function writeOctal(header, value, offset, length) {
+    writeString(header, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+function writeSize(header, size) {
+    if (size < MAX_OCTAL_SIZE) {
+        writeOctal(header, size, 124, 12);
+        return;
+    }
+    header[124] = 0x80;
+    header.writeBigUInt64BE(BigInt(size), 128);
+}
+
+/**
+ * ustar stores up to 100 bytes in `name` and another 155 in `prefix`, split at a '/'
+ */
+function splitEntryName(name) {
+    if (Buffer.byteLength(name) <= 100) {
+        return { prefix: '', name };
+    }
+    for (let index = name.indexOf('/'); index !== -1; index = name.indexOf('/', index + 1)) {
+        const prefix = name.slice(0, index);
+        const rest = name.slice(index + 1);
+        if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+            return { prefix, name: rest };
+        }
+    }
+    throw new Error(`Path too long for a tar entry: ${name}`);
+}
+
+function buildHeader(entryName, size, mtime) {
+    const header = Buffer.alloc(BLOCK_SIZE);
+    const { prefix, name } = splitEntryName(entryName);
+
+    writeString(header, name, 0, 100);
+    writeOctal(header, 0o644, 100, 8);
+    writeOctal(header, 0, 108, 8);
+    writeOctal(header, 0, 116, 8);
+    writeSize(header, size);
+    writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+    header.fill(0x20, 148, 156);
+    header[156] = 0x30; // '0' regular file
+    writeString(header, 'ustar\u000000', 257, 8);
+    writeString(header, prefix, 345, 155);
+
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    writeString(header, `${checksum.toString(8).padStart(6, '0')}\u0000 `, 148, 8);
+    return header;
+}
+
+function readString(header, offset, length) {
+    const end = header.indexOf(0, offset);
+    return header.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+function readSize(header) {
+    if (header[124] & 0x80) {
+        return Number(header.readBigUInt64BE(128));
+    }
+    return parseInt(readString(header, 124, 12).trim() || '0', 8);
+}
+
+function parseHeader(header) {
+    const stored = parseInt(readString(header, 148, 8).trim(), 8);
+    const copy = Buffer.from(header);
+    copy.fill(0x20, 148, 156);
+    if (stored !== copy.reduce((sum, byte) => sum + byte, 0)) {
+        throw new Error('Corrupt tar header (checksum mismatch)');
+    }
+
+    const prefix = readString(header, 345, 155);
+    const name = readString(header, 0, 100);
+    return {
+        name: prefix ? `${prefix}/${name}` : name,
+        size: readSize(header),
+        type: ENTRY_TYPES[String.fromCharCode(header[156] || 0x30)] || 'other'
+    };
+}
+
+/**
+ * Path from a pax extended header ("<length> path=<value>\n" records), if any
+ */
+function readPaxPath(body) {
+    const match = body.toString('utf8').match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+    return match ? match[1] : null;
+}
+
+function padding(size) {
+    return (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+}
+
+/**
+ * Resolve a tar entry name inside rootDir, refusing absolute paths and '..'
+ * @returns {string} Absolute target path
+ */
+export function resolveEntryPath(rootDir, name) {
+    const root = path.resolve(rootDir);
+    const target = path.resolve(root, name);
+    if (path.isAbsolute(name) || !target.startsWith(root + path.sep)) {
+        throw new Error(`Unsafe path in archive: ${name}`);
+    }
+    return target;
+}
+
+/**
+ * Open a .tar.gz for writing
+ * @param {string} archivePath
+ * @param {object} [options]
+ * @param {number} [options.level=1] - gzip level; card images are already compressed
+ */
+export function createTarGzWriter(archivePath, { level = 1 } = {}) {
+    const gzip = zlib.createGzip({ level });
+    const done = pipeline(gzip, fs.createWriteStream(archivePath));
+
+    const write = async (buffer) => {
+        if (!gzip.write(buffer)) {
+            await once(gzip, 'drain');
+        }
+    };
+
+    return {
+        /**
+         * Append a file from disk. A file that shrinks while being read is
+         * zero-padded so the archive stays readable; the checksum covers what was written.
+         * @returns {Promise<{size: number, sha256: string}>}
+         */
+        async addFile(name, sourcePath) {
+            // Opened before the header goes out, so a missing file leaves the archive untouched
+            const handle = await fs.promises.open(sourcePath, 'r');
+            try {
+                const { size, mtimeMs } = await handle.stat();
+                const hash = crypto.createHash('sha256');
+                await write(buildHeader(name, size, mtimeMs));
+
+                let written = 0;
+                if (size > 0) {
+                    const input = handle.createReadStream({ start: 0, end: size - 1, highWaterMark: READ_SIZE, autoClose: false });
+                    for await (const chunk of input) {
+                        hash.update(chunk);
+                        await write(chunk);
+                        written += chunk.length;
+                    }
+                }
+                if (written < size) {
+                    const filler = Buffer.alloc(size - written);
+                    hash.update(filler);
+                    await write(filler);
+                }
+                await write(Buffer.alloc(padding(size)));
+                return { size, sha256: hash.digest('hex') };
+            } finally {
+                await handle.close();
+            }
+        },
+
+        async addBuffer(name, buffer) {
+            await write(buildHeader(name, buffer.length, Date.now()));
+            await write(buffer);
+            await write(Buffer.alloc(padding(buffer.length)));
+            return { size: buffer.length, sha256: crypto.createHash('sha256').update(buffer).digest('hex') };
+        },
+
+        async close() {
+            await write(Buffer.alloc(BLOCK_SIZE * 2));
+            gzip.end();
+            await done;
+        }
+    };
+}
+
+function createChunkReader(source) {
+    const iterator = source[Symbol.asyncIterator]();
+    let buffered = Buffer.alloc(0);
+    return {
+        // Up to `length` bytes; fewer only at the end of the stream
+        async read(length) {
+            while (buffered.length < length) {
+                const { value, done } = await iterator.next();
+                if (done) break;
+                buffered = buffered.length ? Buffer.concat([buffered, value]) : value;
+            }
+            const out = buffered.subarray(0, length);
+            buffered = buffered.subarray(out.length);
+            return out;
+        }
+    };
+}
+
+/**
+ * Extract the regular files of a .tar.gz
+ * @param {string} archivePath
+ * @param {Function} resolveTarget - (entryName) => absolute path to write to, or null to skip the entry
+ * @returns {Promise<{name: string, size: number, sha256: string}[]>} Every regular file, extracted or not
+ */
+export async function extractTarGz(archivePath, resolveTarget) {
+    const entries = [];
+
+    await pipeline(fs.createReadStream(archivePath), zlib.createGunzip(), async (source) => {
+        const reader = createChunkReader(source);
+        let nextName = null;
+
+        for (;;) {
+            const header = await reader.read(BLOCK_SIZE);
+            if (header.length < BLOCK_SIZE) {
+                throw new Error('Unexpected end of archive');
+            }
+            if (header.every(byte => byte === 0)) {
+                break;
+            }
+
+            const entry = parseHeader(header);
+            if (entry.type === 'longName' || entry.type === 'paxHeader') {
+                const body = await reader.read(entry.size);
+                await reader.read(padding(entry.size));
+                nextName = entry.type === 'longName'
+                    ? readString(body, 0, body.length)
+                    : readPaxPath(body) ?? nextName;
+                continue;
+            }
+            if (nextName) {
+                entry.name = nextName;
+                nextName = null;
+            }
+
+            const target = entry.type === 'file' ? resolveTarget(entry.name) : null;
+            const hash = crypto.createHash('sha256');
+            let output = null;
+            if (target) {
+                await fs.promises.mkdir(path.dirname(target), { recursive: true });
+                output = fs.createWriteStream(target);
+            }
+
+            try {
+                for (let remaining = entry.size; remaining > 0;) {
+                    const piece = await reader.read(Math.min(remaining, READ_SIZE));
+                    if (piece.length === 0) {
+                        throw new Error(`Unexpected end of archive in ${entry.name}`);
+                    }
+                    hash.update(piece);
+                    if (output && !output.write(piece)) {
+                        await once(output, 'drain');
+                    }
+                    remaining -= piece.length;
+                }
+            } finally {
+                if (output) {
+                    output.end();
+                    await once(output, 'close');
+                }
+            }
+            await reader.read(padding(entry.size));
+
+            if (entry.type === 'file') {
+                entries.push({ name: entry.name, size: entry.size, sha256: hash.digest('hex') });
+            }
+        }
+    });
+
+    return entries;
+}
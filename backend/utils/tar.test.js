@@ -0,0 +1,81 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import { createTarGzWriter, extractTarGz, resolveEntryPath } from './tar.js';
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+describe('tar', () => {
+    let workDir;
+
+    before(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tar-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    it('should round-trip files and buffers with their checksums', async () => {
+        const image = crypto.randomBytes(70000);
+        const imagePath = path.join(workDir, 'image.png');
+        fs.writeFileSync(imagePath, image);
+        fs.writeFileSync(path.join(workDir, 'empty.json'), '');
+
+        const longName = `static/cached-assets/123456/${'a'.repeat(90)}.png`;
+        const archivePath = path.join(workDir, 'out.tar.gz');
+        const writer = createTarGzWriter(archivePath);
+        const added = await writer.addFile('static/12/123.png', imagePath);
+        await writer.addFile('data/empty.json', path.join(workDir, 'empty.json'));
+        await writer.addBuffer(longName, Buffer.from('long'));
+        await writer.addBuffer('manifest.json', Buffer.from('{"ok":true}'));
+        await writer.close();
+
+        assert.deepStrictEqual(added, { size: image.length, sha256: sha256(image) });
+
+        const target = path.join(workDir, 'extracted');
+        const entries = await extractTarGz(archivePath, name => (name === 'data/empty.json' ? null : resolveEntryPath(target, name)));
+
+        assert.deepStrictEqual(entries.map(entry => entry.name), ['static/12/123.png', 'data/empty.json', longName, 'manifest.json']);
+        assert.strictEqual(entries[0].sha256, sha256(image));
+        assert.deepStrictEqual(fs.readFileSync(path.join(target, 'static/12/123.png')), image);
+        assert.strictEqual(fs.readFileSync(path.join(target, longName), 'utf8'), 'long');
+        assert.strictEqual(fs.existsSync(path.join(target, 'data/empty.json')), false);
+    });
+
+    it('should interoperate with the system tar', async (t) => {
+        try {
+            execFileSync('tar', ['--version'], { stdio: 'ignore' });
+        } catch {
+            t.skip('tar is not installed');
+            return;
+        }
+        const archivePath = path.join(workDir, 'listed.tar.gz');
+        const writer = createTarGzWriter(archivePath);
+        await writer.addBuffer('data/trash/1/1.json', Buffer.from('{}'));
+        await writer.close();
+
+        const listing = execFileSync('tar', ['-tzf', archivePath], { encoding: 'utf8' });
+        assert.strictEqual(listing.trim(), 'data/trash/1/1.json');
+
+        // GNU tar and pax store names over 100 bytes in a separate header entry
+        const longName = `${'b'.repeat(120)}.json`;
+        fs.mkdirSync(path.join(workDir, 'system', 'static'), { recursive: true });
+        fs.writeFileSync(path.join(workDir, 'system', 'static', longName), 'long');
+        const systemArchive = path.join(workDir, 'system.tar.gz');
+        execFileSync('tar', ['-czf', systemArchive, '-C', path.join(workDir, 'system'), 'static']);
+
+        const entries = await extractTarGz(systemArchive, () => null);
+        assert.deepStrictEqual(entries.map(entry => [entry.name, entry.size]), [[`static/${longName}`, 4]]);
+    });
+
+    it('should refuse entries outside the target directory', () => {
+        assert.throws(() => resolveEntryPath(workDir, '../escape.txt'), /Unsafe path/);
+        assert.throws(() => resolveEntryPath(workDir, '/etc/passwd'), /Unsafe path/);
+        assert.strictEqual(resolveEntryPath(workDir, 'static/1/1.png'), path.join(workDir, 'static/1/1.png'));
+    });
+});
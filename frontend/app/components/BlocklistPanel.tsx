@@ -0,0 +1,292 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { Download, Loader2, Plus, Timer, Trash2, Upload } from 'lucide-react';
+import clsx from 'clsx';
+import {
+    fetchBlocklist,
+    addBlocklistEntry,
+    removeBlocklistEntry,
+    importBlocklist,
+    getBlocklistExportUrl,
+    fetchCooldowns,
+    clearCooldown,
+    type BlocklistResponse,
+    type CooldownEntry,
+} from '@/lib/api';
+import { useSyncSources } from '../hooks/useSyncSources';
+
+type BlocklistPanelProps = {
+    active: boolean;
+};
+
+const PAGE_SIZE = 50;
+
+const inputClass =
+    'rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-700 focus:border-indigo-400 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-100';
+const buttonClass =
+    'inline-flex items-center gap-2 rounded-xl border border-slate-200 px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 disabled:opacity-50 dark:border-slate-700 dark:text-slate-300 dark:hover:bg-slate-800';
+
+// The panel lives inside the settings <form>; keep Enter from submitting the config
+const preventSubmit = (e: React.KeyboardEvent) => {
+    if (e.key === 'Enter') e.preventDefault();
+};
+
+export const BlocklistPanel = ({ active }: BlocklistPanelProps) => {
+    const sources = useSyncSources();
+    const [source, setSource] = useState('chub');
+    const [search, setSearch] = useState('');
+    const [page, setPage] = useState(1);
+    const [data, setData] = useState<BlocklistResponse | null>(null);
+    const [cooldowns, setCooldowns] = useState<CooldownEntry[]>([]);
+    const [cooldownTotal, setCooldownTotal] = useState(0);
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState<{ type: 'success' | 'error'; message: string } | null>(null);
+    const [newId, setNewId] = useState('');
+    const [newReason, setNewReason] = useState('');
+    const [importText, setImportText] = useState('');
+
+    const load = useCallback(async () => {
+        setLoading(true);
+        try {
+            const [list, cooldownList] = await Promise.all([
+                fetchBlocklist({ source, search, page, limit: PAGE_SIZE }),
+                fetchCooldowns({ source }),
+            ]);
+            setData(list);
+            setCooldowns(cooldownList.items);
+            setCooldownTotal(cooldownList.total);
+        } catch (error) {
+            setMessage({ type: 'error', message: error instanceof Error ? error.message : 'Failed to load blocklist' });
+        } finally {
+            setLoading(false);
+        }
+    }, [source, search, page]);
+
+    useEffect(() => {
+        if (active) {
+            load();
+        }
+    }, [active, load]);
+
+    const run = async (action: () => Promise<string>) => {
+        try {
+            setMessage({ type: 'success', message: await action() });
+            await load();
+        } catch (error) {
+            setMessage({ type: 'error', message: error instanceof Error ? error.message : 'Request failed' });
+        }
+    };
+
+    const handleAdd = () => {
+        const id = newId.trim();
+        if (!id) return;
+        run(async () => {
+            await addBlocklistEntry(source, id, newReason.trim() || undefined);
+            setNewId('');
+            setNewReason('');
+            return `Blacklisted ${source}:${id}`;
+        });
+    };
+
+    const handleImport = () => {
+        if (!importText.trim()) return;
+        run(async () => {
+            const result = await importBlocklist(source, importText);
+            setImportText('');
+            return `Imported ${result.added} of ${result.total} IDs`;
+        });
+    };
+
+    const totalPages = data ? Math.max(1, Math.ceil(data.total / PAGE_SIZE)) : 1;
+    const countFor = (id: string) => data?.counts.find(entry => entry.source === id)?.count ?? 0;
+
+    return (
+        <div className="space-y-6">
+            <div className="space-y-3">
+                <h3 className="text-sm font-semibold uppercase tracking-wide text-slate-500 dark:text-slate-400">
+                    Blacklisted Cards
+                </h3>
+                <p className="text-xs text-slate-400 dark:text-slate-500">
+                    Source IDs listed here are skipped by every sync. Deleting a card adds it automatically; remove an entry to allow the card to sync again.
+                </p>
+                <div className="flex flex-wrap items-center gap-2">
+                    {sources.map(({ source: id }) => (
+                        <button
+                            key={id}
+                            type="button"
+                            onClick={() => {
+                                setSource(id);
+                                setPage(1);
+                            }}
+                            className={clsx(
+                                'rounded-lg px-3 py-1.5 text-sm font-medium transition-colors',
+                                source === id
+                                    ? 'bg-indigo-600 text-white'
+                                    : 'bg-slate-100 text-slate-600 hover:bg-slate-200 dark:bg-slate-800 dark:text-slate-300 dark:hover:bg-slate-700'
+                            )}
+                        >
+                            {id} ({countFor(id)})
+                        </button>
+                    ))}
+                    <input
+                        type="search"
+                        value={search}
+                        onChange={e => {
+                            setSearch(e.target.value);
+                            setPage(1);
+                        }}
+                        onKeyDown={preventSubmit}
+                        placeholder="Search ID or reason"
+                        className={clsx(inputClass, 'ml-auto w-56')}
+                    />
+                </div>
+
+                {message && (
+                    <p className={clsx('text-sm', message.type === 'error' ? 'text-red-600 dark:text-red-400' : 'text-emerald-600 dark:text-emerald-400')}>
+                        {message.message}
+                    </p>
+                )}
+
+                <div className="max-h-80 overflow-y-auto rounded-2xl border border-slate-200 dark:border-slate-700">
+                    {loading && !data ? (
+                        <div className="flex items-center justify-center p-6 text-slate-400">
+                            <Loader2 className="h-5 w-5 animate-spin" />
+                        </div>
+                    ) : data && data.items.length > 0 ? (
+                        <table className="w-full text-left text-sm">
+                            <thead className="sticky top-0 bg-slate-50 text-xs uppercase text-slate-500 dark:bg-slate-800 dark:text-slate-400">
+                                <tr>
+                                    <th className="px-3 py-2">ID</th>
+                                    <th className="px-3 py-2">Reason</th>
+                                    <th className="px-3 py-2">Added by</th>
+                                    <th className="px-3 py-2">Added</th>
+                                    <th className="px-3 py-2" />
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+                                {data.items.map(entry => (
+                                    <tr key={`${entry.source}:${entry.sourceId}`} className="text-slate-700 dark:text-slate-200">
+                                        <td className="px-3 py-2 font-mono text-xs">{entry.sourceId}</td>
+                                        <td className="px-3 py-2">{entry.reason || '—'}</td>
+                                        <td className="px-3 py-2 text-slate-500 dark:text-slate-400">{entry.addedBy || '—'}</td>
+                                        <td className="px-3 py-2 text-slate-500 dark:text-slate-400">{entry.createdAt}</td>
+                                        <td className="px-3 py-2 text-right">
+                                            <button
+                                                type="button"
+                                                onClick={() => run(async () => {
+                                                    await removeBlocklistEntry(entry.source, entry.sourceId);
+                                                    return `Unblacklisted ${entry.source}:${entry.sourceId}`;
+                                                })}
+                                                className="rounded-lg p-1.5 text-slate-400 transition hover:bg-red-50 hover:text-red-600 dark:hover:bg-red-900/30"
+                                                title="Remove from blacklist"
+                                            >
+                                                <Trash2 className="h-4 w-4" />
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    ) : (
+                        <p className="p-6 text-center text-sm text-slate-400">No blacklisted cards for {source}.</p>
+                    )}
+                </div>
+
+                {totalPages > 1 && (
+                    <div className="flex items-center justify-end gap-2 text-sm text-slate-500">
+                        <button type="button" disabled={page <= 1} onClick={() => setPage(page - 1)} className={buttonClass}>
+                            Previous
+                        </button>
+                        <span>
+                            Page {page} of {totalPages}
+                        </span>
+                        <button type="button" disabled={page >= totalPages} onClick={() => setPage(page + 1)} className={buttonClass}>
+                            Next
+                        </button>
+                    </div>
+                )}
+
+                <div className="flex flex-wrap items-end gap-2">
+                    <input
+                        type="text"
+                        value={newId}
+                        onChange={e => setNewId(e.target.value)}
+                        onKeyDown={preventSubmit}
+                        placeholder={`${source} card ID`}
+                        className={clsx(inputClass, 'w-48')}
+                    />
+                    <input
+                        type="text"
+                        value={newReason}
+                        onChange={e => setNewReason(e.target.value)}
+                        onKeyDown={preventSubmit}
+                        placeholder="Reason (optional)"
+                        className={clsx(inputClass, 'flex-1')}
+                    />
+                    <button type="button" onClick={handleAdd} disabled={!newId.trim()} className={buttonClass}>
+                        <Plus className="h-4 w-4" />
+                        Add
+                    </button>
+                </div>
+            </div>
+
+            <div className="space-y-3">
+                <h3 className="text-sm font-semibold uppercase tracking-wide text-slate-500 dark:text-slate-400">
+                    Import / Export
+                </h3>
+                <textarea
+                    value={importText}
+                    onChange={e => setImportText(e.target.value)}
+                    rows={4}
+                    placeholder={'One ID per line, optional "# reason" suffix'}
+                    className={clsx(inputClass, 'w-full font-mono')}
+                />
+                <div className="flex gap-2">
+                    <button type="button" onClick={handleImport} disabled={!importText.trim()} className={buttonClass}>
+                        <Upload className="h-4 w-4" />
+                        Import into {source}
+                    </button>
+                    <a href={getBlocklistExportUrl(source)} className={buttonClass}>
+                        <Download className="h-4 w-4" />
+                        Export {source}-blacklist.txt
+                    </a>
+                </div>
+            </div>
+
+            <div className="space-y-3">
+                <h3 className="text-sm font-semibold uppercase tracking-wide text-slate-500 dark:text-slate-400">
+                    Retry Cooldowns ({cooldownTotal})
+                </h3>
+                <p className="text-xs text-slate-400 dark:text-slate-500">
+                    Cards that failed to download are skipped until their cooldown expires. Clear one to retry it on the next sync.
+                </p>
+                {cooldowns.length > 0 ? (
+                    <ul className="max-h-60 divide-y divide-slate-100 overflow-y-auto rounded-2xl border border-slate-200 text-sm dark:divide-slate-800 dark:border-slate-700">
+                        {cooldowns.map(entry => (
+                            <li key={`${entry.source}:${entry.sourceId}`} className="flex items-center gap-3 px-3 py-2 text-slate-700 dark:text-slate-200">
+                                <Timer className="h-4 w-4 shrink-0 text-slate-400" />
+                                <span className="font-mono text-xs">{entry.sourceId}</span>
+                                <span className="flex-1 truncate text-slate-500 dark:text-slate-400">{entry.reason || '—'}</span>
+                                <span className="text-xs text-slate-400">{new Date(entry.cooledAt).toLocaleString()}</span>
+                                <button
+                                    type="button"
+                                    onClick={() => run(async () => {
+                                        await clearCooldown(entry.source, entry.sourceId);
+                                        return `Cleared cooldown for ${entry.source}:${entry.sourceId}`;
+                                    })}
+                                    className="rounded-lg p-1.5 text-slate-400 transition hover:bg-slate-100 hover:text-slate-700 dark:hover:bg-slate-800"
+                                    title="Clear cooldown"
+                                >
+                                    <Trash2 className="h-4 w-4" />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="text-sm text-slate-400">No cards on cooldown for {source}.</p>
+                )}
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,92 @@
+'use client';
+
+import { ImageOff, Loader2 } from 'lucide-react';
+import Image from 'next/image';
+import { useAvatarMatches } from '../hooks/useAvatarMatches';
+import type { Card } from '@/lib/types';
+
+type CardAvatarMatchesProps = {
+    card: Card;
+    active: boolean;
+    onOpenCard: (card: Card) => void;
+};
+
+export const CardAvatarMatches = ({ card, active, onOpenCard }: CardAvatarMatchesProps) => {
+    const { similar, changes, loading, marking, error, message, markPlaceholder } = useAvatarMatches(card.id, active);
+
+    const handleMarkPlaceholder = async () => {
+        const label = prompt('Mark this avatar as a placeholder image. Cards using it are flagged as fuzzed.\nLabel (optional):');
+        if (label === null) return;
+        await markPlaceholder(label.trim() || undefined);
+    };
+
+    if (loading && !similar) {
+        return (
+            <div className="flex items-center gap-2 text-sm text-slate-500 dark:text-slate-400">
+                <Loader2 className="h-4 w-4 animate-spin" /> Comparing avatars...
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-200">Similar avatars</h4>
+                {similar?.placeholder ? (
+                    <span className="rounded-full bg-amber-100 px-2 py-0.5 text-[0.65rem] font-semibold uppercase text-amber-700 dark:bg-amber-900/40 dark:text-amber-300">
+                        Placeholder{similar.placeholder.label ? ` · ${similar.placeholder.label}` : ''}
+                    </span>
+                ) : similar?.hash ? (
+                    <button
+                        type="button"
+                        disabled={marking}
+                        onClick={handleMarkPlaceholder}
+                        className="inline-flex items-center gap-1 text-xs font-semibold text-slate-500 transition hover:text-slate-700 disabled:opacity-50 dark:text-slate-400 dark:hover:text-slate-200"
+                    >
+                        {marking ? <Loader2 className="h-3 w-3 animate-spin" /> : <ImageOff className="h-3 w-3" />}
+                        Mark as placeholder
+                    </button>
+                ) : null}
+            </div>
+
+            {error && <p className="text-sm text-red-500 dark:text-red-400">{error}</p>}
+            {message && <p className="text-sm text-emerald-600 dark:text-emerald-300">{message}</p>}
+
+            {!similar?.hash ? (
+                <p className="text-sm text-slate-500 dark:text-slate-400">This card has no PNG avatar to compare.</p>
+            ) : similar.matches.length === 0 ? (
+                <p className="text-sm text-slate-500 dark:text-slate-400">No other card uses a similar avatar.</p>
+            ) : (
+                <div className="grid grid-cols-3 gap-2 sm:grid-cols-4 lg:grid-cols-6">
+                    {similar.matches.map(match => (
+                        <button
+                            key={match.id}
+                            type="button"
+                            onClick={() => onOpenCard(match)}
+                            title={`${match.name} · ${match.avatarDistance === 0 ? 'identical' : `${match.avatarDistance} bits apart`}`}
+                            className="group text-left"
+                        >
+                            <div className="relative aspect-[3/4] overflow-hidden rounded-xl bg-slate-900">
+                                <Image src={match.imagePath} alt={match.name} fill sizes="120px" className="object-cover object-top transition group-hover:scale-105" />
+                            </div>
+                            <p className="mt-1 truncate text-xs font-medium text-slate-700 dark:text-slate-200">{match.name}</p>
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {changes.length > 0 && (
+                <div className="space-y-1">
+                    <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-200">Avatar changes</h4>
+                    <ul className="space-y-1 text-xs text-slate-500 dark:text-slate-400">
+                        {changes.map(change => (
+                            <li key={change.id}>
+                                {change.detectedAt.split(' ')[0]} · replaced with a different image ({change.distance} bits)
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,172 @@
+'use client';
+
+import { Download, History, Loader2 } from 'lucide-react';
+import clsx from 'clsx';
+import { NestedSection } from './ContentSections';
+import { useCardVersions } from '../hooks/useCardVersions';
+import { getCardVersionExportUrl } from '@/lib/api';
+import type { CardDiffChange, CardLorebookEntrySnapshot } from '@/lib/types';
+
+type CardChangesPanelProps = {
+    cardId: string;
+    active: boolean;
+};
+
+const CHANGE_STYLES: Record<CardDiffChange['type'], string> = {
+    added: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-300',
+    removed: 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300',
+    changed: 'bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300',
+};
+
+const SECTION_TITLES: Record<CardDiffChange['section'], string> = {
+    field: 'Fields',
+    alternate_greetings: 'Alternate Greetings',
+    lorebook: 'Lorebook Entries',
+};
+
+const TextBlock = ({ label, value, tone }: { label: string; value: string | null; tone: 'before' | 'after' }) => (
+    <div className="min-w-0 flex-1">
+        <p className="mb-1 text-[0.65rem] font-semibold uppercase tracking-wide text-slate-400">{label}</p>
+        <pre
+            className={clsx(
+                'max-h-64 overflow-auto whitespace-pre-wrap break-words rounded-xl p-3 text-xs',
+                tone === 'before'
+                    ? 'bg-red-50 text-red-900 dark:bg-red-950/40 dark:text-red-100'
+                    : 'bg-emerald-50 text-emerald-900 dark:bg-emerald-950/40 dark:text-emerald-100'
+            )}
+        >
+            {value ?? '—'}
+        </pre>
+    </div>
+);
+
+const formatLorebookEntry = (entry: CardLorebookEntrySnapshot | null) => {
+    if (!entry) return null;
+    const lines = [`Keys: ${entry.keys.join(', ') || '—'}`];
+    if (entry.secondary_keys.length > 0) {
+        lines.push(`Secondary keys: ${entry.secondary_keys.join(', ')}`);
+    }
+    if (!entry.enabled) lines.push('Disabled');
+    if (entry.constant) lines.push('Constant');
+    lines.push('', entry.content);
+    return lines.join('\n');
+};
+
+const ChangeItem = ({ change }: { change: CardDiffChange }) => {
+    const before = change.section === 'lorebook' ? formatLorebookEntry(change.before) : change.before;
+    const after = change.section === 'lorebook' ? formatLorebookEntry(change.after) : change.after;
+    const changedFields = change.section === 'lorebook' ? change.changedFields : undefined;
+
+    return (
+        <NestedSection
+            title={
+                <span className="flex items-center gap-2">
+                    <span className={clsx('rounded-full px-2 py-0.5 text-[0.65rem] font-semibold uppercase', CHANGE_STYLES[change.type])}>
+                        {change.type}
+                    </span>
+                    <span className="truncate">{change.label}</span>
+                </span>
+            }
+        >
+            {changedFields && changedFields.length > 0 && (
+                <p className="mb-2 text-xs text-slate-500 dark:text-slate-400">Changed: {changedFields.join(', ')}</p>
+            )}
+            <div className="flex flex-col gap-3 md:flex-row">
+                {change.type !== 'added' && <TextBlock label="Before" value={before} tone="before" />}
+                {change.type !== 'removed' && <TextBlock label="After" value={after} tone="after" />}
+            </div>
+        </NestedSection>
+    );
+};
+
+export const CardChangesPanel = ({ cardId, active }: CardChangesPanelProps) => {
+    const { versions, versionsLoading, diff, diffLoading, error, from, to, setFrom, setTo } = useCardVersions(cardId, active);
+
+    if (versionsLoading) {
+        return (
+            <div className="flex items-center gap-2 text-sm text-slate-500 dark:text-slate-400">
+                <Loader2 className="h-4 w-4 animate-spin" /> Loading revisions...
+            </div>
+        );
+    }
+
+    if (versions.length === 0) {
+        return (
+            <div className="flex items-center gap-2 rounded-2xl border border-dashed border-slate-300 bg-slate-100/60 px-4 py-3 text-sm text-slate-500 dark:border-slate-700 dark:bg-slate-900/40 dark:text-slate-300">
+                <History className="h-4 w-4" /> No earlier revisions archived for this card.
+            </div>
+        );
+    }
+
+    const revisionOptions = [
+        { value: 'current', label: 'Current' },
+        ...versions.map(version => ({
+            value: String(version.revision),
+            label: `r${version.revision} · ${version.lastModified ? version.lastModified.split(' ')[0] : version.createdAt.split(' ')[0]}`,
+        })),
+    ];
+    const parseRevision = (value: string) => (value === 'current' ? 'current' as const : Number(value));
+    const selectClass = 'rounded-lg border border-slate-300 bg-white px-2 py-1 text-sm text-slate-700 dark:border-slate-600 dark:bg-slate-900 dark:text-slate-200';
+
+    const grouped = (diff?.changes ?? []).reduce<Record<string, CardDiffChange[]>>((acc, change) => {
+        (acc[change.section] ||= []).push(change);
+        return acc;
+    }, {});
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap items-center gap-3 text-sm text-slate-600 dark:text-slate-300">
+                <label className="flex items-center gap-2">
+                    From
+                    <select className={selectClass} value={String(from ?? '')} onChange={event => setFrom(parseRevision(event.target.value))}>
+                        {revisionOptions.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex items-center gap-2">
+                    To
+                    <select className={selectClass} value={String(to)} onChange={event => setTo(parseRevision(event.target.value))}>
+                        {revisionOptions.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+                {typeof from === 'number' && (
+                    <a
+                        href={getCardVersionExportUrl(cardId, from)}
+                        className="inline-flex items-center gap-1 font-semibold text-indigo-600 hover:underline dark:text-indigo-300"
+                    >
+                        <Download className="h-4 w-4" /> Download r{from}
+                    </a>
+                )}
+            </div>
+
+            {error && <p className="text-sm text-red-500 dark:text-red-400">{error}</p>}
+
+            {diffLoading ? (
+                <div className="flex items-center gap-2 text-sm text-slate-500 dark:text-slate-400">
+                    <Loader2 className="h-4 w-4 animate-spin" /> Comparing revisions...
+                </div>
+            ) : diff && diff.changes.length === 0 ? (
+                <p className="text-sm text-slate-500 dark:text-slate-400">No definition changes between these revisions.</p>
+            ) : diff ? (
+                <>
+                    <p className="text-xs uppercase tracking-wide text-slate-500 dark:text-slate-400">
+                        {diff.summary.changed} changed · {diff.summary.added} added · {diff.summary.removed} removed
+                    </p>
+                    {(Object.keys(SECTION_TITLES) as CardDiffChange['section'][])
+                        .filter(section => grouped[section]?.length)
+                        .map(section => (
+                            <div key={section} className="space-y-2">
+                                <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-200">{SECTION_TITLES[section]}</h4>
+                                {grouped[section].map(change => (
+                                    <ChangeItem key={change.path} change={change} />
+                                ))}
+                            </div>
+                        ))}
+                </>
+            ) : null}
+        </div>
+    );
+};
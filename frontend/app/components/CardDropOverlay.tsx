@@ -0,0 +1,60 @@
+import { Loader2, Upload, X } from "lucide-react";
+import clsx from "clsx";
+import type { UploadStatus } from "../hooks/useCardUpload";
+
+interface CardDropOverlayProps {
+  active: boolean;
+  uploading: boolean;
+}
+
+export function CardDropOverlay({ active, uploading }: CardDropOverlayProps) {
+  if (!active && !uploading) return null;
+
+  return (
+    <div className="pointer-events-none fixed inset-0 z-50 flex items-center justify-center bg-slate-900/40 backdrop-blur-sm">
+      <div className="flex flex-col items-center gap-3 rounded-3xl border-2 border-dashed border-indigo-300 bg-white/90 px-10 py-8 text-center shadow-xl dark:border-indigo-500/60 dark:bg-slate-900/90">
+        {uploading ? (
+          <Loader2 className="h-8 w-8 animate-spin text-indigo-500" />
+        ) : (
+          <Upload className="h-8 w-8 text-indigo-500" />
+        )}
+        <p className="text-base font-semibold text-slate-800 dark:text-slate-100">
+          {uploading ? "Archiving cards..." : "Drop card files to archive them"}
+        </p>
+        {!uploading && (
+          <p className="text-xs text-slate-500 dark:text-slate-400">PNG, JSON, CharX and Voxta packages</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+interface UploadNotificationProps {
+  status: UploadStatus | null;
+  onDismiss: () => void;
+}
+
+export function UploadNotification({ status, onDismiss }: UploadNotificationProps) {
+  if (!status) return null;
+
+  return (
+    <div
+      className={clsx(
+        "mx-auto mb-2 flex w-full max-w-7xl items-center justify-between gap-3 rounded-3xl border px-4 py-3 text-sm",
+        status.type === "success"
+          ? "border-emerald-200 bg-emerald-50 text-emerald-700 dark:border-emerald-500/30 dark:bg-emerald-500/10 dark:text-emerald-200"
+          : "border-red-200 bg-red-50 text-red-600 dark:border-red-500/30 dark:bg-red-500/10 dark:text-red-200",
+      )}
+    >
+      <span className="font-medium">{status.message}</span>
+      <button
+        type="button"
+        onClick={onDismiss}
+        className="inline-flex h-8 w-8 items-center justify-center rounded-full border border-current/20 bg-white/70 text-current transition hover:bg-white dark:bg-slate-900/60"
+        aria-label="Dismiss upload message"
+      >
+        <X className="h-4 w-4" />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+'use client';
+
+import { Copy, ExternalLink, Loader2, X } from 'lucide-react';
+import Image from 'next/image';
+import { CardAvatarMatches } from './CardAvatarMatches';
+import { useCardDuplicates } from '../hooks/useCardDuplicates';
+import { useSyncSources } from '../hooks/useSyncSources';
+import type { Card, CardDuplicate } from '@/lib/types';
+
+type CardDuplicatesPanelProps = {
+    card: Card;
+    active: boolean;
+    onOpenCard: (card: Card) => void;
+    onMerged: (keptCard: Card, trashedId: string) => void;
+};
+
+const describeMatch = (duplicate: CardDuplicate) => {
+    const parts = [];
+    if (duplicate.textSimilarity !== null) {
+        parts.push(`${Math.round(duplicate.textSimilarity * 100)}% text match`);
+    }
+    if (duplicate.avatarDistance !== null) {
+        parts.push(duplicate.avatarDistance === 0 ? 'same avatar' : `avatar ${duplicate.avatarDistance} bits apart`);
+    }
+    return parts.join(' · ');
+};
+
+export const CardDuplicatesPanel = ({ card, active, onOpenCard, onMerged }: CardDuplicatesPanelProps) => {
+    const { duplicates, links, loading, busyId, error, merge, dismiss } = useCardDuplicates(card.id, active);
+    const sources = useSyncSources();
+    const sourceName = (source: string) => (source === 'local'
+        ? 'Local upload'
+        : sources.find(entry => entry.source === source)?.displayName ?? source);
+
+    const handleMerge = async (keep: Card, drop: Card) => {
+        if (!confirm(`Keep "${keep.name}" from ${sourceName(keep.source)} and move the ${sourceName(drop.source)} copy to the trash?`)) {
+            return;
+        }
+        const result = await merge(keep.id, drop.id);
+        if (result) onMerged(keep, drop.id);
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center gap-2 text-sm text-slate-500 dark:text-slate-400">
+                <Loader2 className="h-4 w-4 animate-spin" /> Looking for duplicates...
+            </div>
+        );
+    }
+
+    const buttonClass = 'rounded-lg border border-slate-300 px-2.5 py-1 text-xs font-semibold text-slate-600 transition hover:bg-slate-100 disabled:opacity-50 dark:border-slate-600 dark:text-slate-300 dark:hover:bg-slate-800';
+
+    return (
+        <div className="space-y-4">
+            {error && <p className="text-sm text-red-500 dark:text-red-400">{error}</p>}
+
+            {duplicates.length === 0 ? (
+                <div className="flex items-center gap-2 rounded-2xl border border-dashed border-slate-300 bg-slate-100/60 px-4 py-3 text-sm text-slate-500 dark:border-slate-700 dark:bg-slate-900/40 dark:text-slate-300">
+                    <Copy className="h-4 w-4" /> No copies of this card found in other sources.
+                </div>
+            ) : (
+                <div className="space-y-3">
+                    {duplicates.map(duplicate => (
+                        <div
+                            key={duplicate.otherId}
+                            className="flex gap-3 rounded-2xl border border-slate-200 bg-white/70 p-3 dark:border-slate-700 dark:bg-slate-900/60"
+                        >
+                            <button
+                                type="button"
+                                onClick={() => onOpenCard(duplicate.card)}
+                                className="relative h-20 w-16 flex-shrink-0 overflow-hidden rounded-xl bg-slate-900"
+                            >
+                                <Image src={duplicate.card.imagePath} alt={duplicate.card.name} fill sizes="64px" className="object-cover object-top" />
+                            </button>
+                            <div className="min-w-0 flex-1 space-y-1">
+                                <button
+                                    type="button"
+                                    onClick={() => onOpenCard(duplicate.card)}
+                                    className="block truncate text-left text-sm font-semibold text-slate-800 hover:underline dark:text-slate-100"
+                                >
+                                    {duplicate.card.name}
+                                </button>
+                                <p className="truncate text-xs text-slate-500 dark:text-slate-400">
+                                    {sourceName(duplicate.card.source)}
+                                    {duplicate.card.author ? ` · ${duplicate.card.author}` : ''}
+                                    {` · ${duplicate.card.tokenCount} tokens`}
+                                </p>
+                                <p className="text-xs text-slate-500 dark:text-slate-400">{describeMatch(duplicate)}</p>
+                                <div className="flex flex-wrap gap-2 pt-1">
+                                    <button
+                                        type="button"
+                                        disabled={busyId !== null}
+                                        onClick={() => handleMerge(card, duplicate.card)}
+                                        className={buttonClass}
+                                    >
+                                        Keep this card
+                                    </button>
+                                    <button
+                                        type="button"
+                                        disabled={busyId !== null}
+                                        onClick={() => handleMerge(duplicate.card, card)}
+                                        className={buttonClass}
+                                    >
+                                        Keep {sourceName(duplicate.card.source)} copy
+                                    </button>
+                                    <button
+                                        type="button"
+                                        disabled={busyId !== null}
+                                        onClick={() => dismiss(duplicate.otherId)}
+                                        className="inline-flex items-center gap-1 rounded-lg px-2.5 py-1 text-xs font-semibold text-slate-500 transition hover:text-slate-700 disabled:opacity-50 dark:text-slate-400 dark:hover:text-slate-200"
+                                    >
+                                        {busyId === duplicate.otherId ? <Loader2 className="h-3 w-3 animate-spin" /> : <X className="h-3 w-3" />}
+                                        Not a duplicate
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {links.length > 0 && (
+                <div className="space-y-2">
+                    <h4 className="text-sm font-semibold text-slate-700 dark:text-slate-200">Also published on</h4>
+                    <ul className="space-y-1 text-sm text-slate-600 dark:text-slate-300">
+                        {links.map(link => (
+                            <li key={`${link.source}:${link.sourceId}`} className="flex items-center gap-2">
+                                <span className="font-medium">{sourceName(link.source)}</span>
+                                {link.sourceUrl ? (
+                                    <a
+                                        href={link.sourceUrl}
+                                        target="_blank"
+                                        rel="noopener noreferrer"
+                                        className="inline-flex min-w-0 items-center gap-1 truncate text-indigo-600 hover:underline dark:text-indigo-300"
+                                    >
+                                        {link.sourceUrl} <ExternalLink className="h-3 w-3 flex-shrink-0" />
+                                    </a>
+                                ) : (
+                                    <span className="truncate text-slate-500 dark:text-slate-400">{link.sourceId}</span>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            <CardAvatarMatches card={card} active={active} onOpenCard={onOpenCard} />
+        </div>
+    );
+};
@@ -6,19 +6,21 @@ import {
   Copy,
   Download,
   Globe,
+  HardDrive,
   Hash,
   Heart,
   Image as ImageIcon,
   Images,
   PenTool,
   PlugZap,
+  Search,
   Send,
   Sparkles,
   Star,
   Smile,
   Trash2,
 } from "lucide-react";
-import type { Card } from "@/lib/types";
+import type { Card, TextMatch } from "@/lib/types";
 
 interface CardItemProps {
   card: Card;
@@ -38,6 +40,32 @@ interface CardItemProps {
   onDelete: (card: Card) => void;
 }
 
+/**
+ * Split a full-text snippet into plain and highlighted segments
+ */
+function renderTextMatch({ text, highlights }: TextMatch) {
+  const segments: React.ReactNode[] = [];
+  let cursor = 0;
+  highlights.forEach(([start, end], position) => {
+    if (start > cursor) {
+      segments.push(text.slice(cursor, start));
+    }
+    segments.push(
+      <mark
+        key={position}
+        className="rounded bg-amber-200/70 px-0.5 text-inherit dark:bg-amber-400/30"
+      >
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  if (cursor < text.length) {
+    segments.push(text.slice(cursor));
+  }
+  return segments;
+}
+
 /**
  * Individual card component displaying character information and actions
  * Handles card image, metadata, tags, and action buttons
@@ -103,15 +131,18 @@ export function CardItem({
               "flex items-center gap-1 rounded-full px-3 py-1 text-xs font-semibold backdrop-blur",
               card.source === "ct" ? "bg-emerald-500/80 text-white" :
               card.source === "risuai" ? "bg-pink-500/80 text-white" :
-              card.source === "wyvern" ? "bg-purple-500/80 text-white" : "bg-slate-900/40 text-white",
+              card.source === "wyvern" ? "bg-purple-500/80 text-white" :
+              card.source === "local" ? "bg-amber-500/80 text-white" : "bg-slate-900/40 text-white",
             )}
           >
             {card.source === "ct" ? <Globe className="h-3 w-3" /> :
              card.source === "risuai" ? <Smile className="h-3 w-3" /> :
-             card.source === "wyvern" ? <Globe className="h-3 w-3" /> : <Archive className="h-3 w-3" />}
+             card.source === "wyvern" ? <Globe className="h-3 w-3" /> :
+             card.source === "local" ? <HardDrive className="h-3 w-3" /> : <Archive className="h-3 w-3" />}
             {card.source === "ct" ? "CT" :
              card.source === "risuai" ? "Risu" :
-             card.source === "wyvern" ? "Wyvern" : "Chub"}
+             card.source === "wyvern" ? "Wyvern" :
+             card.source === "local" ? "Local" : "Chub"}
           </span>
           {card.loadedInSillyTavern && (
             <span
@@ -260,6 +291,17 @@ export function CardItem({
             </p>
           </div>
         )}
+        {card.textMatch?.text && (
+          <div className="rounded-2xl border border-amber-100 bg-amber-50/70 p-3 text-sm text-slate-700 dark:border-amber-500/30 dark:bg-amber-500/10 dark:text-slate-100">
+            <div className="mb-1 flex items-center gap-2 text-[11px] font-semibold uppercase tracking-wide text-amber-600 dark:text-amber-300">
+              <Search className="h-3 w-3" />
+              Text match
+            </div>
+            <p className="line-clamp-3 whitespace-pre-line text-sm text-slate-700 dark:text-slate-100">
+              {renderTextMatch(card.textMatch)}
+            </p>
+          </div>
+        )}
         <div className="mt-auto flex flex-wrap items-center gap-2 text-slate-500 dark:text-slate-400">
           <button
             type="button"
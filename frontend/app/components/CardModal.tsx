@@ -1,6 +1,6 @@
 'use client';
 
-import { Fragment } from 'react';
+import { Fragment, useState } from 'react';
 import { Dialog, Transition } from '@headlessui/react';
 import {
     X,
@@ -24,10 +24,16 @@ import {
     Smile,
     ArrowLeft,
     ArrowRight,
+    FileText,
+    History,
+    Ban,
 } from 'lucide-react';
 import Image from 'next/image';
 import clsx from 'clsx';
 import { CollapsibleSection, NestedSection, MarkdownContent } from './ContentSections';
+import { CardChangesPanel } from './CardChangesPanel';
+import { CardDuplicatesPanel } from './CardDuplicatesPanel';
+import { blockCreator, blockTag } from '@/lib/api';
 import type { Card, CachedAsset } from '@/lib/types';
 
 type MessageStatus = { type: 'success' | 'error'; message: string } | null;
@@ -120,6 +126,8 @@ type CardModalProps = {
     showPrevAsset: () => void;
     showNextAsset: () => void;
     lightboxIndex: number | null;
+    openDuplicateCard: (card: Card) => void;
+    handleDuplicateMerged: (keptCard: Card, trashedId: string) => void;
 };
 
 export const CardModal = ({
@@ -168,14 +176,45 @@ export const CardModal = ({
     showPrevAsset,
     showNextAsset,
     lightboxIndex,
+    openDuplicateCard,
+    handleDuplicateMerged,
 }: CardModalProps) => {
     const activeChubUrl = selectedCard ? getChubUrl(selectedCard) : null;
     const refreshMessage = refreshStatus && selectedCard && refreshStatus.cardId === selectedCard.id ? refreshStatus : null;
+    const [activeTab, setActiveTab] = useState<'details' | 'changes' | 'duplicates'>('details');
+    const [blockTagMode, setBlockTagMode] = useState(false);
+    const [blockMessage, setBlockMessage] = useState<MessageStatus>(null);
+
+    const handleBlockCreator = async (card: Card) => {
+        const source = card.source || 'chub';
+        if (!activeAuthor || !confirm(`Block ${activeAuthor} on ${source}? Future syncs will skip their cards.`)) {
+            return;
+        }
+        try {
+            await blockCreator(source, activeAuthor);
+            setBlockMessage({ type: 'success', message: `Blocked creator ${activeAuthor} on ${source}` });
+        } catch (error) {
+            setBlockMessage({ type: 'error', message: error instanceof Error ? error.message : 'Failed to block creator' });
+        }
+    };
+
+    const handleBlockTag = async (tag: string) => {
+        if (!confirm(`Block the tag "${tag}" on every source? Future syncs will skip cards that carry it.`)) {
+            return;
+        }
+        try {
+            const blocked = await blockTag(tag);
+            setBlockTagMode(false);
+            setBlockMessage({ type: 'success', message: `Blocked tag ${blocked.tag}` });
+        } catch (error) {
+            setBlockMessage({ type: 'error', message: error instanceof Error ? error.message : 'Failed to block tag' });
+        }
+    };
 
     return (
         <>
-            {/* Main card modal */}
-            <Transition.Root show={!!selectedCard} as={Fragment}>
+            {/* Main card modal; the parent keys it on the card, so it mounts already open and needs `appear` */}
+            <Transition.Root show={!!selectedCard} as={Fragment} appear>
                 <Dialog as="div" className="relative z-50" onClose={closeCardDetails}>
                     <Transition.Child
                         as={Fragment}
@@ -302,7 +341,36 @@ export const CardModal = ({
 
                                                 <div className="flex-1 min-h-0 overflow-hidden">
                                                     <div className="h-full overflow-y-auto pr-2">
-                                                        <div className="flex flex-col gap-6">
+                                                        <div className="mb-6 flex gap-2 border-b border-slate-200 dark:border-slate-700">
+                                                            {(['details', 'changes', 'duplicates'] as const).map((tab) => (
+                                                                <button
+                                                                    key={tab}
+                                                                    type="button"
+                                                                    onClick={() => setActiveTab(tab)}
+                                                                    className={clsx(
+                                                                        '-mb-px inline-flex items-center gap-2 border-b-2 px-3 py-2 text-sm font-semibold transition',
+                                                                        activeTab === tab
+                                                                            ? 'border-indigo-600 text-indigo-600 dark:border-indigo-400 dark:text-indigo-300'
+                                                                            : 'border-transparent text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200'
+                                                                    )}
+                                                                >
+                                                                    {tab === 'details' ? <FileText className="h-4 w-4" /> : tab === 'changes' ? <History className="h-4 w-4" /> : <Copy className="h-4 w-4" />}
+                                                                    {tab === 'details' ? 'Details' : tab === 'changes' ? 'Changes' : 'Duplicates'}
+                                                                </button>
+                                                            ))}
+                                                        </div>
+                                                        {activeTab === 'changes' && (
+                                                            <CardChangesPanel cardId={selectedCard.id} active />
+                                                        )}
+                                                        {activeTab === 'duplicates' && (
+                                                            <CardDuplicatesPanel
+                                                                card={selectedCard}
+                                                                active
+                                                                onOpenCard={openDuplicateCard}
+                                                                onMerged={handleDuplicateMerged}
+                                                            />
+                                                        )}
+                                                        <div className={clsx('flex flex-col gap-6', activeTab !== 'details' && 'hidden')}>
                                                             <div className="space-y-3">
                                                                 <Dialog.Title className="text-3xl font-bold text-slate-900 dark:text-slate-100">
                                                                     {selectedCard.name}
@@ -382,22 +450,33 @@ export const CardModal = ({
                                                                                 key={tag}
                                                                                 type="button"
                                                                                 onClick={() => {
+                                                                                    if (blockTagMode) {
+                                                                                        handleBlockTag(tag);
+                                                                                        return;
+                                                                                    }
                                                                                     // handleTagClick already closes modal and navigates
                                                                                     handleTagClick(tag);
                                                                                 }}
                                                                                 className={clsx(
                                                                                     'inline-flex items-center gap-1 rounded-full px-3 py-1 text-xs font-medium transition',
-                                                                                    highlightedTagsSet.has(tag.toLowerCase())
-                                                                                        ? 'bg-indigo-600 text-white shadow-md'
-                                                                                        : 'bg-slate-100 text-slate-600 hover:bg-indigo-50 hover:text-indigo-600 dark:bg-slate-800 dark:text-slate-200 dark:hover:bg-slate-700'
+                                                                                    blockTagMode
+                                                                                        ? 'bg-red-50 text-red-600 hover:bg-red-100 dark:bg-red-500/20 dark:text-red-200 dark:hover:bg-red-500/30'
+                                                                                        : highlightedTagsSet.has(tag.toLowerCase())
+                                                                                            ? 'bg-indigo-600 text-white shadow-md'
+                                                                                            : 'bg-slate-100 text-slate-600 hover:bg-indigo-50 hover:text-indigo-600 dark:bg-slate-800 dark:text-slate-200 dark:hover:bg-slate-700'
                                                                                 )}
                                                                             >
-                                                                                <Tag className="h-3 w-3" />
+                                                                                {blockTagMode ? <Ban className="h-3 w-3" /> : <Tag className="h-3 w-3" />}
                                                                                 {tag}
                                                                             </button>
                                                                         ))}
                                                                     </div>
                                                                 )}
+                                                                {blockTagMode && (
+                                                                    <p className="text-xs text-red-500 dark:text-red-300">
+                                                                        Click a tag to block it.
+                                                                    </p>
+                                                                )}
                                                             </div>
 
                                                             {detailsLoading && (
@@ -429,18 +508,21 @@ export const CardModal = ({
                                                                         <Globe className="h-4 w-4" />
                                                                     </a>
                                                                 )}
-                                                                <button
-                                                                    onClick={() => handleRefreshCard(selectedCard)}
-                                                                    disabled={refreshingCardId === selectedCard.id}
-                                                                    className="flex items-center justify-center gap-2 rounded-2xl border border-slate-200 px-4 py-3 text-sm font-medium text-slate-600 shadow-sm transition hover:border-slate-300 disabled:opacity-60 dark:border-slate-700 dark:text-slate-200"
-                                                                >
-                                                                    {refreshingCardId === selectedCard.id ? (
-                                                                        <Loader2 className="h-4 w-4 animate-spin" />
-                                                                    ) : (
-                                                                        <RefreshCw className="h-4 w-4" />
-                                                                    )}
-                                                                    Update card
-                                                                </button>
+                                                                {/* Uploaded cards have no source to re-download from */}
+                                                                {selectedCard.source !== 'local' && (
+                                                                    <button
+                                                                        onClick={() => handleRefreshCard(selectedCard)}
+                                                                        disabled={refreshingCardId === selectedCard.id}
+                                                                        className="flex items-center justify-center gap-2 rounded-2xl border border-slate-200 px-4 py-3 text-sm font-medium text-slate-600 shadow-sm transition hover:border-slate-300 disabled:opacity-60 dark:border-slate-700 dark:text-slate-200"
+                                                                    >
+                                                                        {refreshingCardId === selectedCard.id ? (
+                                                                            <Loader2 className="h-4 w-4 animate-spin" />
+                                                                        ) : (
+                                                                            <RefreshCw className="h-4 w-4" />
+                                                                        )}
+                                                                        Update card
+                                                                    </button>
+                                                                )}
                                                                 <button
                                                                     onClick={() => handleDownload(selectedCard)}
                                                                     className="flex items-center justify-center gap-2 rounded-2xl bg-slate-900 px-4 py-3 text-sm font-medium text-white shadow-sm transition hover:bg-slate-800 dark:bg-slate-100 dark:text-slate-900"
@@ -477,8 +559,41 @@ export const CardModal = ({
                                                                 >
                                                                     <Copy className="h-4 w-4" /> Copy image URL
                                                                 </button>
+                                                                <button
+                                                                    onClick={() => handleBlockCreator(selectedCard)}
+                                                                    disabled={!activeAuthor}
+                                                                    className="flex items-center justify-center gap-2 rounded-2xl border border-red-200 px-4 py-3 text-sm font-medium text-red-600 shadow-sm transition hover:border-red-300 disabled:cursor-not-allowed disabled:opacity-60 dark:border-red-600/40 dark:text-red-300"
+                                                                >
+                                                                    <Ban className="h-4 w-4" /> Block creator
+                                                                </button>
+                                                                {selectedCard.topics.length > 0 && (
+                                                                    <button
+                                                                        onClick={() => setBlockTagMode((prev) => !prev)}
+                                                                        className={clsx(
+                                                                            'flex items-center justify-center gap-2 rounded-2xl border px-4 py-3 text-sm font-medium shadow-sm transition',
+                                                                            blockTagMode
+                                                                                ? 'border-red-300 bg-red-50 text-red-700 dark:border-red-500/60 dark:bg-red-500/20 dark:text-red-200'
+                                                                                : 'border-red-200 text-red-600 hover:border-red-300 dark:border-red-600/40 dark:text-red-300'
+                                                                        )}
+                                                                    >
+                                                                        <Ban className="h-4 w-4" /> {blockTagMode ? 'Cancel' : 'Block tag'}
+                                                                    </button>
+                                                                )}
                                                             </div>
 
+                                                            {blockMessage && (
+                                                                <p
+                                                                    className={clsx(
+                                                                        'text-sm',
+                                                                        blockMessage.type === 'success'
+                                                                            ? 'text-emerald-500 dark:text-emerald-300'
+                                                                            : 'text-red-500 dark:text-red-400'
+                                                                    )}
+                                                                >
+                                                                    {blockMessage.message}
+                                                                </p>
+                                                            )}
+
                                                             {/* Asset caching section - Hidden for now as manual caching is disabled/automatic
                                                             <div className="flex flex-wrap gap-3">
                                                                 <button
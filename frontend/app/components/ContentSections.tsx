@@ -108,7 +108,7 @@ export const NestedSection = ({
     children,
     defaultOpen = false,
 }: {
-    title: string;
+    title: ReactNode;
     children: ReactNode;
     defaultOpen?: boolean;
 }) => (
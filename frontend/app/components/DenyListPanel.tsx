@@ -0,0 +1,209 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { Loader2, Plus, Trash2 } from 'lucide-react';
+import clsx from 'clsx';
+import {
+    fetchDenyList,
+    blockTag,
+    unblockTag,
+    blockCreator,
+    unblockCreator,
+    type BlockedTag,
+    type BlockedCreator,
+} from '@/lib/api';
+
+type DenyListPanelProps = {
+    active: boolean;
+};
+
+const inputClass =
+    'rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-700 focus:border-indigo-400 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-100';
+const buttonClass =
+    'inline-flex items-center gap-2 rounded-xl border border-slate-200 px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 disabled:opacity-50 dark:border-slate-700 dark:text-slate-300 dark:hover:bg-slate-800';
+const removeClass =
+    'rounded-lg p-1.5 text-slate-400 transition hover:bg-red-50 hover:text-red-600 dark:hover:bg-red-900/30';
+
+// The panel lives inside the settings <form>; keep Enter from submitting the config
+const preventSubmit = (e: React.KeyboardEvent) => {
+    if (e.key === 'Enter') e.preventDefault();
+};
+
+export const DenyListPanel = ({ active }: DenyListPanelProps) => {
+    const [tags, setTags] = useState<BlockedTag[]>([]);
+    const [creators, setCreators] = useState<BlockedCreator[]>([]);
+    const [sources, setSources] = useState<string[]>([]);
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState<{ type: 'success' | 'error'; message: string } | null>(null);
+    const [newTag, setNewTag] = useState('');
+    const [newCreator, setNewCreator] = useState('');
+    const [creatorSource, setCreatorSource] = useState('chub');
+
+    const load = useCallback(async () => {
+        setLoading(true);
+        try {
+            const list = await fetchDenyList();
+            setTags(list.tags);
+            setCreators(list.creators);
+            setSources(list.sources);
+        } catch (error) {
+            setMessage({ type: 'error', message: error instanceof Error ? error.message : 'Failed to load deny-list' });
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (active) {
+            load();
+        }
+    }, [active, load]);
+
+    const run = async (action: () => Promise<string>) => {
+        try {
+            setMessage({ type: 'success', message: await action() });
+            await load();
+        } catch (error) {
+            setMessage({ type: 'error', message: error instanceof Error ? error.message : 'Request failed' });
+        }
+    };
+
+    const handleBlockTag = () => {
+        const tag = newTag.trim();
+        if (!tag) return;
+        run(async () => {
+            const row = await blockTag(tag);
+            setNewTag('');
+            return `Blocked tag "${row.tag}"`;
+        });
+    };
+
+    const handleBlockCreator = () => {
+        const creator = newCreator.trim();
+        if (!creator) return;
+        run(async () => {
+            const row = await blockCreator(creatorSource, creator);
+            setNewCreator('');
+            return `Blocked ${row.source} creator "${row.creator}"`;
+        });
+    };
+
+    return (
+        <div className="space-y-3">
+            <h3 className="text-sm font-semibold uppercase tracking-wide text-slate-500 dark:text-slate-400">
+                Blocked Tags & Creators
+            </h3>
+            <p className="text-xs text-slate-400 dark:text-slate-500">
+                Every sync skips cards carrying a blocked tag (or any of its aliases) and cards by a creator blocked on that source.
+            </p>
+
+            {message && (
+                <p className={clsx('text-sm', message.type === 'error' ? 'text-red-600 dark:text-red-400' : 'text-emerald-600 dark:text-emerald-400')}>
+                    {message.message}
+                </p>
+            )}
+
+            {loading && tags.length === 0 && creators.length === 0 ? (
+                <div className="flex items-center justify-center p-6 text-slate-400">
+                    <Loader2 className="h-5 w-5 animate-spin" />
+                </div>
+            ) : (
+                <div className="grid gap-4 md:grid-cols-2">
+                    <div className="space-y-2">
+                        {tags.length > 0 ? (
+                            <ul className="max-h-60 divide-y divide-slate-100 overflow-y-auto rounded-2xl border border-slate-200 text-sm dark:divide-slate-800 dark:border-slate-700">
+                                {tags.map(entry => (
+                                    <li key={entry.tag} className="flex items-center gap-3 px-3 py-2 text-slate-700 dark:text-slate-200">
+                                        <span className="font-medium">{entry.tag}</span>
+                                        <span className="flex-1 truncate text-slate-500 dark:text-slate-400">{entry.reason || ''}</span>
+                                        <button
+                                            type="button"
+                                            onClick={() => run(async () => {
+                                                await unblockTag(entry.tag);
+                                                return `Unblocked tag "${entry.tag}"`;
+                                            })}
+                                            className={removeClass}
+                                            title="Unblock tag"
+                                        >
+                                            <Trash2 className="h-4 w-4" />
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        ) : (
+                            <p className="text-sm text-slate-400">No blocked tags.</p>
+                        )}
+                        <div className="flex gap-2">
+                            <input
+                                type="text"
+                                value={newTag}
+                                onChange={e => setNewTag(e.target.value)}
+                                onKeyDown={preventSubmit}
+                                placeholder="Tag"
+                                className={clsx(inputClass, 'flex-1')}
+                            />
+                            <button type="button" onClick={handleBlockTag} disabled={!newTag.trim()} className={buttonClass}>
+                                <Plus className="h-4 w-4" />
+                                Block tag
+                            </button>
+                        </div>
+                    </div>
+
+                    <div className="space-y-2">
+                        {creators.length > 0 ? (
+                            <ul className="max-h-60 divide-y divide-slate-100 overflow-y-auto rounded-2xl border border-slate-200 text-sm dark:divide-slate-800 dark:border-slate-700">
+                                {creators.map(entry => (
+                                    <li key={`${entry.source}:${entry.creator}`} className="flex items-center gap-3 px-3 py-2 text-slate-700 dark:text-slate-200">
+                                        <span className="rounded bg-slate-100 px-1.5 py-0.5 text-xs text-slate-500 dark:bg-slate-800 dark:text-slate-400">
+                                            {entry.source}
+                                        </span>
+                                        <span className="font-medium">{entry.creator}</span>
+                                        <span className="flex-1 truncate text-slate-500 dark:text-slate-400">{entry.reason || ''}</span>
+                                        <button
+                                            type="button"
+                                            onClick={() => run(async () => {
+                                                await unblockCreator(entry.source, entry.creator);
+                                                return `Unblocked ${entry.source} creator "${entry.creator}"`;
+                                            })}
+                                            className={removeClass}
+                                            title="Unblock creator"
+                                        >
+                                            <Trash2 className="h-4 w-4" />
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        ) : (
+                            <p className="text-sm text-slate-400">No blocked creators.</p>
+                        )}
+                        <div className="flex gap-2">
+                            <select
+                                value={creatorSource}
+                                onChange={e => setCreatorSource(e.target.value)}
+                                className={inputClass}
+                            >
+                                {sources.map(id => (
+                                    <option key={id} value={id}>
+                                        {id}
+                                    </option>
+                                ))}
+                            </select>
+                            <input
+                                type="text"
+                                value={newCreator}
+                                onChange={e => setNewCreator(e.target.value)}
+                                onKeyDown={preventSubmit}
+                                placeholder="Creator"
+                                className={clsx(inputClass, 'flex-1')}
+                            />
+                            <button type="button" onClick={handleBlockCreator} disabled={!newCreator.trim()} className={buttonClass}>
+                                <Plus className="h-4 w-4" />
+                                Block creator
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
@@ -1,12 +1,16 @@
+import { useCallback, useLayoutEffect, useRef } from "react";
 import { Disclosure } from "@headlessui/react";
 import { BookmarkPlus, ChevronDown, Search, Sparkles, X } from "lucide-react";
 import clsx from "clsx";
 import { TagMultiSelect } from "./TagMultiSelect";
 import type { FiltersState, SavedSearch } from "../types/filters";
+import type { SearchSyntax } from "@/lib/types";
+import { useSyncSources } from "../hooks/useSyncSources";
 
 interface FilterBarProps {
   filters: FiltersState;
   searchInputValue: string;
+  searchSyntax?: SearchSyntax | null;
   advancedFilterInput: string;
   includeTagsSelected: string[];
   excludeTagsSelected: string[];
@@ -27,6 +31,27 @@ interface FilterBarProps {
   onRemoveSavedSearch: (id: string) => void;
 }
 
+type SearchSegment = { text: string; kind: "plain" | "qualifier" | "error" };
+
+// Split the search box text into plain runs and qualifier/error spans reported by the backend
+function buildSearchSegments(input: string, syntax: SearchSyntax): SearchSegment[] {
+  const marks = [
+    ...syntax.qualifiers.map(({ start, end }) => ({ start, end, kind: "qualifier" as const })),
+    ...syntax.errors.map(({ start, end }) => ({ start, end, kind: "error" as const })),
+  ].sort((a, b) => a.start - b.start);
+
+  const segments: SearchSegment[] = [];
+  let cursor = 0;
+  for (const mark of marks) {
+    if (mark.start < cursor || mark.end > input.length) continue;
+    if (mark.start > cursor) segments.push({ text: input.slice(cursor, mark.start), kind: "plain" });
+    segments.push({ text: input.slice(mark.start, mark.end), kind: mark.kind });
+    cursor = mark.end;
+  }
+  if (cursor < input.length) segments.push({ text: input.slice(cursor), kind: "plain" });
+  return segments;
+}
+
 /**
  * Comprehensive filter bar component with search, tags, and advanced filters
  * Handles all filtering UI and delegates state changes to parent
@@ -34,6 +59,7 @@ interface FilterBarProps {
 export function FilterBar({
   filters,
   searchInputValue,
+  searchSyntax,
   advancedFilterInput,
   includeTagsSelected,
   excludeTagsSelected,
@@ -53,6 +79,21 @@ export function FilterBar({
   onApplySavedSearch,
   onRemoveSavedSearch,
 }: FilterBarProps) {
+  const sources = useSyncSources();
+  // Only trust positions that were computed for the text currently in the box
+  const currentSyntax = searchSyntax && searchSyntax.input === searchInputValue ? searchSyntax : null;
+  const searchSegments = currentSyntax ? buildSearchSegments(searchInputValue, currentSyntax) : [];
+  const searchInputRef = useRef<HTMLInputElement>(null);
+  const searchHighlightRef = useRef<HTMLDivElement>(null);
+
+  // The highlight layer can't be scrolled by the user, so it follows the input once the text overflows
+  const syncSearchHighlightScroll = useCallback(() => {
+    if (searchInputRef.current && searchHighlightRef.current) {
+      searchHighlightRef.current.scrollLeft = searchInputRef.current.scrollLeft;
+    }
+  }, []);
+  useLayoutEffect(syncSearchHighlightScroll);
+
   return (
     <>
       <form
@@ -64,14 +105,46 @@ export function FilterBar({
           <div className="relative">
             <Search className="pointer-events-none absolute left-3 top-2.5 h-4 w-4 text-slate-400" />
             <input
+              ref={searchInputRef}
               type="text"
               name="searchTerm"
               value={searchInputValue}
               onChange={event => onSearchInputChange(event.target.value)}
-              placeholder="Name, description, author..."
+              onScroll={syncSearchHighlightScroll}
+              placeholder="Name, description... or author:name tag:fantasy tokens:>2000"
               className="w-full rounded-2xl border border-slate-200 bg-white py-2 pl-9 pr-3 text-sm text-slate-700 shadow-inner focus:border-indigo-400 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-100"
             />
+            {searchSegments.some(segment => segment.kind !== "plain") && (
+              <div
+                ref={searchHighlightRef}
+                aria-hidden="true"
+                className="pointer-events-none absolute inset-0 overflow-hidden whitespace-pre rounded-2xl border border-transparent py-2 pl-9 pr-3 text-sm text-transparent"
+              >
+                {searchSegments.map((segment, index) => (
+                  <span
+                    key={index}
+                    className={clsx(
+                      "rounded",
+                      segment.kind === "qualifier" && "bg-indigo-200/60 dark:bg-indigo-500/30",
+                      segment.kind === "error" && "bg-rose-200/60 underline decoration-rose-500 decoration-wavy dark:bg-rose-500/30"
+                    )}
+                  >
+                    {segment.text}
+                  </span>
+                ))}
+              </div>
+            )}
           </div>
+          {currentSyntax && currentSyntax.errors.length > 0 && (
+            <ul className="space-y-0.5 text-xs font-normal text-rose-600 dark:text-rose-400">
+              {currentSyntax.errors.map((syntaxError, index) => (
+                <li key={index}>
+                  <code className="font-mono">{searchInputValue.slice(syntaxError.start, syntaxError.end) || "…"}</code>
+                  {" "}(col {syntaxError.start + 1}): {syntaxError.message}
+                </li>
+              ))}
+            </ul>
+          )}
         </label>
 
         <div className="rounded-3xl border border-slate-200 bg-slate-50/70 p-4 text-sm text-slate-700 shadow-inner dark:border-slate-800 dark:bg-slate-900/40 dark:text-slate-200">
@@ -116,6 +189,7 @@ export function FilterBar({
                         <li>Use quotes for exact phrases: <code className="rounded bg-white px-1.5 py-0.5 font-mono text-[11px] text-indigo-800 shadow-sm dark:bg-slate-900 dark:text-indigo-200">&quot;space opera&quot;</code></li>
                         <li>Boolean operators: <code className="rounded bg-white px-1.5 py-0.5 font-mono text-[11px] text-indigo-800 shadow-sm dark:bg-slate-900 dark:text-indigo-200">android OR cyborg</code>, <code className="rounded bg-white px-1.5 py-0.5 font-mono text-[11px] text-indigo-800 shadow-sm dark:bg-slate-900 dark:text-indigo-200">fantasy NOT elves</code></li>
                         <li>Parentheses for grouping: <code className="rounded bg-white px-1.5 py-0.5 font-mono text-[11px] text-indigo-800 shadow-sm dark:bg-slate-900 dark:text-indigo-200">(vampire OR werewolf) &quot;modern city&quot;</code></li>
+                        <li>Qualifiers: <code className="rounded bg-white px-1.5 py-0.5 font-mono text-[11px] text-indigo-800 shadow-sm dark:bg-slate-900 dark:text-indigo-200">author:name</code>, <code className="rounded bg-white px-1.5 py-0.5 font-mono text-[11px] text-indigo-800 shadow-sm dark:bg-slate-900 dark:text-indigo-200">tag:fantasy</code>, <code className="rounded bg-white px-1.5 py-0.5 font-mono text-[11px] text-indigo-800 shadow-sm dark:bg-slate-900 dark:text-indigo-200">-tag:nsfw</code>, <code className="rounded bg-white px-1.5 py-0.5 font-mono text-[11px] text-indigo-800 shadow-sm dark:bg-slate-900 dark:text-indigo-200">tokens:&gt;2000</code> (or <code className="rounded bg-white px-1.5 py-0.5 font-mono text-[11px] text-indigo-800 shadow-sm dark:bg-slate-900 dark:text-indigo-200">1000..4000</code>), <code className="rounded bg-white px-1.5 py-0.5 font-mono text-[11px] text-indigo-800 shadow-sm dark:bg-slate-900 dark:text-indigo-200">source:risuai</code>, <code className="rounded bg-white px-1.5 py-0.5 font-mono text-[11px] text-indigo-800 shadow-sm dark:bg-slate-900 dark:text-indigo-200">has:lorebook</code>, <code className="rounded bg-white px-1.5 py-0.5 font-mono text-[11px] text-indigo-800 shadow-sm dark:bg-slate-900 dark:text-indigo-200">lang:ja</code></li>
                       </ul>
                     </div>
 
@@ -226,6 +300,7 @@ export function FilterBar({
               onChange={e => onFilterChange({ sort: e.target.value })}
               className="rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-700 focus:border-indigo-400 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-100"
             >
+              <option value="relevance">Best match</option>
               <option value="recently_added">Recently added to collection</option>
               <option value="new">Recently updated</option>
               <option value="old">Oldest updated</option>
@@ -265,10 +340,10 @@ export function FilterBar({
               className="rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-700 focus:border-indigo-400 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-100"
             >
               <option value="all">All</option>
-              <option value="chub">Chub</option>
-              <option value="ct">Character Tavern</option>
-              <option value="risuai">RisuAI</option>
-              <option value="wyvern">Wyvern</option>
+              {sources.map(({ source, displayName }) => (
+                <option key={source} value={source}>{displayName}</option>
+              ))}
+              <option value="local">Local uploads</option>
             </select>
           </label>
           <label className="flex flex-col gap-1 text-xs font-semibold uppercase tracking-wide text-slate-400 dark:text-slate-500">
@@ -363,6 +438,16 @@ export function FilterBar({
                     />
                     Loaded in SillyTavern
                   </label>
+                  <label className="flex items-center gap-3 rounded-2xl border border-slate-200 bg-white px-4 py-3 text-sm font-medium text-slate-600 shadow-inner transition hover:border-indigo-300 dark:border-slate-800 dark:bg-slate-800/60 dark:text-slate-200">
+                    <input
+                      type="checkbox"
+                      name="hideDuplicates"
+                      checked={filters.hideDuplicates}
+                      onChange={e => onFilterChange({ hideDuplicates: e.target.checked })}
+                      className="h-4 w-4 rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+                    />
+                    Hide Cross-Source Duplicates
+                  </label>
                   <label
                     className={clsx(
                       "flex items-center gap-3 rounded-2xl border px-4 py-3 text-sm font-medium shadow-inner transition",
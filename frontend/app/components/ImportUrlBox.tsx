@@ -0,0 +1,74 @@
+import { useState, type FormEvent } from "react";
+import { Link2, Loader2 } from "lucide-react";
+import clsx from "clsx";
+import { importCardFromUrl } from "@/lib/api";
+import type { Card } from "@/lib/types";
+
+interface ImportUrlBoxProps {
+  onImported: (card: Card, created: boolean) => void;
+}
+
+export function ImportUrlBox({ onImported }: ImportUrlBoxProps) {
+  const [url, setUrl] = useState("");
+  const [importing, setImporting] = useState(false);
+  const [status, setStatus] = useState<{ type: "success" | "error"; message: string } | null>(null);
+
+  const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    const trimmed = url.trim();
+    if (!trimmed || importing) return;
+
+    setImporting(true);
+    setStatus(null);
+    try {
+      const result = await importCardFromUrl(trimmed);
+      setUrl("");
+      setStatus({
+        type: "success",
+        message: result.created ? `Archived ${result.card.name}` : `${result.card.name} is already archived`,
+      });
+      onImported(result.card, result.created);
+    } catch (err) {
+      setStatus({ type: "error", message: err instanceof Error ? err.message : "Import failed" });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex w-full max-w-xl flex-col gap-1">
+      <div className="flex items-center gap-2">
+        <div className="relative flex-1">
+          <Link2 className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-slate-400" />
+          <input
+            type="url"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="Paste a Chub, Character Tavern, RisuAI or Wyvern link"
+            disabled={importing}
+            className="w-full rounded-full border border-slate-200 bg-white py-2 pl-9 pr-3 text-sm text-slate-700 shadow-sm focus:border-indigo-400 focus:outline-none focus:ring-2 focus:ring-indigo-200 disabled:opacity-60 dark:border-slate-700 dark:bg-slate-900 dark:text-slate-200 dark:focus:ring-indigo-500/40"
+            aria-label="Card link to archive"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={importing || !url.trim()}
+          className="inline-flex items-center gap-2 rounded-full bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-indigo-500 disabled:cursor-not-allowed disabled:opacity-50"
+        >
+          {importing && <Loader2 className="h-4 w-4 animate-spin" />}
+          Archive
+        </button>
+      </div>
+      {status && (
+        <p
+          className={clsx(
+            "px-3 text-xs",
+            status.type === "success" ? "text-emerald-600 dark:text-emerald-300" : "text-red-600 dark:text-red-300",
+          )}
+        >
+          {status.message}
+        </p>
+      )}
+    </form>
+  );
+}
@@ -7,6 +7,7 @@ import {
   Network,
   RefreshCw,
   Settings,
+  ShieldAlert,
   Sun,
 } from "lucide-react";
 import Link from "next/link";
@@ -114,6 +115,14 @@ export function PaginationHeader({
           >
             <BarChart3 className="h-4 w-4" />
           </Link>
+          <Link
+            href="/moderation"
+            className="flex h-10 w-10 items-center justify-center rounded-full border border-slate-200 bg-white text-slate-600 shadow-sm transition hover:border-slate-300 dark:border-slate-700 dark:bg-slate-900 dark:text-slate-100"
+            aria-label="Moderation"
+            title="Moderation rules"
+          >
+            <ShieldAlert className="h-4 w-4" />
+          </Link>
           <button
             type="button"
             onClick={onOpenSettings}
@@ -2,9 +2,13 @@
 
 import { Fragment, type RefObject, useState } from 'react';
 import { Dialog, Transition } from '@headlessui/react';
-import { X, Loader2, Save, Download, Settings, RefreshCw, Database, Search, User, Globe, FileJson } from 'lucide-react';
+import { X, Loader2, Save, Download, Settings, RefreshCw, Database, Search, User, Globe, FileJson, Ban } from 'lucide-react';
 import clsx from 'clsx';
 import type { Config } from '@/lib/types';
+import { BlocklistPanel } from './BlocklistPanel';
+import { DenyListPanel } from './DenyListPanel';
+import { SyncCheckpointsPanel } from './SyncCheckpointsPanel';
+import { SyncHistoryPanel } from './SyncHistoryPanel';
 
 type MessageStatus = { type: 'success' | 'error'; message: string } | null;
 
@@ -20,7 +24,6 @@ type SettingsModalProps = {
     handleFetchChubFollows: () => void;
     isFetchingChubFollows: boolean;
     chubFollowStatus: MessageStatus;
-    blockedCreatorsTextareaRef: RefObject<HTMLTextAreaElement | null>;
     handleFetchChubBlocked: () => void;
     isFetchingChubBlocked: boolean;
     chubBlockedStatus: MessageStatus;
@@ -39,7 +42,6 @@ type SettingsModalProps = {
         hitsPerPage: number;
         minTokens: number;
         maxTokens: number;
-        bannedTags: string[];
         excludedWarnings: string[];
         bearerToken: string;
         cfClearance: string;
@@ -69,7 +71,7 @@ type SettingsModalProps = {
     };
 };
 
-type TabId = 'sync-control' | 'general' | 'silly' | 'ct' | 'chub' | 'vector' | 'risuai' | 'wyvern';
+type TabId = 'sync-control' | 'general' | 'silly' | 'ct' | 'chub' | 'vector' | 'risuai' | 'wyvern' | 'blocklist';
 
 export const SettingsModal = ({
     showSettings,
@@ -83,7 +85,6 @@ export const SettingsModal = ({
     handleFetchChubFollows,
     isFetchingChubFollows,
     chubFollowStatus,
-    blockedCreatorsTextareaRef,
     handleFetchChubBlocked,
     isFetchingChubBlocked,
     chubBlockedStatus,
@@ -103,6 +104,7 @@ export const SettingsModal = ({
         { id: 'risuai', label: 'RisuAI', icon: <FileJson className="h-4 w-4" /> },
         { id: 'wyvern', label: 'Wyvern', icon: <Globe className="h-4 w-4" /> },
         { id: 'vector', label: 'Vector Search', icon: <Search className="h-4 w-4" /> },
+        { id: 'blocklist', label: 'Blocklist', icon: <Ban className="h-4 w-4" /> },
     ];
 
     return (
@@ -270,6 +272,10 @@ export const SettingsModal = ({
                                     <div className="prose prose-sm text-slate-500 dark:text-slate-400">
                                         <p>Enable or disable the main integration modules here. Configure their specific settings in the respective tabs.</p>
                                     </div>
+
+                                    <SyncCheckpointsPanel active={showSettings && activeTab === 'sync-control'} />
+
+                                    <SyncHistoryPanel active={showSettings && activeTab === 'sync-control'} />
                                 </div>
 
                                 {/* Tab: General */}
@@ -474,20 +480,6 @@ export const SettingsModal = ({
                                             </label>
                                         </div>
                                         <div className="grid gap-3 md:grid-cols-2">
-                                            <label className="flex flex-col gap-2 text-sm">
-                                                <span className="font-medium text-slate-700 dark:text-slate-300">Banned tags</span>
-                                                <textarea
-                                                    name="ct_bannedTags"
-                                                    rows={2}
-                                                    defaultValue={(config?.ctSync?.bannedTags || defaultCtSyncState.bannedTags).join(
-                                                        ', ',
-                                                    )}
-                                                    className="rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-700 focus:border-emerald-400 focus:outline-none focus:ring-2 focus:ring-emerald-200 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-100"
-                                                />
-                                                <span className="text-xs text-slate-400 dark:text-slate-500">
-                                                    Cards containing any of these tags will be skipped.
-                                                </span>
-                                            </label>
                                             <label className="flex flex-col gap-2 text-sm">
                                                 <span className="font-medium text-slate-700 dark:text-slate-300">Excluded warnings</span>
                                                 <textarea
@@ -607,7 +599,7 @@ export const SettingsModal = ({
                                                     ) : (
                                                         <Download className="h-4 w-4" />
                                                     )}
-                                                    {isFetchingChubBlocked ? 'Fetching...' : 'Load Blocked Users'}
+                                                    {isFetchingChubBlocked ? 'Importing...' : 'Import Blocked Users'}
                                                 </button>
                                                 {chubBlockedStatus && (
                                                     <span
@@ -622,21 +614,10 @@ export const SettingsModal = ({
                                                     </span>
                                                 )}
                                             </div>
-                                        </div>
-
-                                        <label className="flex flex-col gap-2 text-sm">
-                                            <span className="font-medium text-slate-700 dark:text-slate-300">
-                                                Blocked Creators (comma-separated)
+                                            <span className="text-xs text-slate-400 dark:text-slate-500">
+                                                Adds the users blocked on your Chub account to the deny-list; manage it in the Blocklist tab.
                                             </span>
-                                            <textarea
-                                                ref={blockedCreatorsTextareaRef}
-                                                name="blockedCreators"
-                                                defaultValue={config?.blockedCreators?.join(', ') || ''}
-                                                rows={3}
-                                                placeholder="Cards from these creators will be skipped during sync"
-                                                className="rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-700 focus:border-indigo-400 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-100"
-                                            />
-                                        </label>
+                                        </div>
 
                                         <h3 className="text-sm font-semibold uppercase tracking-wide text-slate-500 dark:text-slate-400 mt-6">
                                             Chub Scraper & Sync Settings
@@ -1001,6 +982,14 @@ export const SettingsModal = ({
                                         </details>
                                     </div>
                                 </div>
+
+                                {/* Tab: Blocklist */}
+                                <div className={clsx(activeTab !== 'blocklist' && 'hidden')}>
+                                    <BlocklistPanel active={showSettings && activeTab === 'blocklist'} />
+                                    <div className="mt-6">
+                                        <DenyListPanel active={showSettings && activeTab === 'blocklist'} />
+                                    </div>
+                                </div>
                             </form>
 
                             <div className="flex shrink-0 flex-col gap-3 border-t border-slate-200 px-6 py-4 dark:border-slate-800">
@@ -0,0 +1,266 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { CalendarClock, History, Loader2, Play, Rewind, Trash2 } from 'lucide-react';
+import clsx from 'clsx';
+import {
+    fetchSyncCheckpoints,
+    fetchSyncSchedules,
+    clearSyncCheckpoint,
+    startSyncRun,
+    watchJob,
+    type SyncCheckpoint,
+    type SyncMode,
+    type SyncSchedule,
+} from '@/lib/api';
+import { useSyncSources } from '../hooks/useSyncSources';
+
+type SyncCheckpointsPanelProps = {
+    active: boolean;
+};
+
+const STATUS_STYLES: Record<string, string> = {
+    running: 'bg-indigo-100 text-indigo-700 dark:bg-indigo-900/40 dark:text-indigo-300',
+    completed: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-300',
+    incomplete: 'bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300',
+    cancelled: 'bg-slate-200 text-slate-600 dark:bg-slate-800 dark:text-slate-300',
+    failed: 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300',
+};
+
+const inputClass =
+    'w-20 rounded-xl border border-slate-200 bg-white px-3 py-2 text-sm text-slate-700 focus:border-indigo-400 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-100';
+const buttonClass =
+    'inline-flex items-center gap-2 rounded-xl border border-slate-200 px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 disabled:opacity-50 dark:border-slate-700 dark:text-slate-300 dark:hover:bg-slate-800';
+
+// The panel lives inside the settings <form>; keep Enter from submitting the config
+const preventSubmit = (e: React.KeyboardEvent) => {
+    if (e.key === 'Enter') e.preventDefault();
+};
+
+const statusLabel = (checkpoint: SyncCheckpoint) =>
+    checkpoint.interrupted ? 'interrupted' : checkpoint.status;
+
+const scheduleLabel = (schedule?: SyncSchedule) => {
+    if (!schedule?.enabled) return 'Not scheduled';
+    if (schedule.error) return `Schedule error: ${schedule.error}`;
+    const every = schedule.cron ? `cron ${schedule.cron}` : `every ${schedule.intervalMinutes} min`;
+    const next = schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : 'never';
+    const last = schedule.lastRun
+        ? ` • last ${schedule.lastRun.status}${schedule.lastRun.reason ? ` (${schedule.lastRun.reason})` : ''}`
+        : '';
+    return `${every} • next run ${next}${last}`;
+};
+
+export const SyncCheckpointsPanel = ({ active }: SyncCheckpointsPanelProps) => {
+    const sources = useSyncSources();
+    const [checkpoints, setCheckpoints] = useState<SyncCheckpoint[]>([]);
+    const [schedules, setSchedules] = useState<SyncSchedule[]>([]);
+    const [loading, setLoading] = useState(false);
+    const [ranges, setRanges] = useState<Record<string, { from: string; to: string }>>({});
+    const [running, setRunning] = useState<Record<string, string>>({});
+    const [message, setMessage] = useState<{ type: 'success' | 'error'; message: string } | null>(null);
+
+    const load = useCallback(async () => {
+        setLoading(true);
+        try {
+            const [checkpointList, scheduleList] = await Promise.all([fetchSyncCheckpoints(), fetchSyncSchedules()]);
+            setCheckpoints(checkpointList);
+            setSchedules(scheduleList);
+        } catch (error) {
+            setMessage({ type: 'error', message: error instanceof Error ? error.message : 'Failed to load checkpoints' });
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (active) {
+            load();
+        }
+    }, [active, load]);
+
+    const launch = async (source: string, mode: SyncMode, fromPage?: number, toPage?: number) => {
+        setMessage(null);
+        try {
+            const job = await startSyncRun(source, { mode, fromPage, toPage });
+            setRunning(prev => ({ ...prev, [source]: 'Queued' }));
+            await load();
+            const finished = await watchJob(job.id, event => {
+                if (event.type === 'progress') {
+                    const { page, progress, currentCard } = event.progress;
+                    setRunning(prev => ({
+                        ...prev,
+                        [source]: `${progress ?? 0}%${page ? ` • page ${page}` : ''}${currentCard ? ` • ${currentCard}` : ''}`,
+                    }));
+                }
+            });
+            setMessage(finished?.status === 'succeeded'
+                ? { type: 'success', message: `${source} ${mode} finished. New cards: ${finished.result?.newCards ?? 0}` }
+                : { type: 'error', message: finished?.error || `${source} ${mode} ${finished?.status ?? 'stopped'}` });
+        } catch (error) {
+            setMessage({ type: 'error', message: error instanceof Error ? error.message : 'Failed to start sync' });
+        } finally {
+            setRunning(prev => {
+                const next = { ...prev };
+                delete next[source];
+                return next;
+            });
+            await load();
+        }
+    };
+
+    const handleBackfill = (source: string) => {
+        const range = ranges[source];
+        const fromPage = Number(range?.from);
+        const toPage = Number(range?.to);
+        if (!Number.isInteger(fromPage) || !Number.isInteger(toPage) || fromPage < 1 || toPage < fromPage) {
+            setMessage({ type: 'error', message: 'Enter a page range like 40 to 60' });
+            return;
+        }
+        launch(source, 'backfill', fromPage, toPage);
+    };
+
+    const handleClear = async (source: string) => {
+        try {
+            await clearSyncCheckpoint(source);
+            await load();
+        } catch (error) {
+            setMessage({ type: 'error', message: error instanceof Error ? error.message : 'Failed to clear checkpoint' });
+        }
+    };
+
+    const setRange = (source: string, key: 'from' | 'to', value: string) => {
+        setRanges(prev => ({
+            ...prev,
+            [source]: { from: prev[source]?.from ?? '', to: prev[source]?.to ?? '', [key]: value },
+        }));
+    };
+
+    return (
+        <div className="rounded-2xl border border-slate-200 bg-slate-50/50 p-6 dark:border-slate-800 dark:bg-slate-900/50">
+            <div className="mb-4 flex items-center justify-between">
+                <h3 className="flex items-center gap-2 text-base font-semibold text-slate-900 dark:text-slate-100">
+                    <History className="h-4 w-4" />
+                    Sync Checkpoints
+                </h3>
+                {loading && <Loader2 className="h-4 w-4 animate-spin text-slate-400" />}
+            </div>
+            <p className="mb-4 text-xs text-slate-400 dark:text-slate-500">
+                Every sync saves the last finished page. Resume picks up an interrupted or cancelled sync where it stopped; backfill walks an explicit page range.
+            </p>
+
+            {message && (
+                <p className={clsx('mb-4 text-sm', message.type === 'success' ? 'text-emerald-600 dark:text-emerald-400' : 'text-red-600 dark:text-red-400')}>
+                    {message.message}
+                </p>
+            )}
+
+            <div className="space-y-3">
+                {sources.map(({ source: id, displayName: label, capabilities }) => {
+                    const checkpoint = checkpoints.find(entry => entry.source === id);
+                    const schedule = schedules.find(entry => entry.source === id);
+                    const busy = !!running[id] || !!checkpoint?.inProgress;
+                    return (
+                        <div
+                            key={id}
+                            className="rounded-xl border border-slate-200 bg-white px-4 py-3 shadow-sm dark:border-slate-700 dark:bg-slate-800"
+                        >
+                            <div className="flex flex-wrap items-center gap-2">
+                                <span className="font-medium text-slate-700 dark:text-slate-200">{label}</span>
+                                {checkpoint ? (
+                                    <span className={clsx('rounded-full px-2 py-0.5 text-xs font-medium', STATUS_STYLES[checkpoint.interrupted ? 'incomplete' : checkpoint.status])}>
+                                        {statusLabel(checkpoint)}
+                                    </span>
+                                ) : (
+                                    <span className="text-xs text-slate-400">No checkpoint yet</span>
+                                )}
+                                {checkpoint && (
+                                    <span className="text-xs text-slate-500 dark:text-slate-400">
+                                        {checkpoint.mode} • pages {checkpoint.startPage}–{checkpoint.endPage}
+                                        {checkpoint.page ? ` • last page ${checkpoint.page}` : ''}
+                                        {checkpoint.segment && checkpoint.segment !== 'list' ? ` (${checkpoint.segment})` : ''}
+                                    </span>
+                                )}
+                            </div>
+
+                            {checkpoint && (
+                                <p className="mt-1 text-xs text-slate-400 dark:text-slate-500">
+                                    {checkpoint.lastSeenId ? `Last card ${checkpoint.lastSeenId}` : 'No cards yet'}
+                                    {checkpoint.lastSeenAt ? ` (${checkpoint.lastSeenAt})` : ''}
+                                    {` • updated ${new Date(checkpoint.updatedAt.replace(' ', 'T') + 'Z').toLocaleString()}`}
+                                    {checkpoint.error ? ` • ${checkpoint.error}` : ''}
+                                </p>
+                            )}
+
+                            <p
+                                className={clsx(
+                                    'mt-1 flex items-center gap-1 text-xs',
+                                    schedule?.error ? 'text-red-600 dark:text-red-400' : 'text-slate-400 dark:text-slate-500'
+                                )}
+                            >
+                                <CalendarClock className="h-3 w-3" />
+                                {scheduleLabel(schedule)}
+                            </p>
+
+                            {running[id] && (
+                                <p className="mt-1 truncate text-xs text-indigo-500 dark:text-indigo-300">{running[id]}</p>
+                            )}
+
+                            <div className="mt-3 flex flex-wrap items-center gap-2">
+                                <button
+                                    type="button"
+                                    onClick={() => launch(id, 'resume')}
+                                    disabled={busy || !capabilities.resume || !checkpoint?.resumable}
+                                    className={buttonClass}
+                                >
+                                    <Play className="h-4 w-4" />
+                                    Resume
+                                </button>
+                                <span className="ml-2 text-xs text-slate-500 dark:text-slate-400">Backfill pages</span>
+                                <input
+                                    type="number"
+                                    min={1}
+                                    value={ranges[id]?.from ?? ''}
+                                    onChange={e => setRange(id, 'from', e.target.value)}
+                                    onKeyDown={preventSubmit}
+                                    placeholder="N"
+                                    className={inputClass}
+                                />
+                                <span className="text-xs text-slate-400">to</span>
+                                <input
+                                    type="number"
+                                    min={1}
+                                    value={ranges[id]?.to ?? ''}
+                                    onChange={e => setRange(id, 'to', e.target.value)}
+                                    onKeyDown={preventSubmit}
+                                    placeholder="M"
+                                    className={inputClass}
+                                />
+                                <button
+                                    type="button"
+                                    onClick={() => handleBackfill(id)}
+                                    disabled={busy || !capabilities.resume}
+                                    className={buttonClass}
+                                >
+                                    <Rewind className="h-4 w-4" />
+                                    Backfill
+                                </button>
+                                {checkpoint && (
+                                    <button
+                                        type="button"
+                                        onClick={() => handleClear(id)}
+                                        disabled={busy}
+                                        className={clsx(buttonClass, 'ml-auto')}
+                                        title="Forget this checkpoint"
+                                    >
+                                        <Trash2 className="h-4 w-4" />
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
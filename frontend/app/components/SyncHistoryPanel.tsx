@@ -0,0 +1,201 @@
+'use client';
+
+import { Fragment, useCallback, useEffect, useState } from 'react';
+import { ChevronDown, ChevronRight, ListChecks, Loader2, RefreshCw } from 'lucide-react';
+import clsx from 'clsx';
+import { fetchSyncHistory, fetchSyncRun, type SyncRun } from '@/lib/api';
+import { useSyncSources } from '../hooks/useSyncSources';
+
+type SyncHistoryPanelProps = {
+    active: boolean;
+};
+
+const PAGE_SIZE = 20;
+
+const STATUS_STYLES: Record<SyncRun['status'], string> = {
+    running: 'text-indigo-600 dark:text-indigo-400',
+    completed: 'text-emerald-600 dark:text-emerald-400',
+    cancelled: 'text-slate-500 dark:text-slate-400',
+    failed: 'text-red-600 dark:text-red-400',
+    interrupted: 'text-amber-600 dark:text-amber-400',
+};
+
+const buttonClass =
+    'inline-flex items-center gap-2 rounded-xl border border-slate-200 px-3 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-100 disabled:opacity-50 dark:border-slate-700 dark:text-slate-300 dark:hover:bg-slate-800';
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+const parseTimestamp = (value: string) => new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+
+const formatDuration = (run: SyncRun) => {
+    if (!run.finishedAt) return '—';
+    const seconds = Math.round((parseTimestamp(run.finishedAt).getTime() - parseTimestamp(run.startedAt).getTime()) / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+export const SyncHistoryPanel = ({ active }: SyncHistoryPanelProps) => {
+    const sources = useSyncSources();
+    const [source, setSource] = useState('');
+    const [page, setPage] = useState(1);
+    const [runs, setRuns] = useState<SyncRun[]>([]);
+    const [total, setTotal] = useState(0);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [expanded, setExpanded] = useState<SyncRun | null>(null);
+
+    const load = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const data = await fetchSyncHistory({ source, page, limit: PAGE_SIZE });
+            setRuns(data.items);
+            setTotal(data.total);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to load sync history');
+        } finally {
+            setLoading(false);
+        }
+    }, [source, page]);
+
+    useEffect(() => {
+        if (active) {
+            load();
+        }
+    }, [active, load]);
+
+    const toggleRun = async (run: SyncRun) => {
+        if (expanded?.id === run.id) {
+            setExpanded(null);
+            return;
+        }
+        try {
+            setExpanded(await fetchSyncRun(run.id));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to load sync run');
+        }
+    };
+
+    const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+    return (
+        <div className="rounded-2xl border border-slate-200 bg-slate-50/50 p-6 dark:border-slate-800 dark:bg-slate-900/50">
+            <div className="mb-4 flex flex-wrap items-center gap-2">
+                <h3 className="mr-auto flex items-center gap-2 text-base font-semibold text-slate-900 dark:text-slate-100">
+                    <ListChecks className="h-4 w-4" />
+                    Sync History
+                </h3>
+                {['', ...sources.map(entry => entry.source)].map(id => (
+                    <button
+                        key={id || 'all'}
+                        type="button"
+                        onClick={() => {
+                            setSource(id);
+                            setPage(1);
+                            setExpanded(null);
+                        }}
+                        className={clsx(
+                            'rounded-lg px-3 py-1.5 text-sm font-medium transition-colors',
+                            source === id
+                                ? 'bg-indigo-600 text-white'
+                                : 'bg-slate-100 text-slate-600 hover:bg-slate-200 dark:bg-slate-800 dark:text-slate-300 dark:hover:bg-slate-700'
+                        )}
+                    >
+                        {id || 'all'}
+                    </button>
+                ))}
+                <button type="button" onClick={load} disabled={loading} className={buttonClass} title="Refresh">
+                    {loading ? <Loader2 className="h-4 w-4 animate-spin" /> : <RefreshCw className="h-4 w-4" />}
+                </button>
+            </div>
+
+            {error && <p className="mb-3 text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-left text-xs">
+                    <thead className="text-slate-500 dark:text-slate-400">
+                        <tr>
+                            <th className="py-2 pr-2" />
+                            <th className="py-2 pr-3">Started</th>
+                            <th className="py-2 pr-3">Source</th>
+                            <th className="py-2 pr-3">Trigger</th>
+                            <th className="py-2 pr-3">Mode</th>
+                            <th className="py-2 pr-3">Status</th>
+                            <th className="py-2 pr-3">Duration</th>
+                            <th className="py-2 pr-3 text-right">Pages</th>
+                            <th className="py-2 pr-3 text-right">New</th>
+                            <th className="py-2 pr-3 text-right">Updated</th>
+                            <th className="py-2 pr-3 text-right">Skipped</th>
+                            <th className="py-2 pr-3 text-right">Blacklisted</th>
+                            <th className="py-2 text-right">Failed</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-200 text-slate-700 dark:divide-slate-800 dark:text-slate-200">
+                        {runs.length === 0 && !loading && (
+                            <tr>
+                                <td colSpan={13} className="py-4 text-center text-slate-400">No sync runs recorded yet</td>
+                            </tr>
+                        )}
+                        {runs.map(run => (
+                            <Fragment key={run.id}>
+                                <tr
+                                    onClick={() => toggleRun(run)}
+                                    className="cursor-pointer hover:bg-slate-100 dark:hover:bg-slate-800/60"
+                                >
+                                    <td className="py-2 pr-2 text-slate-400">
+                                        {expanded?.id === run.id ? <ChevronDown className="h-3 w-3" /> : <ChevronRight className="h-3 w-3" />}
+                                    </td>
+                                    <td className="py-2 pr-3 whitespace-nowrap">{parseTimestamp(run.startedAt).toLocaleString()}</td>
+                                    <td className="py-2 pr-3">{run.source}</td>
+                                    <td className="py-2 pr-3">{run.trigger}</td>
+                                    <td className="py-2 pr-3">{run.mode}</td>
+                                    <td className={clsx('py-2 pr-3 font-medium', STATUS_STYLES[run.status])}>{run.status}</td>
+                                    <td className="py-2 pr-3">{formatDuration(run)}</td>
+                                    <td className="py-2 pr-3 text-right">{run.pagesScanned}</td>
+                                    <td className="py-2 pr-3 text-right">{run.newCards}</td>
+                                    <td className="py-2 pr-3 text-right">{run.updatedCards}</td>
+                                    <td className="py-2 pr-3 text-right">{run.skippedCards}</td>
+                                    <td className="py-2 pr-3 text-right">{run.blacklistedCards}</td>
+                                    <td className={clsx('py-2 text-right', run.failedCards > 0 && 'text-red-600 dark:text-red-400')}>{run.failedCards}</td>
+                                </tr>
+                                {expanded?.id === run.id && (
+                                    <tr>
+                                        <td />
+                                        <td colSpan={12} className="pb-3 text-slate-500 dark:text-slate-400">
+                                            {expanded.jobId && <p>Job #{expanded.jobId}</p>}
+                                            {expanded.error && <p className="text-red-600 dark:text-red-400">{expanded.error}</p>}
+                                            {expanded.errors && expanded.errors.length > 0 ? (
+                                                <ul className="mt-1 space-y-1">
+                                                    {expanded.errors.map((sample, index) => (
+                                                        <li key={index} className="font-mono">
+                                                            {sample.page ? `p${sample.page} ` : ''}
+                                                            {sample.sourceId ? `${sample.sourceId}: ` : ''}
+                                                            {sample.error}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            ) : (
+                                                <p>No errors recorded</p>
+                                            )}
+                                        </td>
+                                    </tr>
+                                )}
+                            </Fragment>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {totalPages > 1 && (
+                <div className="mt-3 flex items-center justify-end gap-2 text-xs text-slate-500">
+                    <button type="button" onClick={() => setPage(p => Math.max(1, p - 1))} disabled={page <= 1} className={buttonClass}>
+                        Prev
+                    </button>
+                    <span>Page {page} of {totalPages}</span>
+                    <button type="button" onClick={() => setPage(p => Math.min(totalPages, p + 1))} disabled={page >= totalPages} className={buttonClass}>
+                        Next
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
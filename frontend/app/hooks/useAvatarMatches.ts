@@ -0,0 +1,84 @@
+import { useState, useCallback, useEffect } from 'react';
+import { fetchSimilarAvatars, fetchAvatarChanges, markAvatarAsPlaceholder } from '@/lib/api';
+import type { AvatarChange, SimilarAvatarsResponse } from '@/lib/types';
+
+interface UseAvatarMatchesResult {
+  similar: SimilarAvatarsResponse | null;
+  changes: AvatarChange[];
+  loading: boolean;
+  marking: boolean;
+  error: string | null;
+  message: string | null;
+  markPlaceholder: (label?: string) => Promise<void>;
+  reload: () => Promise<void>;
+}
+
+/**
+ * Cards sharing this card's avatar (by perceptual hash) and the avatar swaps seen on re-download.
+ * Loads only while `enabled`.
+ */
+export function useAvatarMatches(cardId: string | null, enabled: boolean): UseAvatarMatchesResult {
+  const [similar, setSimilar] = useState<SimilarAvatarsResponse | null>(null);
+  const [changes, setChanges] = useState<AvatarChange[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [marking, setMarking] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const reload = useCallback(async () => {
+    if (!cardId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const [similarResult, changesResult] = await Promise.all([
+        fetchSimilarAvatars(cardId),
+        fetchAvatarChanges(cardId),
+      ]);
+      setSimilar(similarResult);
+      setChanges(changesResult.changes);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load avatar matches');
+    } finally {
+      setLoading(false);
+    }
+  }, [cardId]);
+
+  useEffect(() => {
+    setSimilar(null);
+    setChanges([]);
+    setError(null);
+    setMessage(null);
+  }, [cardId]);
+
+  useEffect(() => {
+    if (enabled && cardId) {
+      void reload();
+    }
+  }, [enabled, cardId, reload]);
+
+  const markPlaceholder = useCallback(async (label?: string) => {
+    if (!cardId) return;
+    setMarking(true);
+    setError(null);
+    try {
+      const { placeholder } = await markAvatarAsPlaceholder(cardId, label);
+      setMessage(`Marked as placeholder; ${placeholder.cardsMarked} card(s) flagged as fuzzed`);
+      await reload();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to mark placeholder');
+    } finally {
+      setMarking(false);
+    }
+  }, [cardId, reload]);
+
+  return {
+    similar,
+    changes,
+    loading,
+    marking,
+    error,
+    message,
+    markPlaceholder,
+    reload,
+  };
+}
@@ -4,12 +4,15 @@ import {
   deleteCard as deleteCardApi,
   refreshCard as refreshCardApi,
   bulkDeleteCards,
+  bulkRefreshCards,
+  waitForJob,
   cacheCardAssets as cacheCardAssetsApi,
   getCachedAssets,
   exportCard,
   pushCardToSilly,
   pushCardToArchitect,
   fetchCardGallery,
+  type BulkRefreshResult,
 } from "@/lib/api";
 import type { Card, ToggleFavoriteResponse, GalleryAsset, Config } from "@/lib/types";
 
@@ -208,7 +211,7 @@ export function useCardActions(): UseCardActionsResult {
       setSelectedIds: React.Dispatch<React.SetStateAction<string[]>>;
     }
   ) => {
-    if (!window.confirm(`Delete ${card.name}?`)) return;
+    if (!window.confirm(`Move ${card.name} to the trash?`)) return;
     const { setCards, setCount, setSelectedIds } = callbacks;
 
     try {
@@ -251,7 +254,7 @@ export function useCardActions(): UseCardActionsResult {
     }
   ) => {
     if (selectedIds.length === 0) return;
-    if (!window.confirm(`Delete ${selectedIds.length} selected card(s)?`)) return;
+    if (!window.confirm(`Move ${selectedIds.length} selected card(s) to the trash?`)) return;
     const { setCards, setCount, clearSelection } = callbacks;
 
     try {
@@ -278,9 +281,9 @@ export function useCardActions(): UseCardActionsResult {
     setBulkRefreshing(true);
     setRefreshStatus(null);
     try {
-      for (const cardId of selectedIds) {
-        await refreshCardApi(cardId);
-      }
+      const job = await bulkRefreshCards(selectedIds);
+      const finished = await waitForJob<BulkRefreshResult>(job.id);
+      const { refreshed = 0, failed = 0 } = finished.result || {};
       const response = await loadCards();
       if (response?.cards && selectedCard) {
         const updated = response.cards.find((card: Card) => card.id === selectedCard.id);
@@ -288,11 +291,13 @@ export function useCardActions(): UseCardActionsResult {
           setSelectedCard(updated);
         }
       }
-      const countLabel = selectedIds.length === 1 ? "card" : "cards";
+      const countLabel = refreshed === 1 ? "card" : "cards";
       setRefreshStatus({
         cardId: selectedIds[selectedIds.length - 1],
-        type: "success",
-        message: `Refreshed ${selectedIds.length} ${countLabel}`,
+        type: failed > 0 ? "error" : "success",
+        message: failed > 0
+          ? `Refreshed ${refreshed} ${countLabel}, ${failed} failed`
+          : `Refreshed ${refreshed} ${countLabel}`,
       });
     } catch (err: any) {
       console.error(err);
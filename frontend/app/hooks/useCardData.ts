@@ -1,6 +1,6 @@
 import { useState, useCallback, useEffect, useRef } from "react";
 import { fetchCards } from "@/lib/api";
-import type { Card, CardsResponse } from "@/lib/types";
+import type { Card, CardsResponse, SearchSyntax } from "@/lib/types";
 import type { FiltersState } from "../types/filters";
 
 interface UseCardDataResult {
@@ -8,6 +8,7 @@ interface UseCardDataResult {
   totalPages: number;
   count: number;
   vectorMeta: CardsResponse["vector"] | null;
+  searchSyntax: SearchSyntax | null;
   isLoading: boolean;
   error: string | null;
   setCards: React.Dispatch<React.SetStateAction<Card[]>>;
@@ -28,6 +29,7 @@ export function useCardData(
   const [totalPages, setTotalPages] = useState(1);
   const [count, setCount] = useState(0);
   const [vectorMeta, setVectorMeta] = useState<CardsResponse["vector"] | null>(null);
+  const [searchSyntax, setSearchSyntax] = useState<SearchSyntax | null>(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const cardsAbortRef = useRef<AbortController | null>(null);
@@ -91,6 +93,7 @@ export function useCardData(
       if (filters.hasExpressions) params.hasExpressions = "true";
       if (filters.inSillyTavern) params.inSillyTavern = "true";
       if (filters.followedOnly) params.followedOnly = "true";
+      if (filters.hideDuplicates) params.hideDuplicates = "true";
       params.withSillyStatus = "true";
 
       const response = await fetchCards(params, controller.signal);
@@ -101,6 +104,7 @@ export function useCardData(
       setCount(response.count);
       setTotalPages(Math.max(1, response.totalPages || 1));
       setVectorMeta(response.vector ?? null);
+      setSearchSyntax(response.searchSyntax ?? null);
       return response;
     } catch (err: any) {
       if (err?.name === 'AbortError') {
@@ -109,6 +113,7 @@ export function useCardData(
       console.error(err);
       setError(err.message || "Unable to load cards");
       setVectorMeta(null);
+      setSearchSyntax(null);
       return null;
     } finally {
       if (cardsAbortRef.current === controller) {
@@ -138,6 +143,7 @@ export function useCardData(
     totalPages,
     count,
     vectorMeta,
+    searchSyntax,
     isLoading,
     error,
     setCards,
@@ -0,0 +1,95 @@
+import { useState, useCallback, useEffect } from 'react';
+import { fetchCardDuplicates, mergeCardDuplicate, dismissCardDuplicate } from '@/lib/api';
+import type { CardDuplicate, CardSourceLink, MergeDuplicateResult } from '@/lib/types';
+
+interface UseCardDuplicatesResult {
+  duplicates: CardDuplicate[];
+  links: CardSourceLink[];
+  loading: boolean;
+  busyId: number | null;
+  error: string | null;
+  merge: (keepId: string, dropId: string) => Promise<MergeDuplicateResult | null>;
+  dismiss: (duplicateId: number) => Promise<void>;
+  reload: () => Promise<void>;
+}
+
+/**
+ * Cards in other sources detected as copies of this one, plus the sources merged into it.
+ * Loads only while `enabled`, like the Changes tab.
+ */
+export function useCardDuplicates(cardId: string | null, enabled: boolean): UseCardDuplicatesResult {
+  const [duplicates, setDuplicates] = useState<CardDuplicate[]>([]);
+  const [links, setLinks] = useState<CardSourceLink[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const reload = useCallback(async () => {
+    if (!cardId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await fetchCardDuplicates(cardId);
+      setDuplicates(result.duplicates);
+      setLinks(result.links);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load duplicates');
+    } finally {
+      setLoading(false);
+    }
+  }, [cardId]);
+
+  useEffect(() => {
+    setDuplicates([]);
+    setLinks([]);
+    setError(null);
+  }, [cardId]);
+
+  useEffect(() => {
+    if (enabled && cardId) {
+      void reload();
+    }
+  }, [enabled, cardId, reload]);
+
+  const merge = useCallback(async (keepId: string, dropId: string) => {
+    const otherId = Number(keepId === cardId ? dropId : keepId);
+    setBusyId(otherId);
+    setError(null);
+    try {
+      const result = await mergeCardDuplicate(keepId, dropId);
+      setDuplicates(prev => prev.filter(duplicate => duplicate.otherId !== otherId));
+      if (keepId === cardId) setLinks(result.links);
+      return result;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to merge duplicate');
+      return null;
+    } finally {
+      setBusyId(null);
+    }
+  }, [cardId]);
+
+  const dismiss = useCallback(async (duplicateId: number) => {
+    if (!cardId) return;
+    setBusyId(duplicateId);
+    setError(null);
+    try {
+      await dismissCardDuplicate(cardId, String(duplicateId));
+      setDuplicates(prev => prev.filter(duplicate => duplicate.otherId !== duplicateId));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to dismiss duplicate');
+    } finally {
+      setBusyId(null);
+    }
+  }, [cardId]);
+
+  return {
+    duplicates,
+    links,
+    loading,
+    busyId,
+    error,
+    merge,
+    dismiss,
+    reload,
+  };
+}
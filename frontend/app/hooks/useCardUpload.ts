@@ -0,0 +1,91 @@
+import { useCallback, useRef, useState, type DragEvent } from "react";
+import { uploadCardFiles, type UploadCardsResult } from "@/lib/api";
+
+const CARD_FILE_PATTERN = /\.(png|json|charx|voxpkg)$/i;
+
+export interface UploadStatus {
+  type: "success" | "error";
+  message: string;
+}
+
+function describeUpload(result: UploadCardsResult): UploadStatus {
+  const parts: string[] = [];
+  if (result.created) parts.push(`archived ${result.created}`);
+  if (result.existing) parts.push(`${result.existing} already archived`);
+  if (result.failed) {
+    const failures = result.results.filter(entry => !entry.card).map(entry => `${entry.file} (${entry.error})`);
+    parts.push(`${result.failed} failed: ${failures.slice(0, 3).join(", ")}${failures.length > 3 ? ", ..." : ""}`);
+  }
+  const message = parts.join(", ");
+  return {
+    type: result.failed && !result.created && !result.existing ? "error" : "success",
+    message: message.charAt(0).toUpperCase() + message.slice(1),
+  };
+}
+
+const hasFiles = (event: DragEvent) => Array.from(event.dataTransfer?.types ?? []).includes("Files");
+
+/**
+ * Page-wide drag-and-drop of card files (PNG, JSON, CharX, Voxta packages)
+ */
+export function useCardUpload(onUploaded: (result: UploadCardsResult) => void) {
+  const [dragActive, setDragActive] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [uploadStatus, setUploadStatus] = useState<UploadStatus | null>(null);
+  // dragenter/dragleave fire for every child element crossed
+  const dragDepth = useRef(0);
+
+  const uploadFiles = useCallback(async (files: File[]) => {
+    const cardFiles = files.filter(file => CARD_FILE_PATTERN.test(file.name));
+    if (cardFiles.length === 0) {
+      setUploadStatus({ type: "error", message: "Drop PNG, JSON, CharX or Voxta package files" });
+      return;
+    }
+
+    setUploading(true);
+    setUploadStatus(null);
+    try {
+      const result = await uploadCardFiles(cardFiles);
+      setUploadStatus(describeUpload(result));
+      onUploaded(result);
+    } catch (err) {
+      setUploadStatus({ type: "error", message: err instanceof Error ? err.message : "Upload failed" });
+    } finally {
+      setUploading(false);
+    }
+  }, [onUploaded]);
+
+  const dropHandlers = {
+    onDragEnter: (event: DragEvent) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      dragDepth.current += 1;
+      setDragActive(true);
+    },
+    onDragOver: (event: DragEvent) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = "copy";
+    },
+    onDragLeave: (event: DragEvent) => {
+      if (!hasFiles(event)) return;
+      dragDepth.current = Math.max(0, dragDepth.current - 1);
+      if (dragDepth.current === 0) setDragActive(false);
+    },
+    onDrop: (event: DragEvent) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      dragDepth.current = 0;
+      setDragActive(false);
+      if (!uploading) uploadFiles(Array.from(event.dataTransfer.files));
+    },
+  };
+
+  return {
+    dragActive,
+    uploading,
+    uploadStatus,
+    clearUploadStatus: () => setUploadStatus(null),
+    dropHandlers,
+  };
+}
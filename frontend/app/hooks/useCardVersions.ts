@@ -0,0 +1,101 @@
+import { useState, useCallback, useEffect } from 'react';
+import { fetchCardVersions, fetchCardDiff } from '@/lib/api';
+import type { CardVersion, CardDiff } from '@/lib/types';
+
+type Revision = number | 'current';
+
+interface UseCardVersionsResult {
+  versions: CardVersion[];
+  versionsLoading: boolean;
+  diff: CardDiff | null;
+  diffLoading: boolean;
+  error: string | null;
+  from: Revision | null;
+  to: Revision;
+  setFrom: (revision: Revision) => void;
+  setTo: (revision: Revision) => void;
+  reload: () => Promise<void>;
+}
+
+/**
+ * Archived revisions for a card and the field-level diff between two of them.
+ * Loads only while `enabled` so the modal doesn't hit the API until the Changes tab is opened.
+ */
+export function useCardVersions(cardId: string | null, enabled: boolean): UseCardVersionsResult {
+  const [versions, setVersions] = useState<CardVersion[]>([]);
+  const [versionsLoading, setVersionsLoading] = useState(false);
+  const [diff, setDiff] = useState<CardDiff | null>(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [from, setFrom] = useState<Revision | null>(null);
+  const [to, setTo] = useState<Revision>('current');
+
+  const reload = useCallback(async () => {
+    if (!cardId) return;
+    setVersionsLoading(true);
+    setError(null);
+    try {
+      const { versions: loaded } = await fetchCardVersions(cardId);
+      setVersions(loaded);
+      // Default comparison: newest archived revision -> current files
+      setFrom(loaded.length > 0 ? loaded[0].revision : null);
+      setTo('current');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load versions');
+    } finally {
+      setVersionsLoading(false);
+    }
+  }, [cardId]);
+
+  useEffect(() => {
+    setVersions([]);
+    setDiff(null);
+    setFrom(null);
+    setTo('current');
+    setError(null);
+  }, [cardId]);
+
+  useEffect(() => {
+    if (enabled && cardId) {
+      void reload();
+    }
+  }, [enabled, cardId, reload]);
+
+  useEffect(() => {
+    if (!enabled || !cardId || from === null || from === to) {
+      setDiff(null);
+      return;
+    }
+
+    let cancelled = false;
+    setDiffLoading(true);
+    setError(null);
+    fetchCardDiff(cardId, from, to)
+      .then(result => {
+        if (!cancelled) setDiff(result);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load changes');
+      })
+      .finally(() => {
+        if (!cancelled) setDiffLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, cardId, from, to]);
+
+  return {
+    versions,
+    versionsLoading,
+    diff,
+    diffLoading,
+    error,
+    from,
+    to,
+    setFrom,
+    setTo,
+    reload,
+  };
+}
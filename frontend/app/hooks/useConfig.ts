@@ -127,7 +127,6 @@ export function useConfig(): UseConfigResult {
         hitsPerPage: parseNumberValue("ct_hitsPerPage", previousCtSync.hitsPerPage),
         minTokens: parseNumberValue("ct_minTokens", previousCtSync.minTokens),
         maxTokens: parseNumberValue("ct_maxTokens", previousCtSync.maxTokens),
-        bannedTags: parseDelimitedList("ct_bannedTags"),
         excludedWarnings: parseDelimitedList("ct_excludedWarnings"),
         bearerToken: getStringValue("ct_bearerToken", { trim: true }),
         cfClearance: getStringValue("ct_cfClearance", { trim: true }),
@@ -207,7 +206,6 @@ export function useConfig(): UseConfigResult {
         excludeTopic: getStringValue("excludeTopic"),
         followedCreators: parseDelimitedList("followedCreators"),
         followedCreatorsOnly: data.get("followedCreatorsOnly") === "on",
-        blockedCreators: parseDelimitedList("blockedCreators"),
         syncFollowedCreators: data.get("syncFollowedCreators") === "on",
         syncTagsMode: data.get("syncTagsMode") === "on",
         backupMode: data.get("backupMode") === "on",
@@ -61,13 +61,8 @@ export function useFilters(
     if (tagMatchMode) urlFilters.tagMatchMode = tagMatchMode as typeof urlFilters.tagMatchMode;
     if (sort) urlFilters.sort = sort;
     if (favorite) urlFilters.favorite = favorite as typeof urlFilters.favorite;
-    if (source) {
-      if (source === "chub" || source === "ct" || source === "risuai" || source === "wyvern") {
-        urlFilters.source = source;
-      } else {
-        urlFilters.source = "all";
-      }
-    }
+    // Unknown sources fall back to 'all' on the backend
+    if (source) urlFilters.source = source;
     const minTokensParam = searchParams.get("minTokens");
     if (minTokensParam) urlFilters.minTokens = minTokensParam;
 
@@ -82,6 +77,7 @@ export function useFilters(
     if (searchParams.get("hasExpressions") === "true") urlFilters.hasExpressions = true;
     if (searchParams.get("inSillyTavern") === "true") urlFilters.inSillyTavern = true;
     if (searchParams.get("followedOnly") === "true") urlFilters.followedOnly = true;
+    if (searchParams.get("hideDuplicates") === "true") urlFilters.hideDuplicates = true;
 
     const includeTagsParam = searchParams.get("includeTags");
     if (includeTagsParam) urlFilters.includeTags = includeTagsParam;
@@ -120,6 +116,7 @@ export function useFilters(
     if (newFilters.includeTags) params.set("includeTags", newFilters.includeTags);
     if (newFilters.inSillyTavern) params.set("inSillyTavern", "true");
     if (newFilters.followedOnly) params.set("followedOnly", "true");
+    if (newFilters.hideDuplicates) params.set("hideDuplicates", "true");
     if (newFilters.advancedFilter) params.set("advancedFilter", newFilters.advancedFilter);
 
     if (newPage > 1) params.set("page", newPage.toString());
@@ -1,12 +1,13 @@
 import { useState, useRef, useEffect, useCallback } from "react";
 import {
-  startSync as startSyncApi,
-  startCtSync as startCtSyncApi,
-  startWyvernSync as startWyvernSyncApi,
-  startRisuAiSync as startRisuAiSyncApi,
+  createJob,
+  fetchJobs,
+  watchJob,
+  cancelSync as cancelSyncApi,
   cancelAllSyncs as cancelAllSyncsApi,
   getSyncStatus as getSyncStatusApi
 } from "@/lib/api";
+import type { Job, JobEvent } from "@/lib/api";
 
 interface SyncSourceState {
   syncing: boolean;
@@ -41,86 +42,116 @@ interface UseSyncResult {
   cancelAllSyncs: () => void;
 }
 
-type SyncApiFunction = (signal: AbortSignal) => Promise<ReadableStream<Uint8Array> | null>;
+async function findActiveJob(jobType: string): Promise<Job | null> {
+  const { items } = await fetchJobs({ status: "active", type: jobType, limit: 1 });
+  return items[0] ?? null;
+}
 
 /**
- * Generic hook for managing a single sync source
+ * Generic hook for managing a single sync source.
+ * Syncs run as server-side jobs, so the hook only follows the job's event
+ * stream and can re-attach to a job that was started before the page loaded.
  */
 function useSyncSource(
   sourceName: string,
-  apiFunc: SyncApiFunction,
+  source: string,
   onComplete?: () => void
 ): SyncSourceState {
+  const jobType = `sync.${source}`;
   const [syncing, setSyncing] = useState(false);
   const [status, setStatus] = useState<string | null>(null);
   const abortRef = useRef<AbortController | null>(null);
+  const jobIdRef = useRef<number | null>(null);
 
-  const cancel = useCallback(() => {
-    if (abortRef.current) {
-      abortRef.current.abort();
-      abortRef.current = null;
+  const handleEvent = useCallback((event: JobEvent) => {
+    if (event.type === "progress") {
+      const payload = event.progress;
+      const progress = payload.progress ?? 0;
+      const current = payload.currentCard ?? payload.name ?? '';
+      const newCards = payload.newCards ?? payload.added ?? 0;
+      setStatus(`${sourceName}: ${progress}% • ${current} (${newCards} new)`);
+      return;
     }
-  }, []);
 
-  const processSSEStream = useCallback(async (stream: ReadableStream<Uint8Array>) => {
-    const reader = stream.getReader();
-    const decoder = new TextDecoder();
-    let buffer = "";
-    while (true) {
-      const { value, done } = await reader.read();
-      if (done) break;
-      buffer += decoder.decode(value, { stream: true });
-      let boundary = buffer.indexOf("\n\n");
-      while (boundary !== -1) {
-        const chunk = buffer.slice(0, boundary);
-        buffer = buffer.slice(boundary + 2);
-        if (chunk.startsWith("data:")) {
-          const payload = JSON.parse(chunk.replace("data: ", ""));
-          if (payload.error) {
-            setStatus(`Error: ${payload.error}`);
-          } else if (payload.progress === 100) {
-            setStatus(`${sourceName} sync complete. New cards: ${payload.newCards ?? payload.added ?? 0}`);
-            if (onComplete) {
-              onComplete();
-            }
-          } else {
-            const progress = payload.progress ?? 0;
-            const current = payload.currentCard ?? payload.name ?? '';
-            const newCards = payload.newCards ?? payload.added ?? 0;
-            setStatus(`${sourceName}: ${progress}% • ${current} (${newCards} new)`);
-          }
-        }
-        boundary = buffer.indexOf("\n\n");
+    const { job } = event;
+    if (job.status === "queued") {
+      setStatus(`${sourceName}: queued, waiting for a free job worker`);
+    } else if (job.status === "succeeded") {
+      setStatus(`${sourceName} sync complete. New cards: ${job.result?.newCards ?? 0}`);
+      if (onComplete) {
+        onComplete();
       }
+    } else if (job.status === "failed") {
+      setStatus(`Error: ${job.error || `${sourceName} sync failed`}`);
+    } else if (job.status === "canceled") {
+      setStatus(`${sourceName} sync cancelled`);
     }
-    reader.releaseLock();
   }, [sourceName, onComplete]);
 
-  const start = useCallback(async () => {
-    cancel();
+  const follow = useCallback(async (jobId: number) => {
+    abortRef.current?.abort();
     const controller = new AbortController();
     abortRef.current = controller;
-    setStatus(null);
+    jobIdRef.current = jobId;
     setSyncing(true);
     try {
-      const stream = await apiFunc(controller.signal);
-      if (stream) {
-        await processSSEStream(stream);
+      await watchJob(jobId, handleEvent, controller.signal);
+    } catch (err) {
+      if (!(err instanceof Error) || err.name !== 'AbortError') {
+        console.error(err);
+        setStatus(err instanceof Error ? err.message : `Lost track of ${sourceName} sync`);
+      }
+    } finally {
+      if (abortRef.current === controller) {
+        setSyncing(false);
+        abortRef.current = null;
+        jobIdRef.current = null;
       }
+    }
+  }, [handleEvent, sourceName]);
+
+  // Cancels only this source; the stream closes by itself once the job reports 'canceled'
+  const cancel = useCallback(() => {
+    cancelSyncApi(source).catch(err => console.error(`Failed to cancel ${sourceName} sync:`, err));
+  }, [source, sourceName]);
+
+  const start = useCallback(async () => {
+    setStatus(null);
+    setSyncing(true);
+    let job: Job | null = null;
+    try {
+      job = await createJob(jobType);
     } catch (err: any) {
-      if (err.name === 'AbortError') {
-        setStatus(`${sourceName} sync cancelled`);
-      } else {
+      // Already queued or running: follow that job instead
+      job = await findActiveJob(jobType).catch(() => null);
+      if (!job) {
         console.error(err);
         setStatus(err?.message || `Unable to sync from ${sourceName}`);
+        setSyncing(false);
+        return;
       }
-    } finally {
-      setSyncing(false);
-      abortRef.current = null;
     }
-  }, [cancel, apiFunc, processSSEStream, sourceName]);
+    await follow(job.id);
+  }, [jobType, follow, sourceName]);
 
-  // Cleanup on unmount
+  // Re-attach to a sync that is already running (started elsewhere or before a reload)
+  useEffect(() => {
+    let cancelled = false;
+    findActiveJob(jobType)
+      .then((job) => {
+        if (job && !cancelled && jobIdRef.current === null) {
+          follow(job.id);
+        }
+      })
+      .catch(() => {
+        // Ignore errors
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [jobType, follow]);
+
+  // Cleanup on unmount: stop listening, the job keeps running on the server
   useEffect(() => {
     return () => {
       abortRef.current?.abort();
@@ -132,27 +163,24 @@ function useSyncSource(
 
 /**
  * Custom hook for managing sync operations for all sources
- * Handles SSE streams, AbortControllers, and sync progress status
+ * Starts sync jobs and follows their event streams and progress status
  */
 export function useSync(onSyncComplete?: () => void): UseSyncResult {
   // Create sync sources using the generic hook
-  const chub = useSyncSource("Chub", startSyncApi, onSyncComplete);
-  const ct = useSyncSource("CT", startCtSyncApi, onSyncComplete);
-  const wyvern = useSyncSource("Wyvern", startWyvernSyncApi, onSyncComplete);
-  const risu = useSyncSource("RisuAI", startRisuAiSyncApi, onSyncComplete);
+  const chub = useSyncSource("Chub", "chub", onSyncComplete);
+  const ct = useSyncSource("CT", "ct", onSyncComplete);
+  const wyvern = useSyncSource("Wyvern", "wyvern", onSyncComplete);
+  const risu = useSyncSource("RisuAI", "risuai", onSyncComplete);
 
-  // Cancel all syncs at once - calls backend to stop + aborts frontend streams
+  // Cancel all syncs at once - the backend cancels every sync job, and the
+  // streams close as each job reports 'canceled'
   const cancelAllSyncs = useCallback(async () => {
     try {
       await cancelAllSyncsApi();
     } catch (err) {
       console.error('Failed to cancel syncs on backend:', err);
     }
-    chub.cancel();
-    ct.cancel();
-    wyvern.cancel();
-    risu.cancel();
-  }, [chub.cancel, ct.cancel, wyvern.cancel, risu.cancel]);
+  }, []);
 
   // Computed: is any sync currently running (locally initiated)?
   const anySyncingLocal = chub.syncing || ct.syncing || wyvern.syncing || risu.syncing;
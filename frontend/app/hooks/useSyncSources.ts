@@ -0,0 +1,38 @@
+import { useEffect, useState } from 'react';
+import { fetchSyncSources, type SyncSource } from '@/lib/api';
+
+// Shown until the backend answers, and kept if it can't
+export const BUILTIN_SYNC_SOURCES: SyncSource[] = [
+  { source: 'chub', displayName: 'Chub', configKey: null, capabilities: { sync: true, refresh: true, resume: true }, plugin: false },
+  { source: 'ct', displayName: 'Character Tavern', configKey: 'ctSync', capabilities: { sync: true, refresh: false, resume: true }, plugin: false },
+  { source: 'risuai', displayName: 'RisuAI', configKey: 'risuAiSync', capabilities: { sync: true, refresh: true, resume: true }, plugin: false },
+  { source: 'wyvern', displayName: 'Wyvern', configKey: 'wyvernSync', capabilities: { sync: true, refresh: true, resume: true }, plugin: false },
+];
+
+// Sources only change on a server restart, so every component shares one request
+let sourcesRequest: Promise<SyncSource[]> | null = null;
+
+/**
+ * Every card source the backend knows, including scraper plugins
+ */
+export function useSyncSources(): SyncSource[] {
+  const [sources, setSources] = useState<SyncSource[]>(BUILTIN_SYNC_SOURCES);
+
+  useEffect(() => {
+    let cancelled = false;
+    sourcesRequest ??= fetchSyncSources().catch(error => {
+      sourcesRequest = null;
+      throw error;
+    });
+    sourcesRequest
+      .then(list => {
+        if (!cancelled && list.length > 0) setSources(list);
+      })
+      .catch(error => console.error('Failed to load sync sources:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return sources;
+}
@@ -0,0 +1,461 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { ArrowLeft, Eye, FileSearch, Loader2, Pencil, Play, Plus, RefreshCw, ShieldAlert, Trash2 } from 'lucide-react';
+import {
+    fetchModerationRules,
+    createModerationRule,
+    updateModerationRule,
+    deleteModerationRule,
+    runModerationRule,
+    fetchModerationRuns,
+    fetchModerationRun,
+    ModerationRule,
+    ModerationRuleInput,
+    ModerationRun,
+    ModerationPreview,
+    ModerationAction,
+    ModerationScope
+} from '@/lib/api';
+
+const ACTION_LABELS: Record<ModerationAction, string> = {
+    quarantine: 'Quarantine (move to trash)',
+    delete: 'Delete',
+    delete_blacklist: 'Delete + blacklist'
+};
+
+const SCOPE_LABELS: Record<ModerationScope, string> = {
+    preview: 'Preview',
+    dry_run: 'Dry run',
+    execute: 'Execute'
+};
+
+const EMPTY_RULE: ModerationRuleInput = {
+    name: '',
+    query: '',
+    filter: '',
+    scope: 'preview',
+    action: 'quarantine'
+};
+
+const inputClass = 'w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm text-slate-900 focus:border-indigo-500 focus:outline-none dark:border-slate-700 dark:bg-slate-900 dark:text-slate-100';
+
+function RunReport({ run }: { run: ModerationRun }) {
+    const report = run.report;
+    return (
+        <div className="space-y-3 text-sm">
+            <div className="flex flex-wrap items-center gap-3 text-slate-600 dark:text-slate-300">
+                <span className="font-semibold">{SCOPE_LABELS[run.scope]} #{run.id}</span>
+                <span className={run.status === 'failed' ? 'text-red-600 dark:text-red-400' : run.status === 'running' ? 'text-amber-600 dark:text-amber-400' : 'text-emerald-600 dark:text-emerald-400'}>
+                    {run.status}
+                </span>
+                <span>{run.matched.toLocaleString()} matched</span>
+                {run.scope === 'execute' && (
+                    <span>{run.processed.toLocaleString()} processed, {run.failed.toLocaleString()} failed</span>
+                )}
+                <span className="text-xs text-slate-400">{new Date(run.startedAt).toLocaleString()}</span>
+            </div>
+            {run.error && <p className="text-red-600 dark:text-red-400">{run.error}</p>}
+            {report && (
+                <>
+                    {report.truncated && (
+                        <p className="text-amber-600 dark:text-amber-400">
+                            Only the first {report.total.toLocaleString()} of {report.searchTotal.toLocaleString()} matches were included.
+                        </p>
+                    )}
+                    {report.appliedFilter && (
+                        <p className="font-mono text-xs text-slate-500 dark:text-slate-400">{report.appliedFilter}</p>
+                    )}
+                    <div className="grid gap-4 md:grid-cols-3">
+                        <div>
+                            <h4 className="mb-1 text-xs font-semibold uppercase tracking-wide text-slate-500">By source</h4>
+                            <ul className="space-y-0.5">
+                                {Object.entries(report.bySource).map(([source, count]) => (
+                                    <li key={source} className="flex justify-between"><span>{source}</span><span>{count}</span></li>
+                                ))}
+                            </ul>
+                        </div>
+                        <div>
+                            <h4 className="mb-1 text-xs font-semibold uppercase tracking-wide text-slate-500">Top tags</h4>
+                            <ul className="max-h-48 space-y-0.5 overflow-y-auto">
+                                {report.byTag.map(({ key, count }) => (
+                                    <li key={key} className="flex justify-between"><span className="truncate">{key}</span><span>{count}</span></li>
+                                ))}
+                            </ul>
+                        </div>
+                        <div>
+                            <h4 className="mb-1 text-xs font-semibold uppercase tracking-wide text-slate-500">Top creators</h4>
+                            <ul className="max-h-48 space-y-0.5 overflow-y-auto">
+                                {report.byAuthor.map(({ key, count }) => (
+                                    <li key={key} className="flex justify-between"><span className="truncate">{key}</span><span>{count}</span></li>
+                                ))}
+                            </ul>
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default function ModerationPage() {
+    const [rules, setRules] = useState<ModerationRule[]>([]);
+    const [searchEnabled, setSearchEnabled] = useState(true);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState<string | null>(null);
+    const [selectedId, setSelectedId] = useState<number | null>(null);
+    const [draft, setDraft] = useState<ModerationRuleInput>(EMPTY_RULE);
+    const [editingId, setEditingId] = useState<number | null>(null);
+    const [saving, setSaving] = useState(false);
+    const [running, setRunning] = useState<ModerationScope | null>(null);
+    const [preview, setPreview] = useState<ModerationPreview | null>(null);
+    const [runs, setRuns] = useState<ModerationRun[]>([]);
+
+    const selectedRule = rules.find(rule => rule.id === selectedId) || null;
+
+    const loadRules = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const data = await fetchModerationRules();
+            setRules(data.rules);
+            setSearchEnabled(data.searchEnabled);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to load rules');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    const loadRuns = useCallback(async (ruleId: number) => {
+        try {
+            const data = await fetchModerationRuns(ruleId);
+            setRuns(data.runs);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to load runs');
+        }
+    }, []);
+
+    useEffect(() => {
+        loadRules();
+    }, [loadRules]);
+
+    useEffect(() => {
+        setPreview(null);
+        setRuns([]);
+        if (selectedId !== null) {
+            loadRuns(selectedId);
+        }
+    }, [selectedId, loadRuns]);
+
+    // Poll executions that are still in flight
+    const activeRun = runs.find(run => run.status === 'running');
+    useEffect(() => {
+        if (!activeRun) return;
+        const timer = setInterval(async () => {
+            try {
+                const updated = await fetchModerationRun(activeRun.ruleId, activeRun.id);
+                setRuns(prev => prev.map(run => (run.id === updated.id ? updated : run)));
+            } catch {
+                // Keep polling; transient failures are expected while cards are being removed
+            }
+        }, 2000);
+        return () => clearInterval(timer);
+    }, [activeRun]);
+
+    const startEdit = (rule: ModerationRule | null) => {
+        setEditingId(rule ? rule.id : 0);
+        setDraft(rule ? { name: rule.name, query: rule.query, filter: rule.filter, scope: rule.scope, action: rule.action } : EMPTY_RULE);
+    };
+
+    const saveDraft = async () => {
+        setSaving(true);
+        setError(null);
+        try {
+            const saved = editingId ? await updateModerationRule(editingId, draft) : await createModerationRule(draft);
+            setEditingId(null);
+            await loadRules();
+            setSelectedId(saved.id);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to save rule');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const removeRule = async (rule: ModerationRule) => {
+        if (!confirm(`Delete rule "${rule.name}" and its run history?`)) return;
+        try {
+            await deleteModerationRule(rule.id);
+            if (selectedId === rule.id) setSelectedId(null);
+            await loadRules();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to delete rule');
+        }
+    };
+
+    const runRule = async (scope: ModerationScope) => {
+        if (!selectedRule) return;
+        if (scope === 'execute' && !confirm(`${ACTION_LABELS[selectedRule.action]} every card matched by "${selectedRule.name}"?`)) {
+            return;
+        }
+        setRunning(scope);
+        setError(null);
+        try {
+            const result = await runModerationRule(selectedRule.id, scope);
+            if (result.preview) {
+                setPreview(result.preview);
+            }
+            if (result.run) {
+                await loadRuns(selectedRule.id);
+            }
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to run rule');
+        } finally {
+            setRunning(null);
+        }
+    };
+
+    if (loading && rules.length === 0) {
+        return (
+            <div className="flex min-h-screen items-center justify-center bg-slate-50 dark:bg-slate-900">
+                <div className="text-center">
+                    <Loader2 className="mx-auto h-8 w-8 animate-spin text-indigo-600" />
+                    <p className="mt-2 text-slate-600 dark:text-slate-400">Loading rules...</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-slate-50 dark:bg-slate-900">
+            {/* Header */}
+            <div className="border-b border-slate-200 bg-white px-4 py-4 dark:border-slate-700 dark:bg-slate-800">
+                <div className="mx-auto flex max-w-7xl items-center justify-between">
+                    <div className="flex items-center gap-4">
+                        <Link href="/" className="rounded-lg p-2 hover:bg-slate-100 dark:hover:bg-slate-700">
+                            <ArrowLeft className="h-5 w-5 text-slate-600 dark:text-slate-400" />
+                        </Link>
+                        <div>
+                            <h1 className="text-xl font-bold text-slate-900 dark:text-slate-100">Moderation</h1>
+                            <p className="text-sm text-slate-500 dark:text-slate-400">Saved rules to review and remove matching cards</p>
+                        </div>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <button
+                            onClick={loadRules}
+                            className="flex items-center gap-2 rounded-lg border border-slate-200 px-4 py-2 text-sm font-medium text-slate-700 transition hover:bg-slate-100 dark:border-slate-700 dark:text-slate-200 dark:hover:bg-slate-700"
+                        >
+                            <RefreshCw className="h-4 w-4" />
+                            Refresh
+                        </button>
+                        <button
+                            onClick={() => startEdit(null)}
+                            className="flex items-center gap-2 rounded-lg bg-indigo-600 px-4 py-2 text-sm font-medium text-white transition hover:bg-indigo-500"
+                        >
+                            <Plus className="h-4 w-4" />
+                            New rule
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            <div className="mx-auto max-w-7xl space-y-4 p-4">
+                {!searchEnabled && (
+                    <div className="rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800 dark:border-amber-800 dark:bg-amber-900/20 dark:text-amber-300">
+                        Meilisearch is disabled. Rules can be edited, but they cannot be previewed or run until search is enabled.
+                    </div>
+                )}
+                {error && (
+                    <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700 dark:border-red-800 dark:bg-red-900/20 dark:text-red-300">
+                        {error}
+                    </div>
+                )}
+
+                {editingId !== null && (
+                    <div className="space-y-3 rounded-xl border border-slate-200 bg-white p-4 shadow-sm dark:border-slate-700 dark:bg-slate-800">
+                        <h2 className="text-sm font-semibold text-slate-900 dark:text-slate-100">{editingId ? 'Edit rule' : 'New rule'}</h2>
+                        <div className="grid gap-3 md:grid-cols-2">
+                            <input
+                                className={inputClass}
+                                placeholder="Rule name"
+                                value={draft.name}
+                                onChange={e => setDraft({ ...draft, name: e.target.value })}
+                            />
+                            <input
+                                className={inputClass}
+                                placeholder="Search text (optional)"
+                                value={draft.query}
+                                onChange={e => setDraft({ ...draft, query: e.target.value })}
+                            />
+                        </div>
+                        <textarea
+                            className={`${inputClass} font-mono`}
+                            rows={3}
+                            placeholder={'Filter expression, e.g. source = "ct" AND tags = "spam"'}
+                            value={draft.filter}
+                            onChange={e => setDraft({ ...draft, filter: e.target.value })}
+                        />
+                        <div className="grid gap-3 md:grid-cols-2">
+                            <label className="text-xs text-slate-500 dark:text-slate-400">
+                                Default scope
+                                <select
+                                    className={`${inputClass} mt-1`}
+                                    value={draft.scope}
+                                    onChange={e => setDraft({ ...draft, scope: e.target.value as ModerationScope })}
+                                >
+                                    {Object.entries(SCOPE_LABELS).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="text-xs text-slate-500 dark:text-slate-400">
+                                Action
+                                <select
+                                    className={`${inputClass} mt-1`}
+                                    value={draft.action}
+                                    onChange={e => setDraft({ ...draft, action: e.target.value as ModerationAction })}
+                                >
+                                    {Object.entries(ACTION_LABELS).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        </div>
+                        <div className="flex justify-end gap-2">
+                            <button
+                                onClick={() => setEditingId(null)}
+                                className="rounded-lg px-4 py-2 text-sm text-slate-600 hover:bg-slate-100 dark:text-slate-300 dark:hover:bg-slate-700"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                onClick={saveDraft}
+                                disabled={saving}
+                                className="flex items-center gap-2 rounded-lg bg-indigo-600 px-4 py-2 text-sm font-medium text-white hover:bg-indigo-500 disabled:opacity-60"
+                            >
+                                {saving && <Loader2 className="h-4 w-4 animate-spin" />}
+                                Save
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                <div className="grid gap-4 lg:grid-cols-3">
+                    {/* Rule list */}
+                    <div className="rounded-xl border border-slate-200 bg-white shadow-sm dark:border-slate-700 dark:bg-slate-800">
+                        {rules.length === 0 ? (
+                            <p className="p-4 text-sm text-slate-500 dark:text-slate-400">No rules yet.</p>
+                        ) : (
+                            <ul className="divide-y divide-slate-100 dark:divide-slate-700">
+                                {rules.map(rule => (
+                                    <li
+                                        key={rule.id}
+                                        className={`flex cursor-pointer items-center gap-2 p-3 ${rule.id === selectedId ? 'bg-indigo-50 dark:bg-indigo-900/30' : 'hover:bg-slate-50 dark:hover:bg-slate-700/50'}`}
+                                        onClick={() => setSelectedId(rule.id)}
+                                    >
+                                        <ShieldAlert className="h-4 w-4 flex-shrink-0 text-slate-400" />
+                                        <div className="min-w-0 flex-1">
+                                            <p className="truncate text-sm font-medium text-slate-900 dark:text-slate-100">{rule.name}</p>
+                                            <p className="truncate text-xs text-slate-500 dark:text-slate-400">{ACTION_LABELS[rule.action]}</p>
+                                        </div>
+                                        <button
+                                            onClick={e => { e.stopPropagation(); startEdit(rule); }}
+                                            className="rounded p-1 text-slate-400 hover:text-slate-700 dark:hover:text-slate-200"
+                                            title="Edit rule"
+                                        >
+                                            <Pencil className="h-4 w-4" />
+                                        </button>
+                                        <button
+                                            onClick={e => { e.stopPropagation(); removeRule(rule); }}
+                                            className="rounded p-1 text-slate-400 hover:text-red-600"
+                                            title="Delete rule"
+                                        >
+                                            <Trash2 className="h-4 w-4" />
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+
+                    {/* Selected rule */}
+                    <div className="space-y-4 lg:col-span-2">
+                        {selectedRule ? (
+                            <>
+                                <div className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm dark:border-slate-700 dark:bg-slate-800">
+                                    <div className="mb-3 space-y-1 text-sm text-slate-600 dark:text-slate-300">
+                                        {selectedRule.query && <p>Text: <span className="font-mono">{selectedRule.query}</span></p>}
+                                        {selectedRule.filter && <p>Filter: <span className="font-mono">{selectedRule.filter}</span></p>}
+                                    </div>
+                                    <div className="flex flex-wrap gap-2">
+                                        <button
+                                            onClick={() => runRule('preview')}
+                                            disabled={!searchEnabled || running !== null}
+                                            className="flex items-center gap-2 rounded-lg border border-slate-200 px-3 py-2 text-sm text-slate-700 hover:bg-slate-100 disabled:opacity-60 dark:border-slate-700 dark:text-slate-200 dark:hover:bg-slate-700"
+                                        >
+                                            {running === 'preview' ? <Loader2 className="h-4 w-4 animate-spin" /> : <Eye className="h-4 w-4" />}
+                                            Preview
+                                        </button>
+                                        <button
+                                            onClick={() => runRule('dry_run')}
+                                            disabled={!searchEnabled || running !== null}
+                                            className="flex items-center gap-2 rounded-lg border border-slate-200 px-3 py-2 text-sm text-slate-700 hover:bg-slate-100 disabled:opacity-60 dark:border-slate-700 dark:text-slate-200 dark:hover:bg-slate-700"
+                                        >
+                                            {running === 'dry_run' ? <Loader2 className="h-4 w-4 animate-spin" /> : <FileSearch className="h-4 w-4" />}
+                                            Dry run
+                                        </button>
+                                        <button
+                                            onClick={() => runRule('execute')}
+                                            disabled={!searchEnabled || running !== null || !!activeRun}
+                                            className="flex items-center gap-2 rounded-lg bg-red-600 px-3 py-2 text-sm font-medium text-white hover:bg-red-500 disabled:opacity-60"
+                                        >
+                                            {running === 'execute' || activeRun ? <Loader2 className="h-4 w-4 animate-spin" /> : <Play className="h-4 w-4" />}
+                                            Execute
+                                        </button>
+                                    </div>
+                                </div>
+
+                                {preview && (
+                                    <div className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm dark:border-slate-700 dark:bg-slate-800">
+                                        <h3 className="mb-2 text-sm font-semibold text-slate-900 dark:text-slate-100">
+                                            Preview: {preview.total.toLocaleString()} match{preview.total === 1 ? '' : 'es'}
+                                        </h3>
+                                        <ul className="grid gap-1 text-sm sm:grid-cols-2">
+                                            {preview.cards.map(card => (
+                                                <li key={card.id} className="truncate text-slate-600 dark:text-slate-300">
+                                                    <span className="font-medium">{card.name}</span>
+                                                    <span className="text-slate-400"> by {card.author || 'unknown'} · {card.source}</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                )}
+
+                                <div className="rounded-xl border border-slate-200 bg-white p-4 shadow-sm dark:border-slate-700 dark:bg-slate-800">
+                                    <h3 className="mb-3 text-sm font-semibold text-slate-900 dark:text-slate-100">Runs</h3>
+                                    {runs.length === 0 ? (
+                                        <p className="text-sm text-slate-500 dark:text-slate-400">This rule has not been run yet.</p>
+                                    ) : (
+                                        <div className="space-y-4 divide-y divide-slate-100 dark:divide-slate-700">
+                                            {runs.map(run => (
+                                                <div key={run.id} className="pt-4 first:pt-0">
+                                                    <RunReport run={run} />
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                            </>
+                        ) : (
+                            <div className="rounded-xl border border-dashed border-slate-300 p-8 text-center text-sm text-slate-500 dark:border-slate-700 dark:text-slate-400">
+                                Select a rule to preview, dry-run or execute it.
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -2,7 +2,7 @@
 
 import { useCallback, useEffect, useMemo, useState, Suspense, useRef } from "react";
 import { useSearchParams } from "next/navigation";
-import { fetchTagAliases } from "@/lib/api";
+import { fetchTagAliases, type UploadCardsResult } from "@/lib/api";
 import type { Card } from "@/lib/types";
 import { Loader2, Sparkles } from "lucide-react";
 import { CardModal } from "./components/CardModal";
@@ -12,6 +12,8 @@ import { PaginationHeader } from "./components/PaginationHeader";
 import { PaginationControls } from "./components/PaginationControls";
 import { BulkActionBar } from "./components/BulkActionBar";
 import { SyncStatus, PushNotification } from "./components/StatusBanners";
+import { ImportUrlBox } from "./components/ImportUrlBox";
+import { CardDropOverlay, UploadNotification } from "./components/CardDropOverlay";
 import { SettingsModal } from "./components/SettingsModal";
 import { FederationModal } from "./components/FederationModal";
 import { defaultFilters, normalizeFilters } from "./types/filters";
@@ -26,6 +28,7 @@ import { useFilters } from "./hooks/useFilters";
 import { useCardDetails } from "./hooks/useCardDetails";
 import { useCardActions } from "./hooks/useCardActions";
 import { useSavedSearches } from "./hooks/useSavedSearches";
+import { useCardUpload } from "./hooks/useCardUpload";
 import { resolveUrlCard } from "./utils/urlCard";
 
 function HomeContent() {
@@ -40,7 +43,6 @@ function HomeContent() {
   const [chubBlockedStatus, setChubBlockedStatus] = useState<{ type: "success" | "error"; message: string } | null>(null);
   const chubProfileInputRef = useRef<HTMLInputElement | null>(null);
   const followedCreatorsTextareaRef = useRef<HTMLTextAreaElement | null>(null);
-  const blockedCreatorsTextareaRef = useRef<HTMLTextAreaElement | null>(null);
 
   // Selection management
   const selection = useCardSelection();
@@ -61,7 +63,7 @@ function HomeContent() {
 
   // Card data management - pass page from filters hook
   const cardData = useCardData(filters, page);
-  const { cards, totalPages, count, vectorMeta, isLoading, error, loadCards, setCards, setCount } = cardData;
+  const { cards, totalPages, count, vectorMeta, searchSyntax, isLoading, error, loadCards, setCards, setCount } = cardData;
 
   // Card details management
   const cardDetailsManager = useCardDetails(cards, setCards);
@@ -209,6 +211,25 @@ function HomeContent() {
     await openCardDetails(card, (cardId) => updateURL(filters, page, cardId, true));
   }, [openCardDetails, updateURL, filters, page]);
 
+  const handleImportedCard = useCallback(async (card: Card, created: boolean) => {
+    if (created) loadCards();
+    await handleOpenCard(card);
+  }, [loadCards, handleOpenCard]);
+
+  const handleUploadedCards = useCallback((result: UploadCardsResult) => {
+    if (result.created) loadCards();
+    const uploaded = result.results.filter(entry => entry.card);
+    if (uploaded.length === 1 && uploaded[0].card) handleOpenCard(uploaded[0].card);
+  }, [loadCards, handleOpenCard]);
+
+  const { dragActive, uploading, uploadStatus, clearUploadStatus, dropHandlers } = useCardUpload(handleUploadedCards);
+
+  // The open card may have been the one merged away; show the card that was kept instead
+  const handleDuplicateMerged = useCallback((keptCard: Card, trashedId: string) => {
+    loadCards();
+    if (selectedCard?.id === trashedId) handleOpenCard(keptCard);
+  }, [loadCards, selectedCard?.id, handleOpenCard]);
+
   // Navigation handlers
   const handleNavigateBack = useCallback(() => {
     if (page <= 1) return;
@@ -301,19 +322,14 @@ function HomeContent() {
   };
 
   const handleFetchChubBlocked = async () => {
-    const { fetchChubBlockedUsers } = await import("@/lib/api");
+    const { importChubBlockedUsers } = await import("@/lib/api");
     setIsFetchingChubBlocked(true);
     setChubBlockedStatus(null);
     try {
-      const result = await fetchChubBlockedUsers();
-      const usernames = Array.isArray(result.blockedUsers)
-        ? result.blockedUsers.filter(u => typeof u === "string" && u.trim().length > 0)
-        : [];
-      if (blockedCreatorsTextareaRef.current) blockedCreatorsTextareaRef.current.value = usernames.join(", ");
-      setConfig(prev => prev ? { ...prev, blockedCreators: usernames } : prev);
-      setChubBlockedStatus({ type: "success", message: `Loaded ${usernames.length} blocked user${usernames.length === 1 ? "" : "s"} from Chub.` });
+      const { blockedUsers } = await importChubBlockedUsers();
+      setChubBlockedStatus({ type: "success", message: `Blocked ${blockedUsers.length} Chub user${blockedUsers.length === 1 ? "" : "s"}.` });
     } catch (err: any) {
-      setChubBlockedStatus({ type: "error", message: err?.message || "Failed to fetch blocked users." });
+      setChubBlockedStatus({ type: "error", message: err?.message || "Failed to import blocked users." });
     } finally {
       setIsFetchingChubBlocked(false);
     }
@@ -387,7 +403,8 @@ function HomeContent() {
   };
 
   return (
-    <div className="min-h-screen bg-slate-50 pb-16 transition dark:bg-slate-950">
+    <div className="min-h-screen bg-slate-50 pb-16 transition dark:bg-slate-950" {...dropHandlers}>
+      <CardDropOverlay active={dragActive} uploading={uploading} />
       <PaginationHeader
         page={page}
         totalPages={totalPages}
@@ -411,19 +428,22 @@ function HomeContent() {
         onToggleDarkMode={() => setDarkMode(prev => !prev)}
       />
 
-      <header className="mx-auto w-full max-w-7xl px-6 pt-6 pb-2">
+      <header className="mx-auto flex w-full max-w-7xl flex-wrap items-start justify-between gap-4 px-6 pt-6 pb-2">
         <div className="space-y-1">
           <h1 className="text-3xl font-bold tracking-tight text-slate-900 dark:text-slate-100">Character Archive</h1>
           <SyncStatus syncStatus={syncStatus} ctSyncStatus={ctSyncStatus} />
         </div>
+        <ImportUrlBox onImported={handleImportedCard} />
       </header>
 
       <PushNotification message={globalPushMessage} cardName={pushedCard?.name} onDismiss={() => setPushStatus(null)} />
+      <UploadNotification status={uploadStatus} onDismiss={clearUploadStatus} />
 
       <main className="mx-auto w-full max-w-7xl space-y-6 px-6">
         <FilterBar
           filters={filters}
           searchInputValue={searchInputValue}
+          searchSyntax={searchSyntax}
           advancedFilterInput={advancedFilterInput}
           includeTagsSelected={includeTagsSelected}
           excludeTagsSelected={excludeTagsSelected}
@@ -470,7 +490,9 @@ function HomeContent() {
         </section>
       </main>
 
+      {/* Remounted per card so the tab and block state start fresh */}
       <CardModal
+        key={selectedCard?.id}
         selectedCard={selectedCard}
         closeCardDetails={handleCloseCard}
         getChubUrl={getChubUrl}
@@ -516,6 +538,8 @@ function HomeContent() {
         showPrevAsset={lightbox.prev}
         showNextAsset={lightbox.next}
         lightboxIndex={lightbox.index}
+        openDuplicateCard={handleOpenCard}
+        handleDuplicateMerged={handleDuplicateMerged}
       />
       <SettingsModal
         showSettings={showSettings}
@@ -529,7 +553,6 @@ function HomeContent() {
         handleFetchChubFollows={handleFetchChubFollows}
         isFetchingChubFollows={isFetchingChubFollows}
         chubFollowStatus={chubFollowStatus}
-        blockedCreatorsTextareaRef={blockedCreatorsTextareaRef}
         handleFetchChubBlocked={handleFetchChubBlocked}
         isFetchingChubBlocked={isFetchingChubBlocked}
         chubBlockedStatus={chubBlockedStatus}
@@ -14,20 +14,6 @@ export const defaultCtSyncState = {
     hitsPerPage: 49,
     minTokens: 300,
     maxTokens: 900000,
-    bannedTags: [
-        'furry',
-        'anthro',
-        'beastiality',
-        'scat',
-        'guro',
-        'pokemon',
-        'vore',
-        'bbw',
-        'weight gain',
-        'zoophilia',
-        'my little pony',
-        'mlp',
-    ],
     excludedWarnings: ['underage'],
     bearerToken: '',
     cfClearance: '',
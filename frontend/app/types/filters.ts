@@ -5,7 +5,8 @@ export const defaultFilters = {
     tagMatchMode: 'or' as 'and' | 'or',
     sort: 'new',
     favorite: '' as '' | 'fav' | 'not_fav' | 'shadowban' | 'deleted',
-    source: 'all' as 'all' | 'chub' | 'ct' | 'risuai' | 'wyvern',
+    // 'all' or any source from /api/sync/sources (built-in or plugin)
+    source: 'all' as string,
     minTokens: '',
     hasExampleDialogues: false,
     hasAlternateGreetings: false,
@@ -18,6 +19,7 @@ export const defaultFilters = {
     hasExpressions: false,
     inSillyTavern: false,
     followedOnly: false,
+    hideDuplicates: false,  // Hide cards already archived from another source
     advancedFilter: '',  // Manual filter expression for power users
 };
 
@@ -1,4 +1,4 @@
-import { CardsResponse, Config, ToggleFavoriteResponse, GalleryAsset, CachedAssetsResponse, ChubFollowsResponse, ChubBlockedUsersResponse, FederationPlatform, SyncState, ConnectionTestResult, PushResult, BulkPushResult } from './types';
+import { Card, CardsResponse, Config, ToggleFavoriteResponse, GalleryAsset, CachedAssetsResponse, ChubFollowsResponse, ChubBlockedUsersResponse, FederationPlatform, SyncState, ConnectionTestResult, PushResult, BulkPushResult, CardVersion, CardDiff, CardDuplicatesResponse, MergeDuplicateResult, SimilarAvatarsResponse, AvatarChange, PlaceholderHash } from './types';
 
 const API_BASE = '';
 
@@ -68,6 +68,54 @@ export async function refreshCard(cardId: string) {
   return res.json();
 }
 
+export interface ImportUrlResult {
+  created: boolean;
+  card: Card;
+  source: string;
+  sourceId: string;
+}
+
+export async function importCardFromUrl(url: string): Promise<ImportUrlResult> {
+  const res = await fetch(`${API_BASE}/api/import/url`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url }),
+  });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({ error: 'Failed to import card' }));
+    throw new Error(error.error || 'Failed to import card');
+  }
+  return res.json();
+}
+
+export interface UploadFileResult {
+  file: string;
+  created: boolean;
+  card: Card | null;
+  error?: string;
+}
+
+export interface UploadCardsResult {
+  created: number;
+  existing: number;
+  failed: number;
+  results: UploadFileResult[];
+}
+
+export async function uploadCardFiles(files: File[]): Promise<UploadCardsResult> {
+  const form = new FormData();
+  files.forEach(file => form.append('files', file, file.name));
+  const res = await fetch(`${API_BASE}/api/import/upload`, {
+    method: 'POST',
+    body: form,
+  });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({ error: 'Failed to upload cards' }));
+    throw new Error(error.error || 'Failed to upload cards');
+  }
+  return res.json();
+}
+
 interface PushCardResponse {
   success?: boolean;
   message?: string;
@@ -128,6 +176,24 @@ export async function bulkDeleteCards(cardIds: string[]) {
   return res.json();
 }
 
+export interface BulkRefreshResult {
+  total: number;
+  refreshed: number;
+  failed: number;
+  errors: { cardId: string; error: string }[];
+}
+
+export async function bulkRefreshCards(cardIds: string[]): Promise<Job<BulkRefreshResult>> {
+  const res = await fetch(`${API_BASE}/api/cards/bulk-refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ card_ids: cardIds }),
+  });
+  if (!res.ok) throw new Error('Failed to queue bulk refresh');
+  const data = await res.json();
+  return data.job;
+}
+
 export async function fetchConfig(): Promise<Config> {
   const res = await fetch(`${API_BASE}/api/config`, { cache: 'no-store' });
   if (!res.ok) throw new Error('Failed to fetch config');
@@ -196,6 +262,146 @@ export async function cancelAllSyncs() {
   return res.json();
 }
 
+export async function cancelSync(source: string) {
+  const res = await fetch(`${API_BASE}/api/sync/cancel?source=${encodeURIComponent(source)}`, { method: 'POST' });
+  if (!res.ok) throw new Error(`Failed to cancel ${source} sync`);
+  return res.json();
+}
+
+export type SyncMode = 'latest' | 'backfill' | 'resume';
+
+export interface SyncCheckpoint {
+  source: string;
+  mode: SyncMode;
+  status: 'running' | 'completed' | 'incomplete' | 'cancelled' | 'failed';
+  startPage: number;
+  endPage: number;
+  segment: string | null;
+  page: number | null;
+  segments: Record<string, { page?: number; done?: boolean; error?: string }>;
+  lastSeenId: string | null;
+  lastSeenAt: string | null;
+  filters: Record<string, unknown>;
+  error: string | null;
+  startedAt: string;
+  updatedAt: string;
+  inProgress: boolean;
+  interrupted: boolean;
+  resumable: boolean;
+}
+
+export async function fetchSyncCheckpoints(): Promise<SyncCheckpoint[]> {
+  const res = await fetch(`${API_BASE}/api/sync/checkpoints`, { cache: 'no-store' });
+  if (!res.ok) throw new Error('Failed to fetch sync checkpoints');
+  const data = await res.json();
+  return data.checkpoints;
+}
+
+export async function clearSyncCheckpoint(source: string) {
+  const res = await fetch(`${API_BASE}/api/sync/checkpoints/${encodeURIComponent(source)}`, { method: 'DELETE' });
+  if (!res.ok) throw new Error('Failed to clear sync checkpoint');
+  return res.json();
+}
+
+export interface SyncRun {
+  id: number;
+  source: string;
+  trigger: string;
+  mode: SyncMode;
+  status: 'running' | 'completed' | 'cancelled' | 'failed' | 'interrupted';
+  jobId: number | null;
+  pagesScanned: number;
+  newCards: number;
+  updatedCards: number;
+  skippedCards: number;
+  blacklistedCards: number;
+  failedCards: number;
+  error: string | null;
+  startedAt: string;
+  finishedAt: string | null;
+  errors?: { sourceId: string | null; page: number | null; error: string; at: string }[];
+}
+
+export async function fetchSyncHistory(
+  params: { source?: string; trigger?: string; status?: string; page?: number; limit?: number } = {}
+): Promise<{ items: SyncRun[]; total: number; page: number; limit: number }> {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') query.set(key, String(value));
+  });
+  const res = await fetch(`${API_BASE}/api/sync/history?${query}`, { cache: 'no-store' });
+  if (!res.ok) throw new Error('Failed to fetch sync history');
+  return res.json();
+}
+
+export async function fetchSyncRun(runId: number): Promise<SyncRun> {
+  const res = await fetch(`${API_BASE}/api/sync/history/${runId}`, { cache: 'no-store' });
+  if (!res.ok) throw new Error('Failed to fetch sync run');
+  return res.json();
+}
+
+export interface SyncSchedule {
+  source: string;
+  enabled: boolean;
+  legacy?: boolean;
+  trigger?: string;
+  cron?: string | null;
+  intervalMinutes?: number | null;
+  quietHours?: { start: string; end: string } | null;
+  jitterMinutes?: number;
+  minIntervalMinutes?: number;
+  nextRunAt: string | null;
+  lastRun: { at: string; status: 'queued' | 'skipped'; jobId?: number; reason?: string } | null;
+  error: string | null;
+}
+
+export interface SyncSourceConfigField {
+  type: 'string' | 'number' | 'boolean' | 'string[]';
+  default: unknown;
+  label: string;
+  description?: string;
+  secret?: boolean;
+}
+
+export interface SyncSource {
+  source: string;
+  displayName: string;
+  configKey: string | null;
+  capabilities: { sync: boolean; refresh: boolean; resume: boolean };
+  plugin: boolean;
+  enabled?: boolean;
+  description?: string;
+  version?: string | null;
+  configSchema?: Record<string, SyncSourceConfigField>;
+}
+
+/**
+ * Built-in and plugin scraper sources (GET /api/sync/sources)
+ */
+export async function fetchSyncSources(): Promise<SyncSource[]> {
+  const res = await fetch(`${API_BASE}/api/sync/sources`, { cache: 'no-store' });
+  if (!res.ok) throw new Error('Failed to fetch sync sources');
+  const data = await res.json();
+  return data.sources || [];
+}
+
+export async function fetchSyncSchedules(): Promise<SyncSchedule[]> {
+  const res = await fetch(`${API_BASE}/api/sync/schedules`, { cache: 'no-store' });
+  if (!res.ok) throw new Error('Failed to fetch sync schedules');
+  const data = await res.json();
+  return data.schedules || [];
+}
+
+/**
+ * Queue a resume or page-range backfill for one source; follow it with watchJob()
+ */
+export async function startSyncRun(
+  source: string,
+  options: { mode: SyncMode; fromPage?: number; toPage?: number }
+): Promise<Job> {
+  return createJob(`sync.${source}`, options);
+}
+
 export async function getSyncStatus() {
   const res = await fetch(`${API_BASE}/api/sync/status`);
   if (!res.ok) throw new Error('Failed to get sync status');
@@ -208,12 +414,24 @@ export async function scanCardAssets(cardId: string) {
   return res.json();
 }
 
-export async function cacheCardAssets(cardId: string) {
+export interface CacheAssetsResult {
+  success: boolean;
+  cached: number;
+  skipped: number;
+  failed: number;
+  total: number;
+  message?: string;
+  error?: string;
+}
+
+export async function cacheCardAssets(cardId: string): Promise<CacheAssetsResult> {
   const res = await fetch(`${API_BASE}/api/cards/${cardId}/assets/cache`, {
     method: 'POST',
   });
   if (!res.ok) throw new Error('Failed to cache card assets');
-  return res.json();
+  const { job } = await res.json();
+  const finished = await waitForJob<CacheAssetsResult>(job.id);
+  return finished.result ?? { success: false, cached: 0, skipped: 0, failed: 0, total: 0 };
 }
 
 export async function getCachedAssets(cardId: string): Promise<CachedAssetsResponse> {
@@ -247,6 +465,74 @@ export async function exportCard(cardId: string, useLocal: boolean = false) {
   return { blob, filename };
 }
 
+export async function fetchCardVersions(cardId: string): Promise<{ cardId: number; versions: CardVersion[] }> {
+  const res = await fetch(`${API_BASE}/api/cards/${cardId}/versions`, { cache: 'no-store' });
+  if (!res.ok) throw new Error('Failed to fetch card versions');
+  return res.json();
+}
+
+export function getCardVersionExportUrl(cardId: string, revision: number, format: 'png' | 'json' | 'charx' = 'png') {
+  return `${API_BASE}/api/cards/${cardId}/versions/${revision}/export?format=${format}`;
+}
+
+export async function fetchCardDiff(cardId: string, from: number | 'current', to: number | 'current' = 'current'): Promise<CardDiff> {
+  const params = new URLSearchParams({ from: String(from), to: String(to) });
+  const res = await fetch(`${API_BASE}/api/cards/${cardId}/diff?${params.toString()}`, { cache: 'no-store' });
+  if (!res.ok) throw new Error('Failed to fetch card diff');
+  return res.json();
+}
+
+export async function fetchCardDuplicates(cardId: string): Promise<CardDuplicatesResponse> {
+  const res = await fetch(`${API_BASE}/api/cards/${cardId}/duplicates`, { cache: 'no-store' });
+  if (!res.ok) throw new Error('Failed to fetch duplicates');
+  return res.json();
+}
+
+/** Keep `keepId` and move `dropId` to the trash, recording its source on the kept card */
+export async function mergeCardDuplicate(keepId: string, dropId: string): Promise<MergeDuplicateResult> {
+  const res = await fetch(`${API_BASE}/api/cards/${keepId}/duplicates/${dropId}/merge`, { method: 'POST' });
+  if (!res.ok) {
+    const errorBody = await res.json().catch(() => ({}));
+    throw new Error(errorBody?.error || 'Failed to merge duplicate');
+  }
+  return res.json();
+}
+
+export async function dismissCardDuplicate(cardId: string, duplicateId: string) {
+  const res = await fetch(`${API_BASE}/api/cards/${cardId}/duplicates/${duplicateId}`, { method: 'DELETE' });
+  if (!res.ok) throw new Error('Failed to dismiss duplicate');
+  return res.json();
+}
+
+export async function fetchSimilarAvatars(cardId: string, maxDistance?: number): Promise<SimilarAvatarsResponse> {
+  const params = new URLSearchParams();
+  if (maxDistance !== undefined) params.set('maxDistance', String(maxDistance));
+  const query = params.toString();
+  const res = await fetch(`${API_BASE}/api/cards/${cardId}/similar-avatars${query ? `?${query}` : ''}`, { cache: 'no-store' });
+  if (!res.ok) throw new Error('Failed to fetch similar avatars');
+  return res.json();
+}
+
+export async function fetchAvatarChanges(cardId: string): Promise<{ cardId: number; changes: AvatarChange[] }> {
+  const res = await fetch(`${API_BASE}/api/cards/${cardId}/avatar-changes`, { cache: 'no-store' });
+  if (!res.ok) throw new Error('Failed to fetch avatar changes');
+  return res.json();
+}
+
+/** Remember this card's avatar as a placeholder; matching images count as fuzzed from now on */
+export async function markAvatarAsPlaceholder(cardId: string, label?: string): Promise<{ success: boolean; placeholder: Omit<PlaceholderHash, 'addedAt'> & { cardsMarked: number } }> {
+  const res = await fetch(`${API_BASE}/api/cards/${cardId}/avatar/placeholder`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ label }),
+  });
+  if (!res.ok) {
+    const errorBody = await res.json().catch(() => ({}));
+    throw new Error(errorBody?.error || 'Failed to mark avatar as placeholder');
+  }
+  return res.json();
+}
+
 export async function fetchChubFollows(profile?: string): Promise<ChubFollowsResponse> {
   const params = new URLSearchParams();
   if (profile) {
@@ -262,8 +548,8 @@ export async function fetchChubFollows(profile?: string): Promise<ChubFollowsRes
   return res.json();
 }
 
-export async function fetchChubBlockedUsers(): Promise<ChubBlockedUsersResponse> {
-  const res = await fetch(`${API_BASE}/api/sync/chub/blocked`, { cache: 'no-store' });
+export async function importChubBlockedUsers(): Promise<ChubBlockedUsersResponse> {
+  const res = await fetch(`${API_BASE}/api/sync/chub/blocked/import`, { method: 'POST' });
   if (!res.ok) {
     const errorBody = await res.json().catch(() => ({}));
     const message = errorBody?.error || 'Failed to fetch blocked users from Chub';
@@ -436,3 +722,406 @@ export async function fetchTopCardsByPlatform(limit = 5): Promise<Record<string,
   return res.json();
 }
 
+// ============================================================================
+// Moderation API
+// ============================================================================
+
+export type ModerationScope = 'preview' | 'dry_run' | 'execute';
+export type ModerationAction = 'quarantine' | 'delete' | 'delete_blacklist';
+
+export interface ModerationRule {
+  id: number;
+  name: string;
+  query: string;
+  filter: string;
+  scope: ModerationScope;
+  action: ModerationAction;
+  createdAt: string;
+  updatedAt: string;
+  lastRunAt: string | null;
+}
+
+export interface ModerationReport {
+  total: number;
+  searchTotal: number;
+  truncated: boolean;
+  appliedFilter: string;
+  bySource: Record<string, number>;
+  byAuthor: { key: string; count: number }[];
+  byTag: { key: string; count: number }[];
+}
+
+export interface ModerationRun {
+  id: number;
+  ruleId: number;
+  scope: ModerationScope;
+  action: ModerationAction;
+  status: 'running' | 'completed' | 'failed';
+  matched: number;
+  processed: number;
+  failed: number;
+  report: ModerationReport | null;
+  error: string | null;
+  startedAt: string;
+  finishedAt: string | null;
+}
+
+export interface ModerationPreview {
+  total: number;
+  appliedFilter: string;
+  cards: { id: number; name: string; author: string; source: string }[];
+}
+
+export type ModerationRuleInput = Pick<ModerationRule, 'name' | 'query' | 'filter' | 'scope' | 'action'>;
+
+async function moderationRequest<T>(path: string, init: RequestInit, fallback: string): Promise<T> {
+  const res = await fetch(`${API_BASE}/api/moderation${path}`, {
+    cache: 'no-store',
+    ...init,
+    headers: init.body ? { 'Content-Type': 'application/json' } : undefined,
+  });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({ error: fallback }));
+    throw new Error(error.error || fallback);
+  }
+  return res.json();
+}
+
+export async function fetchModerationRules(): Promise<{ rules: ModerationRule[]; searchEnabled: boolean }> {
+  return moderationRequest('/rules', {}, 'Failed to fetch moderation rules');
+}
+
+export async function createModerationRule(rule: ModerationRuleInput): Promise<ModerationRule> {
+  return moderationRequest('/rules', { method: 'POST', body: JSON.stringify(rule) }, 'Failed to create rule');
+}
+
+export async function updateModerationRule(id: number, rule: Partial<ModerationRuleInput>): Promise<ModerationRule> {
+  return moderationRequest(`/rules/${id}`, { method: 'PUT', body: JSON.stringify(rule) }, 'Failed to update rule');
+}
+
+export async function deleteModerationRule(id: number): Promise<{ success: boolean }> {
+  return moderationRequest(`/rules/${id}`, { method: 'DELETE' }, 'Failed to delete rule');
+}
+
+export async function runModerationRule(
+  id: number,
+  scope: ModerationScope
+): Promise<{ scope: ModerationScope; preview?: ModerationPreview; run?: ModerationRun }> {
+  return moderationRequest(`/rules/${id}/run`, { method: 'POST', body: JSON.stringify({ scope }) }, 'Failed to run rule');
+}
+
+export async function fetchModerationRuns(id: number): Promise<{ runs: ModerationRun[] }> {
+  return moderationRequest(`/rules/${id}/runs`, {}, 'Failed to fetch rule runs');
+}
+
+export async function fetchModerationRun(id: number, runId: number): Promise<ModerationRun> {
+  return moderationRequest(`/rules/${id}/runs/${runId}`, {}, 'Failed to fetch rule run');
+}
+
+// ============================================================================
+// Deny-list API
+// ============================================================================
+
+export interface BlockedTag {
+  tag: string;
+  reason: string | null;
+  createdAt: string;
+}
+
+export interface BlockedCreator {
+  source: string;
+  creator: string;
+  reason: string | null;
+  createdAt: string;
+}
+
+export async function fetchDenyList(): Promise<{ tags: BlockedTag[]; creators: BlockedCreator[]; sources: string[] }> {
+  const res = await fetch(`${API_BASE}/api/denylist`, { cache: 'no-store' });
+  if (!res.ok) throw new Error('Failed to fetch deny-list');
+  return res.json();
+}
+
+export async function blockTag(tag: string, reason?: string): Promise<BlockedTag> {
+  const res = await fetch(`${API_BASE}/api/denylist/tags`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tag, reason }),
+  });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({ error: 'Failed to block tag' }));
+    throw new Error(error.error || 'Failed to block tag');
+  }
+  return res.json();
+}
+
+export async function unblockTag(tag: string): Promise<{ success: boolean }> {
+  const res = await fetch(`${API_BASE}/api/denylist/tags/${encodeURIComponent(tag)}`, { method: 'DELETE' });
+  if (!res.ok) throw new Error('Failed to unblock tag');
+  return res.json();
+}
+
+export async function blockCreator(source: string, creator: string, reason?: string): Promise<BlockedCreator> {
+  const res = await fetch(`${API_BASE}/api/denylist/creators`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ source, creator, reason }),
+  });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({ error: 'Failed to block creator' }));
+    throw new Error(error.error || 'Failed to block creator');
+  }
+  return res.json();
+}
+
+export async function unblockCreator(source: string, creator: string): Promise<{ success: boolean }> {
+  const res = await fetch(
+    `${API_BASE}/api/denylist/creators/${encodeURIComponent(source)}/${encodeURIComponent(creator)}`,
+    { method: 'DELETE' }
+  );
+  if (!res.ok) throw new Error('Failed to unblock creator');
+  return res.json();
+}
+
+
+// ============================================================================
+// Blocklist API
+// ============================================================================
+
+export interface BlocklistEntry {
+  source: string;
+  sourceId: string;
+  reason: string | null;
+  addedBy: string | null;
+  createdAt: string;
+}
+
+export interface CooldownEntry {
+  source: string;
+  sourceId: string;
+  reason: string | null;
+  cooledAt: number;
+}
+
+export interface BlocklistResponse {
+  items: BlocklistEntry[];
+  total: number;
+  page: number;
+  limit: number;
+  counts: { source: string; count: number }[];
+  sources: string[];
+}
+
+export async function fetchBlocklist(
+  params: { source?: string; search?: string; page?: number; limit?: number } = {}
+): Promise<BlocklistResponse> {
+  const query = new URLSearchParams();
+  if (params.source) query.set('source', params.source);
+  if (params.search) query.set('search', params.search);
+  if (params.page) query.set('page', String(params.page));
+  if (params.limit) query.set('limit', String(params.limit));
+  const res = await fetch(`${API_BASE}/api/blocklist?${query}`, { cache: 'no-store' });
+  if (!res.ok) throw new Error('Failed to fetch blocklist');
+  return res.json();
+}
+
+export async function addBlocklistEntry(source: string, sourceId: string, reason?: string): Promise<{ success: boolean }> {
+  const res = await fetch(`${API_BASE}/api/blocklist`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ source, sourceId, reason }),
+  });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({ error: 'Failed to add blocklist entry' }));
+    throw new Error(error.error || 'Failed to add blocklist entry');
+  }
+  return res.json();
+}
+
+export async function removeBlocklistEntry(source: string, sourceId: string): Promise<{ success: boolean }> {
+  const res = await fetch(
+    `${API_BASE}/api/blocklist/${encodeURIComponent(source)}/${encodeURIComponent(sourceId)}`,
+    { method: 'DELETE' }
+  );
+  if (!res.ok) throw new Error('Failed to remove blocklist entry');
+  return res.json();
+}
+
+export async function importBlocklist(source: string, text: string): Promise<{ added: number; total: number }> {
+  const res = await fetch(`${API_BASE}/api/blocklist/import?source=${encodeURIComponent(source)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain' },
+    body: text,
+  });
+  if (!res.ok) {
+    const error = await res.json().catch(() => ({ error: 'Failed to import blocklist' }));
+    throw new Error(error.error || 'Failed to import blocklist');
+  }
+  return res.json();
+}
+
+export function getBlocklistExportUrl(source: string): string {
+  return `${API_BASE}/api/blocklist/export?source=${encodeURIComponent(source)}`;
+}
+
+export async function fetchCooldowns(
+  params: { source?: string; page?: number } = {}
+): Promise<{ items: CooldownEntry[]; total: number; page: number; limit: number }> {
+  const query = new URLSearchParams();
+  if (params.source) query.set('source', params.source);
+  if (params.page) query.set('page', String(params.page));
+  const res = await fetch(`${API_BASE}/api/blocklist/cooldowns?${query}`, { cache: 'no-store' });
+  if (!res.ok) throw new Error('Failed to fetch cooldowns');
+  return res.json();
+}
+
+export async function clearCooldown(source: string, sourceId: string): Promise<{ success: boolean }> {
+  const res = await fetch(
+    `${API_BASE}/api/blocklist/cooldowns/${encodeURIComponent(source)}/${encodeURIComponent(sourceId)}`,
+    { method: 'DELETE' }
+  );
+  if (!res.ok) throw new Error('Failed to clear cooldown');
+  return res.json();
+}
+
+// ============================================================================
+// Jobs API
+// ============================================================================
+
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed' | 'canceled';
+
+/** What a running job last reported; each job type adds its own counters */
+export interface JobProgress {
+  progress?: number;
+  processed?: number;
+  total?: number;
+  page?: number;
+  currentCard?: string;
+  name?: string;
+  newCards?: number;
+  added?: number;
+  [key: string]: unknown;
+}
+
+export interface Job<TResult = Record<string, unknown>> {
+  id: number;
+  type: string;
+  status: JobStatus;
+  payload: Record<string, unknown>;
+  progress: JobProgress | null;
+  result: TResult | null;
+  error: string | null;
+  attempts: number;
+  maxAttempts: number;
+  cancelRequested: boolean;
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+}
+
+export interface JobTypeInfo {
+  type: string;
+  label: string;
+  group: string | null;
+  unique: boolean;
+  maxAttempts: number;
+}
+
+export type JobEvent =
+  | { type: 'job'; job: Job }
+  | { type: 'progress'; jobId: number; progress: JobProgress };
+
+export const TERMINAL_JOB_STATUSES: JobStatus[] = ['succeeded', 'failed', 'canceled'];
+
+export async function fetchJobs(
+  params: { status?: JobStatus | 'active'; type?: string; page?: number; limit?: number } = {}
+): Promise<{ items: Job[]; total: number; page: number; limit: number; types: JobTypeInfo[] }> {
+  const query = new URLSearchParams();
+  if (params.status) query.set('status', params.status);
+  if (params.type) query.set('type', params.type);
+  if (params.page) query.set('page', String(params.page));
+  if (params.limit) query.set('limit', String(params.limit));
+  const res = await fetch(`${API_BASE}/api/jobs?${query}`, { cache: 'no-store' });
+  if (!res.ok) throw new Error('Failed to fetch jobs');
+  return res.json();
+}
+
+export async function createJob(type: string, payload: Record<string, unknown> = {}): Promise<Job> {
+  const res = await fetch(`${API_BASE}/api/jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ type, payload }),
+  });
+  const data = await res.json().catch(() => ({ error: 'Failed to queue job' }));
+  if (!res.ok) throw new Error(data.error || 'Failed to queue job');
+  return data.job;
+}
+
+export async function fetchJob(jobId: number): Promise<Job> {
+  const res = await fetch(`${API_BASE}/api/jobs/${jobId}`, { cache: 'no-store' });
+  if (!res.ok) throw new Error('Failed to fetch job');
+  return res.json();
+}
+
+export async function cancelJob(jobId: number): Promise<Job> {
+  const res = await fetch(`${API_BASE}/api/jobs/${jobId}/cancel`, { method: 'POST' });
+  if (!res.ok) throw new Error('Failed to cancel job');
+  return res.json();
+}
+
+export async function retryJob(jobId: number): Promise<Job> {
+  const res = await fetch(`${API_BASE}/api/jobs/${jobId}/retry`, { method: 'POST' });
+  const data = await res.json().catch(() => ({ error: 'Failed to retry job' }));
+  if (!res.ok) throw new Error(data.error || 'Failed to retry job');
+  return data.job;
+}
+
+/**
+ * Follow a job's SSE stream until it finishes (or the signal aborts)
+ */
+export async function watchJob(
+  jobId: number,
+  onEvent: (event: JobEvent) => void,
+  signal?: AbortSignal
+): Promise<Job | null> {
+  const res = await fetch(`${API_BASE}/api/jobs/${jobId}/events`, { signal });
+  if (!res.ok || !res.body) throw new Error('Failed to follow job');
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let latest: Job | null = null;
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const chunk = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      if (chunk.startsWith('data:')) {
+        const event = JSON.parse(chunk.replace('data: ', '')) as JobEvent;
+        if (event.type === 'job') latest = event.job;
+        onEvent(event);
+      }
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+  reader.releaseLock();
+  return latest;
+}
+
+/**
+ * Resolve with the finished job; throws if it failed or was canceled
+ */
+export async function waitForJob<TResult = Record<string, unknown>>(
+  jobId: number,
+  onProgress?: (progress: JobProgress) => void
+): Promise<Job<TResult>> {
+  const job = await watchJob(jobId, (event) => {
+    if (event.type === 'progress' && onProgress) onProgress(event.progress);
+  });
+  if (!job || job.status === 'failed' || job.status === 'canceled') {
+    throw new Error(job?.error || `Job ${jobId} ${job?.status ?? 'was lost'}`);
+  }
+  return job as Job<TResult>;
+}
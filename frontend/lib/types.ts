@@ -7,6 +7,33 @@ export interface VectorMatch {
   score?: number | null;
 }
 
+// Full-text index snippet; highlights are [start, end) offsets into text
+export interface TextMatch {
+  text: string;
+  highlights: [number, number][];
+}
+
+// Qualifier read from the search box (author:, tag:, tokens:, ...); start/end are offsets into the input
+export interface SearchQualifier {
+  key: string;
+  value: string;
+  negated: boolean;
+  start: number;
+  end: number;
+}
+
+export interface SearchSyntaxError {
+  message: string;
+  start: number;
+  end: number;
+}
+
+export interface SearchSyntax {
+  input: string;
+  qualifiers: SearchQualifier[];
+  errors: SearchSyntaxError[];
+}
+
 export interface VectorMeta {
   enabled?: boolean;
   appliedFilter?: string;
@@ -65,6 +92,7 @@ export interface Card {
   sourcePath?: string;
   sourceUrl?: string;
   vectorMatch?: VectorMatch | null;
+  textMatch?: TextMatch | null;
 }
 
 export interface CardsResponse {
@@ -80,6 +108,7 @@ export interface CardsResponse {
     fallbackReason?: string;
   };
   vector?: VectorMeta | null;
+  searchSyntax?: SearchSyntax;
 }
 
 export interface Config {
@@ -105,7 +134,6 @@ export interface Config {
   followedCreators: string[];
   syncFollowedCreators: boolean;
   followedCreatorsOnly: boolean;
-  blockedCreators?: string[];
   publicBaseUrl?: string;
   sillyTavern?: {
     enabled: boolean;
@@ -122,7 +150,6 @@ export interface Config {
     hitsPerPage: number;
     minTokens: number;
     maxTokens: number;
-    bannedTags: string[];
     excludedWarnings: string[];
     bearerToken: string;
     cfClearance: string;
@@ -279,3 +306,110 @@ export interface BulkPushResult {
     error?: string;
   }>;
 }
+
+export interface CardVersion {
+  cardId: number;
+  revision: number;
+  source: string | null;
+  reason: string | null;
+  name: string;
+  author: string;
+  lastModified: string | null;
+  tokenCount: number | null;
+  contentHash: string;
+  files: string[];
+  storagePath: string;
+  createdAt: string;
+}
+
+export interface CardLorebookEntrySnapshot {
+  name: string;
+  keys: string[];
+  secondary_keys: string[];
+  content: string;
+  enabled: boolean;
+  constant: boolean;
+  selective: boolean;
+  insertion_order: number | null;
+  index: number;
+}
+
+export type CardDiffChange =
+  | {
+      section: 'field' | 'alternate_greetings';
+      path: string;
+      label: string;
+      type: 'added' | 'removed' | 'changed';
+      before: string | null;
+      after: string | null;
+    }
+  | {
+      section: 'lorebook';
+      path: string;
+      label: string;
+      type: 'added' | 'removed' | 'changed';
+      changedFields?: string[];
+      before: CardLorebookEntrySnapshot | null;
+      after: CardLorebookEntrySnapshot | null;
+    };
+
+export interface CardDiff {
+  cardId: number;
+  from: number | 'current';
+  to: number | 'current';
+  changes: CardDiffChange[];
+  summary: { added: number; removed: number; changed: number };
+}
+
+export interface CardDuplicate {
+  otherId: number;
+  textSimilarity: number | null;
+  avatarDistance: number | null;
+  status: 'pending' | 'dismissed';
+  detectedAt: string;
+  card: Card;
+}
+
+export interface CardSourceLink {
+  source: string;
+  sourceId: string;
+  sourceUrl: string | null;
+  mergedFromId: number | null;
+  mergedAt: string;
+}
+
+export interface CardDuplicatesResponse {
+  cardId: number;
+  duplicates: CardDuplicate[];
+  links: CardSourceLink[];
+}
+
+export interface MergeDuplicateResult {
+  success: boolean;
+  keptId: number;
+  trashedId: number;
+  links: CardSourceLink[];
+}
+
+export interface PlaceholderHash {
+  hash: string;
+  label: string | null;
+  sourceCardId: number | null;
+  addedAt: string;
+}
+
+export interface SimilarAvatarsResponse {
+  cardId: number;
+  hash: string | null;
+  matches: Array<Card & { avatarDistance: number }>;
+  placeholder: PlaceholderHash | null;
+}
+
+export interface AvatarChange {
+  id: number;
+  cardId: number;
+  previousHash: string;
+  newHash: string;
+  distance: number;
+  detectedAt: string;
+}
@@ -12,7 +12,7 @@
  * @returns {string} Escaped value
  */
 function escapeLike(value) {
-    return value.replace(/[%_]/g, '\\$&');
+    return value.replace(/[\\%_]/g, '\\$&');
 }
 
 /**
@@ -27,6 +27,78 @@ function parseTagList(value) {
         .filter(Boolean);
 }
 
+/**
+ * Split search text into words, keeping "quoted" or 'quoted' text as one term
+ * @param {string} value - Literal from a boolean search expression
+ * @returns {string[]} Terms without their quotes
+ */
+function splitSearchTerms(value) {
+    const terms = [];
+    for (const [, doubleQuoted, singleQuoted, word] of value.matchAll(/"([^"]*)"|'([^']*)'|([^\s"]+)/g)) {
+        const term = (doubleQuoted ?? singleQuoted ?? word).trim();
+        if (term) {
+            terms.push(term);
+        }
+    }
+    return terms;
+}
+
+/**
+ * Match every term of a literal somewhere in the fields
+ * @param {string} value - Literal text
+ * @param {string[]} fields - Fields to search
+ * @returns {{clause: string, params: Array}|null} null when the literal has no terms
+ */
+function likeLiteralClause(value, fields) {
+    const terms = splitSearchTerms(value);
+    if (terms.length === 0) return null;
+
+    const params = [];
+    const termClauses = terms.map(term => {
+        const pattern = `%${escapeLike(term)}%`;
+        fields.forEach(() => params.push(pattern));
+        // A NULL column would make the OR NULL, and NOT NULL drops the row
+        return `(${fields.map(f => `IFNULL(${f}, '') LIKE ? ESCAPE '\\'`).join(' OR ')})`;
+    });
+
+    return {
+        clause: termClauses.length === 1 ? termClauses[0] : `(${termClauses.join(' AND ')})`,
+        params
+    };
+}
+
+/**
+ * Compile a boolean expression tree into a parenthesized condition
+ * @param {object|null} node - literal / and / or / not node
+ * @param {Function} literalClause - Literal text => {clause, params} or null
+ * @returns {{clause: string, params: Array}|null} null when nothing in the tree is searchable
+ */
+function compileBooleanNode(node, literalClause) {
+    if (!node) return null;
+
+    switch (node.type) {
+        case 'literal':
+            return literalClause(node.value);
+        case 'not': {
+            const child = compileBooleanNode(node.child, literalClause);
+            return child ? { clause: `(NOT ${child.clause})`, params: child.params } : null;
+        }
+        case 'and':
+        case 'or': {
+            const parts = [node.left, node.right]
+                .map(child => compileBooleanNode(child, literalClause))
+                .filter(Boolean);
+            if (parts.length < 2) return parts[0] || null;
+            return {
+                clause: `(${parts[0].clause} ${node.type.toUpperCase()} ${parts[1].clause})`,
+                params: [...parts[0].params, ...parts[1].params]
+            };
+        }
+        default:
+            return null;
+    }
+}
+
 export class QueryBuilder {
     /**
      * @param {Function} tagExpander - Function to expand tag aliases (tag => variants[])
@@ -58,6 +130,25 @@ export class QueryBuilder {
         return this;
     }
 
+    /**
+     * Add a boolean search expression (AND / OR / NOT tree from backend/utils/boolean-query.js).
+     * By default each literal must match all of its words, each in any of the fields.
+     * @param {object|null} tree - Parsed expression
+     * @param {Object} options
+     * @param {string[]} options.fields - Fields to search
+     * @param {Function} options.literalClause - Custom literal matcher: text => {clause, params} or null
+     * @returns {QueryBuilder}
+     */
+    booleanSearch(tree, { fields = ['name', 'description', 'tagline', 'topics', 'author'], literalClause = null } = {}) {
+        const compiled = compileBooleanNode(tree, literalClause || (value => likeLiteralClause(value, fields)));
+        if (!compiled) return this;
+
+        this.whereClauses.push(compiled.clause);
+        this.params.push(...compiled.params);
+
+        return this;
+    }
+
     /**
      * Add title-only search
      * @param {string} query - Search query
@@ -312,6 +403,17 @@ export class QueryBuilder {
         };
     }
 
+    /**
+     * Build only the combined WHERE condition, for queries assembled elsewhere
+     * @returns {{clause: string, params: Array}} Empty clause when no filters were added
+     */
+    buildWhere() {
+        return {
+            clause: this.whereClauses.join(' AND '),
+            params: [...this.params]
+        };
+    }
+
     /**
      * Reset the builder to initial state
      * @returns {QueryBuilder}
@@ -121,6 +121,52 @@ describe('QueryBuilder', () => {
         });
     });
 
+    describe('Boolean Search', () => {
+        const literal = value => ({ type: 'literal', value });
+
+        it('should compile AND / OR / NOT into parameterized SQL', () => {
+            const tree = {
+                type: 'and',
+                left: { type: 'or', left: literal('elf'), right: literal('dwarf') },
+                right: { type: 'not', child: literal('evil') }
+            };
+            const { sql, params } = new QueryBuilder().booleanSearch(tree, { fields: ['name'] }).build();
+
+            assert.strictEqual(
+                sql,
+                "SELECT * FROM cards WHERE (((IFNULL(name, '') LIKE ? ESCAPE '\\') OR (IFNULL(name, '') LIKE ? ESCAPE '\\')) AND (NOT (IFNULL(name, '') LIKE ? ESCAPE '\\')))"
+            );
+            assert.deepStrictEqual(params, ['%elf%', '%dwarf%', '%evil%']);
+        });
+
+        it('should match every word of a literal and keep quoted phrases together', () => {
+            const { clause, params } = new QueryBuilder()
+                .booleanSearch(literal('"space pirate" 100%_real'), { fields: ['name', 'tagline'] })
+                .buildWhere();
+
+            assert.ok(clause.includes(' AND '));
+            assert.deepStrictEqual(params, ['%space pirate%', '%space pirate%', '%100\\%\\_real%', '%100\\%\\_real%']);
+        });
+
+        it('should drop branches with nothing to search', () => {
+            const tree = { type: 'or', left: literal('""'), right: { type: 'not', child: null } };
+            const { sql, params } = new QueryBuilder().booleanSearch(tree).build();
+
+            assert.strictEqual(sql, 'SELECT * FROM cards');
+            assert.strictEqual(params.length, 0);
+        });
+
+        it('should use a custom literal matcher', () => {
+            const literalClause = value => ({ clause: '(id IN (SELECT rowid FROM cards_fts WHERE cards_fts MATCH ?))', params: [value] });
+            const { clause, params } = new QueryBuilder()
+                .booleanSearch({ type: 'not', child: literal('evil') }, { literalClause })
+                .buildWhere();
+
+            assert.strictEqual(clause, '(NOT (id IN (SELECT rowid FROM cards_fts WHERE cards_fts MATCH ?)))');
+            assert.deepStrictEqual(params, ['evil']);
+        });
+    });
+
     describe('Tag Filtering', () => {
         it('should include tags in OR mode', () => {
             const builder = new QueryBuilder(mockTagExpander);
@@ -0,0 +1,144 @@
+/**
+ * ExampleSiteScraper - Template scraper plugin
+ *
+ * Walks a paged JSON listing (GET {baseUrl}/characters?page=N) and stores each
+ * character as a CCv2 card. BaseScraper handles blacklists, cooldowns, the
+ * deny-list, checkpoints, run history and file writes; a plugin only maps the
+ * site's API onto the abstract methods below.
+ */
+
+import axios from 'axios';
+import { BaseScraper } from '../../../backend/services/scrapers/BaseScraper.js';
+
+export default class ExampleSiteScraper extends BaseScraper {
+    constructor() {
+        super({
+            // Must match "source" in manifest.json
+            source: 'example-site',
+            displayName: 'Example Site'
+        });
+        this.baseUrl = 'https://example.com/api';
+        this.apiKey = '';
+    }
+
+    createClient(config = {}) {
+        this.baseUrl = config.baseUrl || this.baseUrl;
+        this.apiKey = config.apiKey || this.apiKey;
+        return axios.create({
+            baseURL: this.baseUrl,
+            timeout: 30000,
+            headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+        });
+    }
+
+    // Picks up baseUrl/apiKey before BaseScraper fetches the card
+    async refreshCard(dbId, config = {}) {
+        this.createClient(config);
+        return super.refreshCard(dbId, config);
+    }
+
+    getSourceId(item) {
+        return String(item.id);
+    }
+
+    getRemoteTimestamp(item) {
+        return item.updated_at || item.created_at || null;
+    }
+
+    getImageRef(item, cardData) {
+        return cardData?.avatar_url || item?.avatar_url || null;
+    }
+
+    getCheckpointFilters(config) {
+        return { itemsPerPage: config.itemsPerPage || 50 };
+    }
+
+    async fetchList(page, config) {
+        try {
+            const response = await this.createClient(config).get('/characters', {
+                params: { page, limit: config.itemsPerPage || 50 }
+            });
+            return response.data?.items || [];
+        } catch (error) {
+            this.log.error(`Failed to fetch list page ${page}`, error.message);
+            return [];
+        }
+    }
+
+    async fetchCard(sourceId) {
+        try {
+            const response = await this.createClient().get(`/characters/${sourceId}`);
+            return { data: response.data, error: null };
+        } catch (error) {
+            return { data: null, error: error.message, status: error?.response?.status };
+        }
+    }
+
+    async fetchImage(imageUrl) {
+        try {
+            const response = await axios.get(imageUrl, { responseType: 'arraybuffer', timeout: 30000 });
+            return Buffer.from(response.data);
+        } catch (error) {
+            this.log.warn(`Failed to fetch image: ${imageUrl}`, error.message);
+            return null;
+        }
+    }
+
+    deriveFeatureFlags(cardData) {
+        return {
+            hasAlternateGreetings: Array.isArray(cardData.alternate_greetings) && cardData.alternate_greetings.length > 0,
+            hasLorebook: !!cardData.character_book,
+            hasEmbeddedLorebook: !!cardData.character_book,
+            hasLinkedLorebook: false,
+            hasExampleDialogues: !!cardData.mes_example?.trim(),
+            hasSystemPrompt: !!cardData.system_prompt?.trim(),
+            hasGallery: false,
+            hasEmbeddedImages: false,
+            hasExpressions: false
+        };
+    }
+
+    async parseCardToMetadata(cardData, dbId) {
+        const definition = {
+            spec: 'chara_card_v2',
+            spec_version: '2.0',
+            data: {
+                name: cardData.name || 'Unknown',
+                description: cardData.description || '',
+                personality: cardData.personality || '',
+                scenario: cardData.scenario || '',
+                first_mes: cardData.first_mes || '',
+                mes_example: cardData.mes_example || '',
+                alternate_greetings: cardData.alternate_greetings || [],
+                system_prompt: cardData.system_prompt || '',
+                creator_notes: cardData.creator_notes || '',
+                creator: cardData.author || '',
+                tags: cardData.tags || [],
+                character_book: cardData.character_book || undefined
+            }
+        };
+        const tokenCount = Math.ceil(JSON.stringify(definition.data).length / 4);
+        const now = new Date().toISOString();
+
+        return {
+            id: dbId,
+            name: definition.data.name,
+            tagline: (cardData.description || '').substring(0, 200),
+            description: cardData.description || '',
+            author: cardData.author || 'Anonymous',
+            topics: [...new Set(['example-site', ...(cardData.tags || [])])],
+            nTokens: tokenCount,
+            tokenCount,
+            createdAt: cardData.created_at || now,
+            lastModified: cardData.updated_at || cardData.created_at || now,
+            lastActivityAt: cardData.updated_at || cardData.created_at || now,
+            fullPath: `example-site/${cardData.author || 'anonymous'}/${cardData.id}`,
+            source: 'example-site',
+            sourceId: String(cardData.id),
+            sourcePath: `characters/${cardData.id}`,
+            sourceUrl: `${this.baseUrl.replace(/\/api$/, '')}/characters/${cardData.id}`,
+            ...this.deriveFeatureFlags(cardData),
+            definition
+        };
+    }
+}
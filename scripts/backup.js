@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Write an archive backup (database snapshot, static/, data/, tag aliases, config)
+ *
+ *   npm run backup -- [--out <dir>] [--include-secrets] [--incremental]
+ *
+ * Safe to run while the server is up. --incremental only bundles what changed
+ * since the newest backup in the output folder (a full backup if there is none). API keys, tokens and cookies are blanked
+ * in the bundled config.json unless --include-secrets is given.
+ */
+import { initDatabase } from '../backend/database.js';
+import { createBackup, BACKUP_DIR } from '../backend/services/BackupService.js';
+
+function parseArgs(argv) {
+    const options = { outputDir: BACKUP_DIR, includeSecrets: false, incremental: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') {
+            options.outputDir = argv[++i];
+        } else if (arg === '--include-secrets') {
+            options.includeSecrets = true;
+        } else if (arg === '--incremental') {
+            options.incremental = true;
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.outputDir) {
+        console.error('Usage: npm run backup -- [--out <dir>] [--include-secrets] [--incremental]');
+        process.exit(1);
+    }
+
+    initDatabase({ skipTagRebuild: true, skipTokenBackfill: true });
+
+    const result = await createBackup({
+        ...options,
+        onProgress: ({ processed, total }) => console.log(`[INFO] ${processed}/${total} files bundled...`)
+    });
+
+    const sizeMb = (result.size / (1024 * 1024)).toFixed(1);
+    console.log(`[INFO] Backup complete: ${result.cards} cards, ${result.files} files, ${sizeMb} MB`);
+    if (result.kind === 'incremental') {
+        const database = result.database === 'delta' ? 'changed database rows' : 'full database (schema changed)';
+        console.log(`[INFO] Incremental on ${result.parent}: ${result.written} new or changed files, ${result.deleted} deleted, ${database}`);
+    }
+    if (result.skipped) {
+        console.log(`[WARN] ${result.skipped} file(s) disappeared while bundling and were skipped`);
+    }
+    if (result.secretsStripped) {
+        console.log('[INFO] Secrets were blanked in the bundled config.json');
+    }
+    console.log(`[INFO] Written to ${result.file}`);
+}
+
+main().catch(error => {
+    console.error('[ERROR] Backup failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Check the archive's files and tables against each other
+ *
+ *   npm run integrity -- [--repair redownload,tags,dangling,orphans] [--report <file>]
+ *
+ * Without --repair nothing is changed. Writes a JSON report with every issue
+ * count and the first entries of each kind to data/integrity-reports/ (or --report).
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { initDatabase } from '../backend/database.js';
+import {
+    checkArchiveIntegrity,
+    normalizeRepairs,
+    validateRepairs,
+    INTEGRITY_REPAIRS
+} from '../backend/services/IntegrityService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const REPORT_DIR = path.join(__dirname, '..', 'data', 'integrity-reports');
+
+function parseArgs(argv) {
+    const options = { repairs: [], report: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--repair') {
+            options.repairs.push(...normalizeRepairs(argv[++i]));
+        } else if (arg === '--report') {
+            options.report = argv[++i];
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const invalid = validateRepairs(options.repairs);
+    if (invalid) {
+        console.error(`[ERROR] ${invalid}`);
+        console.error(`Usage: npm run integrity -- [--repair ${INTEGRITY_REPAIRS.join(',')}] [--report <file>]`);
+        process.exit(1);
+    }
+
+    await initDatabase();
+
+    let lastPhase = null;
+    const report = await checkArchiveIntegrity({
+        repairs: options.repairs,
+        onProgress: progress => {
+            if (progress.phase !== lastPhase) {
+                console.log(`[INFO] Checking ${progress.phase}...`);
+                lastPhase = progress.phase;
+            }
+            if (progress.phase === 'cards' && progress.processed % 5000 < 200) {
+                console.log(`[INFO] ${progress.processed}/${progress.total} cards checked...`);
+            }
+        }
+    });
+
+    const reportPath = options.report
+        ? path.resolve(options.report)
+        : path.join(REPORT_DIR, `integrity-${report.startedAt.replace(/[:.]/g, '-')}.json`);
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+    for (const [key, count] of Object.entries(report.totals)) {
+        console.log(`[INFO] ${key}: ${count}`);
+    }
+    const repaired = Object.entries(report.repaired).filter(([key, value]) => value && key !== 'quarantineDir');
+    if (repaired.length) {
+        console.log(`[INFO] Repaired: ${repaired.map(([key, value]) => `${key} ${value}`).join(', ')}`);
+    }
+    if (report.errors.length) {
+        console.log(`[WARN] ${report.errors.length} repair(s) failed, see the report`);
+    }
+    console.log(`[INFO] Report written to ${reportPath}`);
+}
+
+main().catch(error => {
+    console.error('[ERROR] Integrity check failed:', error);
+    process.exit(1);
+});
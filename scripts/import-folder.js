@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Import every card file under a directory as source = 'local'
+ *
+ *   npm run import:folder -- <dir> [--report <file>]
+ *
+ * Meant for SillyTavern `public/characters` folders, but any tree of PNG, JSON
+ * or CharX files works. Files already archived (the same card definition from
+ * any source, or a card linking to a page we scraped) are reported as
+ * duplicates. Expression sprites and other plain images show up as unparseable.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { initDatabase } from '../backend/database.js';
+import { importCardFile, refreshDefinitionHashes } from '../backend/services/ImportService.js';
+import { getUploadFormat } from '../backend/utils/card-upload.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const REPORT_DIR = path.join(__dirname, '..', 'data', 'import-reports');
+
+function parseArgs(argv) {
+    const options = { dir: null, report: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--report') {
+            options.report = argv[++i];
+        } else if (!options.dir) {
+            options.dir = arg;
+        }
+    }
+    return options;
+}
+
+/**
+ * Card files under dir, skipping hidden folders; sorted so reruns report in the same order
+ */
+function collectCardFiles(dir) {
+    const found = [];
+    const walk = (current) => {
+        const entries = fs.readdirSync(current, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue;
+            const fullPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                walk(fullPath);
+            } else if (entry.isFile() && getUploadFormat(entry.name)) {
+                found.push(fullPath);
+            }
+        }
+    };
+    walk(dir);
+    return found;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.dir) {
+        console.error('Usage: npm run import:folder -- <dir> [--report <file>]');
+        process.exit(1);
+    }
+
+    const dir = path.resolve(options.dir);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        console.error(`[ERROR] Not a directory: ${dir}`);
+        process.exit(1);
+    }
+
+    await initDatabase();
+
+    // The server hashes new cards after each sync; catch up here so every archived card is compared
+    const hashes = await refreshDefinitionHashes();
+    if (hashes.total > 0) {
+        console.log(`[INFO] Hashed ${hashes.hashed} archived card definitions`);
+    }
+
+    const files = collectCardFiles(dir);
+    console.log(`[INFO] Found ${files.length} card files under ${dir}`);
+
+    const report = {
+        directory: dir,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        totals: { files: files.length, imported: 0, duplicate: 0, unparseable: 0, failed: 0 },
+        imported: [],
+        duplicates: [],
+        unparseable: [],
+        failed: []
+    };
+
+    for (const [index, filePath] of files.entries()) {
+        const file = path.relative(dir, filePath);
+        try {
+            const buffer = fs.readFileSync(filePath);
+            const result = await importCardFile({ name: path.basename(filePath), buffer });
+            if (result.created) {
+                report.imported.push({ file, id: result.card?.id, name: result.card?.name });
+            } else if (result.card) {
+                report.duplicates.push({ file, id: result.card.id, name: result.card.name, matchedBy: result.duplicateOf });
+            } else {
+                report.unparseable.push({ file, error: result.error });
+            }
+        } catch (error) {
+            console.error(`[ERROR] Failed to import ${file}:`, error.message);
+            report.failed.push({ file, error: error.message });
+        }
+
+        if ((index + 1) % 100 === 0) {
+            console.log(`[INFO] ${index + 1}/${files.length} files processed...`);
+        }
+    }
+
+    report.totals.imported = report.imported.length;
+    report.totals.duplicate = report.duplicates.length;
+    report.totals.unparseable = report.unparseable.length;
+    report.totals.failed = report.failed.length;
+    report.finishedAt = new Date().toISOString();
+
+    const reportPath = options.report
+        ? path.resolve(options.report)
+        : path.join(REPORT_DIR, `import-folder-${report.startedAt.replace(/[:.]/g, '-')}.json`);
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+    const { imported, duplicate, unparseable, failed } = report.totals;
+    console.log(`[INFO] Import complete. Imported: ${imported}, Duplicates: ${duplicate}, Unparseable: ${unparseable}, Failed: ${failed}`);
+    console.log(`[INFO] Report written to ${reportPath}`);
+}
+
+main().catch(error => {
+    console.error('[ERROR] Folder import failed:', error);
+    process.exit(1);
+});
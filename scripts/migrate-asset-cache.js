@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * Move cached assets from per-card folders into the content-addressed store
+ *
+ *   npm run migrate:assets
+ *
+ * Run once after upgrading, with the server stopped. Each distinct file is
+ * kept once under static/cached-assets/blobs/ and the per-card copies are
+ * removed; rows whose file is already gone are left as they are.
+ */
+import { initDatabase } from '../backend/database.js';
+import { migrateAssetCache } from '../backend/services/asset-cache.js';
+
+function formatMb(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function main() {
+    initDatabase({ skipTagRebuild: true, skipTokenBackfill: true });
+
+    const report = migrateAssetCache({
+        onProgress: ({ processed, total }) => console.log(`[INFO] ${processed}/${total} cached assets migrated...`)
+    });
+
+    if (report.total === 0) {
+        console.log('[INFO] Nothing to migrate: every cached asset is already content-addressed');
+        return;
+    }
+    console.log(`[INFO] Migrated ${report.migrated}/${report.total} cached assets (${report.duplicates} were duplicates of stored content)`);
+    console.log(`[INFO] ${formatMb(report.bytesBefore)} before, ${formatMb(report.bytesAfter)} after: ${formatMb(report.reclaimedBytes)} reclaimed`);
+    if (report.missing) {
+        console.log(`[WARN] ${report.missing} row(s) point at files that no longer exist; npm run integrity -- --repair dangling drops them`);
+    }
+    if (report.failed) {
+        console.log(`[WARN] ${report.failed} asset(s) failed to migrate, see the log; run the migration again to retry them`);
+    }
+}
+
+main().catch(error => {
+    console.error('[ERROR] Asset cache migration failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Restore an archive backup written by `npm run backup` or POST /api/admin/backup
+ *
+ *   npm run restore -- <backup.tar.gz> [--config]
+ *   npm run restore -- <full.tar.gz> <incremental.tar.gz>... [--config]
+ *
+ * Stop the server first. For an incremental backup, the backups it builds on
+ * are looked up through the .manifest.json files next to it, unless the whole
+ * chain is listed, oldest first. Every file is checked against the backup's manifest
+ * before anything is replaced; the current database, static/ and data/ are
+ * moved to pre-restore-<time>/ rather than deleted. A config.json backed up
+ * with blanked secrets only replaces the current one with --config.
+ */
+import fs from 'fs';
+import path from 'path';
+import { restoreBackup, resolveBackupChain } from '../backend/services/BackupService.js';
+
+function parseArgs(argv) {
+    const options = { archives: [], restoreConfig: false };
+    for (const arg of argv) {
+        if (arg === '--config') {
+            options.restoreConfig = true;
+        } else {
+            options.archives.push(arg);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.archives.length) {
+        console.error('Usage: npm run restore -- <backup.tar.gz> [<incremental.tar.gz>...] [--config]');
+        process.exit(1);
+    }
+
+    const archives = options.archives.map(archive => path.resolve(archive));
+    const missing = archives.find(archive => !fs.existsSync(archive));
+    if (missing) {
+        console.error(`[ERROR] Backup not found: ${missing}`);
+        process.exit(1);
+    }
+
+    const chain = archives.length > 1 ? archives : resolveBackupChain(archives[0]);
+    if (chain.length > 1) {
+        console.log(`[INFO] Restoring ${chain.length} backups: ${chain.map(archive => path.basename(archive)).join(', ')}`);
+    }
+    const result = await restoreBackup(chain, { restoreConfig: options.restoreConfig });
+
+    console.log(`[INFO] Restored backup from ${result.createdAt}: ${result.cards} cards, ${result.files} files`);
+    if (!result.configRestored && result.secretsStripped) {
+        console.log('[INFO] Kept the current config.json (the backup has its secrets blanked; pass --config to replace it)');
+    }
+    if (result.previousFiles) {
+        console.log(`[INFO] Previous files moved to ${result.previousFiles}`);
+    }
+    console.log(`[INFO] ${result.queued} cards queued for search indexing; they are indexed once the server is running`);
+}
+
+main().catch(error => {
+    console.error('[ERROR] Restore failed:', error);
+    process.exit(1);
+});
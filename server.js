@@ -7,6 +7,11 @@ import morgan from 'morgan';
 import rateLimit from 'express-rate-limit';
 import { appConfig as config } from './backend/services/ConfigState.js';
 import { schedulerService } from './backend/services/SchedulerService.js';
+import { registerDefaultJobTypes } from './backend/services/JobTypes.js';
+import { jobWorker } from './backend/services/JobWorkerService.js';
+import { closeInterruptedSyncRuns } from './backend/services/SyncHistoryService.js';
+import { migrateLegacyDenyList } from './backend/services/DenyListService.js';
+import { saveConfig } from './config.js';
 import configRouter from './backend/routes/config.js';
 import { initDatabase } from './backend/database.js';
 import { configureSearchIndex, configureVectorSearch, ensureVectorEmbedders } from './backend/services/search-index.js';
@@ -17,6 +22,12 @@ import adminRouter from './backend/routes/admin.js';
 import tagRouter from './backend/routes/tags.js';
 import federationRouter from './backend/routes/federation.js';
 import metricsRouter from './backend/routes/metrics.js';
+import trashRouter from './backend/routes/trash.js';
+import moderationRouter from './backend/routes/moderation.js';
+import denyListRouter from './backend/routes/denylist.js';
+import blocklistRouter from './backend/routes/blocklist.js';
+import jobRouter from './backend/routes/jobs.js';
+import importRouter from './backend/routes/import.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -140,6 +151,11 @@ app.use('/static', express.static(path.join(__dirname, 'static')));
 
 // Initialize database
 initDatabase();
+if (migrateLegacyDenyList(config)) {
+    saveConfig(config);
+}
+registerDefaultJobTypes();
+closeInterruptedSyncRuns();
 configureSearchIndex(config.meilisearch);
 configureVectorSearch(config.vectorSearch || {});
 ensureVectorEmbedders().catch(error => {
@@ -208,6 +224,12 @@ app.get('/api/chub/follows', (req, res) => res.redirect(307, '/api/sync/chub/fol
 app.use('/api/tags', tagRouter);
 app.use('/api/federation', federationRouter);
 app.use('/api/metrics', metricsRouter);
+app.use('/api/trash', trashRouter);
+app.use('/api/moderation', moderationRouter);
+app.use('/api/denylist', denyListRouter);
+app.use('/api/blocklist', blocklistRouter);
+app.use('/api/jobs', jobRouter);
+app.use('/api/import', importRouter);
 
 app.get('/reroll-tags', (req, res) => res.redirect(307, '/api/tags/random'));
 app.get('/api/tag-aliases', (req, res) => res.redirect(307, '/api/tags/aliases'));
@@ -233,14 +255,15 @@ app.listen(PORT, HOST, () => {
     console.log(`[INFO] Database initialized`);
     console.log(`[INFO] Press Ctrl+C to stop`);
     
-    // Start auto-update if enabled
-    schedulerService.startAutoUpdate();
-    schedulerService.startCtAutoUpdate();
+    // Arm timed syncs for every scheduled source
+    schedulerService.startSyncSchedules();
     schedulerService.startSearchIndexScheduler();
     schedulerService.startMetricsSnapshotScheduler();
     schedulerService.startWalCheckpointScheduler();
+    schedulerService.startTrashPurgeScheduler();
+    jobWorker.start(config.jobs);
 });
 
 export default app;
-export const startAutoUpdate = () => schedulerService.startAutoUpdate();
+export const startAutoUpdate = () => schedulerService.startSyncSchedules();
 